@@ -8,15 +8,77 @@ DB_NAME=customerDB
 # OpenAI Configuration
 OPENAI_API_KEY=your_openai_api_key_here
 
+# OCR Provider (openai | anthropic | fixture)
+OCR_PROVIDER=openai
+# Claude Haiku reads Khmer dates when set
+CLAUDE_API_KEY=your_claude_api_key_here
+# Replay/record fixtures for offline runs
+OCR_FIXTURE_DIR=./fixtures/ocr
+OCR_RECORD_FIXTURES=false
+
 # Payment Verification Settings
 USD_TO_KHR_RATE=4000
 PAYMENT_TOLERANCE_PERCENT=5
 EXPECTED_RECIPIENT_ACCOUNT=000 054 702
+# Max differing perceptual-hash bits for a near-duplicate screenshot
+PHASH_MAX_DISTANCE=8
+# Image tampering heuristics
+FORENSICS_SUSPECT_SCORE=2
+FORENSICS_ELA_RATIO=4
+
+# KHQR payment codes (/khqr and payment reminders)
+# Used for chats whose recipient registry entry has no khqrIds
+KHQR_BAKONG_ACCOUNT_ID=yourname@aclb
+KHQR_MERCHANT_NAME=YOUR NAME
+KHQR_MERCHANT_CITY=Phnom Penh
+
+# Customer commands (/balance, /history, /bill, /khqr) per group
+CUSTOMER_COMMAND_LIMIT=5
+CUSTOMER_COMMAND_WINDOW_MS=60000
+
+# Telegram user IDs allowed to run auditor commands in the pending chat (comma-separated)
+AUDITOR_USER_IDS=123456789,987654321
 
-# Webhook Configuration (for groupfetch.js)
+# Payment reminders (payment-scheduler.js)
+# Cron schedule in Asia/Phnom_Penh time (minute hour day-of-month month day-of-week)
+REMINDER_SCHEDULE=0 9 * * *
+# Missed slots older than this (scheduler was down) are skipped
+SCHEDULER_CATCH_UP_HOURS=6
+BILL_DUE_DAYS=7
+# Days overdue for gentle, firm, final notice and auditor escalation
+REMINDER_LADDER_DAYS=0,7,14,21
+PENDING_WARNING_DAYS=5
+REMINDER_MIN_GAP_HOURS=20
+# Asia/Phnom_Penh hours with no reminders ("off" to disable)
+REMINDER_QUIET_HOURS=21-8
+# Let the AI rephrase the Khmer template text (only sent if the amounts and dates are unchanged)
+REMINDER_AI_REWRITE=false
+REMINDER_AI_MODEL=gpt-4o-mini
+# {{billPdf}} placeholder = this + the bill's pdfFile
+BILL_PDF_BASE_URL=https://your-domain.com/invoices
+
+# Processing Queue (optional)
+BOT_MIN_DELAY_MS=1000
+BOT_MAX_QUEUE_SIZE=50
+JOB_MAX_ATTEMPTS=5
+JOB_BACKOFF_MS=30000
+JOB_LOCK_TIMEOUT_MS=300000
+OCR_WORKER_CONCURRENCY=2
+
+# Webhook Configuration (groupfetch.js, and botfetch.js when BOT_MODE=webhook)
 # Set this to your public URL (e.g., ngrok URL)
 WEBHOOK_BASE_URL=https://your-domain.com
 
+# Main bot delivery: polling (default) or webhook (falls back to polling if registration keeps failing)
+BOT_MODE=polling
+BOT_WEBHOOK_PATH=/telegram/webhook
+TELEGRAM_WEBHOOK_SECRET=long_random_secret
+BOT_WEBHOOK_MAX_CONNECTIONS=40
+BOT_WEBHOOK_RATE_LIMIT=600
+BOT_WEBHOOK_REGISTER_ATTEMPTS=5
+# Multi-replica deployments: exit instead of falling back to polling (polling deletes the shared webhook)
+BOT_WEBHOOK_EXIT_ON_FAILURE=false
+
 # Server Configuration
 PORT=3000
 
@@ -0,0 +1,108 @@
+/**
+ * Manage REST API keys (customerDB.apiKeys)
+ *
+ * Usage:
+ *   node scripts/create-api-key.js --name <name> --role <viewer|auditor|admin>   Create a key (printed once)
+ *   node scripts/create-api-key.js --list                                        List keys
+ *   node scripts/create-api-key.js --revoke <keyId>                              Revoke a key
+ *
+ * Roles: viewer (read-only), auditor (approve/review payments), admin (exports, recipient registry)
+ */
+
+const os = require('os');
+const { MongoClient } = require('mongodb');
+const { ROLES, ensureApiKeyIndexes, createApiKey, revokeApiKey, listApiKeys } = require('../src/api-auth');
+require('dotenv').config();
+
+const MONGO_URL = process.env.MONGO_URL;
+const DB_NAME = process.env.DB_NAME || 'customerDB';
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--name') args.name = argv[++i];
+    else if (arg === '--role') args.role = argv[++i];
+    else if (arg === '--revoke') args.revoke = argv[++i];
+    else if (arg === '--list') args.list = true;
+  }
+  return args;
+}
+
+function printUsage() {
+  console.log('Usage: node scripts/create-api-key.js --name <name> --role <viewer|auditor|admin>');
+  console.log('       node scripts/create-api-key.js --list');
+  console.log('       node scripts/create-api-key.js --revoke <keyId>');
+  console.log('Example: node scripts/create-api-key.js --name dashboard --role viewer');
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.list && !args.revoke && !(args.name && args.role)) {
+    printUsage();
+    process.exit(1);
+  }
+  if (args.role && !ROLES.includes(args.role)) {
+    console.log(`❌ Invalid role "${args.role}" - use one of: ${ROLES.join(', ')}`);
+    process.exit(1);
+  }
+
+  const client = new MongoClient(MONGO_URL, {
+    tls: true,
+    tlsAllowInvalidCertificates: true,
+  });
+
+  try {
+    await client.connect();
+    const apiKeysCollection = client.db(DB_NAME).collection('apiKeys');
+    await ensureApiKeyIndexes(apiKeysCollection);
+
+    if (args.list) {
+      const keys = await listApiKeys(apiKeysCollection);
+      console.log(`🔑 ${keys.length} API key(s)\n`);
+      for (const key of keys) {
+        const status = key.revokedAt ? `revoked ${key.revokedAt.toISOString()}` : 'active';
+        console.log(`   ${key.keyId} | ${key.name} | ${key.role} | ${status} | last used: ${key.lastUsedAt ? key.lastUsedAt.toISOString() : 'never'}`);
+      }
+      return;
+    }
+
+    if (args.revoke) {
+      const revoked = await revokeApiKey(apiKeysCollection, args.revoke);
+      if (!revoked) {
+        console.log(`❌ No active key with ID ${args.revoke}`);
+        process.exitCode = 1;
+        return;
+      }
+      console.log(`✅ Revoked ${revoked.keyId} (${revoked.name}, ${revoked.role})`);
+      return;
+    }
+
+    const result = await createApiKey(apiKeysCollection, {
+      name: args.name,
+      role: args.role,
+      createdBy: `cli:${os.userInfo().username}`
+    });
+    if (!result.success) {
+      console.log(`❌ ${result.error}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log('✅ API key created\n');
+    console.log(`   Name: ${result.record.name}`);
+    console.log(`   Role: ${result.record.role}`);
+    console.log(`   Key ID: ${result.record.keyId}`);
+    console.log(`   Key: ${result.key}\n`);
+    console.log('⚠️  Store the key now - only its hash is saved.');
+    console.log(`   Use it as: Authorization: Bearer ${result.key}`);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await client.close();
+  }
+}
+
+main();
@@ -0,0 +1,404 @@
+/**
+ * Verification Replay Harness for ScriptClient
+ *
+ * Replays the verification pipeline (src/verification-pipeline.js) against
+ * labeled screenshots with recorded OCR responses and an in-memory MongoDB,
+ * then reports a confusion matrix of expected vs actual verificationStatus /
+ * rejectionReason and which pipeline stage made a different decision.
+ * No API keys, Telegram or production database are needed for a replay.
+ *
+ * Expected labels come from the manifest, or from the folder an image is in
+ * (verified/, rejected/, pending/, fraud/).
+ *
+ * Usage:
+ *   npm run replay                                  Replay ./verified ./rejected ./pending ./fraud
+ *   npm run replay -- --images <dir>                Folder containing the labeled subfolders
+ *   npm run replay -- --fixtures <dir>              Recorded OCR responses (default: fixtures/ocr)
+ *   npm run replay -- --manifest <file>             Per-image chatId, upload time, expected amount and labels
+ *   npm run replay -- --save <file>                 Save results (use as a later --baseline)
+ *   npm run replay -- --baseline <file>             Show decisions that changed since a saved run (exit 1 if any)
+ *   npm run replay -- --record                      Call the live OCR provider and record missing fixtures
+ *   npm run replay -- --build-manifest <file>       Build manifest + fixtures from production payments (MONGO_URL)
+ *
+ * Manifest format:
+ *   {
+ *     "recipients": [ registry entries ],
+ *     "images": {
+ *       "<file name>": { "chatId", "uploadedAt", "expectedAmountKHR", "verificationStatus", "rejectionReason", "stage" }
+ *     }
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { MongoClient } = require('mongodb');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+require('dotenv').config();
+
+const { createOcrProvider, imageHash, DEFAULT_FIXTURE_DIR } = require('../src/ocr');
+const { runVerificationPipeline } = require('../src/verification-pipeline');
+const { MATCHABLE_STATUSES, computeImageHashes, findDuplicateImages } = require('../src/image-hash');
+const { analyzeImageForensics } = require('../src/image-forensics');
+
+// Folder → expected verificationStatus
+const LABEL_FOLDERS = {
+  verified: 'verified',
+  rejected: 'rejected',
+  pending: 'pending',
+  fraud: 'rejected'
+};
+
+const STATUSES = ['verified', 'pending', 'rejected', 'error'];
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+
+function parseArgs(argv) {
+  const args = {
+    images: path.join(__dirname, '..'),
+    fixtures: process.env.OCR_FIXTURE_DIR || DEFAULT_FIXTURE_DIR,
+    manifest: null,
+    save: null,
+    baseline: null,
+    record: false,
+    buildManifest: null
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--images') args.images = argv[++i];
+    else if (arg === '--fixtures') args.fixtures = argv[++i];
+    else if (arg === '--manifest') args.manifest = argv[++i];
+    else if (arg === '--save') args.save = argv[++i];
+    else if (arg === '--baseline') args.baseline = argv[++i];
+    else if (arg === '--record') args.record = true;
+    else if (arg === '--build-manifest') args.buildManifest = argv[++i];
+    else {
+      console.error(`❌ Unknown argument: ${arg}`);
+      process.exit(1);
+    }
+  }
+  return args;
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Labeled screenshots in the LABEL_FOLDERS under imagesDir
+ */
+function listImages(imagesDir) {
+  const images = [];
+  for (const folder of Object.keys(LABEL_FOLDERS)) {
+    const dir = path.join(imagesDir, folder);
+    if (!fs.existsSync(dir)) continue;
+
+    for (const file of fs.readdirSync(dir)) {
+      if (!IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase())) continue;
+      const filePath = path.join(dir, file);
+      images.push({ file, folder, filePath, mtime: fs.statSync(filePath).mtime });
+    }
+  }
+  return images;
+}
+
+// ==== Manifest builder (production payments → manifest + fixtures) ====
+
+async function buildManifest(args) {
+  if (!process.env.MONGO_URL) {
+    console.error('❌ MONGO_URL environment variable is required');
+    process.exit(1);
+  }
+
+  const client = new MongoClient(process.env.MONGO_URL, {
+    tls: true,
+    tlsAllowInvalidCertificates: true,
+  });
+
+  try {
+    console.log('🔗 Connecting to MongoDB...');
+    await client.connect();
+    const db = client.db(process.env.DB_NAME || 'customerDB');
+
+    const manifest = {
+      recipients: await db.collection('recipients').find({}).toArray(),
+      images: {}
+    };
+    let fixturesWritten = 0;
+    fs.mkdirSync(args.fixtures, { recursive: true });
+
+    for (const image of listImages(args.images)) {
+      const escaped = image.file.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const payment = await db.collection('payments').findOne({ screenshotPath: { $regex: `${escaped}$` } });
+      if (!payment) continue;
+
+      const lastStage = await db.collection('auditEvents')
+        .find({ paymentId: payment._id, sourceType: 'pipeline' })
+        .sort({ createdAt: -1 })
+        .limit(1)
+        .next();
+
+      manifest.images[image.file] = {
+        paymentId: payment._id,
+        chatId: payment.chatId,
+        uploadedAt: payment.uploadedAt,
+        expectedAmountKHR: payment.expectedAmountKHR ?? null,
+        verificationStatus: payment.verificationStatus,
+        rejectionReason: payment.rejectionReason || null,
+        stage: lastStage?.stage || null
+      };
+
+      // The stored OCR text is the recorded response
+      const fixtureFile = path.join(args.fixtures, `${imageHash(fs.readFileSync(image.filePath))}.json`);
+      if (payment.aiAnalysis && !fs.existsSync(fixtureFile)) {
+        const transactionDate = payment.transactionDate ? new Date(payment.transactionDate) : null;
+        fs.writeFileSync(fixtureFile, JSON.stringify({
+          sha256: path.basename(fixtureFile, '.json'),
+          provider: payment.ocrProvider || 'openai',
+          recordedAt: new Date(payment.uploadedAt).toISOString(),
+          payment: { rawText: payment.aiAnalysis },
+          date: transactionDate && !isNaN(transactionDate.getTime())
+            ? { month: transactionDate.getMonth() + 1, year: transactionDate.getFullYear() }
+            : null
+        }, null, 2));
+        fixturesWritten++;
+      }
+    }
+
+    fs.writeFileSync(args.buildManifest, JSON.stringify(manifest, null, 2));
+    console.log(`✅ Manifest: ${Object.keys(manifest.images).length} images → ${args.buildManifest}`);
+    console.log(`✅ Fixtures written: ${fixturesWritten} → ${args.fixtures}`);
+  } finally {
+    await client.close();
+  }
+}
+
+// ==== Replay ====
+
+async function replayImage(db, ocrProvider, image, expected) {
+  const chatId = expected.chatId ?? 0;
+  const uploadedAt = expected.uploadedAt ? new Date(expected.uploadedAt) : image.mtime;
+  const paymentsCollection = db.collection('payments');
+  const screenshotFiles = db.collection('screenshots.files');
+  const paymentId = `replay-${image.file}`;
+  const imageBuffer = await fs.promises.readFile(image.filePath);
+  const imageHashes = await computeImageHashes(imageBuffer);
+  const forensicsReport = await analyzeImageForensics(imageBuffer);
+
+  // The bill the customer was paying at the time
+  if (expected.expectedAmountKHR) {
+    await db.collection('excelreadings').insertOne({
+      _id: `replay-${image.file}`,
+      chatId,
+      amount: expected.expectedAmountKHR,
+      lastSent: uploadedAt
+    });
+  }
+
+  let decision;
+  try {
+    decision = await runVerificationPipeline({
+      ocrProvider,
+      paymentsCollection,
+      excelReadingsCollection: db.collection('excelreadings'),
+      recipientsCollection: db.collection('recipients'),
+      onFraudAlert: async (alert) => {
+        const { insertedId } = await db.collection('fraudAlerts').insertOne({ ...alert, file: image.file });
+        return String(insertedId);
+      },
+      // Replayed payments are never reviewed, so the stored status is the current one
+      findDuplicateImages: async (hashes, options) => (await findDuplicateImages(screenshotFiles, hashes, {
+        ...options,
+        maxDistance: parseInt(process.env.PHASH_MAX_DISTANCE) || 8
+      })).filter(match => MATCHABLE_STATUSES.includes(match.verificationStatus)),
+      forensicsOptions: {
+        suspectScore: parseInt(process.env.FORENSICS_SUSPECT_SCORE) || 2,
+        elaRatio: parseFloat(process.env.FORENSICS_ELA_RATIO) || 4
+      }
+    }, {
+      imageBuffer,
+      imagePath: image.filePath,
+      imageHashes,
+      forensicsReport,
+      paymentId,
+      chatId,
+      uploadedAt
+    });
+  } catch (error) {
+    return { status: 'error', reason: null, stage: null, error: error.message };
+  }
+
+  // Later screenshots see this one (duplicate transaction IDs and images, paid bills)
+  await paymentsCollection.insertOne({
+    _id: paymentId,
+    chatId,
+    transactionId: decision.paymentData.transactionId || null,
+    amountInKHR: decision.amountInKHR,
+    paymentLabel: decision.paymentLabel,
+    isVerified: decision.isVerified,
+    verificationStatus: decision.finalVerificationStatus,
+    uploadedAt
+  });
+  await screenshotFiles.insertOne({
+    filename: image.file,
+    metadata: {
+      paymentId,
+      chatId,
+      amountInKHR: decision.amountInKHR,
+      transactionId: decision.paymentData.transactionId || null,
+      verificationStatus: decision.finalVerificationStatus,
+      uploadedAt,
+      ...imageHashes
+    }
+  });
+
+  const stages = decision.pipelineStages.map(entry => entry.stage);
+  return {
+    status: decision.finalVerificationStatus,
+    reason: decision.rejectionReason,
+    stage: stages[stages.length - 1] || null,
+    stages
+  };
+}
+
+// ==== Reporting ====
+
+function printMatrix(title, results, expectedKey, actualKey, labels) {
+  const counts = {};
+  for (const result of results) {
+    const key = `${result[expectedKey]}→${result[actualKey]}`;
+    counts[key] = (counts[key] || 0) + 1;
+  }
+
+  const width = Math.max(12, ...labels.map(label => String(label).length + 2));
+  const cell = (value) => String(value).padStart(width);
+
+  console.log(`\n${title} (rows: expected, columns: actual)`);
+  console.log(cell('') + labels.map(cell).join(''));
+  for (const expected of labels) {
+    const row = labels.map(actual => cell(counts[`${expected}→${actual}`] || 0));
+    if (row.every(value => value.trim() === '0')) continue;
+    console.log(cell(expected) + row.join(''));
+  }
+}
+
+function printReport(results) {
+  const matching = results.filter(r => r.expectedStatus === r.status);
+  console.log('\n' + '='.repeat(60));
+  console.log(`📊 REPLAY RESULTS: ${matching.length}/${results.length} match expected status`);
+  console.log('='.repeat(60));
+
+  printMatrix('verificationStatus', results, 'expectedStatus', 'status', STATUSES);
+
+  const withReason = results
+    .filter(r => r.expectedReason !== undefined)
+    .map(r => ({ ...r, expectedReasonLabel: r.expectedReason || 'none', reasonLabel: r.reason || 'none' }));
+  if (withReason.length > 0) {
+    const reasons = [...new Set(withReason.flatMap(r => [r.expectedReasonLabel, r.reasonLabel]))].sort();
+    printMatrix('rejectionReason', withReason, 'expectedReasonLabel', 'reasonLabel', reasons);
+  }
+
+  const mismatches = results.filter(r =>
+    r.expectedStatus !== r.status ||
+    (r.expectedReason !== undefined && (r.expectedReason || null) !== (r.reason || null))
+  );
+  if (mismatches.length > 0) {
+    console.log(`\n❌ Mismatches (${mismatches.length}):`);
+    for (const r of mismatches) {
+      console.log(`   ${r.file}: ${r.expectedStatus}/${r.expectedReason || '-'} → ${r.status}/${r.reason || '-'}` +
+        ` | Stage: ${r.expectedStage || '?'} → ${r.stage || (r.error ? `error: ${r.error}` : '-')}`);
+    }
+  }
+}
+
+function compareBaseline(results, baselineFile) {
+  const baseline = new Map(readJson(baselineFile).results.map(r => [r.file, r]));
+  const changed = results.filter(r => {
+    const before = baseline.get(r.file);
+    return before && (before.status !== r.status || before.reason !== r.reason || before.stage !== r.stage);
+  });
+
+  console.log(`\n🔁 Changed since baseline (${changed.length}/${results.length}):`);
+  for (const r of changed) {
+    const before = baseline.get(r.file);
+    console.log(`   ${r.file}: ${before.status}/${before.reason || '-'} → ${r.status}/${r.reason || '-'}` +
+      ` | Stage: ${before.stage || '-'} → ${r.stage || '-'}`);
+  }
+  return changed.length;
+}
+
+async function replay(args) {
+  const manifest = args.manifest ? readJson(args.manifest) : { recipients: [], images: {} };
+  const images = listImages(args.images);
+  if (images.length === 0) {
+    console.error(`❌ No screenshots found under ${args.images} (${Object.keys(LABEL_FOLDERS).join(', ')})`);
+    process.exit(1);
+  }
+
+  const ocrProvider = createOcrProvider({
+    ...process.env,
+    OCR_PROVIDER: args.record ? (process.env.OCR_PROVIDER || 'openai') : 'fixture',
+    OCR_RECORD_FIXTURES: args.record ? 'true' : 'false',
+    OCR_FIXTURE_DIR: args.fixtures
+  });
+
+  console.log(`🔁 Replaying ${images.length} screenshots | OCR: ${ocrProvider.name} | Fixtures: ${args.fixtures}`);
+
+  const mongod = await MongoMemoryServer.create();
+  const client = new MongoClient(mongod.getUri());
+  const results = [];
+
+  try {
+    await client.connect();
+    const db = client.db('replay');
+    if (manifest.recipients?.length > 0) {
+      await db.collection('recipients').insertMany(manifest.recipients);
+    }
+
+    // Replay in upload order so duplicate checks see earlier screenshots
+    const ordered = images
+      .map(image => ({ image, expected: manifest.images?.[image.file] || {} }))
+      .sort((a, b) => new Date(a.expected.uploadedAt || a.image.mtime) - new Date(b.expected.uploadedAt || b.image.mtime));
+
+    for (const { image, expected } of ordered) {
+      const actual = await replayImage(db, ocrProvider, image, expected);
+      results.push({
+        file: image.file,
+        folder: image.folder,
+        expectedStatus: expected.verificationStatus || LABEL_FOLDERS[image.folder],
+        // Only known when the manifest has it
+        expectedReason: 'rejectionReason' in expected ? expected.rejectionReason : undefined,
+        expectedStage: expected.stage || null,
+        ...actual
+      });
+    }
+  } finally {
+    await client.close();
+    await mongod.stop();
+  }
+
+  printReport(results);
+
+  if (args.save) {
+    fs.writeFileSync(args.save, JSON.stringify({ createdAt: new Date().toISOString(), results }, null, 2));
+    console.log(`\n💾 Results saved to ${args.save}`);
+  }
+
+  if (args.baseline) {
+    const changed = compareBaseline(results, args.baseline);
+    if (changed > 0) process.exitCode = 1;
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.buildManifest) {
+    await buildManifest(args);
+  } else {
+    await replay(args);
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Replay failed:', error);
+  process.exit(1);
+});
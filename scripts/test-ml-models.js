@@ -136,6 +136,53 @@ const TEST_CASES = [
     shouldVerifyRecipient: true,
     expectedRecipient: 'CHAN K. & THOEURN T.',
     expectedAccount: '086228226'
+  },
+
+  // Prince Bank
+  {
+    name: 'Prince Bank - Beneficiary Format',
+    ocrText: `
+      Prince Bank
+      Transfer Successful
+      Beneficiary CHAN KASING
+      Beneficiary Account 086 228 226
+      Amount 20.00 USD
+    `,
+    expectedBank: 'Prince',
+    shouldVerifyRecipient: true,
+    expectedRecipient: 'CHAN KASING',
+    expectedAccount: '086228226'
+  },
+
+  // Sathapana Bank
+  {
+    name: 'Sathapana Bank - Receiver Format',
+    ocrText: `
+      Sathapana Bank
+      Receiver Name CHAN K. & THOEURN T.
+      Receiver Account 086-228-226
+      Amount 80,000 KHR
+    `,
+    expectedBank: 'Sathapana',
+    shouldVerifyRecipient: true,
+    expectedRecipient: 'CHAN K. & THOEURN T.',
+    expectedAccount: '086228226'
+  },
+
+  // Bakong app (account is a Bakong ID, not a number)
+  {
+    name: 'Bakong App - Bakong ID',
+    ocrText: `
+      Bakong
+      Transfer Success
+      To CHAN KASING
+      Bakong ID kasing_chan@aclb
+      Amount 10.00 USD
+    `,
+    expectedBank: 'Bakong',
+    shouldVerifyRecipient: false,
+    expectedRecipient: 'CHAN KASING',
+    expectedAccount: 'kasing_chan@aclb'
   }
 ];
 
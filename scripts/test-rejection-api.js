@@ -2,7 +2,7 @@
 
 /**
  * Test script for rejection audit API endpoints
- * Usage: node scripts/test-rejection-api.js
+ * Usage: API_KEY=<auditor key> node scripts/test-rejection-api.js
  */
 
 const https = require('https');
@@ -11,6 +11,7 @@ const http = require('http');
 // Configuration
 const BASE_URL = process.env.API_BASE_URL || 'http://localhost:3000';
 const TEST_CHAT_ID = process.env.TEST_CHAT_ID || '1450060367'; // Replace with actual test chat ID
+const API_KEY = process.env.API_KEY || ''; // Auditor key (scripts/create-api-key.js)
 
 /**
  * Make HTTP request
@@ -30,7 +31,8 @@ function makeRequest(endpoint, method = 'GET', data = null) {
       path: url.pathname + url.search,
       method: method,
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${API_KEY}`
       }
     };
 
@@ -160,8 +162,7 @@ async function testRejectionAPI() {
         'POST',
         {
           action: 'confirm_rejection',
-          notes: 'API test - confirming rejection',
-          reviewedBy: 'test_script'
+          notes: 'API test - confirming rejection'
         }
       );
 
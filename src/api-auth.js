@@ -0,0 +1,181 @@
+'use strict';
+
+/**
+ * API Auth Module
+ * Role-based API keys for the REST API. Keys are shown once when created
+ * (scripts/create-api-key.js) and stored as SHA-256 hashes in
+ * customerDB.apiKeys. Roles are ordered: viewer < auditor < admin.
+ * Authenticated requests carry req.auth, whose actor is recorded on every
+ * change instead of the approvedBy/reviewedBy body fields.
+ * Used by botfetch.js
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+const ROLES = ['viewer', 'auditor', 'admin'];
+const KEY_PREFIX = 'sk';
+
+// lastUsedAt is written at most once per minute per key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * SHA-256 of a key (keys are random, so no salt/stretching is needed)
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * New random key: sk_<8 hex id>_<32 char secret>
+ */
+function generateApiKey() {
+  const keyId = crypto.randomBytes(4).toString('hex');
+  const secret = crypto.randomBytes(24).toString('base64url');
+  return { keyId, key: `${KEY_PREFIX}_${keyId}_${secret}` };
+}
+
+/**
+ * Whether a role includes another (admin includes auditor includes viewer)
+ */
+function hasRole(role, required) {
+  const index = ROLES.indexOf(role);
+  return index !== -1 && index >= ROLES.indexOf(required);
+}
+
+/**
+ * Create the API key indexes
+ * @param {Collection} apiKeysCollection - MongoDB apiKeys collection
+ */
+async function ensureApiKeyIndexes(apiKeysCollection) {
+  await apiKeysCollection.createIndex({ keyHash: 1 }, { unique: true });
+}
+
+/**
+ * Create an API key
+ * @param {Collection} apiKeysCollection - MongoDB apiKeys collection
+ * @param {Object} options - { name, role, createdBy }
+ * @returns {Object} { success, key, record } (key is only returned here) or { success: false, error }
+ */
+async function createApiKey(apiKeysCollection, { name, role, createdBy }) {
+  if (!name || typeof name !== 'string') {
+    return { success: false, error: 'name is required' };
+  }
+  if (!ROLES.includes(role)) {
+    return { success: false, error: `role must be one of ${ROLES.join(', ')}` };
+  }
+
+  const { keyId, key } = generateApiKey();
+  const record = {
+    _id: uuidv4(),
+    keyId,
+    name: name.trim(),
+    role,
+    keyHash: hashApiKey(key),
+    createdBy: createdBy || null,
+    createdAt: new Date(),
+    lastUsedAt: null,
+    revokedAt: null
+  };
+
+  await apiKeysCollection.insertOne(record);
+  return { success: true, key, record };
+}
+
+/**
+ * Revoke a key by its keyId or _id
+ * @returns {Object|null} Revoked record or null if not found
+ */
+async function revokeApiKey(apiKeysCollection, id) {
+  return apiKeysCollection.findOneAndUpdate(
+    { $or: [{ keyId: id }, { _id: id }], revokedAt: null },
+    { $set: { revokedAt: new Date() } },
+    { returnDocument: 'after', projection: { keyHash: 0 } }
+  );
+}
+
+/**
+ * List keys (hashes left out)
+ */
+async function listApiKeys(apiKeysCollection) {
+  return apiKeysCollection.find({}, { projection: { keyHash: 0 } }).sort({ createdAt: 1 }).toArray();
+}
+
+/**
+ * Key from "Authorization: Bearer <key>" or "X-API-Key: <key>"
+ */
+function getRequestApiKey(req) {
+  const authorization = req.get('authorization') || '';
+  const bearer = authorization.match(/^Bearer\s+(\S+)$/i);
+  return bearer ? bearer[1] : (req.get('x-api-key') || null);
+}
+
+/**
+ * Build the role middleware
+ * @param {Object} deps - { getApiKeysCollection } (collections are opened after routes are registered)
+ * @returns {Object} { requireRole(role), authenticate(req) }
+ */
+function createApiAuth({ getApiKeysCollection }) {
+  /**
+   * Look up the request's key
+   * @returns {Object} { auth: { keyId, name, role, actor } } or { statusCode, error }
+   */
+  async function authenticate(req) {
+    const key = getRequestApiKey(req);
+    if (!key) return { statusCode: 401, error: 'API key required' };
+
+    const apiKeysCollection = getApiKeysCollection();
+    if (!apiKeysCollection) return { statusCode: 503, error: 'Database not ready' };
+
+    const record = await apiKeysCollection.findOne({ keyHash: hashApiKey(key), revokedAt: null });
+    if (!record) return { statusCode: 401, error: 'Invalid API key' };
+
+    const now = Date.now();
+    if (!record.lastUsedAt || now - new Date(record.lastUsedAt).getTime() > LAST_USED_RESOLUTION_MS) {
+      apiKeysCollection.updateOne({ _id: record._id }, { $set: { lastUsedAt: new Date(now) } }).catch(() => {});
+    }
+
+    return {
+      auth: {
+        keyId: record.keyId,
+        name: record.name,
+        role: record.role,
+        actor: `api:${record.name}`
+      }
+    };
+  }
+
+  function requireRole(role) {
+    return async (req, res, next) => {
+      try {
+        const { auth, statusCode, error } = await authenticate(req);
+        if (!auth) {
+          return res.status(statusCode).json({ success: false, error });
+        }
+        if (!hasRole(auth.role, role)) {
+          console.log(`⚠️ [AUTH] ${auth.actor} (${auth.role}) denied ${req.method} ${req.path} - needs ${role}`);
+          return res.status(403).json({ success: false, error: `Requires ${role} role`, role: auth.role });
+        }
+
+        req.auth = auth;
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+
+  return { requireRole, authenticate };
+}
+
+module.exports = {
+  ROLES,
+  hashApiKey,
+  hasRole,
+  ensureApiKeyIndexes,
+  createApiKey,
+  revokeApiKey,
+  listApiKeys,
+  getRequestApiKey,
+  createApiAuth
+};
@@ -0,0 +1,131 @@
+'use strict';
+
+/**
+ * Audit Trail Module
+ * Immutable history of every payment state change in customerDB.auditEvents.
+ * Each event records who acted, where from (Telegram command, REST route or
+ * automatic pipeline stage), the before/after values of the tracked fields
+ * and the reason. Events are only ever inserted - there is no update path.
+ * Used by botfetch.js and payment-transitions.js
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+// Payment fields captured before and after each change
+const TRACKED_FIELDS = ['paymentLabel', 'verificationStatus', 'amountInKHR'];
+
+// Where a change came from
+const AUDIT_SOURCES = {
+  TELEGRAM_VERIFY: { type: 'telegram', name: '/verify' },
+  TELEGRAM_REJECT: { type: 'telegram', name: '/reject' },
+  REVIEW_BUTTON: { type: 'telegram', name: 'review_button' },
+  REVIEW_BUTTON_AMOUNT: { type: 'telegram', name: 'review_button_amount' },
+  REST_APPROVE: { type: 'rest', name: 'POST /api/payment/:paymentId/approve' },
+  REST_REJECTION_REVIEW: { type: 'rest', name: 'POST /api/rejections/:paymentId/review' },
+  REST_FRAUD_REVIEW: { type: 'rest', name: 'POST /fraud/alert/:alertId/review' },
+  REST_STATEMENT_IMPORT: { type: 'rest', name: 'POST /api/bank-statements/import' },
+  PIPELINE: { type: 'pipeline', name: 'analyzePaymentScreenshot' }
+};
+
+/**
+ * Pick the tracked fields from a payment (null when the payment did not exist yet)
+ */
+function snapshot(payment) {
+  if (!payment) return null;
+  const values = {};
+  for (const field of TRACKED_FIELDS) {
+    values[field] = payment[field] ?? null;
+  }
+  return values;
+}
+
+/**
+ * Create the audit indexes
+ * @param {Collection} auditEventsCollection - MongoDB auditEvents collection
+ */
+async function ensureAuditIndexes(auditEventsCollection) {
+  await auditEventsCollection.createIndex({ paymentId: 1, createdAt: 1 });
+  await auditEventsCollection.createIndex({ chatId: 1, createdAt: -1 });
+}
+
+/**
+ * Append an audit event
+ * @param {Collection} auditEventsCollection - MongoDB auditEvents collection
+ * @param {Object} event - { paymentId, chatId, action, actor, source, stage, before, after, reason, notes, metadata }
+ *   before/after: payment documents or snapshots; only TRACKED_FIELDS are stored
+ * @returns {Object} Inserted event
+ */
+async function recordAuditEvent(auditEventsCollection, event) {
+  const source = event.source || AUDIT_SOURCES.PIPELINE;
+  const entry = {
+    _id: uuidv4(),
+    paymentId: event.paymentId,
+    chatId: event.chatId ?? null,
+    action: event.action,
+    actor: event.actor || 'system',
+    sourceType: source.type,
+    source: source.name,
+    stage: event.stage || null,
+    before: snapshot(event.before),
+    after: snapshot(event.after),
+    reason: event.reason || null,
+    notes: event.notes || null,
+    metadata: event.metadata || null,
+    createdAt: new Date()
+  };
+
+  try {
+    await auditEventsCollection.insertOne(entry);
+  } catch (error) {
+    // Audit failure must not undo a committed change
+    console.error(`⚠️ Failed to write audit event for ${event.paymentId}:`, error.message);
+  }
+  return entry;
+}
+
+/**
+ * Get a payment's history, oldest first
+ * @param {Collection} auditEventsCollection - MongoDB auditEvents collection
+ * @param {string} paymentId - Payment _id
+ * @returns {Array} Audit events
+ */
+async function getPaymentHistory(auditEventsCollection, paymentId) {
+  return auditEventsCollection
+    .find({ paymentId })
+    .sort({ createdAt: 1 })
+    .toArray();
+}
+
+/**
+ * Flatten audit events into spreadsheet rows
+ * @param {Array} events - Audit events
+ * @returns {Array} Rows for XLSX.utils.json_to_sheet
+ */
+function auditEventsToRows(events) {
+  return events.map(event => ({
+    'Payment ID': event.paymentId,
+    'Customer Chat ID': event.chatId,
+    'Time': new Date(event.createdAt).toLocaleString('en-GB', { timeZone: 'Asia/Phnom_Penh' }),
+    'Action': event.action,
+    'Stage': event.stage || '',
+    'Actor': event.actor,
+    'Source': `${event.sourceType}: ${event.source}`,
+    'Label Before': event.before?.paymentLabel || '',
+    'Label After': event.after?.paymentLabel || '',
+    'Status Before': event.before?.verificationStatus || '',
+    'Status After': event.after?.verificationStatus || '',
+    'Amount Before (KHR)': event.before?.amountInKHR ?? '',
+    'Amount After (KHR)': event.after?.amountInKHR ?? '',
+    'Reason': event.reason || '',
+    'Notes': event.notes || ''
+  }));
+}
+
+module.exports = {
+  TRACKED_FIELDS,
+  AUDIT_SOURCES,
+  ensureAuditIndexes,
+  recordAuditEvent,
+  getPaymentHistory,
+  auditEventsToRows
+};
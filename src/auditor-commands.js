@@ -0,0 +1,199 @@
+'use strict';
+
+/**
+ * Auditor Commands Module
+ * Access check and replies for the triage commands auditors run in the
+ * pending chat: /pending, /show <n>, /approve <n> [amount], /stats and /fraud.
+ * Only Telegram user IDs listed in AUDITOR_USER_IDS may run them.
+ * Each auditor's last /pending listing is kept in customerDB.auditorListings,
+ * so /show and /approve numbers survive restarts and resolve the same on
+ * every replica.
+ * Used by botfetch.js
+ */
+
+const PENDING_LIST_LIMIT = 30;
+const FRAUD_LIST_LIMIT = 15;
+
+// Offsets from the start of today (Cambodia time)
+const STATS_PERIODS = {
+  today: { label: 'Today', startDaysAgo: 0, days: 1 },
+  yesterday: { label: 'Yesterday', startDaysAgo: 1, days: 1 },
+  week: { label: 'Last 7 days', startDaysAgo: 6, days: 7 }
+};
+
+const CAMBODIA_OFFSET_MS = 7 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function formatKHR(amount) {
+  return `${Math.round(amount || 0).toLocaleString('en-US')} KHR`;
+}
+
+function formatTime(value) {
+  return value ? new Date(value).toLocaleString('en-GB', { timeZone: 'Asia/Phnom_Penh' }) : 'N/A';
+}
+
+/**
+ * Parse AUDITOR_USER_IDS ("123, 456") into a set of ID strings
+ */
+function parseAuditorIds(value) {
+  return new Set(String(value || '').split(/[\s,]+/).filter(id => /^\d+$/.test(id)));
+}
+
+/**
+ * Whether a Telegram user may run auditor commands
+ * @param {Object} from - msg.from / query.from
+ * @param {Set} auditorIds - From parseAuditorIds()
+ * @param {Object} options - { allowUnconfigured } allow everyone while the whitelist is empty
+ *   (legacy /verify, /reject and review buttons)
+ */
+function isAuditor(from, auditorIds, options = {}) {
+  if (auditorIds.size === 0) return Boolean(options.allowUnconfigured);
+  return Boolean(from) && auditorIds.has(String(from.id));
+}
+
+/**
+ * Date range for /stats <period> (default today)
+ * @returns {Object|null} { label, from, to } or null for an unknown period
+ */
+function getStatsPeriod(name = 'today', now = new Date()) {
+  const period = STATS_PERIODS[String(name).toLowerCase()];
+  if (!period) return null;
+
+  const localMidnight = Math.floor((now.getTime() + CAMBODIA_OFFSET_MS) / DAY_MS) * DAY_MS - CAMBODIA_OFFSET_MS;
+  const from = new Date(localMidnight - period.startDaysAgo * DAY_MS);
+  return { label: period.label, from, to: new Date(from.getTime() + period.days * DAY_MS) };
+}
+
+/**
+ * /pending - numbered list, oldest first
+ * @param {Array} payments - PENDING payments (oldest first)
+ * @param {number} total - All pending payments (list is capped)
+ */
+function formatPendingList(payments, total = payments.length) {
+  if (payments.length === 0) return '✅ No pending payments.';
+
+  const lines = [`⏳ PENDING PAYMENTS (${total})`, ''];
+  payments.forEach((payment, index) => {
+    lines.push(
+      `${index + 1}. ${payment.fullName || payment.username || payment.chatId} | ` +
+      `${formatKHR(payment.amountInKHR)} | ${payment.rejectionReason || 'PENDING_REVIEW'} | ${formatTime(payment.uploadedAt)}`
+    );
+  });
+  if (total > payments.length) lines.push('', `… ${total - payments.length} more`);
+  lines.push('', 'Use /show <n> or /approve <n> [amount]');
+  return lines.join('\n');
+}
+
+function listingKey(chatId, auditorId) {
+  return `${chatId}:${auditorId}`;
+}
+
+/**
+ * Store the payment IDs of an auditor's /pending listing (replaces the previous one)
+ * @param {Collection} listingsCollection - MongoDB auditorListings collection
+ * @param {string} chatId - Chat the listing was sent to
+ * @param {string} auditorId - Telegram user ID of the auditor
+ * @param {Array} paymentIds - Listed payment IDs, in listing order
+ */
+async function savePendingListing(listingsCollection, chatId, auditorId, paymentIds) {
+  await listingsCollection.updateOne(
+    { _id: listingKey(chatId, auditorId) },
+    { $set: { chatId: String(chatId), auditorId: String(auditorId), paymentIds, listedAt: new Date() } },
+    { upsert: true }
+  );
+}
+
+/**
+ * Payment ID for number <n> of the auditor's last /pending listing
+ * @returns {string|null} null when there is no listing or no such number
+ */
+async function getListedPaymentId(listingsCollection, chatId, auditorId, index) {
+  const listing = await listingsCollection.findOne({ _id: listingKey(chatId, auditorId) });
+  return (listing && listing.paymentIds[index - 1]) || null;
+}
+
+/**
+ * Caption for a re-sent pending screenshot (same fields as the review photo)
+ * @param {Object} payment - payments document
+ * @param {Object|null} customer - customers document
+ */
+function buildPendingCaption(payment, customer) {
+  const remaining = customer ? customer.remainingBalance : null;
+  return `🔍 PENDING REVIEW
+
+ Customer: ${payment.fullName || payment.username || 'Unknown'}
+ Group: ${payment.groupName || 'Unknown'}
+ Chat ID: ${payment.chatId}
+ This Payment: ${payment.amountInKHR?.toLocaleString() || 0} KHR
+ Expected (${(payment.matchedBillPeriods || []).join(', ') || 'no open bill'}): ${payment.expectedAmountKHR?.toLocaleString() || 'N/A'} KHR
+ Already Paid: ${(customer?.totalPaid || 0).toLocaleString()} KHR
+ Remaining: ${remaining !== null && remaining !== undefined ? remaining.toLocaleString() : 'N/A'} KHR
+
+ Bank: ${payment.bankName || 'Unknown'}
+ Transaction ID: ${payment.transactionId || 'N/A'}
+ Reason: ${payment.rejectionReason || 'Amount mismatch'}
+ Notes: ${payment.verificationNotes || '-'}
+ Payment ID: ${payment._id}
+ Uploaded: ${formatTime(payment.uploadedAt)}`;
+}
+
+/**
+ * /stats - verification counts for a period
+ * @param {Object} period - From getStatsPeriod()
+ * @param {Object} stats - { byStatus: { verified: { count, amount } }, byReason: { REASON: count }, fraudAlerts }
+ */
+function formatStats(period, stats) {
+  const status = (name) => stats.byStatus[name] || { count: 0, amount: 0 };
+  const total = Object.values(stats.byStatus).reduce((sum, s) => sum + s.count, 0);
+
+  const lines = [
+    `📊 STATS - ${period.label}`,
+    '',
+    `📥 Screenshots: ${total}`,
+    `✅ Verified: ${status('verified').count} (${formatKHR(status('verified').amount)})`,
+    `⏳ Pending: ${status('pending').count} (${formatKHR(status('pending').amount)})`,
+    `❌ Rejected: ${status('rejected').count}`,
+    `🚨 Fraud alerts: ${stats.fraudAlerts || 0}`
+  ];
+
+  const reasons = Object.entries(stats.byReason).sort((a, b) => b[1] - a[1]);
+  if (reasons.length > 0) {
+    lines.push('', 'Reasons:');
+    for (const [reason, count] of reasons) lines.push(`• ${reason}: ${count}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * /fraud - open fraud alerts, newest first
+ * @param {Array} alerts - fraudAlerts documents with reviewStatus PENDING
+ * @param {number} total - All open alerts (list is capped)
+ */
+function formatFraudAlerts(alerts, total = alerts.length) {
+  if (alerts.length === 0) return '✅ No open fraud alerts.';
+
+  const lines = [`🚨 OPEN FRAUD ALERTS (${total})`, ''];
+  for (const alert of alerts) {
+    lines.push(
+      `• ${alert.alertId} | ${alert.fraudType} | ${alert.severity} | ` +
+      `${alert.fullName || alert.username || alert.chatId} | ${formatTime(alert.detectedAt)}`
+    );
+  }
+  if (total > alerts.length) lines.push('', `… ${total - alerts.length} more`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  PENDING_LIST_LIMIT,
+  FRAUD_LIST_LIMIT,
+  STATS_PERIODS,
+  parseAuditorIds,
+  isAuditor,
+  savePendingListing,
+  getListedPaymentId,
+  getStatsPeriod,
+  formatPendingList,
+  buildPendingCaption,
+  formatStats,
+  formatFraudAlerts
+};
@@ -0,0 +1,505 @@
+'use strict';
+
+/**
+ * Bank Statement Reconciliation Module
+ * Screenshots are only evidence - the receiving account's statement is what
+ * we trust. Imports ABA/ACLEDA statement exports (CSV or XLSX), stores the
+ * incoming credits in customerDB.bankCredits and matches them to payments:
+ *   1. by transaction ID (the credit's reference or description contains it)
+ *   2. by amount (KHR) and time - the screenshot arrives after the credit
+ * Matched payments are marked bankConfirmed. The statement recipient's
+ * PAID/PENDING payments sent during the statement period with no matching
+ * credit are flagged NO_CREDIT as likely fakes.
+ * Used by botfetch.js
+ */
+
+const crypto = require('crypto');
+const XLSX = require('xlsx');
+const { v4: uuidv4 } = require('uuid');
+const { convertToKHR } = require('./verification-pipeline');
+const { recordAuditEvent, AUDIT_SOURCES } = require('./audit-trail');
+const { normalizeAccount } = require('./recipient-registry');
+
+const STATEMENT_BANKS = ['ABA', 'ACLEDA'];
+
+// Statement times carry no zone - both banks export Cambodia time (UTC+7)
+const STATEMENT_UTC_OFFSET_HOURS = 7;
+
+// Screenshot upload relative to the credit: small clock skew before, customers may send it days later
+const MATCH_WINDOW_BEFORE_MS = 60 * 60 * 1000;
+const MATCH_WINDOW_AFTER_MS = 3 * 24 * 60 * 60 * 1000;
+// Amount tolerance: USD rounding after conversion
+const AMOUNT_TOLERANCE_KHR = 100;
+const AMOUNT_TOLERANCE_PERCENT = 0.5;
+// Shorter IDs match too much of a free-text description
+const MIN_ID_LENGTH = 6;
+
+const RECONCILIATION_STATUS = {
+  CONFIRMED: 'CONFIRMED',
+  NO_CREDIT: 'NO_CREDIT'
+};
+
+// Header names used by the ABA and ACLEDA exports (lower-case, punctuation removed)
+const COLUMN_ALIASES = {
+  date: ['date', 'transaction date', 'trx date', 'value date', 'posting date', 'booking date', 'date time'],
+  credit: ['credit', 'money in', 'cash in', 'deposit', 'credit amount', 'cr'],
+  debit: ['debit', 'money out', 'cash out', 'withdrawal', 'debit amount', 'dr'],
+  amount: ['amount', 'transaction amount'],
+  currency: ['currency', 'ccy'],
+  transactionId: ['transaction id', 'trx id', 'reference', 'reference no', 'ref no', 'transaction ref', 'transaction reference'],
+  description: ['description', 'narrative', 'details', 'particulars', 'remark', 'remarks', 'purpose']
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Create the statement indexes
+ * @param {Object} collections - { bankCreditsCollection, paymentsCollection }
+ */
+async function ensureStatementIndexes({ bankCreditsCollection, paymentsCollection }) {
+  await bankCreditsCollection.createIndex({ postedAt: 1 });
+  await bankCreditsCollection.createIndex({ matchedPaymentId: 1 });
+  await paymentsCollection.createIndex({ 'bankReconciliation.status': 1 });
+}
+
+// ==== Parsing ====
+
+function normalizeHeader(value) {
+  return String(value || '').toLowerCase().replace(/\(.*?\)/g, ' ').replace(/[^a-z0-9 ]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function normalizeId(value) {
+  return String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Map column roles to indexes for a header row (null when it isn't one)
+ */
+function findColumns(row) {
+  const columns = {};
+  row.forEach((cell, index) => {
+    const header = normalizeHeader(cell);
+    for (const [role, aliases] of Object.entries(COLUMN_ALIASES)) {
+      if (columns[role] === undefined && aliases.includes(header)) {
+        columns[role] = index;
+        // "Credit (USD)" carries the currency in the header
+        const currency = String(cell).match(/\b(USD|KHR)\b/i);
+        if (currency && !columns.headerCurrency) columns.headerCurrency = currency[1].toUpperCase();
+      }
+    }
+  });
+  const hasAmount = columns.credit !== undefined || columns.amount !== undefined;
+  return columns.date !== undefined && hasAmount ? columns : null;
+}
+
+function parseAmount(value) {
+  if (typeof value === 'number') return value;
+  const text = String(value || '').trim();
+  if (!text) return null;
+  const negative = /^\(.*\)$/.test(text) || text.includes('-');
+  const amount = parseFloat(text.replace(/[^0-9.]/g, ''));
+  if (isNaN(amount)) return null;
+  return negative ? -amount : amount;
+}
+
+function cambodiaTime(year, month, day, hour = 0, minute = 0, second = 0) {
+  const date = new Date(Date.UTC(year, month - 1, day, hour - STATEMENT_UTC_OFFSET_HOURS, minute, second));
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Statement date cell → Date (day-first, as both banks export)
+ */
+function parseStatementDate(value) {
+  if (typeof value === 'number') {
+    // Excel serial date
+    const parts = XLSX.SSF.parse_date_code(value);
+    return parts ? cambodiaTime(parts.y, parts.m, parts.d, parts.H, parts.M, Math.floor(parts.S)) : null;
+  }
+
+  const text = String(value || '').trim();
+  if (!text) return null;
+
+  // Time part, with optional AM/PM
+  let hour = 0;
+  let minute = 0;
+  let second = 0;
+  const time = text.match(/(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(AM|PM)?/i);
+  if (time) {
+    hour = parseInt(time[1]);
+    minute = parseInt(time[2]);
+    second = parseInt(time[3] || '0');
+    if (time[4]) {
+      const pm = time[4].toUpperCase() === 'PM';
+      if (pm && hour < 12) hour += 12;
+      if (!pm && hour === 12) hour = 0;
+    }
+  }
+
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) return cambodiaTime(+match[1], +match[2], +match[3], hour, minute, second);
+
+  match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})/);
+  if (match) {
+    const year = match[3].length === 2 ? 2000 + parseInt(match[3]) : parseInt(match[3]);
+    return cambodiaTime(year, +match[2], +match[1], hour, minute, second);
+  }
+
+  // "05 Jan 2026" or "Jan 05, 2026"
+  match = text.match(/^(\d{1,2})[\s-]([A-Za-z]{3})[a-z]*[\s-,]+(\d{4})/) || text.match(/^([A-Za-z]{3})[a-z]*\s+(\d{1,2}),?\s+(\d{4})/);
+  if (match) {
+    const [day, monthName] = /^\d/.test(match[1]) ? [match[1], match[2]] : [match[2], match[1]];
+    const month = MONTHS.indexOf(monthName.toLowerCase()) + 1;
+    if (month > 0) return cambodiaTime(+match[3], month, +day, hour, minute, second);
+  }
+
+  return null;
+}
+
+/**
+ * Parse a statement export into incoming credits
+ * @param {Buffer} buffer - CSV or XLSX file
+ * @param {Object} options - { currency } used when the file doesn't say
+ * @returns {Object} { success, credits: [{ row, postedAt, amount, currency, amountInKHR, transactionId, description }],
+ *   skipped } or { success: false, error }
+ */
+function parseStatement(buffer, options = {}) {
+  let workbook;
+  try {
+    // raw keeps CSV dates as text so day-first dates aren't read as US dates
+    workbook = XLSX.read(buffer, { type: 'buffer', raw: true });
+  } catch (error) {
+    return { success: false, error: `Could not read statement: ${error.message}` };
+  }
+
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  const rows = sheet ? XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: '' }) : [];
+
+  // Exports start with account details; the header is the first row naming a date and an amount column
+  const headerIndex = rows.slice(0, 30).findIndex(row => findColumns(row));
+  if (headerIndex === -1) {
+    return { success: false, error: 'No header row with date and credit/amount columns found' };
+  }
+  const columns = findColumns(rows[headerIndex]);
+
+  const credits = [];
+  let skipped = 0;
+  for (let i = headerIndex + 1; i < rows.length; i++) {
+    const row = rows[i];
+    const postedAt = parseStatementDate(row[columns.date]);
+    const amount = columns.credit !== undefined ? parseAmount(row[columns.credit]) : parseAmount(row[columns.amount]);
+
+    // Only incoming money (debits, totals and blank rows are skipped)
+    if (!postedAt || !amount || amount <= 0) {
+      if (row.some(cell => cell !== '')) skipped++;
+      continue;
+    }
+
+    const currency = (columns.currency !== undefined && String(row[columns.currency]).trim().toUpperCase())
+      || columns.headerCurrency
+      || (options.currency || '').toUpperCase();
+    if (!['USD', 'KHR'].includes(currency)) {
+      return { success: false, error: `Row ${i + 1}: currency unknown - pass currency=USD or currency=KHR` };
+    }
+
+    credits.push({
+      row: i + 1,
+      postedAt,
+      amount,
+      currency,
+      amountInKHR: convertToKHR(amount, currency),
+      transactionId: columns.transactionId !== undefined ? String(row[columns.transactionId]).trim() || null : null,
+      description: columns.description !== undefined ? String(row[columns.description]).trim() || null : null
+    });
+  }
+
+  return { success: true, credits, skipped };
+}
+
+// ==== Matching ====
+
+function creditKey(account, credit) {
+  return [account || '', credit.postedAt.toISOString(), credit.amount, credit.currency, credit.transactionId || '', credit.description || ''].join('|');
+}
+
+/**
+ * Registry entry a statement belongs to: the given recipientId, or the one
+ * active entry listing the statement's account number
+ * With several active entries one of them is required - otherwise every
+ * other recipient's payments in the period would be flagged NO_CREDIT
+ * @returns {Object} { success, recipientId } or { success: false, error, statusCode }
+ */
+async function resolveStatementRecipient(recipientsCollection, { recipientId = null, account = null }) {
+  if (recipientId) {
+    const recipient = await recipientsCollection.findOne({ _id: recipientId });
+    if (!recipient) return { success: false, statusCode: 404, error: `Recipient ${recipientId} not found` };
+    return { success: true, recipientId };
+  }
+
+  const recipients = await recipientsCollection.find({ active: { $ne: false } }).toArray();
+  const normalized = normalizeAccount(account);
+  const owners = normalized
+    ? recipients.filter(recipient => (recipient.accountNumbers || []).some(value => normalizeAccount(value) === normalized))
+    : [];
+  if (owners.length === 1) return { success: true, recipientId: owners[0]._id };
+
+  if (recipients.length > 1) {
+    return {
+      success: false,
+      statusCode: 400,
+      error: 'recipientId (or an account number registered to one recipient) is required when more than one recipient is configured'
+    };
+  }
+  return { success: true, recipientId: null };
+}
+
+function amountsMatch(a, b) {
+  const tolerance = Math.max(AMOUNT_TOLERANCE_KHR, (Math.max(a, b) * AMOUNT_TOLERANCE_PERCENT) / 100);
+  return Math.abs(a - b) <= tolerance;
+}
+
+function inMatchWindow(credit, payment) {
+  const offset = new Date(payment.uploadedAt).getTime() - new Date(credit.postedAt).getTime();
+  return offset >= -MATCH_WINDOW_BEFORE_MS && offset <= MATCH_WINDOW_AFTER_MS;
+}
+
+/**
+ * Pair credits with payments (each used once)
+ * @returns {Array} [{ credit, payment, matchedBy, amountMismatch }]
+ */
+function matchCredits(credits, payments) {
+  const matches = [];
+  const usedPayments = new Set();
+  const usedCredits = new Set();
+
+  // Pass 1: transaction ID printed in the credit's reference or description
+  for (const credit of credits) {
+    const haystack = normalizeId(`${credit.transactionId || ''} ${credit.description || ''}`);
+    const payment = payments.find(p => {
+      const id = normalizeId(p.transactionId);
+      return !usedPayments.has(p._id) && id.length >= MIN_ID_LENGTH && haystack.includes(id) && inMatchWindow(credit, p);
+    });
+    if (payment) {
+      usedPayments.add(payment._id);
+      usedCredits.add(credit._id);
+      matches.push({ credit, payment, matchedBy: 'transaction_id', amountMismatch: !amountsMatch(credit.amountInKHR, payment.amountInKHR || 0) });
+    }
+  }
+
+  // Pass 2: same amount, closest screenshot after the credit
+  for (const credit of credits) {
+    if (usedCredits.has(credit._id)) continue;
+    const candidates = payments
+      .filter(p => !usedPayments.has(p._id) && p.amountInKHR && amountsMatch(credit.amountInKHR, p.amountInKHR) && inMatchWindow(credit, p))
+      .sort((a, b) => Math.abs(new Date(a.uploadedAt) - credit.postedAt) - Math.abs(new Date(b.uploadedAt) - credit.postedAt));
+    if (candidates.length > 0) {
+      usedPayments.add(candidates[0]._id);
+      usedCredits.add(credit._id);
+      matches.push({ credit, payment: candidates[0], matchedBy: 'amount_time', amountMismatch: false });
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Import a statement and reconcile it against payments
+ * Re-importing the same file is safe: credits are keyed by their content and
+ * already matched credits are left alone.
+ * @param {Object} collections - { bankStatementsCollection, bankCreditsCollection, paymentsCollection, recipientsCollection, auditEventsCollection }
+ * @param {Buffer} buffer - CSV or XLSX file
+ * @param {Object} options - { bank, account, recipientId, currency, filename, importedBy }
+ *   recipientId: registry entry the statement belongs to (limits which payments are expected in it),
+ *   found from the account when omitted; required once several recipients are configured
+ * @returns {Object} { success, statement, matched, unmatchedCredits, likelyFakes } or { success: false, error, statusCode }
+ */
+async function importStatement(collections, buffer, options = {}) {
+  const { bankStatementsCollection, bankCreditsCollection, paymentsCollection, recipientsCollection, auditEventsCollection } = collections;
+  const bank = String(options.bank || '').toUpperCase();
+
+  if (!STATEMENT_BANKS.includes(bank)) {
+    return { success: false, statusCode: 400, error: `bank must be one of ${STATEMENT_BANKS.join(', ')}` };
+  }
+  if (!buffer || buffer.length === 0) {
+    return { success: false, statusCode: 400, error: 'Statement file is required as the request body' };
+  }
+
+  const parsed = parseStatement(buffer, options);
+  if (!parsed.success) {
+    return { success: false, statusCode: 400, error: parsed.error };
+  }
+  if (parsed.credits.length === 0) {
+    return { success: false, statusCode: 400, error: 'Statement has no incoming credits' };
+  }
+
+  const account = options.account || null;
+  const resolved = await resolveStatementRecipient(recipientsCollection, { recipientId: options.recipientId || null, account });
+  if (!resolved.success) {
+    return { success: false, statusCode: resolved.statusCode, error: resolved.error };
+  }
+  const { recipientId } = resolved;
+
+  const now = new Date();
+  const statementId = uuidv4();
+
+  // Store credits, keyed by content (+ occurrence, for identical rows)
+  const seen = {};
+  const credits = parsed.credits.map(credit => {
+    const key = creditKey(account, credit);
+    seen[key] = (seen[key] || 0) + 1;
+    const _id = crypto.createHash('sha1').update(`${bank}|${key}|${seen[key]}`).digest('hex');
+    return { _id, bank, account, recipientId, ...credit };
+  });
+
+  let newCredits = 0;
+  for (const credit of credits) {
+    const { upsertedCount } = await bankCreditsCollection.updateOne(
+      { _id: credit._id },
+      { $setOnInsert: { ...credit, statementId, matchedPaymentId: null, importedAt: now } },
+      { upsert: true }
+    );
+    newCredits += upsertedCount;
+  }
+
+  const openCredits = await bankCreditsCollection
+    .find({ _id: { $in: credits.map(credit => credit._id) }, matchedPaymentId: null })
+    .sort({ postedAt: 1 })
+    .toArray();
+
+  const periodFrom = credits.reduce((min, credit) => (credit.postedAt < min ? credit.postedAt : min), credits[0].postedAt);
+  const periodTo = credits.reduce((max, credit) => (credit.postedAt > max ? credit.postedAt : max), credits[0].postedAt);
+
+  // Payments that could be paid into this account during the statement
+  const recipientFilter = recipientId ? { recipientId: { $in: [recipientId, null] } } : {};
+  const payments = await paymentsCollection.find({
+    bankConfirmed: { $ne: true },
+    paymentLabel: { $in: ['PAID', 'PENDING'] },
+    uploadedAt: {
+      $gte: new Date(periodFrom.getTime() - MATCH_WINDOW_BEFORE_MS),
+      $lte: new Date(periodTo.getTime() + MATCH_WINDOW_AFTER_MS)
+    },
+    ...recipientFilter
+  }).toArray();
+
+  const matches = matchCredits(openCredits, payments);
+
+  for (const { credit, payment, matchedBy, amountMismatch } of matches) {
+    const bankConfirmation = {
+      creditId: credit._id,
+      statementId,
+      bank,
+      matchedBy,
+      amountMismatch,
+      postedAt: credit.postedAt,
+      amount: credit.amount,
+      currency: credit.currency,
+      amountInKHR: credit.amountInKHR,
+      confirmedAt: now
+    };
+
+    await bankCreditsCollection.updateOne(
+      { _id: credit._id },
+      { $set: { matchedPaymentId: payment._id, matchedBy, matchedAt: now } }
+    );
+    await paymentsCollection.updateOne(
+      { _id: payment._id },
+      {
+        $set: {
+          bankConfirmed: true,
+          bankConfirmation,
+          bankReconciliation: { status: RECONCILIATION_STATUS.CONFIRMED, statementId, checkedAt: now }
+        }
+      }
+    );
+    await recordAuditEvent(auditEventsCollection, {
+      paymentId: payment._id,
+      chatId: payment.chatId,
+      action: 'bank_confirmed',
+      actor: options.importedBy || 'admin',
+      source: AUDIT_SOURCES.REST_STATEMENT_IMPORT,
+      before: payment,
+      after: payment,
+      notes: `Matched ${bank} credit ${credit.amount} ${credit.currency} at ${credit.postedAt.toISOString()} by ${matchedBy}`,
+      metadata: bankConfirmation
+    });
+  }
+
+  // Sent during the statement period but no credit arrived - likely fake
+  const matchedIds = new Set(matches.map(match => match.payment._id));
+  const likelyFakes = payments.filter(payment =>
+    !matchedIds.has(payment._id) &&
+    new Date(payment.uploadedAt) >= periodFrom &&
+    new Date(payment.uploadedAt) <= periodTo &&
+    (!recipientId || payment.recipientId === recipientId)
+  );
+
+  if (likelyFakes.length > 0) {
+    await paymentsCollection.updateMany(
+      { _id: { $in: likelyFakes.map(payment => payment._id) } },
+      { $set: { bankReconciliation: { status: RECONCILIATION_STATUS.NO_CREDIT, statementId, checkedAt: now } } }
+    );
+  }
+
+  const matchedCreditIds = new Set(matches.map(match => match.credit._id));
+  const unmatchedCredits = openCredits.filter(credit => !matchedCreditIds.has(credit._id));
+
+  const statement = {
+    _id: statementId,
+    bank,
+    account,
+    recipientId,
+    filename: options.filename || null,
+    importedBy: options.importedBy || 'admin',
+    importedAt: now,
+    periodFrom,
+    periodTo,
+    credits: credits.length,
+    newCredits,
+    skippedRows: parsed.skipped,
+    matched: matches.length,
+    unmatchedCredits: unmatchedCredits.length,
+    likelyFakes: likelyFakes.length
+  };
+  await bankStatementsCollection.insertOne(statement);
+
+  return {
+    success: true,
+    statement,
+    matched: matches.map(({ credit, payment, matchedBy, amountMismatch }) => ({
+      paymentId: payment._id,
+      chatId: payment.chatId,
+      creditId: credit._id,
+      matchedBy,
+      amountMismatch,
+      creditAmountInKHR: credit.amountInKHR,
+      paymentAmountInKHR: payment.amountInKHR ?? null
+    })),
+    unmatchedCredits: unmatchedCredits.map(credit => ({
+      creditId: credit._id,
+      row: credit.row,
+      postedAt: credit.postedAt,
+      amount: credit.amount,
+      currency: credit.currency,
+      transactionId: credit.transactionId,
+      description: credit.description
+    })),
+    likelyFakes: likelyFakes.map(payment => ({
+      paymentId: payment._id,
+      chatId: payment.chatId,
+      username: payment.username || null,
+      paymentLabel: payment.paymentLabel,
+      amountInKHR: payment.amountInKHR ?? null,
+      transactionId: payment.transactionId || null,
+      uploadedAt: payment.uploadedAt
+    }))
+  };
+}
+
+module.exports = {
+  STATEMENT_BANKS,
+  RECONCILIATION_STATUS,
+  ensureStatementIndexes,
+  parseStatement,
+  matchCredits,
+  importStatement
+};
@@ -8,11 +8,27 @@
  * the OCR extraction, doesn't change security validation.
  */
 
+// Temenos T24 funds transfer reference: FT + year + day of year + sequence
+const T24_FT_REFERENCE = /^FT(?<yy>\d{2})(?<ddd>\d{3})[A-Z0-9]{5,8}$/;
+
+// KHQR / Bakong interbank receipts: named on the receipt, or carrying a Bakong
+// hash (8 hex characters with at least one letter, or the full 64)
+const KHQR_RECEIPT_PATTERN = /khqr|bakong/i;
+const BAKONG_HASH = /^(?:(?=[0-9]*[A-F])[A-F0-9]{8}|[A-F0-9]{64})$/;
+
 // Bank format templates for Cambodian banks
+// Adding a bank here also adds it to the ML classifier labels (ml/trainingData.js).
+// layout: how the receipt shows the recipient (for logs/diagnostics)
+// signaturePatterns: field labels that identify the bank's receipts (ML features)
+// formatAccount: optional account formatter (default: digits only)
+// transactionIdFormats / referenceFormats: grammar of the IDs printed on the receipt.
+// Named groups yy/yyyy, mm, dd or ddd mark a date embedded in the ID.
 const BANK_FORMATS = {
   ABA: {
     name: 'ABA Bank',
     keywords: ['aba', 'aba bank', 'advanced bank', 'transfer to', '012 888'],
+    layout: 'Transfer to [NAME] Account [NUMBER]',
+    signaturePatterns: ['Transfer to', 'Beneficiary', 'Account', 'Trx. ID', 'Reference'],
 
     recipientPatterns: [
       {
@@ -46,12 +62,22 @@ const BANK_FORMATS = {
         confidence: 0.90,
         priority: 1
       }
+    ],
+
+    transactionIdFormats: [
+      { name: 'Trx. ID', regex: /^\d{9,12}$/ }
+    ],
+    referenceFormats: [
+      { name: 'Reference #', regex: /^\d{10,20}$/ },
+      { name: 'FT reference', regex: T24_FT_REFERENCE }
     ]
   },
 
   ACLEDA: {
     name: 'ACLEDA Bank',
     keywords: ['acleda', 'acleda bank', 'beneficiary name', '012 20'],
+    layout: 'Beneficiary Name [NAME] Account No [NUMBER]',
+    signaturePatterns: ['Beneficiary Name', 'Account Name', 'Account No'],
 
     recipientPatterns: [
       {
@@ -77,12 +103,23 @@ const BANK_FORMATS = {
         confidence: 0.90,
         priority: 2
       }
+    ],
+
+    transactionIdFormats: [
+      { name: 'Transaction ID', regex: /^\d{10,20}$/ },
+      { name: 'FT reference', regex: T24_FT_REFERENCE }
+    ],
+    referenceFormats: [
+      { name: 'FT reference', regex: T24_FT_REFERENCE },
+      { name: 'Reference No.', regex: /^\d{10,20}$/ }
     ]
   },
 
   Wing: {
     name: 'Wing Bank',
     keywords: ['wing', 'wing bank', 'receiver', '089 999'],
+    layout: 'Receiver [NUMBER] ([NAME])',
+    signaturePatterns: ['Receiver', 'Wing Account'],
 
     recipientPatterns: [
       {
@@ -104,12 +141,23 @@ const BANK_FORMATS = {
         confidence: 0.95,
         priority: 1
       }
+    ],
+
+    transactionIdFormats: [
+      { name: 'Transaction ID', regex: /^\d{8,14}$/ },
+      { name: 'Prefixed transaction ID', regex: /^[A-Z]{2,4}\d{8,16}$/ }
+    ],
+    referenceFormats: [
+      { name: 'Reference', regex: /^[A-Z0-9]{8,20}$/ }
     ]
   },
 
   KHQR: {
     name: 'KHQR',
-    keywords: ['khqr', 'bakong', 'merchant', 'cambodia qr'],
+    // 'bakong' alone belongs to the Bakong app template below
+    keywords: ['khqr', 'merchant', 'cambodia qr'],
+    layout: 'Merchant [NAME] KHQR ID [ID]',
+    signaturePatterns: ['Merchant', 'KHQR ID'],
 
     recipientPatterns: [
       {
@@ -130,6 +178,203 @@ const BANK_FORMATS = {
         confidence: 0.85,
         priority: 1
       }
+    ],
+
+    transactionIdFormats: [
+      { name: 'Bakong hash (short)', regex: /^[A-F0-9]{8}$/ },
+      { name: 'Bakong hash', regex: /^[A-F0-9]{64}$/ }
+    ],
+    referenceFormats: [
+      { name: 'Reference', regex: /^[A-Z0-9]{6,25}$/ }
+    ]
+  },
+
+  Canadia: {
+    name: 'Canadia Bank',
+    keywords: ['canadia', 'canadia bank', 'cbc'],
+    layout: 'To Account Name [NAME] To Account [NUMBER]',
+    signaturePatterns: ['Recipient', 'Account Number', 'To Account Name'],
+
+    recipientPatterns: [
+      {
+        regex: /(?:To Account Name|Beneficiary Name)[\s:]*([A-Z\s\.&]+?)(?:\n|Account|$)/gi,
+        confidence: 0.95,
+        priority: 1
+      },
+      {
+        regex: /Recipient[\s:]*([A-Z\s\.&]+?)(?:\n|Account|$)/gi,
+        confidence: 0.85,
+        priority: 2
+      }
+    ],
+
+    accountPatterns: [
+      {
+        regex: /(?:To Account|Account Number)[\s:#]*([0-9\s\-]{9,20})/gi,
+        confidence: 0.95,
+        priority: 1
+      }
+    ],
+
+    amountPatterns: [
+      {
+        regex: /Amount[\s:]*(?:USD|KHR|៛|\$)?\s*([0-9,\.]+)/gi,
+        confidence: 0.85,
+        priority: 1
+      }
+    ],
+
+    transactionIdFormats: [
+      { name: 'Transaction ID', regex: /^\d{10,20}$/ },
+      { name: 'FT reference', regex: T24_FT_REFERENCE }
+    ],
+    referenceFormats: [
+      { name: 'FT reference', regex: T24_FT_REFERENCE },
+      { name: 'Reference No.', regex: /^[A-Z0-9]{8,20}$/ }
+    ]
+  },
+
+  Prince: {
+    name: 'Prince Bank',
+    keywords: ['prince bank', 'princebank', 'prince mobile'],
+    layout: 'Beneficiary [NAME] Beneficiary Account [NUMBER]',
+    signaturePatterns: ['Beneficiary', 'Beneficiary Account', 'Transaction ID'],
+
+    recipientPatterns: [
+      {
+        regex: /Beneficiary(?: Name)?[\s:]*([A-Z\s\.&]+?)(?:\n|Beneficiary Account|Account|$)/gi,
+        confidence: 0.95,
+        priority: 1
+      },
+      {
+        regex: /Transfer to[\s:]*([A-Z\s\.&]+?)(?:\n|Account|$)/gi,
+        confidence: 0.85,
+        priority: 2
+      }
+    ],
+
+    accountPatterns: [
+      {
+        regex: /Beneficiary Account[\s:]*([0-9\s\-]{8,20})/gi,
+        confidence: 0.95,
+        priority: 1
+      },
+      {
+        regex: /Account(?: No\.?| Number)?[\s:]*([0-9\s\-]{8,20})/gi,
+        confidence: 0.85,
+        priority: 2
+      }
+    ],
+
+    amountPatterns: [
+      {
+        regex: /(?:Transfer )?Amount[\s:]*(?:USD|KHR|៛|\$)?\s*([0-9,\.]+)/gi,
+        confidence: 0.85,
+        priority: 1
+      }
+    ],
+
+    transactionIdFormats: [
+      { name: 'Transaction ID', regex: /^\d{10,20}$/ },
+      { name: 'FT reference', regex: T24_FT_REFERENCE }
+    ],
+    referenceFormats: [
+      { name: 'Reference', regex: /^[A-Z0-9]{8,20}$/ }
+    ]
+  },
+
+  Sathapana: {
+    name: 'Sathapana Bank',
+    keywords: ['sathapana', 'sathapana bank', 'spn'],
+    layout: 'Receiver Name [NAME] Receiver Account [NUMBER]',
+    signaturePatterns: ['Receiver Name', 'Receiver Account', 'Reference Number'],
+
+    recipientPatterns: [
+      {
+        regex: /Receiver Name[\s:]*([A-Z\s\.&]+?)(?:\n|Receiver Account|Account|$)/gi,
+        confidence: 0.95,
+        priority: 1
+      },
+      {
+        regex: /Account Name[\s:]*([A-Z\s\.&]+?)(?:\n|$)/gi,
+        confidence: 0.85,
+        priority: 2
+      }
+    ],
+
+    accountPatterns: [
+      {
+        regex: /Receiver Account[\s:]*([0-9\s\-]{8,20})/gi,
+        confidence: 0.95,
+        priority: 1
+      },
+      {
+        regex: /Account No[\s.:]*([0-9\s\-]{8,20})/gi,
+        confidence: 0.85,
+        priority: 2
+      }
+    ],
+
+    amountPatterns: [
+      {
+        regex: /Amount[\s:]*(?:USD|KHR|៛|\$)?\s*([0-9,\.]+)/gi,
+        confidence: 0.85,
+        priority: 1
+      }
+    ],
+
+    transactionIdFormats: [
+      { name: 'Transaction ID', regex: /^\d{10,20}$/ },
+      { name: 'FT reference', regex: T24_FT_REFERENCE }
+    ],
+    referenceFormats: [
+      { name: 'Reference Number', regex: /^[A-Z0-9]{8,20}$/ }
+    ]
+  },
+
+  Bakong: {
+    name: 'Bakong',
+    keywords: ['bakong', 'bakong app', 'national bank of cambodia'],
+    layout: 'To [NAME] Bakong ID [name@bank]',
+    signaturePatterns: ['Bakong ID', 'Bakong Account', 'Hash'],
+
+    recipientPatterns: [
+      {
+        regex: /(?:Receiver|To)[\s:]*([A-Z\s\.&]+?)(?:\n|Bakong|$)/gi,
+        confidence: 0.90,
+        priority: 1
+      }
+    ],
+
+    // Bakong accounts are IDs like "kasing_chan@aclb", not numbers
+    accountPatterns: [
+      {
+        regex: /Bakong(?: Account)? ID[\s:]*([a-z0-9_.]+@[a-z0-9]+)/gi,
+        confidence: 0.95,
+        priority: 1
+      },
+      {
+        regex: /([a-z0-9_.]+@[a-z0-9]+)/gi,
+        confidence: 0.80,
+        priority: 2
+      }
+    ],
+    formatAccount: rawAccount => rawAccount.trim().toLowerCase(),
+
+    amountPatterns: [
+      {
+        regex: /Amount[\s:]*(?:USD|KHR|៛|\$)?\s*([0-9,\.]+)/gi,
+        confidence: 0.85,
+        priority: 1
+      }
+    ],
+
+    transactionIdFormats: [
+      { name: 'Bakong hash (short)', regex: /^[A-F0-9]{8}$/ },
+      { name: 'Bakong hash', regex: /^[A-F0-9]{64}$/ }
+    ],
+    referenceFormats: [
+      { name: 'Reference', regex: /^[A-Z0-9]{6,25}$/ }
     ]
   }
 };
@@ -267,7 +512,7 @@ function extractWithBankFormat(ocrText) {
     // Step 3: Extract account number
     const accountExtraction = extractField(ocrText, bankFormat.accountPatterns);
     if (accountExtraction) {
-      result.toAccount = formatAccount(accountExtraction.value);
+      result.toAccount = (bankFormat.formatAccount || formatAccount)(accountExtraction.value);
       result.extractionDetails.account = accountExtraction;
       console.log(`💳 Account extracted: "${result.toAccount}" (confidence: ${accountExtraction.confidence})`);
     }
@@ -309,6 +554,134 @@ function extractWithBankFormat(ocrText) {
   }
 }
 
+/**
+ * Normalize an OCR'd ID for grammar matching (null when OCR found none)
+ */
+function normalizeTransactionId(rawId) {
+  if (rawId === null || rawId === undefined) return null;
+  const value = String(rawId).toUpperCase().replace(/[\s\-.:#]/g, '');
+  return value && !['NULL', 'NA', 'NONE', 'UNDEFINED'].includes(value) ? value : null;
+}
+
+/**
+ * Date encoded in an ID's named groups
+ * @returns {Object|null} { year, month, day } or { invalid: true } for an impossible date
+ */
+function parseEmbeddedDate(groups) {
+  if (!groups) return null;
+  const year = groups.yyyy ? parseInt(groups.yyyy) : groups.yy ? 2000 + parseInt(groups.yy) : null;
+  if (!year) return null;
+
+  let date;
+  if (groups.ddd) {
+    const dayOfYear = parseInt(groups.ddd);
+    date = new Date(Date.UTC(year, 0, dayOfYear));
+    if (dayOfYear < 1 || date.getUTCFullYear() !== year) return { invalid: true };
+  } else if (groups.mm) {
+    const month = parseInt(groups.mm);
+    const day = groups.dd ? parseInt(groups.dd) : 1;
+    date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return { invalid: true };
+  } else {
+    return null;
+  }
+
+  return { year, month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+/**
+ * Find the first grammar an ID fits
+ * @returns {Object|null} { format, embeddedDate }
+ */
+function matchIdFormat(value, formats) {
+  for (const format of formats) {
+    const match = value.match(format.regex);
+    if (match) {
+      return { format: format.name, embeddedDate: parseEmbeddedDate(match.groups) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Bank whose ID grammar applies to a receipt
+ * Keyword detection often finds the recipient's bank named on the receipt
+ * rather than the app that issued it, so a bank's grammar is only used when
+ * the template detection and the OCR bank name agree. KHQR / Bakong
+ * transfers carry IDs from the Bakong network and the sender's bank, so they
+ * use the KHQR grammar whichever bank received them.
+ * @param {Object} sources - { detectedBank (template detection), bankName (OCR), ocrText, paymentData }
+ * @returns {string|null} BANK_FORMATS key, or null when unsure (check skipped)
+ */
+function selectIdFormatBank({ detectedBank = null, bankName = null, ocrText = null, paymentData = {} }) {
+  const ids = [paymentData.transactionId, paymentData.referenceNumber].map(normalizeTransactionId).filter(Boolean);
+  const khqrText = [bankName, paymentData.remark, ocrText].some(text => text && KHQR_RECEIPT_PATTERN.test(text));
+  if (khqrText || ids.some(id => BAKONG_HASH.test(id))) {
+    return detectedBank === 'Bakong' ? 'Bakong' : 'KHQR';
+  }
+
+  const namedBank = detectBank(bankName);
+  return detectedBank && namedBank === detectedBank ? detectedBank : null;
+}
+
+/**
+ * Check the transaction ID and reference number against the bank's grammar
+ * OCR sometimes reads the reference into transactionId (and vice versa), so a
+ * value fitting the other field's grammar is accepted.
+ * @param {string} bankCode - BANK_FORMATS key
+ * @param {Object} paymentData - { transactionId, referenceNumber, transactionMonth, transactionYear }
+ * @returns {Object} { bank, checked, valid, issues: [{ field, value, issue, detail }], formats, embeddedDate }
+ */
+function validateTransactionId(bankCode, paymentData) {
+  const bankFormat = BANK_FORMATS[bankCode];
+  const result = { bank: bankCode || null, checked: false, valid: true, issues: [], formats: {}, embeddedDate: null };
+
+  if (!bankFormat || !bankFormat.transactionIdFormats) {
+    return result;
+  }
+
+  const fields = {
+    transactionId: [bankFormat.transactionIdFormats, bankFormat.referenceFormats || []],
+    referenceNumber: [bankFormat.referenceFormats || [], bankFormat.transactionIdFormats]
+  };
+
+  for (const [field, [ownFormats, otherFormats]] of Object.entries(fields)) {
+    const value = normalizeTransactionId(paymentData[field]);
+    if (!value) continue;
+    result.checked = true;
+
+    const match = matchIdFormat(value, ownFormats) || matchIdFormat(value, otherFormats);
+    if (!match) {
+      result.issues.push({ field, value, issue: 'format', detail: `${field} "${value}" does not match any ${bankFormat.name} format` });
+      continue;
+    }
+    result.formats[field] = match.format;
+
+    if (match.embeddedDate?.invalid) {
+      result.issues.push({ field, value, issue: 'date', detail: `${field} "${value}" encodes an impossible date` });
+      continue;
+    }
+
+    if (match.embeddedDate) {
+      result.embeddedDate = result.embeddedDate || match.embeddedDate;
+      const { year, month } = match.embeddedDate;
+      const ocrYear = parseInt(paymentData.transactionYear);
+      const ocrMonth = parseInt(paymentData.transactionMonth);
+      if (ocrYear && ocrMonth && (year !== ocrYear || month !== ocrMonth)) {
+        result.issues.push({
+          field,
+          value,
+          issue: 'date',
+          detail: `${field} "${value}" is dated ${month}/${year} but the receipt shows ${ocrMonth}/${ocrYear}`
+        });
+      }
+    }
+  }
+
+  result.valid = result.issues.length === 0;
+  return result;
+}
+
 /**
  * Get bank format statistics for monitoring
  */
@@ -322,7 +695,9 @@ function getBankFormatStats() {
         {
           name: format.name,
           recipientPatterns: format.recipientPatterns.length,
-          accountPatterns: format.accountPatterns.length
+          accountPatterns: format.accountPatterns.length,
+          amountPatterns: (format.amountPatterns || []).length,
+          transactionIdFormats: (format.transactionIdFormats || []).length
         }
       ])
     )
@@ -335,5 +710,7 @@ module.exports = {
   formatName,
   formatAccount,
   getBankFormatStats,
+  selectIdFormatBank,
+  validateTransactionId,
   BANK_FORMATS
 };
\ No newline at end of file
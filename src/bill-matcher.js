@@ -0,0 +1,283 @@
+'use strict';
+
+/**
+ * Bill Matcher Module
+ * Matches payments to the monthly bills in invoiceDB.excelreadings.
+ * Bills are ordered into billing periods by lastSent and meter readings,
+ * verified payments are allocated oldest-open-bill first (FIFO), and the
+ * per-bill paid/outstanding amounts are stored in customerDB.billBalances.
+ * Used by botfetch.js
+ */
+
+// Bills with these statuses are cancelled by the invoice app and owe nothing.
+// 'paid' is informational only - whether a bill is paid comes from the
+// allocation, otherwise the payments that settled it would turn into credit
+const CLOSED_BILL_STATUSES = ['void', 'cancelled'];
+
+/**
+ * Date a bill belongs to (lastSent, falling back to the document timestamps)
+ */
+function getBillDate(bill) {
+  const candidates = [bill.lastSent, bill.createdAt];
+  for (const value of candidates) {
+    if (!value) continue;
+    const date = new Date(value);
+    if (!isNaN(date.getTime())) return date;
+  }
+  if (bill._id && typeof bill._id.getTimestamp === 'function') {
+    return bill._id.getTimestamp();
+  }
+  return null;
+}
+
+/**
+ * Billing period label for a bill ("2026-01"), in Cambodia time
+ */
+function getBillingPeriod(bill) {
+  const date = getBillDate(bill);
+  if (!date) return 'unknown';
+  return date.toLocaleDateString('en-CA', { timeZone: 'Asia/Phnom_Penh' }).slice(0, 7);
+}
+
+/**
+ * Whether the invoice app has closed a bill
+ */
+function isBillClosed(bill) {
+  return CLOSED_BILL_STATUSES.includes(String(bill.status || '').toLowerCase());
+}
+
+/**
+ * Sort bills oldest first: billing date, then meter reading
+ */
+function sortBills(bills) {
+  return [...bills].sort((a, b) => {
+    const dateA = getBillDate(a)?.getTime() || 0;
+    const dateB = getBillDate(b)?.getTime() || 0;
+    if (dateA !== dateB) return dateA - dateB;
+    return (parseFloat(a.oldMeter) || 0) - (parseFloat(b.oldMeter) || 0);
+  });
+}
+
+/**
+ * Allocate verified payments to open bills, oldest bill first
+ * A payment that referenced a bill (KHQR code) pays that bill first
+ * Pure function - recomputed from scratch so reversals are reflected
+ * @param {Array} bills - excelreadings documents for one chat
+ * @param {Array} payments - Verified (PAID) payments for the same chat
+ * @returns {Object} { balances, paymentAllocations, creditAmount }
+ */
+function allocatePayments(bills, payments) {
+  const balances = sortBills(bills).map(bill => ({
+    billId: String(bill._id),
+    period: getBillingPeriod(bill),
+    billDate: getBillDate(bill),
+    oldMeter: bill.oldMeter ?? null,
+    newMeter: bill.newMeter ?? null,
+    usage: bill.usage ?? null,
+    billAmount: parseFloat(bill.amount) || 0,
+    paidAmount: 0,
+    outstandingAmount: isBillClosed(bill) ? 0 : (parseFloat(bill.amount) || 0),
+    billStatus: bill.status || null,
+    closed: isBillClosed(bill),
+    allocations: []
+  }));
+
+  const paymentAllocations = {};
+  let creditAmount = 0;
+
+  const orderedPayments = [...payments].sort((a, b) =>
+    new Date(a.uploadedAt || 0).getTime() - new Date(b.uploadedAt || 0).getTime()
+  );
+
+  for (const payment of orderedPayments) {
+    let remaining = payment.amountInKHR || 0;
+    paymentAllocations[payment._id] = [];
+
+    const referenced = payment.billMatchType === 'khqr_reference'
+      ? balances.filter(balance => (payment.matchedBillIds || []).includes(balance.billId))
+      : [];
+
+    for (const balance of [...referenced, ...balances]) {
+      if (remaining <= 0) break;
+      if (balance.closed || balance.outstandingAmount <= 0) continue;
+
+      const applied = Math.min(remaining, balance.outstandingAmount);
+      balance.paidAmount += applied;
+      balance.outstandingAmount -= applied;
+      balance.allocations.push({ paymentId: payment._id, amount: applied });
+      paymentAllocations[payment._id].push({ billId: balance.billId, period: balance.period, amount: applied });
+      remaining -= applied;
+    }
+
+    // Anything left over is customer credit (overpayment)
+    creditAmount += remaining;
+  }
+
+  for (const balance of balances) {
+    if (balance.closed) {
+      balance.status = 'CLOSED';
+    } else if (balance.outstandingAmount <= 0) {
+      balance.status = 'PAID';
+    } else if (balance.paidAmount > 0) {
+      balance.status = 'PARTIAL';
+    } else {
+      balance.status = 'OPEN';
+    }
+  }
+
+  return { balances, paymentAllocations, creditAmount };
+}
+
+/**
+ * Summarize allocated balances for the customers collection
+ * totalExpected is the sum of open (not closed) bills
+ * @param {Object} allocation - Result of allocatePayments()
+ * @returns {Object} { totalExpected, totalPaid, remainingBalance, excessAmount, openBills }
+ */
+function summarizeBalances(allocation) {
+  const openBalances = allocation.balances.filter(b => !b.closed);
+  const totalExpected = openBalances.reduce((sum, b) => sum + b.billAmount, 0);
+  const allocatedPaid = openBalances.reduce((sum, b) => sum + b.paidAmount, 0);
+  const remainingBalance = openBalances.reduce((sum, b) => sum + b.outstandingAmount, 0);
+
+  return {
+    totalExpected,
+    totalPaid: allocatedPaid + allocation.creditAmount,
+    remainingBalance,
+    excessAmount: allocation.creditAmount,
+    openBills: openBalances.filter(b => b.outstandingAmount > 0).length
+  };
+}
+
+/**
+ * Pick the expected amount for a new payment from the open bills
+ * Exact match on the oldest open bill first, then on the oldest N bills combined
+ * @param {Array} balances - Balances from allocatePayments() (oldest first)
+ * @param {number} amountInKHR - Amount on the screenshot
+ * @param {number} tolerancePercent - Allowed difference in percent
+ * @returns {Object} { expectedAmountKHR, billIds, periods, matchType }
+ */
+function matchPaymentToBills(balances, amountInKHR, tolerancePercent = 5) {
+  const openBalances = balances.filter(b => !b.closed && b.outstandingAmount > 0);
+
+  if (openBalances.length === 0) {
+    return { expectedAmountKHR: null, billIds: [], periods: [], matchType: 'no_open_bills' };
+  }
+
+  const withinTolerance = (expected) => {
+    const toleranceAmount = (expected * tolerancePercent) / 100;
+    return amountInKHR >= expected - toleranceAmount && amountInKHR <= expected + toleranceAmount;
+  };
+
+  if (amountInKHR) {
+    let runningTotal = 0;
+    for (let i = 0; i < openBalances.length; i++) {
+      runningTotal += openBalances[i].outstandingAmount;
+      if (withinTolerance(runningTotal)) {
+        const matched = openBalances.slice(0, i + 1);
+        return {
+          expectedAmountKHR: runningTotal,
+          billIds: matched.map(b => b.billId),
+          periods: matched.map(b => b.period),
+          matchType: i === 0 ? 'oldest_bill' : 'multiple_bills'
+        };
+      }
+    }
+  }
+
+  // No match - compare against the oldest open bill
+  const oldest = openBalances[0];
+  return {
+    expectedAmountKHR: oldest.outstandingAmount,
+    billIds: [oldest.billId],
+    periods: [oldest.period],
+    matchType: 'unmatched'
+  };
+}
+
+/**
+ * Load a chat's bills and verified payments and allocate them
+ * @param {Collection} excelReadingsCollection - invoiceDB excelreadings collection
+ * @param {Collection} paymentsCollection - MongoDB payments collection
+ * @param {number} chatId - Telegram chat ID
+ * @returns {Object} { bills (oldest first), allocation }
+ */
+async function loadAllocation(excelReadingsCollection, paymentsCollection, chatId) {
+  const bills = sortBills(await excelReadingsCollection.find({ chatId }).toArray());
+  const verifiedPayments = await paymentsCollection.find({
+    chatId,
+    isVerified: true,
+    paymentLabel: 'PAID'
+  }).toArray();
+
+  return { bills, allocation: allocatePayments(bills, verifiedPayments) };
+}
+
+/**
+ * Recompute and store per-bill balances and payment allocations for a chat
+ * @param {Object} collections - { excelReadingsCollection, paymentsCollection, billBalancesCollection }
+ * @param {number} chatId - Telegram chat ID
+ * @returns {Object} { bills, allocation, summary }
+ */
+async function syncBillBalances(collections, chatId) {
+  const { excelReadingsCollection, paymentsCollection, billBalancesCollection } = collections;
+  const { bills, allocation } = await loadAllocation(excelReadingsCollection, paymentsCollection, chatId);
+  const now = new Date();
+
+  if (allocation.balances.length > 0) {
+    await billBalancesCollection.bulkWrite(allocation.balances.map(balance => ({
+      updateOne: {
+        filter: { _id: balance.billId },
+        update: {
+          $set: {
+            chatId,
+            period: balance.period,
+            billDate: balance.billDate,
+            oldMeter: balance.oldMeter,
+            newMeter: balance.newMeter,
+            usage: balance.usage,
+            billAmount: balance.billAmount,
+            paidAmount: balance.paidAmount,
+            outstandingAmount: balance.outstandingAmount,
+            status: balance.status,
+            allocations: balance.allocations,
+            updatedAt: now
+          }
+        },
+        upsert: true
+      }
+    })));
+  }
+
+  const paymentIds = Object.keys(allocation.paymentAllocations);
+
+  // Payments no longer PAID (rejected after review) lose their allocations
+  await paymentsCollection.updateMany(
+    { chatId, _id: { $nin: paymentIds }, billAllocations: { $exists: true } },
+    { $unset: { billAllocations: '' } }
+  );
+
+  if (paymentIds.length > 0) {
+    await paymentsCollection.bulkWrite(paymentIds.map(paymentId => ({
+      updateOne: {
+        filter: { _id: paymentId },
+        update: { $set: { billAllocations: allocation.paymentAllocations[paymentId] } }
+      }
+    })));
+  }
+
+  return { bills, allocation, summary: summarizeBalances(allocation) };
+}
+
+module.exports = {
+  CLOSED_BILL_STATUSES,
+  getBillDate,
+  getBillingPeriod,
+  isBillClosed,
+  sortBills,
+  allocatePayments,
+  summarizeBalances,
+  matchPaymentToBills,
+  loadAllocation,
+  syncBillBalances
+};
@@ -0,0 +1,105 @@
+'use strict';
+
+/**
+ * Bot Webhook Module
+ * Webhook delivery for the main bot on the existing Express app. Telegram
+ * signs each update with the X-Telegram-Bot-Api-Secret-Token header, which
+ * must match TELEGRAM_WEBHOOK_SECRET. Replicas behind a load balancer share
+ * the webhook URL and secret, so any of them can take an update.
+ * When registration fails the bot falls back to polling. A replica that polls
+ * deletes the shared webhook (getUpdates conflicts with it), so multi-replica
+ * deployments set BOT_WEBHOOK_EXIT_ON_FAILURE=true to exit instead.
+ * Used by botfetch.js
+ */
+
+const crypto = require('crypto');
+
+const SECRET_HEADER = 'x-telegram-bot-api-secret-token';
+const DEFAULT_WEBHOOK_PATH = '/telegram/webhook';
+
+// Telegram allows 1-256 characters of A-Z, a-z, 0-9, _ and -
+const SECRET_PATTERN = /^[A-Za-z0-9_-]{1,256}$/;
+
+/**
+ * Read the bot delivery settings
+ * BOT_MODE=webhook needs WEBHOOK_BASE_URL and TELEGRAM_WEBHOOK_SECRET
+ * @returns {Object} { mode, requestedMode, path, url, secretToken, maxConnections,
+ *   registerAttempts, exitOnFailure, error }
+ *   mode is 'polling' when webhook mode is off or misconfigured (error says why)
+ */
+function getWebhookConfig(env = process.env) {
+  const requested = String(env.BOT_MODE || 'polling').toLowerCase();
+  const path = env.BOT_WEBHOOK_PATH || DEFAULT_WEBHOOK_PATH;
+  const config = {
+    mode: 'polling',
+    requestedMode: requested,
+    path: path.startsWith('/') ? path : `/${path}`,
+    url: null,
+    secretToken: env.TELEGRAM_WEBHOOK_SECRET || null,
+    maxConnections: parseInt(env.BOT_WEBHOOK_MAX_CONNECTIONS) || 40,
+    registerAttempts: parseInt(env.BOT_WEBHOOK_REGISTER_ATTEMPTS) || 5,
+    exitOnFailure: String(env.BOT_WEBHOOK_EXIT_ON_FAILURE || '').toLowerCase() === 'true',
+    error: null
+  };
+
+  if (requested !== 'webhook') {
+    if (requested !== 'polling') config.error = `Unknown BOT_MODE "${env.BOT_MODE}"`;
+    return config;
+  }
+  if (!env.WEBHOOK_BASE_URL) {
+    config.error = 'WEBHOOK_BASE_URL is required for webhook mode';
+    return config;
+  }
+  if (!config.secretToken || !SECRET_PATTERN.test(config.secretToken)) {
+    config.error = 'TELEGRAM_WEBHOOK_SECRET must be 1-256 characters of A-Z, a-z, 0-9, _ or -';
+    return config;
+  }
+
+  config.mode = 'webhook';
+  config.url = `${env.WEBHOOK_BASE_URL.replace(/\/+$/, '')}${config.path}`;
+  return config;
+}
+
+/**
+ * Constant-time comparison of the request's secret header
+ */
+function isValidSecretToken(header, secretToken) {
+  if (!header || !secretToken) return false;
+  const given = Buffer.from(String(header));
+  const expected = Buffer.from(String(secretToken));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Express handler for Telegram updates
+ * @param {Object} deps - { secretToken, getBot } getBot returns null until handlers are registered
+ *   (Telegram retries on 503, so updates received during startup aren't lost)
+ */
+function createWebhookHandler({ secretToken, getBot }) {
+  return (req, res) => {
+    if (!isValidSecretToken(req.get(SECRET_HEADER), secretToken)) {
+      console.log(`⚠️ [WEBHOOK] Rejected update with invalid secret from ${req.ip}`);
+      return res.sendStatus(401);
+    }
+
+    const bot = getBot();
+    if (!bot) return res.sendStatus(503);
+
+    const update = req.body;
+    if (!update || typeof update.update_id !== 'number') return res.sendStatus(400);
+
+    try {
+      bot.processUpdate(update);
+    } catch (error) {
+      console.error(`❌ [WEBHOOK] Update ${update.update_id} failed:`, error.message);
+    }
+    res.sendStatus(200);
+  };
+}
+
+module.exports = {
+  SECRET_HEADER,
+  getWebhookConfig,
+  isValidSecretToken,
+  createWebhookHandler
+};
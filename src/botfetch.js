@@ -4,16 +4,87 @@ const TelegramBot = require('node-telegram-bot-api');
 const { MongoClient, GridFSBucket } = require('mongodb');
 const { v4: uuidv4 } = require('uuid');
 require('dotenv').config();
-const { OpenAI } = require('openai');
-const Anthropic = require('@anthropic-ai/sdk');
 const fs = require('fs');
 const https = require('https');
 const path = require('path');
 const XLSX = require('xlsx');
 const archiver = require('archiver');
 const express = require('express');
-const { extractWithBankFormat, getBankFormatStats } = require('./bankFormatRecognizer');
-const { extractWithEnhancedBankFormat, getEnhancedBankFormatStats } = require('./ml/enhancedBankFormatRecognizer');
+const { getBankFormatStats } = require('./bankFormatRecognizer');
+const { getEnhancedBankFormatStats } = require('./ml/enhancedBankFormatRecognizer');
+const {
+  getRecipientsForChat,
+  validateRecipientInput,
+  createRecipient,
+  updateRecipient,
+  setChatAssignment
+} = require('./recipient-registry');
+const { sortBills, syncBillBalances, loadAllocation } = require('./bill-matcher');
+const { ensureLedgerIndexes, syncLedger, getLedgerBalance, getStatement } = require('./ledger');
+const {
+  REVIEW_ACTIONS,
+  buildReviewKeyboard,
+  buildReasonKeyboard,
+  parseReviewCallback,
+  formatActor,
+  buildReviewedCaption,
+  parseAmountReply
+} = require('./review-keyboard');
+const { createPaymentTransitions } = require('./payment-transitions');
+const { AUDIT_SOURCES, ensureAuditIndexes, recordAuditEvent, getPaymentHistory, auditEventsToRows } = require('./audit-trail');
+const { JOB_STATES, JobQueue } = require('./job-queue');
+const { createOcrProvider } = require('./ocr');
+const { convertToKHR, runVerificationPipeline } = require('./verification-pipeline');
+const { MATCHABLE_STATUSES, computeImageHashes, ensureImageHashIndexes, findDuplicateImages } = require('./image-hash');
+const { analyzeImageForensics } = require('./image-forensics');
+const { RECONCILIATION_STATUS, ensureStatementIndexes, importStatement } = require('./bank-statements');
+const { getDefaultMerchant, formatBillCodeCaption, buildBillPaymentCodes } = require('./khqr');
+const {
+  HISTORY_LIMIT,
+  ChatRateLimiter,
+  formatRateLimitMessage,
+  formatBalanceMessage,
+  formatHistoryMessage,
+  formatBillMessage,
+  formatReminderOptOutMessage
+} = require('./customer-commands');
+const {
+  PENDING_LIST_LIMIT,
+  FRAUD_LIST_LIMIT,
+  parseAuditorIds,
+  isAuditor,
+  savePendingListing,
+  getListedPaymentId,
+  getStatsPeriod,
+  formatPendingList,
+  buildPendingCaption,
+  formatStats,
+  formatFraudAlerts
+} = require('./auditor-commands');
+const { ensureApiKeyIndexes, createApiAuth } = require('./api-auth');
+const { getWebhookConfig, createWebhookHandler } = require('./bot-webhook');
+const { getReminderSettings, getOverdueSummary } = require('./reminder-engine');
+const {
+  TEMPLATE_KEYS,
+  ensureTemplateIndexes,
+  getTemplate,
+  listTemplates,
+  createTemplateVersion,
+  activateTemplateVersion,
+  buildTemplateContext,
+  renderTemplate
+} = require('./reminder-templates');
+const { getSchedulerStatus } = require('./cron-scheduler');
+const { parseListQuery, buildPagePipeline, toPage } = require('./list-query');
+const { XLSX_CONTENT_TYPE, getCollectionFields, createXlsxStream } = require('./xlsx-stream');
+const {
+  ensureSuppressionIndexes,
+  setReminderOptOut,
+  markBotRemoved,
+  clearBotRemoved,
+  getReminderReport
+} = require('./reminder-delivery');
+const rateLimit = require('express-rate-limit');
 process.on('unhandledRejection', (r)=>{console.error('UNHANDLED', r?.message, r?.stack)});
 process.on('uncaughtException', (e)=>{console.error('UNCAUGHT', e?.message, e?.stack)});
 
@@ -32,6 +103,10 @@ const REJECTED_CHAT_ID = process.env.REJECTED_CHAT_ID || '-4944397913'; // Rejec
 // Legacy support
 const AUDIT_CHAT_ID = PENDING_CHAT_ID; // Backward compatibility
 
+// Telegram user IDs allowed to run auditor commands (comma-separated)
+// Triage commands are disabled while empty; /verify, /reject and review buttons then accept anyone in the pending chat
+const AUDITOR_USER_IDS = parseAuditorIds(process.env.AUDITOR_USER_IDS);
+
 function getDownloadToken(req) {
   return req.get('x-download-token') || req.query.token;
 }
@@ -40,6 +115,42 @@ function isDownloadAuthorized(req) {
   return SCREENSHOT_DOWNLOAD_TOKEN && getDownloadToken(req) === SCREENSHOT_DOWNLOAD_TOKEN;
 }
 
+// ---- API keys: viewer (read), auditor (change payments), admin (exports, registry) ----
+const { requireRole } = createApiAuth({ getApiKeysCollection: () => apiKeysCollection });
+
+// Screenshots also accept the legacy SCREENSHOT_DOWNLOAD_TOKEN
+function requireScreenshotAccess(req, res, next) {
+  if (isDownloadAuthorized(req)) return next();
+  return requireRole('viewer')(req, res, next);
+}
+
+// ---- Telegram webhook (BOT_MODE=webhook) ----
+// Falls back to the polling strategies when registration fails (see initializeBot).
+// Polling deletes the webhook other replicas share, so BOT_WEBHOOK_EXIT_ON_FAILURE=true exits instead
+const webhookConfig = getWebhookConfig(process.env);
+if (webhookConfig.error) {
+  if (webhookConfig.requestedMode === 'webhook' && webhookConfig.exitOnFailure) {
+    console.error(`❌ ${webhookConfig.error}`);
+    process.exit(1);
+  }
+  console.warn(`⚠️ ${webhookConfig.error} - using polling`);
+}
+
+if (webhookConfig.mode === 'webhook') {
+  // Telegram delivers from a handful of IPs, so the cap is per replica rather than per sender
+  const webhookLimiter = rateLimit({
+    windowMs: 1 * 60 * 1000, // 1 minute
+    max: parseInt(process.env.BOT_WEBHOOK_RATE_LIMIT) || 600,
+    standardHeaders: true,
+    legacyHeaders: false,
+  });
+
+  app.post(webhookConfig.path, webhookLimiter, createWebhookHandler({
+    secretToken: webhookConfig.secretToken,
+    getBot: () => (botMode === 'webhook' && botReady ? bot : null)
+  }));
+}
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   const health = {
@@ -58,15 +169,16 @@ app.get('/status', async (req, res) => {
     const stats = {
       bot: {
         status: bot ? 'running' : 'initializing',
-        strategy: connectionStrategies[currentStrategy]?.name || 'unknown'
+        mode: botMode,
+        strategy: getStrategyName()
       },
       database: {
         customerDB: collection ? 'connected' : 'disconnected',
         invoiceDB: excelReadingsCollection ? 'connected' : 'disconnected'
       },
       queues: {
-        messageQueue: messageQueue.length,
-        processing: processing
+        jobs: jobQueue ? await jobQueue.getStats() : 'initializing',
+        openaiRateLimiter: openaiRateLimiter.getStatus()
       },
       bankFormat: getBankFormatStats(),
       enhancedBankFormat: getEnhancedBankFormatStats(),
@@ -89,16 +201,8 @@ app.get('/', (req, res) => {
   });
 });
 
-// Screenshot listing endpoint (protected by SCREENSHOT_DOWNLOAD_TOKEN)
-app.get('/screenshots/:status', async (req, res) => {
-  if (!SCREENSHOT_DOWNLOAD_TOKEN) {
-    return res.status(503).json({ error: 'download_disabled' });
-  }
-
-  if (!isDownloadAuthorized(req)) {
-    return res.status(401).json({ error: 'unauthorized' });
-  }
-
+// Screenshot listing endpoint (viewer key or SCREENSHOT_DOWNLOAD_TOKEN)
+app.get('/screenshots/:status', requireScreenshotAccess, async (req, res) => {
   const status = req.params.status;
   if (!ALLOWED_SCREENSHOT_STATUSES.has(status)) {
     return res.status(400).json({ error: 'invalid_status' });
@@ -123,16 +227,8 @@ app.get('/screenshots/:status', async (req, res) => {
   return res.json({ status, count: files.length, files });
 });
 
-// Screenshot download endpoint (protected by SCREENSHOT_DOWNLOAD_TOKEN)
-app.get('/screenshots/:status/:name', async (req, res) => {
-  if (!SCREENSHOT_DOWNLOAD_TOKEN) {
-    return res.status(503).json({ error: 'download_disabled' });
-  }
-
-  if (!isDownloadAuthorized(req)) {
-    return res.status(401).json({ error: 'unauthorized' });
-  }
-
+// Screenshot download endpoint (viewer key or SCREENSHOT_DOWNLOAD_TOKEN)
+app.get('/screenshots/:status/:name', requireScreenshotAccess, async (req, res) => {
   const status = req.params.status;
   if (!ALLOWED_SCREENSHOT_STATUSES.has(status)) {
     return res.status(400).json({ error: 'invalid_status' });
@@ -159,15 +255,7 @@ app.get('/screenshots/:status/:name', async (req, res) => {
 });
 
 // GridFS screenshot download endpoint (by screenshotId)
-app.get('/screenshots/gridfs/:id', async (req, res) => {
-  if (!SCREENSHOT_DOWNLOAD_TOKEN) {
-    return res.status(503).json({ error: 'download_disabled' });
-  }
-
-  if (!isDownloadAuthorized(req)) {
-    return res.status(401).json({ error: 'unauthorized' });
-  }
-
+app.get('/screenshots/gridfs/:id', requireScreenshotAccess, async (req, res) => {
   try {
     const screenshotId = req.params.id;
     const imageBuffer = await downloadScreenshotFromGridFS(screenshotId);
@@ -181,8 +269,30 @@ app.get('/screenshots/gridfs/:id', async (req, res) => {
   }
 });
 
+// ==== List Endpoints ====
+// Filters, sort fields and cursor pagination per list (see list-query.js)
+const CUSTOMERS_LIST = {
+  fields: { date: 'lastPaymentDate', label: 'paymentStatus', group: 'chatId', amount: 'remainingBalance' },
+  labels: ['FULLY_PAID', 'PARTIAL_PAID', 'NOT_PAID', 'OVERPAID'],
+  sortFields: { remainingBalance: 'remainingBalance', totalPaid: 'totalPaid', lastPaymentDate: 'lastPaymentDate', lastUpdated: 'lastUpdated' },
+  defaultSort: 'remainingBalance'
+};
+
+const FRAUD_ALERTS_LIST = {
+  fields: { date: 'detectedAt', bank: 'bankName', label: 'reviewStatus', group: 'chatId', amount: 'amount' },
+  labels: ['PENDING', 'CONFIRMED_FRAUD', 'FALSE_POSITIVE', 'APPROVED'],
+  sortFields: { detectedAt: 'detectedAt', amount: 'amount' },
+  defaultSort: 'detectedAt'
+};
+
+const PENDING_PAYMENTS_LIST = {
+  fields: { date: 'uploadedAt', bank: 'bankName', group: 'chatId', amount: 'amountInKHR' },
+  sortFields: { uploadedAt: 'uploadedAt', amount: 'amountInKHR' },
+  defaultSort: 'uploadedAt'
+};
+
 // Customer payment status endpoint
-app.get('/customer/:chatId/status', async (req, res) => {
+app.get('/customer/:chatId/status', requireRole('viewer'), async (req, res) => {
   try {
     const chatId = parseInt(req.params.chatId);
     if (isNaN(chatId)) {
@@ -202,38 +312,50 @@ app.get('/customer/:chatId/status', async (req, res) => {
 });
 
 // Get all customers with payment status summary
-app.get('/customers/summary', async (req, res) => {
+app.get('/customers/summary', requireRole('viewer'), async (req, res) => {
+  // ?status= is the older name of ?label=
+  const listQuery = parseListQuery({ label: req.query.status, ...req.query }, CUSTOMERS_LIST);
+  if (listQuery.error) {
+    return res.status(400).json({ success: false, error: listQuery.error });
+  }
+
   try {
-    const status = req.query.status; // Optional filter by status
+    // Totals cover every matching customer; the list is one page
+    const [totals] = await customersCollection.aggregate([
+      { $match: listQuery.filter },
+      {
+        $group: {
+          _id: null,
+          total: { $sum: 1 },
+          fullyPaid: { $sum: { $cond: [{ $eq: ['$paymentStatus', 'FULLY_PAID'] }, 1, 0] } },
+          partialPaid: { $sum: { $cond: [{ $eq: ['$paymentStatus', 'PARTIAL_PAID'] }, 1, 0] } },
+          notPaid: { $sum: { $cond: [{ $eq: ['$paymentStatus', 'NOT_PAID'] }, 1, 0] } },
+          overpaid: { $sum: { $cond: [{ $eq: ['$paymentStatus', 'OVERPAID'] }, 1, 0] } },
+          totalExpected: { $sum: { $ifNull: ['$totalExpected', 0] } },
+          totalPaid: { $sum: { $ifNull: ['$totalPaid', 0] } },
+          totalRemaining: { $sum: { $ifNull: ['$remainingBalance', 0] } }
+        }
+      }
+    ]).toArray();
+    const page = toPage(await customersCollection.aggregate(buildPagePipeline(listQuery)).toArray(), listQuery);
 
-    let customers;
-    if (status) {
-      customers = await getCustomersByStatus(status);
-    } else {
-      customers = await customersCollection.find({}).toArray();
-    }
-
-    // Calculate summary statistics
-    const summary = {
-      total: customers.length,
-      fullyPaid: customers.filter(c => c.paymentStatus === 'FULLY_PAID').length,
-      partialPaid: customers.filter(c => c.paymentStatus === 'PARTIAL_PAID').length,
-      notPaid: customers.filter(c => c.paymentStatus === 'NOT_PAID').length,
-      overpaid: customers.filter(c => c.paymentStatus === 'OVERPAID').length,
-      totalExpected: customers.reduce((sum, c) => sum + (c.totalExpected || 0), 0),
-      totalPaid: customers.reduce((sum, c) => sum + (c.totalPaid || 0), 0),
-      totalRemaining: customers.reduce((sum, c) => sum + (c.remainingBalance || 0), 0),
-      customers: customers
+    const { _id, ...summary } = totals || {
+      _id: null, total: 0, fullyPaid: 0, partialPaid: 0, notPaid: 0, overpaid: 0, totalExpected: 0, totalPaid: 0, totalRemaining: 0
     };
-
-    res.json(summary);
+    res.json({
+      ...summary,
+      count: page.items.length,
+      hasMore: page.hasMore,
+      nextCursor: page.nextCursor,
+      customers: page.items
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 // Get overdue customers (default 3 days)
-app.get('/customers/overdue', async (req, res) => {
+app.get('/customers/overdue', requireRole('viewer'), async (req, res) => {
   try {
     const daysOverdue = parseInt(req.query.days) || 3;
     const customers = await getOverdueCustomers(daysOverdue);
@@ -250,31 +372,34 @@ app.get('/customers/overdue', async (req, res) => {
 
 // ==== Fraud Detection API Endpoints ====
 
-// Get all fraud alerts (filterable by status and type)
-app.get('/fraud/alerts', async (req, res) => {
-  try {
-    const reviewStatus = req.query.status; // PENDING, CONFIRMED_FRAUD, FALSE_POSITIVE, APPROVED
-    const fraudType = req.query.type;      // OLD_SCREENSHOT, INVALID_DATE, FUTURE_DATE, MISSING_DATE
-
-    let query = {};
-    if (reviewStatus) query.reviewStatus = reviewStatus;
-    if (fraudType) query.fraudType = fraudType;
-
-    const alerts = await fraudAlertsCollection
-      .find(query)
-      .sort({ detectedAt: -1 })
-      .toArray();
+// Get fraud alerts (filterable, sorted, one page at a time)
+app.get('/fraud/alerts', requireRole('viewer'), async (req, res) => {
+  // ?status= is the older name of ?label=
+  const listQuery = parseListQuery({ label: req.query.status, ...req.query }, FRAUD_ALERTS_LIST);
+  if (listQuery.error) {
+    return res.status(400).json({ success: false, error: listQuery.error });
+  }
+  if (req.query.type) listQuery.filter.fraudType = String(req.query.type); // OLD_SCREENSHOT, INVALID_DATE, FUTURE_DATE, MISSING_DATE
 
-    const summary = {
-      total: alerts.length,
-      pending: alerts.filter(a => a.reviewStatus === 'PENDING').length,
-      confirmedFraud: alerts.filter(a => a.reviewStatus === 'CONFIRMED_FRAUD').length,
-      falsePositives: alerts.filter(a => a.reviewStatus === 'FALSE_POSITIVE').length,
-      approved: alerts.filter(a => a.reviewStatus === 'APPROVED').length,
-      alerts: alerts
-    };
+  try {
+    const statusRows = await fraudAlertsCollection.aggregate([
+      { $match: listQuery.filter },
+      { $group: { _id: '$reviewStatus', count: { $sum: 1 } } }
+    ]).toArray();
+    const countFor = (status) => (statusRows.find(row => row._id === status) || { count: 0 }).count;
+    const page = toPage(await fraudAlertsCollection.aggregate(buildPagePipeline(listQuery)).toArray(), listQuery);
 
-    res.json(summary);
+    res.json({
+      total: statusRows.reduce((sum, row) => sum + row.count, 0),
+      pending: countFor('PENDING'),
+      confirmedFraud: countFor('CONFIRMED_FRAUD'),
+      falsePositives: countFor('FALSE_POSITIVE'),
+      approved: countFor('APPROVED'),
+      count: page.items.length,
+      hasMore: page.hasMore,
+      nextCursor: page.nextCursor,
+      alerts: page.items
+    });
   } catch (error) {
     console.error('❌ Error fetching fraud alerts:', error.message);
     res.status(500).json({ error: error.message });
@@ -282,7 +407,7 @@ app.get('/fraud/alerts', async (req, res) => {
 });
 
 // Get fraud alert by ID
-app.get('/fraud/alert/:alertId', async (req, res) => {
+app.get('/fraud/alert/:alertId', requireRole('viewer'), async (req, res) => {
   try {
     const alert = await fraudAlertsCollection.findOne({
       alertId: req.params.alertId
@@ -299,10 +424,11 @@ app.get('/fraud/alert/:alertId', async (req, res) => {
 });
 
 // Review fraud alert (approve/reject)
-app.post('/fraud/alert/:alertId/review', async (req, res) => {
+app.post('/fraud/alert/:alertId/review', requireRole('auditor'), async (req, res) => {
   try {
     const { alertId } = req.params;
-    const { reviewStatus, reviewedBy, reviewNotes } = req.body;
+    const { reviewStatus, reviewNotes } = req.body;
+    const reviewedBy = req.auth.actor;
 
     // Validate reviewStatus
     const validStatuses = ['PENDING', 'CONFIRMED_FRAUD', 'FALSE_POSITIVE', 'APPROVED'];
@@ -317,7 +443,7 @@ app.post('/fraud/alert/:alertId/review', async (req, res) => {
       {
         $set: {
           reviewStatus: reviewStatus,
-          reviewedBy: reviewedBy || 'admin',
+          reviewedBy: reviewedBy,
           reviewedAt: new Date(),
           reviewNotes: reviewNotes || '',
           resolutionDate: new Date()
@@ -329,35 +455,30 @@ app.post('/fraud/alert/:alertId/review', async (req, res) => {
       return res.status(404).json({ error: 'Fraud alert not found' });
     }
 
-    // If approved as FALSE_POSITIVE, update the payment record
+    // If approved as FALSE_POSITIVE, move the payment to PAID
+    let paymentTransition = null;
     if (reviewStatus === 'FALSE_POSITIVE' || reviewStatus === 'APPROVED') {
       const alert = await fraudAlertsCollection.findOne({ alertId });
 
       if (alert.paymentId) {
-        await paymentsCollection.updateOne(
-          { _id: alert.paymentId },
-          {
-            $set: {
-              paymentLabel: 'PAID',
-              verificationStatus: 'verified',
-              isVerified: true,
-              verificationNotes: `${alert.verificationNotes} | Fraud alert resolved: ${reviewStatus}`
-            }
-          }
-        );
+        const result = await paymentTransitions.transitionPayment(alert.paymentId, 'PAID', {
+          actor: reviewedBy,
+          source: AUDIT_SOURCES.REST_FRAUD_REVIEW,
+          reason: `Fraud alert ${alertId} resolved: ${reviewStatus}`,
+          notes: reviewNotes
+        });
 
-        // Update customer status
-        const payment = await paymentsCollection.findOne({ _id: alert.paymentId });
-        if (payment) {
-          await updateCustomerPaymentStatus(payment.chatId, payment);
-        }
+        paymentTransition = result.success
+          ? { paymentId: alert.paymentId, from: result.previousLabel, to: 'PAID' }
+          : { paymentId: alert.paymentId, error: result.error };
       }
     }
 
     res.json({
       success: true,
       message: `Fraud alert ${alertId} updated to ${reviewStatus}`,
-      alertId: alertId
+      alertId: alertId,
+      paymentTransition: paymentTransition
     });
   } catch (error) {
     console.error('❌ Error reviewing fraud alert:', error.message);
@@ -399,9 +520,10 @@ function logSuccess(action, details) {
 }
 
 // Approve a pending payment manually
-app.post('/api/payment/:paymentId/approve', async (req, res) => {
+app.post('/api/payment/:paymentId/approve', requireRole('auditor'), async (req, res) => {
   const { paymentId } = req.params;
-  const { approvedAmount, currency, reviewNotes, approvedBy } = req.body;
+  const { approvedAmount, currency, reviewNotes } = req.body;
+  const approvedBy = req.auth.actor;
 
   try {
     // Validate required fields
@@ -414,29 +536,9 @@ app.post('/api/payment/:paymentId/approve', async (req, res) => {
       });
     }
 
-    // Find the payment
-    const payment = await paymentsCollection.findOne({ _id: paymentId });
-    if (!payment) {
-      console.log(`⚠️ [APPROVE] Payment not found: ${paymentId}`);
-      return res.status(404).json({
-        success: false,
-        error: 'Payment not found',
-        paymentId: paymentId
-      });
-    }
-
-    if (payment.paymentLabel !== 'PENDING') {
-      console.log(`⚠️ [APPROVE] Payment not pending: ${paymentId} | Status: ${payment.paymentLabel}`);
-      return res.status(400).json({
-        success: false,
-        error: `Payment is not pending`,
-        currentStatus: payment.paymentLabel,
-        paymentId: paymentId
-      });
-    }
-
     // Get customer's current state before update
-    const customerBefore = await customersCollection.findOne({ chatId: payment.chatId });
+    const existing = await paymentsCollection.findOne({ _id: paymentId }, { projection: { chatId: 1 } });
+    const customerBefore = existing ? await customersCollection.findOne({ chatId: existing.chatId }) : null;
     const previousTotalPaid = customerBefore?.totalPaid || 0;
 
     // Calculate amount in KHR
@@ -445,27 +547,30 @@ app.post('/api/payment/:paymentId/approve', async (req, res) => {
       ? approvedAmount * USD_TO_KHR
       : parseFloat(approvedAmount);
 
-    // Update payment to PAID
-    await paymentsCollection.updateOne(
-      { _id: paymentId },
-      {
-        $set: {
-          paymentLabel: 'PAID',
-          verificationStatus: 'verified',
-          paymentAmount: parseFloat(approvedAmount),
-          amountInKHR: amountInKHR,
-          currency: currency || 'KHR',
-          isVerified: true,
-          manuallyApproved: true,
-          approvedAt: new Date(),
-          approvedBy: approvedBy || 'admin',
-          reviewNotes: reviewNotes || 'Manually approved'
-        }
+    // Move payment PENDING → PAID (recomputes customer totals)
+    const result = await paymentTransitions.transitionPayment(paymentId, 'PAID', {
+      actor: approvedBy,
+      source: AUDIT_SOURCES.REST_APPROVE,
+      notes: reviewNotes || 'Manually approved',
+      fromLabels: ['PENDING'],
+      amount: {
+        amount: parseFloat(approvedAmount),
+        currency: currency || 'KHR',
+        amountInKHR: amountInKHR
       }
-    );
+    });
+
+    if (!result.success) {
+      console.log(`⚠️ [APPROVE] ${result.error} | Payment: ${paymentId}`);
+      return res.status(result.statusCode).json({
+        success: false,
+        error: result.error,
+        currentStatus: result.payment?.paymentLabel,
+        paymentId: paymentId
+      });
+    }
 
-    // Recalculate customer totals
-    await updateCustomerPaymentStatus(payment.chatId);
+    const payment = result.payment;
 
     // Get updated customer state
     const customerAfter = await customersCollection.findOne({ chatId: payment.chatId });
@@ -477,7 +582,7 @@ app.post('/api/payment/:paymentId/approve', async (req, res) => {
       'Customer': customerAfter?.customerName || 'Unknown',
       'Total Paid': `${previousTotalPaid.toLocaleString()} → ${customerAfter?.totalPaid?.toLocaleString()} KHR`,
       'Status': `${customerBefore?.paymentStatus || 'NOT_PAID'} → ${customerAfter?.paymentStatus}`,
-      'Approved By': approvedBy || 'admin'
+      'Approved By': approvedBy
     });
 
     res.json({
@@ -505,34 +610,176 @@ app.post('/api/payment/:paymentId/approve', async (req, res) => {
   }
 });
 
-// List all pending payments for review
-app.get('/api/payments/pending', async (req, res) => {
+// Get a payment's full audit history (pipeline stages and manual reviews)
+app.get('/api/payment/:paymentId/history', requireRole('viewer'), async (req, res) => {
+  const { paymentId } = req.params;
+
   try {
-    const pendingPayments = await paymentsCollection.find({
-      paymentLabel: 'PENDING'
-    }).sort({ uploadedAt: -1 }).toArray();
+    const payment = await paymentsCollection.findOne(
+      { _id: paymentId },
+      { projection: { chatId: 1, paymentLabel: 1, verificationStatus: 1, amountInKHR: 1 } }
+    );
+    if (!payment) {
+      return res.status(404).json({ success: false, error: 'Payment not found', paymentId });
+    }
 
-    // Enrich with customer info
-    const enrichedPayments = await Promise.all(pendingPayments.map(async (payment) => {
-      const customer = await customersCollection.findOne({ chatId: payment.chatId });
-      return {
-        ...payment,
-        customer: customer ? {
-          customerName: customer.customerName,
-          totalExpected: customer.totalExpected,
-          totalPaid: customer.totalPaid,
-          remainingBalance: customer.remainingBalance,
-          paymentStatus: customer.paymentStatus
-        } : null
-      };
-    }));
+    const events = await getPaymentHistory(auditEventsCollection, paymentId);
+
+    res.json({
+      success: true,
+      paymentId,
+      current: {
+        paymentLabel: payment.paymentLabel,
+        verificationStatus: payment.verificationStatus,
+        amountInKHR: payment.amountInKHR ?? null
+      },
+      count: events.length,
+      events
+    });
+  } catch (error) {
+    return handleApiError(res, error, `FETCH PAYMENT HISTORY | ID: ${paymentId}`);
+  }
+});
+
+// ==== BANK STATEMENT ENDPOINTS ====
+
+// Import an ABA/ACLEDA statement export (CSV/XLSX as the raw body) and reconcile it against payments
+app.post('/api/bank-statements/import', requireRole('auditor'), express.raw({ type: () => true, limit: '10mb' }), async (req, res) => {
+  const { bank, account, recipientId, currency, filename } = req.query;
+
+  try {
+    const result = await importStatement(
+      { bankStatementsCollection, bankCreditsCollection, paymentsCollection, recipientsCollection, auditEventsCollection },
+      Buffer.isBuffer(req.body) ? req.body : null,
+      { bank, account, recipientId, currency, filename, importedBy: req.auth.actor }
+    );
+    if (!result.success) {
+      return res.status(result.statusCode || 400).json({ success: false, error: result.error });
+    }
+
+    logSuccess('BANK STATEMENT IMPORTED', {
+      'Bank': result.statement.bank,
+      'Credits': result.statement.credits,
+      'Matched': result.statement.matched,
+      'Likely Fakes': result.statement.likelyFakes,
+      'By': req.auth.actor
+    });
+    res.json(result);
+  } catch (error) {
+    return handleApiError(res, error, `IMPORT BANK STATEMENT | Bank: ${bank}`);
+  }
+});
+
+// Payments with no matching credit in an imported statement (likely fakes)
+app.get('/api/bank-statements/unmatched', requireRole('viewer'), async (req, res) => {
+  const { recipientId, statementId } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+
+  try {
+    const query = {
+      bankConfirmed: { $ne: true },
+      'bankReconciliation.status': RECONCILIATION_STATUS.NO_CREDIT
+    };
+    if (recipientId) query.recipientId = recipientId;
+    if (statementId) query['bankReconciliation.statementId'] = statementId;
+
+    const payments = await paymentsCollection
+      .find(query, {
+        projection: {
+          chatId: 1, username: 1, paymentLabel: 1, verificationStatus: 1, amountInKHR: 1,
+          transactionId: 1, recipientId: 1, uploadedAt: 1, bankReconciliation: 1
+        }
+      })
+      .sort({ uploadedAt: -1 })
+      .limit(limit)
+      .toArray();
+
+    res.json({ success: true, count: payments.length, payments });
+  } catch (error) {
+    return handleApiError(res, error, 'FETCH UNMATCHED PAYMENTS');
+  }
+});
+
+// ==== PROCESSING QUEUE ENDPOINTS ====
+
+// Requeue all dead-lettered (failed) screenshot jobs
+app.post('/api/jobs/requeue', requireRole('auditor'), async (req, res) => {
+  try {
+    if (!jobQueue) {
+      return res.status(503).json({ success: false, error: 'Queue not initialized' });
+    }
+
+    const requeued = await jobQueue.requeue();
+    logSuccess('FAILED JOBS REQUEUED', { 'Count': requeued, 'By': req.auth.actor });
+    res.json({ success: true, requeued });
+  } catch (error) {
+    return handleApiError(res, error, 'REQUEUE FAILED JOBS');
+  }
+});
+
+// Requeue one dead-lettered job
+app.post('/api/jobs/:jobId/requeue', requireRole('auditor'), async (req, res) => {
+  const { jobId } = req.params;
+
+  try {
+    if (!jobQueue) {
+      return res.status(503).json({ success: false, error: 'Queue not initialized' });
+    }
+
+    const job = await jobsCollection.findOne({ _id: jobId }, { projection: { state: 1 } });
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found', jobId });
+    }
+    if (job.state !== JOB_STATES.FAILED) {
+      return res.status(400).json({ success: false, error: 'Only failed jobs can be requeued', state: job.state, jobId });
+    }
+
+    await jobQueue.requeue(jobId);
+    logSuccess('JOB REQUEUED', { 'Job ID': jobId, 'By': req.auth.actor });
+    res.json({ success: true, jobId, state: JOB_STATES.QUEUED });
+  } catch (error) {
+    return handleApiError(res, error, `REQUEUE JOB | ID: ${jobId}`);
+  }
+});
+
+// List pending payments for review (filterable, sorted, one page at a time)
+app.get('/api/payments/pending', requireRole('viewer'), async (req, res) => {
+  const listQuery = parseListQuery(req.query, PENDING_PAYMENTS_LIST);
+  if (listQuery.error) {
+    return res.status(400).json({ success: false, error: listQuery.error });
+  }
+  listQuery.filter.paymentLabel = 'PENDING';
+
+  try {
+    const total = await paymentsCollection.countDocuments(listQuery.filter);
+    const payments = await paymentsCollection.aggregate([
+      ...buildPagePipeline(listQuery),
+      // Enrich the page with customer info
+      {
+        $lookup: {
+          from: customersCollection.collectionName,
+          localField: 'chatId',
+          foreignField: 'chatId',
+          as: 'customer',
+          pipeline: [
+            { $project: { _id: 0, customerName: 1, totalExpected: 1, totalPaid: 1, remainingBalance: 1, paymentStatus: 1 } },
+            { $limit: 1 }
+          ]
+        }
+      },
+      { $set: { customer: { $ifNull: [{ $first: '$customer' }, null] } } }
+    ]).toArray();
+    const page = toPage(payments, listQuery);
 
-    console.log(`📋 [PENDING] Fetched ${enrichedPayments.length} pending payments`);
+    console.log(`📋 [PENDING] Fetched ${page.items.length} of ${total} pending payments`);
 
     res.json({
       success: true,
-      count: enrichedPayments.length,
-      payments: enrichedPayments
+      total,
+      count: page.items.length,
+      hasMore: page.hasMore,
+      nextCursor: page.nextCursor,
+      payments: page.items
     });
   } catch (error) {
     return handleApiError(res, error, 'FETCH PENDING PAYMENTS');
@@ -540,7 +787,7 @@ app.get('/api/payments/pending', async (req, res) => {
 });
 
 // Get customer payment history with summary
-app.get('/api/customer/:chatId/payments', async (req, res) => {
+app.get('/api/customer/:chatId/payments', requireRole('viewer'), async (req, res) => {
   const chatId = parseInt(req.params.chatId);
 
   // Validate chatId
@@ -597,217 +844,463 @@ app.get('/api/customer/:chatId/payments', async (req, res) => {
   }
 });
 
-// Get fraud detection statistics
-app.get('/fraud/stats', async (req, res) => {
-  try {
-    const totalAlerts = await fraudAlertsCollection.countDocuments({});
-    const pendingReview = await fraudAlertsCollection.countDocuments({ reviewStatus: 'PENDING' });
-
-    // Group by fraud type
-    const byType = await fraudAlertsCollection.aggregate([
-      { $group: { _id: '$fraudType', count: { $sum: 1 } } }
-    ]).toArray();
+// Get customer's bills with per-billing-period paid/outstanding amounts
+app.get('/api/customer/:chatId/bills', requireRole('viewer'), async (req, res) => {
+  const chatId = parseInt(req.params.chatId);
 
-    // Recent alerts (last 7 days)
-    const sevenDaysAgo = new Date();
-    sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-    const recentAlerts = await fraudAlertsCollection.countDocuments({
-      detectedAt: { $gte: sevenDaysAgo }
+  if (isNaN(chatId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid chatId - must be a number',
+      received: req.params.chatId
     });
+  }
+
+  try {
+    const { allocation, summary } = await syncBillBalances({
+      excelReadingsCollection,
+      paymentsCollection,
+      billBalancesCollection
+    }, chatId);
 
     res.json({
-      totalAlerts,
-      pendingReview,
-      recentAlerts,
-      byType: byType.reduce((acc, item) => {
-        acc[item._id] = item.count;
-        return acc;
-      }, {})
+      success: true,
+      chatId: chatId,
+      summary: summary,
+      bills: allocation.balances.map(({ closed, ...balance }) => balance)
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    return handleApiError(res, error, `FETCH CUSTOMER BILLS | Chat: ${chatId}`);
   }
 });
 
-// ==== Export API Endpoints ====
+// Get customer's ledger statement with running balance (positive = owes, negative = credit)
+app.get('/api/customer/:chatId/ledger', requireRole('viewer'), async (req, res) => {
+  const chatId = parseInt(req.params.chatId);
 
-// Helper: Convert MongoDB documents to Excel-friendly format
-function flattenDocument(doc) {
-  const flat = {};
-  for (const [key, value] of Object.entries(doc)) {
-    if (value instanceof Date) {
-      flat[key] = value.toISOString();
-    } else if (typeof value === 'object' && value !== null) {
-      flat[key] = JSON.stringify(value);
-    } else {
-      flat[key] = value;
-    }
+  if (isNaN(chatId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid chatId - must be a number',
+      received: req.params.chatId
+    });
   }
-  return flat;
-}
-
-// Helper: Create Excel buffer from data
-function createExcelBuffer(data, sheetName) {
-  const flatData = data.map(flattenDocument);
-  const ws = XLSX.utils.json_to_sheet(flatData);
-  const wb = XLSX.utils.book_new();
-  XLSX.utils.book_append_sheet(wb, ws, sheetName);
-  return XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
-}
 
-// Export payments to Excel
-app.get('/export/payments', async (req, res) => {
   try {
-    const token = req.query.token;
-    if (SCREENSHOT_DOWNLOAD_TOKEN && token !== SCREENSHOT_DOWNLOAD_TOKEN) {
-      return res.status(401).json({ error: 'Invalid token' });
-    }
-
-    const payments = await paymentsCollection.find({}).toArray();
-    if (payments.length === 0) {
-      return res.status(404).json({ error: 'No payments found' });
-    }
+    await syncLedger({ ledgerCollection, excelReadingsCollection, paymentsCollection }, chatId);
+    const balance = await getLedgerBalance(ledgerCollection, chatId);
+    const { entries, closingBalance } = await getStatement(ledgerCollection, chatId);
 
-    const buffer = createExcelBuffer(payments, 'Payments');
-    const filename = `payments_${new Date().toISOString().split('T')[0]}.xlsx`;
+    console.log(`📒 [LEDGER] Chat ${chatId} | ${entries.length} entries | Balance: ${formatCurrency(closingBalance)} KHR`);
 
-    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    res.send(buffer);
+    res.json({
+      success: true,
+      chatId: chatId,
+      balance: balance,
+      closingBalance: closingBalance,
+      count: entries.length,
+      entries: entries
+    });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    return handleApiError(res, error, `FETCH CUSTOMER LEDGER | Chat: ${chatId}`);
   }
 });
 
-// Export customers to Excel
-app.get('/export/customers', async (req, res) => {
-  try {
-    const token = req.query.token;
-    if (SCREENSHOT_DOWNLOAD_TOKEN && token !== SCREENSHOT_DOWNLOAD_TOKEN) {
-      return res.status(401).json({ error: 'Invalid token' });
-    }
+// ==== RECIPIENT REGISTRY ENDPOINTS ====
 
-    const customers = await customersCollection.find({}).toArray();
-    if (customers.length === 0) {
-      return res.status(404).json({ error: 'No customers found' });
+// List registry entries (optionally only those a chat validates against)
+app.get('/api/recipients', requireRole('viewer'), async (req, res) => {
+  try {
+    if (req.query.chatId !== undefined) {
+      const chatId = parseInt(req.query.chatId);
+      if (isNaN(chatId)) {
+        return res.status(400).json({ success: false, error: 'Invalid chatId - must be a number' });
+      }
+      const recipients = await getRecipientsForChat(recipientsCollection, chatId);
+      return res.json({ success: true, chatId, count: recipients.length, recipients });
     }
 
-    const buffer = createExcelBuffer(customers, 'Customers');
-    const filename = `customers_${new Date().toISOString().split('T')[0]}.xlsx`;
-
-    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    res.send(buffer);
+    const recipients = await recipientsCollection.find({}).sort({ createdAt: 1 }).toArray();
+    res.json({ success: true, count: recipients.length, recipients });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    return handleApiError(res, error, 'FETCH RECIPIENTS');
   }
 });
 
-// Export fraud alerts to Excel
-app.get('/export/fraud', async (req, res) => {
+// Create a registry entry
+app.post('/api/recipients', requireRole('admin'), async (req, res) => {
   try {
-    const token = req.query.token;
-    if (SCREENSHOT_DOWNLOAD_TOKEN && token !== SCREENSHOT_DOWNLOAD_TOKEN) {
-      return res.status(401).json({ error: 'Invalid token' });
+    const { errors, value } = validateRecipientInput(req.body);
+    if (errors.length > 0) {
+      console.log(`⚠️ [RECIPIENT] Invalid input: ${errors.join(', ')}`);
+      return res.status(400).json({ success: false, error: errors.join(', ') });
     }
 
-    const fraudAlerts = await fraudAlertsCollection.find({}).toArray();
-    if (fraudAlerts.length === 0) {
-      return res.status(404).json({ error: 'No fraud alerts found' });
-    }
+    const recipient = await createRecipient(recipientsCollection, value, req.auth.actor);
 
-    const buffer = createExcelBuffer(fraudAlerts, 'FraudAlerts');
-    const filename = `fraud_alerts_${new Date().toISOString().split('T')[0]}.xlsx`;
+    logSuccess('RECIPIENT CREATED', {
+      'Recipient ID': recipient._id,
+      'Name': recipient.name,
+      'Chats': recipient.chatIds.join(', ') || (recipient.isDefault ? 'default' : 'none'),
+      'By': req.auth.actor
+    });
 
-    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    res.send(buffer);
+    res.status(201).json({ success: true, recipient });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    return handleApiError(res, error, 'CREATE RECIPIENT');
   }
 });
 
-// Export invoice readings to Excel
-app.get('/export/invoices', async (req, res) => {
+// Update a registry entry
+app.put('/api/recipients/:recipientId', requireRole('admin'), async (req, res) => {
+  const { recipientId } = req.params;
+
   try {
-    const token = req.query.token;
-    if (SCREENSHOT_DOWNLOAD_TOKEN && token !== SCREENSHOT_DOWNLOAD_TOKEN) {
-      return res.status(401).json({ error: 'Invalid token' });
+    const { errors, value } = validateRecipientInput(req.body, true);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join(', ') });
     }
 
-    const invoices = await excelReadingsCollection.find({}).toArray();
-    if (invoices.length === 0) {
-      return res.status(404).json({ error: 'No invoice readings found' });
+    const recipient = await updateRecipient(recipientsCollection, recipientId, value, req.auth.actor);
+    if (!recipient) {
+      return res.status(404).json({ success: false, error: 'Recipient not found', recipientId });
     }
 
-    const buffer = createExcelBuffer(invoices, 'InvoiceReadings');
-    const filename = `invoice_readings_${new Date().toISOString().split('T')[0]}.xlsx`;
+    logSuccess('RECIPIENT UPDATED', {
+      'Recipient ID': recipientId,
+      'Fields': Object.keys(value).join(', '),
+      'By': req.auth.actor
+    });
 
-    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    res.send(buffer);
+    res.json({ success: true, recipient });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    return handleApiError(res, error, `UPDATE RECIPIENT | ID: ${recipientId}`);
   }
 });
 
-// Export all data to Excel (multiple sheets)
-app.get('/export/all', async (req, res) => {
-  try {
-    const token = req.query.token;
-    if (SCREENSHOT_DOWNLOAD_TOKEN && token !== SCREENSHOT_DOWNLOAD_TOKEN) {
-      return res.status(401).json({ error: 'Invalid token' });
-    }
+// Assign a Telegram group to a registry entry
+app.post('/api/recipients/:recipientId/chats', requireRole('admin'), async (req, res) => {
+  const { recipientId } = req.params;
+  const chatId = parseInt(req.body?.chatId);
 
-    const wb = XLSX.utils.book_new();
+  if (isNaN(chatId)) {
+    return res.status(400).json({ success: false, error: 'chatId is required and must be a number' });
+  }
 
-    // Add payments sheet
-    const payments = await paymentsCollection.find({}).toArray();
-    if (payments.length > 0) {
-      const ws = XLSX.utils.json_to_sheet(payments.map(flattenDocument));
-      XLSX.utils.book_append_sheet(wb, ws, 'Payments');
+  try {
+    const recipient = await setChatAssignment(recipientsCollection, recipientId, chatId, true, req.auth.actor);
+    if (!recipient) {
+      return res.status(404).json({ success: false, error: 'Recipient not found', recipientId });
     }
 
-    // Add customers sheet
-    const customers = await customersCollection.find({}).toArray();
-    if (customers.length > 0) {
-      const ws = XLSX.utils.json_to_sheet(customers.map(flattenDocument));
-      XLSX.utils.book_append_sheet(wb, ws, 'Customers');
-    }
+    logSuccess('RECIPIENT ASSIGNED', { 'Recipient ID': recipientId, 'Chat ID': chatId, 'By': req.auth.actor });
+    res.json({ success: true, recipient });
+  } catch (error) {
+    return handleApiError(res, error, `ASSIGN RECIPIENT | ID: ${recipientId} | Chat: ${chatId}`);
+  }
+});
 
-    // Add fraud alerts sheet
-    const fraudAlerts = await fraudAlertsCollection.find({}).toArray();
-    if (fraudAlerts.length > 0) {
-      const ws = XLSX.utils.json_to_sheet(fraudAlerts.map(flattenDocument));
-      XLSX.utils.book_append_sheet(wb, ws, 'FraudAlerts');
-    }
+// Unassign a Telegram group from a registry entry
+app.delete('/api/recipients/:recipientId/chats/:chatId', requireRole('admin'), async (req, res) => {
+  const { recipientId } = req.params;
+  const chatId = parseInt(req.params.chatId);
 
-    // Add invoice readings sheet
-    const invoices = await excelReadingsCollection.find({}).toArray();
-    if (invoices.length > 0) {
-      const ws = XLSX.utils.json_to_sheet(invoices.map(flattenDocument));
-      XLSX.utils.book_append_sheet(wb, ws, 'InvoiceReadings');
-    }
+  if (isNaN(chatId)) {
+    return res.status(400).json({ success: false, error: 'Invalid chatId - must be a number' });
+  }
 
-    const buffer = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
-    const filename = `export_all_${new Date().toISOString().split('T')[0]}.xlsx`;
+  try {
+    const recipient = await setChatAssignment(recipientsCollection, recipientId, chatId, false, req.auth.actor);
+    if (!recipient) {
+      return res.status(404).json({ success: false, error: 'Recipient not found', recipientId });
+    }
 
-    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    res.send(buffer);
+    logSuccess('RECIPIENT UNASSIGNED', { 'Recipient ID': recipientId, 'Chat ID': chatId, 'By': req.auth.actor });
+    res.json({ success: true, recipient });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    return handleApiError(res, error, `UNASSIGN RECIPIENT | ID: ${recipientId} | Chat: ${chatId}`);
   }
 });
 
-// Export screenshots as ZIP (organized by status)
-app.get('/export/screenshots', async (req, res) => {
-  try {
-    const token = req.query.token;
-    if (SCREENSHOT_DOWNLOAD_TOKEN && token !== SCREENSHOT_DOWNLOAD_TOKEN) {
-      return res.status(401).json({ error: 'Invalid token' });
-    }
+// ==== REMINDER TEMPLATE ENDPOINTS ====
 
+// Sample bill for previews without a chatId
+const SAMPLE_REMINDER_PLAN = {
+  bill: { billId: 'sample', period: '2026-01', usage: 14 },
+  outstandingAmount: 30000,
+  dueDate: new Date('2026-01-12T00:00:00+07:00'),
+  daysOverdue: 7
+};
+
+// List reminder templates (all versions per ladder step, newest first)
+app.get('/api/reminder-templates', requireRole('viewer'), async (req, res) => {
+  try {
+    const templates = await listTemplates(templatesCollection);
+    res.json({ success: true, templates });
+  } catch (error) {
+    return handleApiError(res, error, 'FETCH REMINDER TEMPLATES');
+  }
+});
+
+// Save a new version of a step's template (becomes active)
+app.post('/api/reminder-templates/:key', requireRole('admin'), async (req, res) => {
+  const key = req.params.key.toUpperCase();
+  const { km, en, notes } = req.body || {};
+
+  try {
+    const result = await createTemplateVersion(templatesCollection, { key, km, en, notes, createdBy: req.auth.actor }, client);
+    if (!result.success) {
+      console.log(`⚠️ [TEMPLATE] Invalid ${key} template: ${result.errors.join(', ')}`);
+      return res.status(400).json({ success: false, error: result.errors.join(', ') });
+    }
+
+    logSuccess('REMINDER TEMPLATE SAVED', { 'Key': key, 'Version': result.template.version, 'By': req.auth.actor });
+    res.status(201).json({ success: true, template: result.template });
+  } catch (error) {
+    return handleApiError(res, error, `SAVE REMINDER TEMPLATE | Key: ${key}`);
+  }
+});
+
+// Switch a step back to an earlier version (0 = built-in text)
+app.post('/api/reminder-templates/:key/activate', requireRole('admin'), async (req, res) => {
+  const key = req.params.key.toUpperCase();
+  const version = parseInt(req.body?.version);
+
+  if (!TEMPLATE_KEYS.includes(key)) {
+    return res.status(400).json({ success: false, error: `key must be one of ${TEMPLATE_KEYS.join(', ')}` });
+  }
+  if (isNaN(version) || version < 0) {
+    return res.status(400).json({ success: false, error: 'version must be a number (0 = built-in text)' });
+  }
+
+  try {
+    const result = await activateTemplateVersion(templatesCollection, key, version, req.auth.actor, client);
+    if (!result.success) {
+      return res.status(404).json({ success: false, error: result.error });
+    }
+
+    logSuccess('REMINDER TEMPLATE ACTIVATED', { 'Key': key, 'Version': version, 'By': req.auth.actor });
+    res.json({ success: true, template: result.template });
+  } catch (error) {
+    return handleApiError(res, error, `ACTIVATE REMINDER TEMPLATE | Key: ${key} | Version: ${version}`);
+  }
+});
+
+// Render a template with a customer's open bills (or a sample bill without chatId)
+app.get('/api/reminder-templates/:key/preview', requireRole('viewer'), async (req, res) => {
+  const key = req.params.key.toUpperCase();
+  const version = req.query.version !== undefined ? parseInt(req.query.version) : null;
+  const chatId = req.query.chatId !== undefined ? parseInt(req.query.chatId) : null;
+
+  if (!TEMPLATE_KEYS.includes(key)) {
+    return res.status(400).json({ success: false, error: `key must be one of ${TEMPLATE_KEYS.join(', ')}` });
+  }
+  if (Number.isNaN(version) || Number.isNaN(chatId)) {
+    return res.status(400).json({ success: false, error: 'version and chatId must be numbers' });
+  }
+
+  try {
+    const template = await getTemplate(templatesCollection, key, version);
+    if (!template) {
+      return res.status(404).json({ success: false, error: `Version ${version} of ${key} not found` });
+    }
+
+    let plan = SAMPLE_REMINDER_PLAN;
+    let bills = [];
+    let customerName = 'Sok Dara';
+    if (chatId !== null) {
+      const loaded = await loadAllocation(excelReadingsCollection, paymentsCollection, chatId);
+      plan = getOverdueSummary({ bills: loaded.bills, allocation: loaded.allocation, settings: getReminderSettings(process.env) });
+      if (!plan || !plan.dueDate) {
+        return res.status(404).json({ success: false, error: 'No open bill with a due date for this chat', chatId });
+      }
+      bills = loaded.bills;
+      customerName = bills[bills.length - 1].customer || String(chatId);
+    }
+
+    const context = buildTemplateContext(plan, { customerName, bills, pdfBaseUrl: process.env.BILL_PDF_BASE_URL || null });
+    const rendered = renderTemplate(template, context);
+
+    res.json({
+      success: true,
+      key,
+      version: template.version,
+      builtIn: Boolean(template.builtIn),
+      chatId,
+      context,
+      ...rendered
+    });
+  } catch (error) {
+    return handleApiError(res, error, `PREVIEW REMINDER TEMPLATE | Key: ${key}`);
+  }
+});
+
+// Reminder reach and failure rates per group (customer reminders only)
+app.get('/api/reminders/report', requireRole('viewer'), async (req, res) => {
+  const startDate = req.query.startDate ? new Date(req.query.startDate) : null;
+  const endDate = req.query.endDate ? new Date(req.query.endDate) : null;
+  if ((startDate && isNaN(startDate.getTime())) || (endDate && isNaN(endDate.getTime()))) {
+    return res.status(400).json({ success: false, error: 'startDate and endDate must be valid dates' });
+  }
+
+  try {
+    const report = await getReminderReport({ remindersCollection, suppressionsCollection }, { startDate, endDate });
+    res.json({
+      success: true,
+      startDate,
+      endDate,
+      ...report
+    });
+  } catch (error) {
+    return handleApiError(res, error, 'FETCH REMINDER REPORT');
+  }
+});
+
+// Payment scheduler jobs: schedule, next run, current lock holder and latest runs
+app.get('/scheduler/jobs', requireRole('viewer'), async (req, res) => {
+  const runsLimit = req.query.runs !== undefined ? Math.min(parseInt(req.query.runs), 50) : 5;
+  if (Number.isNaN(runsLimit) || runsLimit < 0) {
+    return res.status(400).json({ success: false, error: 'runs must be a number from 0 to 50' });
+  }
+
+  try {
+    const jobs = await getSchedulerStatus({ schedulerJobsCollection, schedulerRunsCollection }, { runsLimit });
+    res.json({
+      success: true,
+      count: jobs.length,
+      jobs
+    });
+  } catch (error) {
+    return handleApiError(res, error, 'FETCH SCHEDULER JOBS');
+  }
+});
+
+// Get fraud detection statistics
+app.get('/fraud/stats', requireRole('viewer'), async (req, res) => {
+  try {
+    const totalAlerts = await fraudAlertsCollection.countDocuments({});
+    const pendingReview = await fraudAlertsCollection.countDocuments({ reviewStatus: 'PENDING' });
+
+    // Group by fraud type
+    const byType = await fraudAlertsCollection.aggregate([
+      { $group: { _id: '$fraudType', count: { $sum: 1 } } }
+    ]).toArray();
+
+    // Recent alerts (last 7 days)
+    const sevenDaysAgo = new Date();
+    sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
+    const recentAlerts = await fraudAlertsCollection.countDocuments({
+      detectedAt: { $gte: sevenDaysAgo }
+    });
+
+    res.json({
+      totalAlerts,
+      pendingReview,
+      recentAlerts,
+      byType: byType.reduce((acc, item) => {
+        acc[item._id] = item.count;
+        return acc;
+      }, {})
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==== Export API Endpoints ====
+
+// Helper: Stream collections as an .xlsx download, one sheet each (rows are read as the file is sent)
+// Returns false without sending anything when every collection is empty
+async function sendXlsxExport(res, sources, filename) {
+  const sheets = [];
+  for (const { name, collection } of sources) {
+    const columns = await getCollectionFields(collection);
+    if (columns.length > 0) sheets.push({ name, columns, cursor: collection.find({}) });
+  }
+  if (sheets.length === 0) return false;
+
+  res.setHeader('Content-Type', XLSX_CONTENT_TYPE);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  const stream = createXlsxStream(sheets);
+  stream.on('error', (error) => {
+    console.error(`❌ Export ${filename} failed:`, error.message);
+    res.destroy(error);
+  });
+  // Client gone (or done) - release the cursors
+  res.on('close', () => sheets.forEach(sheet => sheet.cursor.close().catch(() => {})));
+  stream.pipe(res);
+  return true;
+}
+
+// Export payments to Excel
+app.get('/export/payments', requireRole('admin'), async (req, res) => {
+  try {
+    const sent = await sendXlsxExport(res, [{ name: 'Payments', collection: paymentsCollection }], `payments_${new Date().toISOString().split('T')[0]}.xlsx`);
+    if (!sent) {
+      return res.status(404).json({ error: 'No payments found' });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Export customers to Excel
+app.get('/export/customers', requireRole('admin'), async (req, res) => {
+  try {
+    const sent = await sendXlsxExport(res, [{ name: 'Customers', collection: customersCollection }], `customers_${new Date().toISOString().split('T')[0]}.xlsx`);
+    if (!sent) {
+      return res.status(404).json({ error: 'No customers found' });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Export fraud alerts to Excel
+app.get('/export/fraud', requireRole('admin'), async (req, res) => {
+  try {
+    const sent = await sendXlsxExport(res, [{ name: 'FraudAlerts', collection: fraudAlertsCollection }], `fraud_alerts_${new Date().toISOString().split('T')[0]}.xlsx`);
+    if (!sent) {
+      return res.status(404).json({ error: 'No fraud alerts found' });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Export invoice readings to Excel
+app.get('/export/invoices', requireRole('admin'), async (req, res) => {
+  try {
+    const sent = await sendXlsxExport(res, [{ name: 'InvoiceReadings', collection: excelReadingsCollection }], `invoice_readings_${new Date().toISOString().split('T')[0]}.xlsx`);
+    if (!sent) {
+      return res.status(404).json({ error: 'No invoice readings found' });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Export all data to Excel (one sheet per non-empty collection)
+app.get('/export/all', requireRole('admin'), async (req, res) => {
+  try {
+    const sent = await sendXlsxExport(res, [
+      { name: 'Payments', collection: paymentsCollection },
+      { name: 'Customers', collection: customersCollection },
+      { name: 'FraudAlerts', collection: fraudAlertsCollection },
+      { name: 'InvoiceReadings', collection: excelReadingsCollection }
+    ], `export_all_${new Date().toISOString().split('T')[0]}.xlsx`);
+    if (!sent) {
+      return res.status(404).json({ error: 'No data found' });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Export screenshots as ZIP (organized by status)
+app.get('/export/screenshots', requireRole('admin'), async (req, res) => {
+  try {
     const status = req.query.status; // Optional: 'verified', 'pending', 'rejected', or 'all'
     const source = req.query.source || 'both'; // 'local', 'gridfs', or 'both'
 
@@ -854,19 +1347,23 @@ app.get('/export/screenshots', async (req, res) => {
       const filesCollection = db.collection('screenshots.files');
 
       for (const s of statuses) {
-        const gridfsFiles = await filesCollection.find({
-          'metadata.verificationStatus': s
-        }).toArray();
+        // One file at a time from the cursor, not the whole listing
+        const gridfsFiles = filesCollection.find(
+          { 'metadata.verificationStatus': s },
+          { projection: { filename: 1 } }
+        );
 
-        for (const file of gridfsFiles) {
+        let added = 0;
+        for await (const file of gridfsFiles) {
           try {
             const buffer = await downloadScreenshotFromGridFS(file._id.toString());
             archive.append(buffer, { name: `gridfs_${s}/${file.filename}` });
+            added++;
           } catch (err) {
             console.error(`Failed to download GridFS file ${file._id}:`, err.message);
           }
         }
-        console.log(`📦 Added ${gridfsFiles.length} GridFS files from ${s}`);
+        console.log(`📦 Added ${added} GridFS files from ${s}`);
       }
     }
 
@@ -882,7 +1379,7 @@ app.get('/export/screenshots', async (req, res) => {
 // ===== REJECTION AUDIT ENDPOINTS =====
 
 // Get rejection summary statistics
-app.get('/api/rejections/summary', async (req, res) => {
+app.get('/api/rejections/summary', requireRole('viewer'), async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
 
@@ -946,7 +1443,7 @@ app.get('/api/rejections/summary', async (req, res) => {
 });
 
 // Get detailed rejection list with pagination
-app.get('/api/rejections/detailed', async (req, res) => {
+app.get('/api/rejections/detailed', requireRole('viewer'), async (req, res) => {
   try {
     const {
       page = 1,
@@ -1008,7 +1505,7 @@ app.get('/api/rejections/detailed', async (req, res) => {
 });
 
 // Get rejection history for specific customer
-app.get('/api/rejections/customer/:chatId', async (req, res) => {
+app.get('/api/rejections/customer/:chatId', requireRole('viewer'), async (req, res) => {
   try {
     const chatId = parseInt(req.params.chatId);
 
@@ -1065,10 +1562,11 @@ app.get('/api/rejections/customer/:chatId', async (req, res) => {
 });
 
 // Manual review endpoint for rejected payments
-app.post('/api/rejections/:paymentId/review', async (req, res) => {
+app.post('/api/rejections/:paymentId/review', requireRole('auditor'), async (req, res) => {
   try {
     const { paymentId } = req.params;
-    const { action, notes, reviewedBy } = req.body;
+    const { action, notes } = req.body;
+    const reviewedBy = req.auth.actor;
 
     if (!['approve', 'confirm_rejection'].includes(action)) {
       return res.status(400).json({ error: 'Invalid action. Use "approve" or "confirm_rejection"' });
@@ -1087,16 +1585,27 @@ app.post('/api/rejections/:paymentId/review', async (req, res) => {
     // Update payment with review
     const updateData = {
       reviewedAt: new Date(),
-      reviewedBy: reviewedBy || 'auditor',
+      reviewedBy: reviewedBy,
       reviewNotes: notes || '',
       reviewAction: action
     };
 
     if (action === 'approve') {
-      // Override rejection and approve payment
-      updateData.verificationStatus = 'verified';
-      updateData.paymentLabel = 'PAID';
-      updateData.verificationNotes = `${payment.verificationNotes || ''} | MANUAL APPROVAL: ${notes || 'Approved by auditor'}`;
+      // Override rejection and approve payment (UNPAID → PAID, recomputes customer totals)
+      const result = await paymentTransitions.transitionPayment(paymentId, 'PAID', {
+        actor: reviewedBy,
+        source: AUDIT_SOURCES.REST_REJECTION_REVIEW,
+        notes: notes || 'Approved by auditor',
+        fromLabels: ['UNPAID']
+      });
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({ error: result.error });
+      }
+      Object.assign(updateData, {
+        verificationStatus: 'verified',
+        paymentLabel: 'PAID'
+      });
 
       // Notify customer of approval
       if (payment.chatId) {
@@ -1111,10 +1620,24 @@ app.post('/api/rejections/:paymentId/review', async (req, res) => {
       }
     }
 
-    await paymentsCollection.updateOne(
-      { _id: paymentId },
-      { $set: updateData }
-    );
+    if (action === 'confirm_rejection') {
+      // No label change - record the review itself
+      await paymentsCollection.updateOne(
+        { _id: paymentId },
+        { $set: updateData }
+      );
+      await recordAuditEvent(auditEventsCollection, {
+        action: 'rejection_confirmed',
+        paymentId,
+        chatId: payment.chatId,
+        actor: updateData.reviewedBy,
+        source: AUDIT_SOURCES.REST_REJECTION_REVIEW,
+        before: payment,
+        after: payment,
+        reason: payment.rejectionReason,
+        notes: notes
+      });
+    }
 
     res.json({
       success: true,
@@ -1130,7 +1653,7 @@ app.post('/api/rejections/:paymentId/review', async (req, res) => {
 });
 
 // Rejection analytics dashboard data
-app.get('/api/rejections/analytics', async (req, res) => {
+app.get('/api/rejections/analytics', requireRole('viewer'), async (req, res) => {
   try {
     const { period = '7d' } = req.query;
 
@@ -1250,7 +1773,7 @@ app.get('/api/rejections/analytics', async (req, res) => {
 });
 
 // Export rejections to Excel
-app.get('/api/rejections/export', async (req, res) => {
+app.get('/api/rejections/export', requireRole('admin'), async (req, res) => {
   try {
     const { startDate, endDate, reason, format = 'xlsx' } = req.query;
 
@@ -1310,6 +1833,18 @@ app.get('/api/rejections/export', async (req, res) => {
 
       XLSX.utils.book_append_sheet(workbook, worksheet, 'Rejected Payments');
 
+      // History sheet: every audit event for the exported payments
+      const events = await auditEventsCollection
+        .find({ paymentId: { $in: rejections.map(r => r._id) } })
+        .sort({ paymentId: 1, createdAt: 1 })
+        .toArray();
+      const historyRows = auditEventsToRows(events);
+      const historySheet = XLSX.utils.json_to_sheet(historyRows);
+      historySheet['!cols'] = Object.keys(historyRows[0] || {}).map(key => ({
+        wch: Math.max(key.length, 15)
+      }));
+      XLSX.utils.book_append_sheet(workbook, historySheet, 'History');
+
       const filename = `rejected_payments_${new Date().toISOString().split('T')[0]}.xlsx`;
       const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
 
@@ -1336,6 +1871,10 @@ app.listen(PORT, () => {
   console.log(`🔍 Fraud stats: http://localhost:${PORT}/fraud/stats`);
   console.log(`📥 Export data: http://localhost:${PORT}/export/all`);
   console.log(`🖼️ Export screenshots: http://localhost:${PORT}/export/screenshots`);
+  console.log(`🏦 Recipients: http://localhost:${PORT}/api/recipients`);
+  console.log(`✉️ Reminder templates: http://localhost:${PORT}/api/reminder-templates`);
+  console.log(`📬 Reminder report: http://localhost:${PORT}/api/reminders/report`);
+  console.log(`⏰ Scheduler jobs: http://localhost:${PORT}/scheduler/jobs`);
   console.log(`❌ Rejection audit endpoints:`);
   console.log(`  📊 Summary: http://localhost:${PORT}/api/rejections/summary`);
   console.log(`  📋 Detailed: http://localhost:${PORT}/api/rejections/detailed`);
@@ -1395,7 +1934,6 @@ console.log('MONGO_URL:', process.env.MONGO_URL ? '✅ Set' : '❌ Missing');
 console.log('DB_NAME:', process.env.DB_NAME ? '✅ Set' : '❌ Missing');
 console.log('OPENAI_API_KEY:', process.env.OPENAI_API_KEY ? '✅ Set' : '❌ Missing');
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
 const TELEGRAM_TOKEN = process.env.TELEGRAM_TOKEN;
 const MONGO_URL = process.env.MONGO_URL;
 const DB_NAME = process.env.DB_NAME;
@@ -1413,11 +1951,14 @@ if (!DB_NAME) {
   console.error('❌ DB_NAME is required in .env file');
   process.exit(1);
 }
-if (!process.env.OPENAI_API_KEY) {
+if (!process.env.OPENAI_API_KEY && (process.env.OCR_PROVIDER || 'openai').toLowerCase() === 'openai') {
   console.error('❌ OPENAI_API_KEY is required in .env file');
   process.exit(1);
 }
 
+const ocrProvider = createOcrProvider(process.env);
+console.log('OCR_PROVIDER:', ocrProvider.name);
+
 // ---- Connection strategies (from botfetch.js) :contentReference[oaicite:2]{index=2}
 const connectionStrategies = [
   {
@@ -1449,10 +1990,54 @@ const connectionStrategies = [
 
 let bot;
 let currentStrategy = 0;
+let botMode = 'polling';
+let botReady = false; // Webhook updates are refused (and retried by Telegram) until handlers are registered
+
+function getStrategyName() {
+  return botMode === 'webhook' ? 'Webhook' : connectionStrategies[currentStrategy]?.name || 'unknown';
+}
+
+/**
+ * Register the webhook with Telegram, retrying transient failures
+ * (BOT_WEBHOOK_REGISTER_ATTEMPTS, 2s delay doubling between attempts)
+ * @returns {boolean} false if every attempt failed
+ */
+async function initializeWebhookBot() {
+  console.log(`\n🔗 Registering webhook: ${webhookConfig.url}`);
+  for (let attempt = 1; attempt <= webhookConfig.registerAttempts; attempt++) {
+    try {
+      bot = new TelegramBot(TELEGRAM_TOKEN, { request: { timeout: 30000, proxy: null, family: 4 } });
+      const botInfo = await bot.getMe(); // test connection
+      await bot.setWebHook(webhookConfig.url, {
+        secret_token: webhookConfig.secretToken,
+        max_connections: webhookConfig.maxConnections
+      });
+      botMode = 'webhook';
+      console.log(`✅ Bot connected via webhook:`, botInfo.username);
+      return true;
+    } catch (error) {
+      console.error(`❌ Webhook registration failed (attempt ${attempt}/${webhookConfig.registerAttempts}):`, error.message);
+      bot = null;
+      if (attempt < webhookConfig.registerAttempts) {
+        await new Promise(resolve => setTimeout(resolve, 2000 * 2 ** (attempt - 1)));
+      }
+    }
+  }
+  return false;
+}
 
 async function initializeBot() {
   console.log('🚀 Initializing Telegram Bot...');
-  for (let i = 0; i < connectionStrategies.length; i++) {
+  if (webhookConfig.mode === 'webhook' && !(await initializeWebhookBot())) {
+    if (webhookConfig.exitOnFailure) {
+      // Exit so the orchestrator restarts this replica; polling would delete the shared webhook
+      console.error('💥 Webhook registration failed - exiting (BOT_WEBHOOK_EXIT_ON_FAILURE=true)');
+      process.exit(1);
+    }
+    console.log('↩️ Falling back to polling strategies');
+  }
+
+  for (let i = 0; botMode === 'polling' && i < connectionStrategies.length; i++) {
     const strategy = connectionStrategies[i];
     console.log(`\n🔄 Trying strategy ${i + 1}: ${strategy.name}`);
     try {
@@ -1515,7 +2100,23 @@ let paymentsCollection;
 let customersCollection;
 let fraudAlertsCollection;
 let excelReadingsCollection;
+let recipientsCollection;
+let billBalancesCollection;
+let ledgerCollection;
+let auditEventsCollection;
+let paymentTransitions;
+let jobsCollection;
+let screenshotFilesCollection;
 let screenshotsBucket;
+let bankStatementsCollection;
+let bankCreditsCollection;
+let apiKeysCollection;
+let templatesCollection;
+let remindersCollection;
+let suppressionsCollection;
+let auditorListingsCollection;
+let schedulerJobsCollection;
+let schedulerRunsCollection;
 
 async function startDB() {
   try {
@@ -1525,17 +2126,85 @@ async function startDB() {
     paymentsCollection = db.collection('payments');
     customersCollection = db.collection('customers');
     fraudAlertsCollection = db.collection('fraudAlerts');
+    recipientsCollection = db.collection('recipients');
+    billBalancesCollection = db.collection('billBalances');
+    ledgerCollection = db.collection('ledger');
+    auditEventsCollection = db.collection('auditEvents');
+    jobsCollection = db.collection('processingJobs');
+    bankStatementsCollection = db.collection('bankStatements');
+    bankCreditsCollection = db.collection('bankCredits');
+    apiKeysCollection = db.collection('apiKeys');
+    templatesCollection = db.collection('messageTemplates');
+    remindersCollection = db.collection('reminders');
+    suppressionsCollection = db.collection('reminderSuppressions');
+    auditorListingsCollection = db.collection('auditorListings');
+    schedulerJobsCollection = db.collection('schedulerJobs');
+    schedulerRunsCollection = db.collection('schedulerRuns');
     console.log('✅ MongoDB connected (customerDB)');
     console.log('✅ Payments collection ready');
     console.log('✅ Customers collection ready');
     console.log('✅ FraudAlerts collection ready');
+    console.log('✅ Recipients collection ready');
+    console.log('✅ BillBalances collection ready');
+    console.log('✅ Ledger collection ready');
+    console.log('✅ AuditEvents collection ready');
+    console.log('✅ ProcessingJobs collection ready');
+    console.log('✅ BankStatements collection ready');
+    console.log('✅ ApiKeys collection ready');
+    console.log('✅ MessageTemplates collection ready');
 
     // Create index on transactionId for fast duplicate detection (security)
     await paymentsCollection.createIndex({ transactionId: 1 });
     console.log('✅ Transaction ID index created (duplicate detection)');
 
+    // List endpoints page by their sort field and _id; pending payments look up their customer by chat
+    await paymentsCollection.createIndex({ paymentLabel: 1, uploadedAt: -1, _id: -1 });
+    await fraudAlertsCollection.createIndex({ detectedAt: -1, _id: -1 });
+    await customersCollection.createIndex({ chatId: 1 });
+
+    // Retried queue jobs look up the alerts already raised for their payment
+    await fraudAlertsCollection.createIndex({ paymentId: 1, fraudType: 1 });
+
+    // Recipient registry lookups are per uploading chat
+    await recipientsCollection.createIndex({ chatIds: 1 });
+
+    // Per-bill balances are looked up by chat, oldest period first
+    await billBalancesCollection.createIndex({ chatId: 1, billDate: 1 });
+
+    // Ledger is append-only; unique seq per source prevents double posting
+    await ensureLedgerIndexes(ledgerCollection);
+
+    // Audit events are read per payment and per customer
+    await ensureAuditIndexes(auditEventsCollection);
+
+    // Statement credits are matched by time; likely fakes are listed by reconciliation status
+    await ensureStatementIndexes({ bankCreditsCollection, paymentsCollection });
+
+    // API keys are looked up by hash on every request
+    await ensureApiKeyIndexes(apiKeysCollection);
+    if (await apiKeysCollection.countDocuments({ revokedAt: null }) === 0) {
+      console.log('⚠️ No API keys - REST endpoints will return 401. Create one with: node scripts/create-api-key.js --name <name> --role admin');
+    }
+
+    // Reminder templates are versioned per ladder step
+    await ensureTemplateIndexes(templatesCollection);
+
+    // One reminder suppression (opt-out / bot removed) per chat
+    await ensureSuppressionIndexes(suppressionsCollection);
+
+    // All manual payment label changes go through one service
+    paymentTransitions = createPaymentTransitions({
+      paymentsCollection,
+      auditEventsCollection,
+      recomputeCustomer: updateCustomerPaymentStatus
+    });
+
     // Initialize GridFS bucket for screenshots
     screenshotsBucket = new GridFSBucket(db, { bucketName: 'screenshots' });
+    screenshotFilesCollection = db.collection('screenshots.files');
+    await ensureImageHashIndexes(screenshotFilesCollection);
+    // Retried queue jobs reuse the screenshot their payment already uploaded
+    await screenshotFilesCollection.createIndex({ 'metadata.paymentId': 1 });
     console.log('✅ GridFS bucket initialized: screenshots');
 
     // Connect to invoiceDB
@@ -1618,22 +2287,6 @@ async function getScreenshotInfo(fileId) {
   return db.collection('screenshots.files').findOne({ _id: new ObjectId(fileId) });
 }
 
-// ==== Currency Conversion Helper ====
-function convertToKHR(amount, currency) {
-  const USD_TO_KHR = parseFloat(process.env.USD_TO_KHR_RATE) || 4000;
-
-  if (!amount) return null;
-
-  if (currency === 'USD' || currency === 'usd') {
-    return amount * USD_TO_KHR;
-  } else if (currency === 'KHR' || currency === 'khmer riel' || currency === 'riel') {
-    return amount;
-  }
-
-  // Default: assume KHR if currency not recognized
-  return amount;
-}
-
 // ==== Currency Formatting Helper ====
 function formatCurrency(amount) {
   if (!amount) return '0';
@@ -1643,19 +2296,27 @@ function formatCurrency(amount) {
 // ==== Customer Payment Status Update ====
 async function updateCustomerPaymentStatus(chatId, paymentRecord) {
   try {
-    // 1. Get expected amount from excelreadings
-    const bill = await excelReadingsCollection.findOne({ chatId });
-    const totalExpected = bill?.amount || 0;
-
-    // 2. Aggregate all VERIFIED payments for this customer
-    const verifiedPayments = await paymentsCollection.find({
-      chatId: chatId,
-      isVerified: true,
-      paymentLabel: 'PAID'
-    }).toArray();
-
-    const totalPaid = verifiedPayments.reduce((sum, p) => sum + (p.amountInKHR || 0), 0);
-    const paymentCount = verifiedPayments.length;
+    // 1. Allocate VERIFIED payments to open bills (oldest billing period first)
+    const { bills, allocation, summary } = await syncBillBalances({
+      excelReadingsCollection,
+      paymentsCollection,
+      billBalancesCollection
+    }, chatId);
+    const latestBill = bills.length > 0 ? bills[bills.length - 1] : null;
+    const { totalExpected, openBills } = summary;
+    const verifiedPaymentIds = Object.keys(allocation.paymentAllocations);
+    const paymentCount = verifiedPaymentIds.length;
+
+    // 2. Post bills and payments to the ledger; balance and status are derived from it
+    // (totalExpected stays the open-bill sum, the ledger's debits are kept as lifetimeBilled)
+    await syncLedger({ ledgerCollection, excelReadingsCollection, paymentsCollection }, chatId);
+    const {
+      totalExpected: lifetimeBilled,
+      totalPaid,
+      remainingBalance,
+      excessAmount,
+      paymentStatus
+    } = await getLedgerBalance(ledgerCollection, chatId);
 
     // 3. Aggregate PENDING payments
     const pendingPayments = await paymentsCollection.find({
@@ -1665,47 +2326,36 @@ async function updateCustomerPaymentStatus(chatId, paymentRecord) {
 
     const totalUnverified = pendingPayments.reduce((sum, p) => sum + (p.amountInKHR || 0), 0);
 
-    // 4. Calculate status
-    let paymentStatus;
-    let remainingBalance = totalExpected - totalPaid;
-    let excessAmount = 0;
-
-    if (totalPaid === 0) {
-      paymentStatus = 'NOT_PAID';
-    } else if (totalPaid >= totalExpected) {
-      paymentStatus = 'FULLY_PAID';
-      if (totalPaid > totalExpected) {
-        paymentStatus = 'OVERPAID';
-        excessAmount = totalPaid - totalExpected;
-      }
-    } else {
-      paymentStatus = 'PARTIAL_PAID';
-    }
-
-    // 5. Get payment dates
-    const paymentDates = verifiedPayments.map(p => p.uploadedAt).sort();
+    // 4. Get payment dates
+    const verifiedPayments = await paymentsCollection.find(
+      { _id: { $in: verifiedPaymentIds } },
+      { projection: { uploadedAt: 1 } }
+    ).toArray();
+    const paymentDates = verifiedPayments.map(p => p.uploadedAt).sort((a, b) => a - b);
     const firstPaymentDate = paymentDates[0] || null;
     const lastPaymentDate = paymentDates[paymentDates.length - 1] || null;
 
-    // 6. Upsert to customers collection
+    // 5. Upsert to customers collection
     await customersCollection.updateOne(
       { chatId: chatId },
       {
         $set: {
           chatId: chatId,
-          customerName: bill?.customer || paymentRecord.fullName,
-          username: paymentRecord.username,
+          customerName: latestBill?.customer || paymentRecord?.fullName,
+          username: paymentRecord?.username,
           totalExpected: totalExpected,
+          lifetimeBilled: lifetimeBilled,
           totalPaid: totalPaid,
           totalUnverified: totalUnverified,
           paymentCount: paymentCount,
           paymentStatus: paymentStatus,
           excessAmount: excessAmount,
           remainingBalance: remainingBalance,
+          openBills: openBills,
           lastPaymentDate: lastPaymentDate,
           firstPaymentDate: firstPaymentDate,
           lastUpdated: new Date(),
-          paymentIds: verifiedPayments.map(p => p._id)
+          paymentIds: verifiedPaymentIds
         }
       },
       { upsert: true }
@@ -1736,15 +2386,6 @@ async function getCustomerStatus(chatId) {
   }
 }
 
-async function getCustomersByStatus(status) {
-  try {
-    return await customersCollection.find({ paymentStatus: status }).toArray();
-  } catch (error) {
-    console.error('❌ Failed to get customers by status:', error.message);
-    return [];
-  }
-}
-
 async function getOverdueCustomers(daysOverdue = 3) {
   try {
     const cutoffDate = new Date();
@@ -1803,503 +2444,48 @@ function buildVerificationMessage(paymentData, expectedAmount, amountInKHR, isVe
 
 // ==== Fraud Detection Helper Functions ====
 
-// Khmer numeral to Arabic numeral mapping (extended to handle various Unicode representations)
-const KHMER_NUMERALS = {
-  // Standard Khmer digits (U+17E0-U+17E9)
-  '០': '0', '១': '1', '២': '2', '៣': '3', '៤': '4',
-  '៥': '5', '៦': '6', '៧': '7', '៨': '8', '៩': '9',
-  // Thai digits (U+0E50-U+0E59) - visually similar, GPT-4 may confuse
-  '๐': '0', '๑': '1', '๒': '2', '๓': '3', '๔': '4',
-  '๕': '5', '๖': '6', '๗': '7', '๘': '8', '๙': '9',
-  // Lao digits (U+0ED0-U+0ED9) - similar script family
-  '໐': '0', '໑': '1', '໒': '2', '໓': '3', '໔': '4',
-  '໕': '5', '໖': '6', '໗': '7', '໘': '8', '໙': '9',
-  // Myanmar digits (U+1040-U+1049)
-  '၀': '0', '၁': '1', '၂': '2', '၃': '3', '၄': '4',
-  '၅': '5', '၆': '6', '၇': '7', '၈': '8', '၉': '9',
-  // Fullwidth digits (U+FF10-U+FF19)
-  '０': '0', '１': '1', '２': '2', '３': '3', '４': '4',
-  '５': '5', '６': '6', '７': '7', '８': '8', '９': '9'
-};
-
-/**
- * Debug function to log Unicode character codes
- * @param {string} str - String to analyze
- * @param {string} label - Label for the log
- */
-function debugCharCodes(str, label = 'DEBUG') {
-  if (!str) return;
-  const chars = [...str];
-  const charInfo = chars.map(char => {
-    const code = char.codePointAt(0);
-    return `"${char}"=U+${code.toString(16).toUpperCase().padStart(4, '0')}`;
-  }).join(' ');
-  console.log(`[${label}] ${charInfo}`);
-}
-
-// Khmer month names to month number (1-12)
-const KHMER_MONTHS = {
-  'មករា': 1,      // January
-  'កុម្ភៈ': 2,     // February
-  'មីនា': 3,      // March
-  'មេសា': 4,      // April
-  'ឧសភា': 5,      // May
-  'មិថុនា': 6,    // June
-  'កក្កដា': 7,    // July
-  'សីហា': 8,      // August
-  'កញ្ញា': 9,     // September
-  'តុលា': 10,     // October
-  'វិច្ឆិកា': 11,  // November
-  'ធ្នូ': 12       // December
-};
+// Max differing pHash bits (of 64) for a near-duplicate screenshot
+const PHASH_MAX_DISTANCE = parseInt(process.env.PHASH_MAX_DISTANCE) || 8;
 
-// Alternative Khmer month spellings
-const KHMER_MONTHS_ALT = {
-  'មករ': 1,       // January (short)
-  'កុម្ភ': 2,      // February (short)
-  'មិនា': 3,      // March (alt spelling)
-  'មេសorg': 4,    // April (alt)
-  'ឧសភorg': 5,    // May (alt)
-  'មិថorg': 6,    // June (alt)
-  'កក្កorg': 7,   // July (alt)
-  'សីorg': 8,     // August (alt)
-  'កញorg': 9,     // September (alt)
-  'តorg': 10,     // October (alt)
-  'វorg': 11,     // November (alt)
-  'ធorg': 12      // December (alt)
+// Tampering score that holds a payment for review, and the amount-region ELA ratio that counts as edited
+const FORENSICS_OPTIONS = {
+  suspectScore: parseInt(process.env.FORENSICS_SUSPECT_SCORE) || 2,
+  elaRatio: parseFloat(process.env.FORENSICS_ELA_RATIO) || 4
 };
 
 /**
- * Converts Khmer numerals to Arabic numerals
- * @param {string} str - String containing Khmer numerals
- * @returns {string} - String with Arabic numerals
+ * Creates fraud alert record in fraudAlerts collection
+ * @param {object} fraudData - Fraud detection data
+ * @returns {string|null} - Alert ID or null if failed
  */
-function convertKhmerNumerals(str) {
-  if (!str) return str;
-
-  // Debug: Log input character codes to identify unknown numerals
-  debugCharCodes(str, 'NUMERAL-INPUT');
-
-  let result = str;
-  for (const [khmer, arabic] of Object.entries(KHMER_NUMERALS)) {
-    result = result.replace(new RegExp(khmer, 'g'), arabic);
-  }
-
-  // Check if conversion happened
-  if (result !== str) {
-    console.log(`[NUMERAL-CONVERT] "${str}" → "${result}"`);
-  } else {
-    // If no conversion, log warning - might have unknown characters
-    const hasNonAsciiDigits = /[^\x00-\x7F0-9\s]/.test(str);
-    if (hasNonAsciiDigits) {
-      console.log(`[NUMERAL-WARN] No conversion for: "${str}" - may contain unmapped characters`);
+async function logFraudAlert(fraudData) {
+  try {
+    // A retried queue job raises each alert for its payment once
+    if (fraudData.paymentId) {
+      const existing = await fraudAlertsCollection.findOne(
+        { paymentId: fraudData.paymentId, fraudType: fraudData.fraudType },
+        { projection: { alertId: 1 } }
+      );
+      if (existing) return existing.alertId;
     }
-  }
 
-  return result;
-}
+    const alertId = `FA-${new Date().toISOString().split('T')[0].replace(/-/g, '')}-${Date.now().toString().slice(-6)}`;
 
-/**
- * Normalizes Khmer text by removing zero-width characters and extra spaces
- * @param {string} str - String to normalize
- * @returns {string} - Normalized string
- */
-function normalizeKhmerText(str) {
-  if (!str) return str;
-  return str
-    .replace(/[\u200B-\u200D\uFEFF\u00A0]/g, '') // Remove zero-width chars and non-breaking spaces
-    .replace(/\s+/g, ' ')                         // Normalize multiple spaces to single
-    .trim();
-}
+    const fraudAlert = {
+      _id: uuidv4(),
+      alertId: alertId,
 
-/**
- * Finds Khmer month name in a string and returns the month number
- * Uses normalized matching to handle Unicode variations
- * @param {string} str - String to search
- * @returns {object|null} - { month: number, match: string } or null
- */
-function findKhmerMonth(str) {
-  if (!str) return null;
+      // Fraud details
+      fraudType: fraudData.fraudType,
+      detectedAt: new Date(),
+      severity: fraudData.severity || 'MEDIUM',
 
-  const normalized = normalizeKhmerText(str);
-
-  // Try exact match first with primary month names
-  for (const [khmerMonth, monthNum] of Object.entries(KHMER_MONTHS)) {
-    if (normalized.includes(khmerMonth)) {
-      return { month: monthNum, match: khmerMonth };
-    }
-  }
-
-  // Try alternative spellings
-  for (const [khmerMonth, monthNum] of Object.entries(KHMER_MONTHS_ALT)) {
-    if (normalized.includes(khmerMonth)) {
-      return { month: monthNum, match: khmerMonth };
-    }
-  }
-
-  return null;
-}
-
-/**
- * Checks if string contains Khmer script characters (U+1780-U+17FF)
- */
-function containsKhmerScript(str) {
-  if (!str) return false;
-  return /[\u1780-\u17FF]/.test(str);
-}
-
-/**
- * Parse English date formats (no Khmer characters)
- * Supports: ISO, "Jan 8, 2026", "08/01/2026", etc.
- */
-function parseEnglishDate(dateStr) {
-  if (!dateStr) return null;
-
-  console.log(`[DATE-PARSE] Input: "${dateStr}"`);
-
-  // 1. Try ISO format FIRST: "YYYY-MM-DDTHH:MM" (expected from GPT-4)
-  const isoMatch = dateStr.match(/(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}))?/);
-  if (isoMatch) {
-    const year = parseInt(isoMatch[1]);
-    const month = parseInt(isoMatch[2]) - 1; // JS months are 0-indexed
-    const day = parseInt(isoMatch[3]);
-    const hour = isoMatch[4] ? parseInt(isoMatch[4]) : 0;
-    const minute = isoMatch[5] ? parseInt(isoMatch[5]) : 0;
-
-    if (year >= 2020 && month >= 0 && month <= 11 && day >= 1 && day <= 31) {
-      const date = new Date(year, month, day, hour, minute);
-      console.log(`[DATE-PARSE] ISO format: ${year}-${month+1}-${day} ${hour}:${minute} → ${date.toISOString()}`);
-      return date;
-    }
-  }
-
-  // 2. Handle pipe separator (legacy: "8 January 2026 | 10:04")
-  let datePart = dateStr;
-  let timePart = null;
-  if (dateStr.includes('|')) {
-    const parts = dateStr.split('|').map(p => p.trim());
-    datePart = parts[0];
-    timePart = parts[1];
-  }
-
-  // 3. Try "DD Month YYYY" format (e.g., "8 January 2026")
-  const ENGLISH_MONTHS = {
-    'january': 0, 'february': 1, 'march': 2, 'april': 3,
-    'may': 4, 'june': 5, 'july': 6, 'august': 7,
-    'september': 8, 'october': 9, 'november': 10, 'december': 11,
-    'jan': 0, 'feb': 1, 'mar': 2, 'apr': 3, 'jun': 5,
-    'jul': 6, 'aug': 7, 'sep': 8, 'oct': 9, 'nov': 10, 'dec': 11
-  };
-
-  const ddMonthYYYY = datePart.match(/(\d{1,2})\s+(\w+)\s+(\d{4})/i);
-  if (ddMonthYYYY) {
-    const day = parseInt(ddMonthYYYY[1]);
-    const monthName = ddMonthYYYY[2].toLowerCase();
-    const year = parseInt(ddMonthYYYY[3]);
-    const month = ENGLISH_MONTHS[monthName];
-
-    if (month !== undefined && day >= 1 && day <= 31 && year >= 2020) {
-      const date = new Date(year, month, day);
-      if (timePart) {
-        const timeMatch = timePart.match(/(\d{1,2}):(\d{2})/);
-        if (timeMatch) date.setHours(parseInt(timeMatch[1]), parseInt(timeMatch[2]));
-      }
-      console.log(`[DATE-PARSE] DD Month YYYY: ${day} ${monthName} ${year} → ${date.toISOString()}`);
-      return date;
-    }
-  }
-
-  // 4. Try DD/MM/YYYY format (Cambodia standard)
-  const ddmmyyyy = datePart.match(/(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{4})/);
-  if (ddmmyyyy) {
-    let day = parseInt(ddmmyyyy[1]);
-    let month = parseInt(ddmmyyyy[2]);
-    const year = parseInt(ddmmyyyy[3]);
-
-    // Swap if month > 12 (must be DD/MM/YYYY)
-    if (month > 12 && day <= 12) [day, month] = [month, day];
-
-    if (day >= 1 && day <= 31 && month >= 1 && month <= 12 && year >= 2020) {
-      const date = new Date(year, month - 1, day);
-      console.log(`[DATE-PARSE] DD/MM/YYYY: ${day}/${month}/${year} → ${date.toISOString()}`);
-      return date;
-    }
-  }
-
-  console.log(`[ENGLISH] Failed to parse: "${dateStr}"`);
-  return null;
-}
-
-/**
- * Parse Khmer date formats (contains Khmer characters)
- * Handles: "org org org org org org org org org", "org org org org org org org | org org:org org", etc.
- */
-function parseKhmerDateOnly(dateStr) {
-  if (!dateStr) return null;
-
-  // Normalize and convert Khmer numerals to Arabic
-  let normalized = normalizeKhmerText(dateStr);
-  normalized = convertKhmerNumerals(normalized);
-  console.log(`[KHMER] Normalized: "${normalized}"`);
-
-  // Handle pipe separator - split date and time parts
-  let datePart = normalized;
-  let timePart = '';
-  if (normalized.includes('|')) {
-    const parts = normalized.split('|');
-    datePart = parts[0].trim();
-    timePart = parts[1]?.trim() || '';
-    console.log(`[KHMER] Date: "${datePart}", Time: "${timePart}"`);
-  }
-
-  // Find Khmer month name
-  const monthResult = findKhmerMonth(datePart);
-  if (!monthResult) {
-    console.log(`[KHMER] No month found in: "${datePart}"`);
-    return null;
-  }
-
-  const month = monthResult.month;
-  const monthMatch = monthResult.match;
-  console.log(`[KHMER] Month: ${monthMatch} -> ${month}`);
-
-  // Extract numbers from date part (excluding month name)
-  const withoutMonth = datePart.replace(monthMatch, ' ');
-  const dateNumbers = withoutMonth.match(/\d+/g) || [];
-  console.log(`[KHMER] Date numbers: ${JSON.stringify(dateNumbers)}`);
-
-  // Extract time from time part
-  let hour = 0, minute = 0;
-  if (timePart) {
-    const timeNumbers = timePart.match(/\d+/g) || [];
-    if (timeNumbers.length >= 2) {
-      hour = parseInt(timeNumbers[0]) || 0;
-      minute = parseInt(timeNumbers[1]) || 0;
-      if (hour > 23) hour = 0;
-      if (minute > 59) minute = 0;
-    }
-  }
-
-  if (dateNumbers.length < 2) {
-    console.log(`[KHMER] Not enough numbers for day/year`);
-    return null;
-  }
-
-  // Find year (4-digit number or > 31)
-  let day, year;
-  for (const num of dateNumbers) {
-    const n = parseInt(num);
-    if (num.length === 4 || n > 31) {
-      year = n < 100 ? n + 2000 : n;
-      break;
-    }
-  }
-
-  // Find day (1-31, not the year)
-  for (const num of dateNumbers) {
-    const n = parseInt(num);
-    if (n >= 1 && n <= 31 && n !== year) {
-      day = n;
-      break;
-    }
-  }
-
-  console.log(`[KHMER] Extracted: day=${day}, month=${month}, year=${year}, time=${hour}:${minute}`);
-
-  // Validate and create date
-  if (day && month && year && day >= 1 && day <= 31 && year >= 2020 && year <= 2100) {
-    const date = new Date(year, month - 1, day, hour, minute);
-    if (!isNaN(date.getTime())) {
-      console.log(`[KHMER] Success: ${date.toISOString()}`);
-      return date;
-    }
-  }
-
-  console.log(`[KHMER] Validation failed`);
-  return null;
-}
-
-/**
- * Main date parser - detects English vs Khmer and routes accordingly
- * Supports formats:
- * - "០៦ មករា ២០២៦" (pure Khmer)
- * - "06 មករា 2026" (mixed)
- * - "៦ មករorg ២០២៦ ១៣:៣៥" (with time)
- * - "06/01/2026" or "06-01-2026" (standard with Khmer numerals)
- *
- * @param {string} dateStr - Date string potentially containing Khmer
- * @returns {Date|null} - Parsed Date object or null if failed
- */
-function parseKhmerDate(dateStr) {
-  if (!dateStr) return null;
-
-  try {
-    // Detect if string contains Khmer script
-    const hasKhmer = containsKhmerScript(dateStr);
-    console.log(`[DATE-PARSE] Input: "${dateStr}" | Type: ${hasKhmer ? 'KHMER' : 'ENGLISH'}`);
-
-    if (!hasKhmer) {
-      // ========== ENGLISH PATH ==========
-      const englishDate = parseEnglishDate(dateStr);
-      if (englishDate) {
-        console.log(`[DATE-PARSE] ✅ English: ${englishDate.toISOString()}`);
-        return englishDate;
-      }
-      console.log(`[DATE-PARSE] ❌ English parsing failed`);
-      return null;
-    }
-
-    // ========== KHMER PATH ==========
-    const khmerDate = parseKhmerDateOnly(dateStr);
-    if (khmerDate) {
-      console.log(`[DATE-PARSE] ✅ Khmer: ${khmerDate.toISOString()}`);
-      return khmerDate;
-    }
-
-    // Fallback: convert numerals and try English parsing
-    const normalized = convertKhmerNumerals(normalizeKhmerText(dateStr));
-    const fallbackDate = parseEnglishDate(normalized);
-    if (fallbackDate) {
-      console.log(`[DATE-PARSE] ✅ Fallback: ${fallbackDate.toISOString()}`);
-      return fallbackDate;
-    }
-
-    console.log(`[DATE-PARSE] ❌ All parsing failed`);
-    return null;
-  } catch (error) {
-    console.error(`[DATE-PARSE] ❌ Error: ${error.message}`);
-    return null;
-  }
-}
-
-/**
- * Validates transaction date and checks for screenshot age fraud
- * @param {string} transactionDateStr - Transaction date from OCR
- * @param {Date} uploadedAt - When screenshot was uploaded
- * @param {number} maxAgeDays - Maximum allowed age in days
- * @returns {object} - { isValid, fraudType, ageDays, parsedDate, reason }
- */
-function validateTransactionDate(transactionDateStr, uploadedAt, maxAgeDays = 7, paymentData = null) {
-  const result = {
-    isValid: true,
-    fraudType: null,
-    ageDays: null,
-    parsedDate: null,
-    reason: null
-  };
-
-  // Check 1: Missing transaction date
-  if (!transactionDateStr || transactionDateStr === 'null' || transactionDateStr === 'undefined') {
-    result.isValid = false;
-    result.fraudType = 'MISSING_DATE';
-    result.reason = 'Transaction date not found in screenshot';
-    return result;
-  }
-
-  // NEW: Month/Year only validation (more reliable for Khmer dates)
-  // If we have transactionMonth and transactionYear from Claude/GPT-4, use those
-  if (paymentData && paymentData.transactionMonth && paymentData.transactionYear) {
-    const txMonth = paymentData.transactionMonth;
-    const txYear = paymentData.transactionYear;
-    const currentMonth = uploadedAt.getMonth() + 1; // 1-12
-    const currentYear = uploadedAt.getFullYear();
-
-    console.log(`📅 Validating month/year: ${txMonth}/${txYear} vs current ${currentMonth}/${currentYear}`);
-
-    // Calculate months difference
-    const monthsDiff = (currentYear - txYear) * 12 + (currentMonth - txMonth);
-
-    // Allow current month and previous month only
-    if (monthsDiff < 0) {
-      result.isValid = false;
-      result.fraudType = 'FUTURE_DATE';
-      result.reason = `Transaction date ${txMonth}/${txYear} is in the future`;
-      return result;
-    }
-
-    if (monthsDiff > 1) {
-      result.isValid = false;
-      result.fraudType = 'OLD_SCREENSHOT';
-      result.ageDays = monthsDiff * 30; // Approximate
-      result.reason = `Screenshot is from ${txMonth}/${txYear} (${monthsDiff} months old)`;
-      return result;
-    }
-
-    // Valid: same month or previous month
-    result.parsedDate = new Date(txYear, txMonth - 1, 1);
-    result.ageDays = monthsDiff * 30;
-    return result;
-  }
-
-  // Fallback: Parse full date if month/year not available
-  let transactionDate;
-  try {
-    transactionDate = parseKhmerDate(transactionDateStr);
-
-    if (!transactionDate || isNaN(transactionDate.getTime())) {
-      result.isValid = false;
-      result.fraudType = 'INVALID_DATE';
-      result.reason = `Invalid date format: ${transactionDateStr}`;
-      return result;
-    }
-
-    result.parsedDate = transactionDate;
-    console.log(`📅 Parsed date: "${transactionDateStr}" → ${transactionDate.toISOString()}`);
-  } catch (error) {
-    result.isValid = false;
-    result.fraudType = 'INVALID_DATE';
-    result.reason = `Failed to parse date: ${transactionDateStr}`;
-    return result;
-  }
-
-  // Future date check
-  if (transactionDate > uploadedAt) {
-    const futureDays = Math.ceil((transactionDate - uploadedAt) / (1000 * 60 * 60 * 24));
-    result.isValid = false;
-    result.fraudType = 'FUTURE_DATE';
-    result.ageDays = -futureDays;
-    result.reason = `Transaction date is ${futureDays} days in the future`;
-    return result;
-  }
-
-  // Old screenshot check
-  const ageDays = (uploadedAt - transactionDate) / (1000 * 60 * 60 * 24);
-  result.ageDays = Math.floor(ageDays);
-
-  if (ageDays > maxAgeDays) {
-    result.isValid = false;
-    result.fraudType = 'OLD_SCREENSHOT';
-    result.reason = `Screenshot is ${Math.floor(ageDays)} days old (max allowed: ${maxAgeDays} days)`;
-    return result;
-  }
-
-  return result;
-}
-
-/**
- * Creates fraud alert record in fraudAlerts collection
- * @param {object} fraudData - Fraud detection data
- * @returns {string|null} - Alert ID or null if failed
- */
-async function logFraudAlert(fraudData) {
-  try {
-    const alertId = `FA-${new Date().toISOString().split('T')[0].replace(/-/g, '')}-${Date.now().toString().slice(-6)}`;
-
-    const fraudAlert = {
-      _id: uuidv4(),
-      alertId: alertId,
-
-      // Fraud details
-      fraudType: fraudData.fraudType,
-      detectedAt: new Date(),
-      severity: fraudData.severity || 'MEDIUM',
-
-      // Payment reference
-      paymentId: fraudData.paymentId || null,
-      chatId: fraudData.chatId,
-      userId: fraudData.userId,
-      username: fraudData.username,
-      fullName: fraudData.fullName,
+      // Payment reference
+      paymentId: fraudData.paymentId || null,
+      chatId: fraudData.chatId,
+      userId: fraudData.userId,
+      username: fraudData.username,
+      fullName: fraudData.fullName,
 
       // Evidence
       transactionDate: fraudData.transactionDate,
@@ -2314,6 +2500,8 @@ async function logFraudAlert(fraudData) {
       bankName: fraudData.bankName || null,
 
       screenshotPath: fraudData.screenshotPath,
+      screenshotId: fraudData.screenshotId || null,
+      evidence: fraudData.evidence || null,
 
       // Review status
       reviewStatus: 'PENDING',
@@ -2351,9 +2539,17 @@ class OpenAIRateLimiter {
     this.lastRequestTime = 0;
     this.queue = [];
     this.processing = false;
+    // Concurrent OCR workers take slots one at a time
+    this.slotChain = Promise.resolve();
   }
 
-  async waitForSlot() {
+  waitForSlot() {
+    const slot = this.slotChain.then(() => this.acquireSlot());
+    this.slotChain = slot.catch(() => {});
+    return slot;
+  }
+
+  async acquireSlot() {
     const now = Date.now();
     const oneMinuteAgo = now - 60000;
 
@@ -2366,7 +2562,7 @@ class OpenAIRateLimiter {
       const waitTime = oldestRequest + 60000 - now + 100;
       console.log(`⏳ Rate limit reached (${this.requests.length}/${this.maxRequests}). Waiting ${Math.ceil(waitTime / 1000)}s...`);
       await new Promise(resolve => setTimeout(resolve, waitTime));
-      return this.waitForSlot();
+      return this.acquireSlot();
     }
 
     // Enforce minimum delay between requests for accurate processing
@@ -2400,80 +2596,6 @@ const OCR_RATE_LIMIT = parseInt(process.env.OCR_RATE_LIMIT_PER_MINUTE) || 10;
 const OCR_MIN_DELAY = parseInt(process.env.OCR_MIN_DELAY_MS) || 2000; // 2 seconds between requests
 const openaiRateLimiter = new OpenAIRateLimiter(OCR_RATE_LIMIT, OCR_MIN_DELAY);
 
-// ==== Claude Haiku for Khmer Date OCR ====
-const anthropic = process.env.CLAUDE_API_KEY
-  ? new Anthropic.default({ apiKey: process.env.CLAUDE_API_KEY })
-  : null;
-
-/**
- * Extract date from bank screenshot using Claude Haiku (better for Khmer script)
- * @param {Buffer} imageBuffer - Image buffer
- * @returns {object|null} - { day, month, year, hour, minute } or null
- */
-async function extractKhmerDateWithClaude(imageBuffer) {
-  if (!anthropic) {
-    console.log('[CLAUDE-OCR] Skipped: CLAUDE_API_KEY not set');
-    return null;
-  }
-
-  try {
-    console.log('[CLAUDE-OCR] Extracting date with Claude Haiku...');
-
-    const response = await anthropic.messages.create({
-      model: "claude-3-5-haiku-latest",
-      max_tokens: 200,
-      messages: [{
-        role: "user",
-        content: [
-          {
-            type: "image",
-            source: {
-              type: "base64",
-              media_type: "image/jpeg",
-              data: imageBuffer.toString('base64')
-            }
-          },
-          {
-            type: "text",
-            text: (() => {
-              const now = new Date();
-              const monthNames = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
-              const currentMonth = monthNames[now.getMonth()];
-              const currentYear = now.getFullYear();
-              return `Khmer bank screenshot. Current date is ${currentMonth} ${currentYear}. Find the transaction MONTH and YEAR in Khmer script. The month is likely ${currentMonth} (month ${now.getMonth() + 1}). Return MM/YYYY only. If unclear: UNCLEAR`;
-            })()
-          }
-        ]
-      }]
-    });
-
-    const responseText = response.content[0].text.trim();
-    console.log(`[CLAUDE-OCR] Raw response: ${responseText}`);
-
-    // Check for UNCLEAR
-    if (responseText.toUpperCase().includes('UNCLEAR')) {
-      console.log('[CLAUDE-OCR] Date unclear');
-      return null;
-    }
-
-    // Parse MM/YYYY format
-    const dateMatch = responseText.match(/(\d{1,2})\/(\d{4})/);
-    if (dateMatch) {
-      const dateData = {
-        month: parseInt(dateMatch[1]),
-        year: parseInt(dateMatch[2])
-      };
-      console.log(`[CLAUDE-OCR] Extracted: ${dateData.month}/${dateData.year}`);
-      return dateData;
-    }
-
-    return null;
-  } catch (error) {
-    console.error(`[CLAUDE-OCR] Error: ${error.message}`);
-    return null;
-  }
-}
-
 // ==== Retry Logic with Exponential Backoff ====
 async function retryWithBackoff(fn, options = {}) {
   const {
@@ -2553,546 +2675,92 @@ async function organizeScreenshot(originalPath, verificationStatus) {
 }
 
 // ==== Payment OCR Analysis Function ====
-async function analyzePaymentScreenshot(imagePath, chatId, userId, username, fullName, groupName = null) {
+async function analyzePaymentScreenshot(imagePath, chatId, userId, username, fullName, groupName = null, options = {}) {
   try {
-    // Get customer's expected payment amount from excelreadings (invoiceDB)
-    const excelReading = await excelReadingsCollection.findOne({ chatId: chatId });
-    let expectedAmountKHR = null;
-    if (excelReading && excelReading.amount) {
-      expectedAmountKHR = excelReading.amount;
-    }
-
-    // Read image and convert to base64
-    const imageBuffer = await fs.promises.readFile(imagePath);
-    const base64Image = imageBuffer.toString('base64');
-
-    // Call GPT-4o Vision API with retry logic and rate limiting (upgraded from 4o-mini for accuracy)
-    const openaiTimeout = parseInt(process.env.OCR_TIMEOUT_MS) || 60000;
-
-    const response = await retryWithBackoff(async () => {
-      // Wait for rate limiter slot before each attempt
-      await openaiRateLimiter.waitForSlot();
-
-      console.log(`🔍 Calling GPT-4o Vision API for Bank Statement OCR...`);
-
-      return await Promise.race([
-        openai.chat.completions.create({
-          model: 'gpt-4o',
-          messages: [
-            {
-              role: 'user',
-              content: [
-                {
-                  type: 'text',
-                  text: `You are a BANK STATEMENT VERIFICATION OCR system for Cambodian banks.
-
-STEP 1: IDENTIFY IMAGE TYPE
-First, determine if this image is from a BANKING APP at all.
-
-Set isBankStatement=FALSE if:
-- This is a chat screenshot (Telegram, WhatsApp, Messenger, LINE, etc.)
-- This is an invoice, bill, receipt, or QR code (NOT payment confirmation)
-- This is a random photo, meme, selfie, or non-banking image
-- This is text/numbers without a banking app interface
-- You cannot identify any banking app UI elements
-
-Set isBankStatement=TRUE if:
-- This shows a banking app interface (ABA Bank, Wing, ACLEDA, Canadia, Prince Bank, Sathapana)
-- Even if blurry, cropped, or partially visible - if it's clearly FROM a bank app
-
-STEP 2: VERIFY PAYMENT (only if isBankStatement=TRUE)
-If this IS a bank statement, determine if it's a valid payment proof:
-
-Set isPaid=TRUE if this is a COMPLETED TRANSFER. Look for:
-
-ABA Bank format (IMPORTANT - no "Success" text!):
-- CT logo with minus amount (e.g., "-28,000 KHR" or "-6.99 USD")
-- Shows "Trx. ID:", "To account:", "From account:"
-- Minus sign = money was sent = completed transfer
-- Has Transaction ID and Reference number
-
-ACLEDA/Wing format:
-- Shows "រួចរាល់" (completed) or checkmark ✓
-- Green success screen with amount
-
-Other banks:
-- "Success", "Completed", "ជោគជ័យ" text
-- Checkmark or green confirmation
-
-A transfer IS PAID if you can see:
-1. Amount (even with minus sign like -28,000)
-2. Transaction ID or Reference number
-3. Recipient info (account number OR name like "CHAN K. & THOEURN T.")
-
-Set isPaid=FALSE but keep isBankStatement=TRUE if:
-- Image is too blurry to read
-- Image is cropped/partial - missing key fields
-- Shows "Pending", "Failed", or "Processing" status
-
-KHMER NUMERAL REFERENCE (CRITICAL - use this to read dates accurately):
-០ = 0    ១ = 1    ២ = 2    ៣ = 3    ៤ = 4
-៥ = 5    ៦ = 6    ៧ = 7    ៨ = 8    ៩ = 9
-
-KHMER MONTHS:
-មករា = January (1)      កុម្ភៈ = February (2)
-មីនា = March (3)        មេសា = April (4)
-ឧសភា = May (5)          មិថុនា = June (6)
-កក្កដា = July (7)       សីហា = August (8)
-កញ្ញា = September (9)   តុលា = October (10)
-វិច្ឆិកា = November (11) ធ្នូ = December (12)
-
-YEAR VALIDATION: Current year is 2026. Bank screenshots should show 2024-2026.
-If you read a year like 2022 or 2023, RECHECK each digit against the chart above!
-
-STEP 3: EXTRACT PAYMENT DATA (only if isPaid=TRUE)
-Extract ALL fields carefully:
-- toAccount: The recipient account number (CRITICAL for security)
-- amount: CRITICAL - Read the MAIN/HEADER amount (large text, usually colored/highlighted):
-  * Look for the PRIMARY amount displayed prominently (e.g., "34,000 org" in header)
-  * DO NOT calculate or convert from USD to KHR yourself
-  * If screen shows both USD and KHR, use the KHR amount displayed
-  * If only USD shown, return USD amount and set currency="USD"
-  * ACLEDA: Read the green header amount (e.g., "34,000 org")
-  * ABA: Read the main amount after minus sign (e.g., "-28,000 KHR" → 28000)
-  * Remove commas, return as number (34,000 → 34000)
-- transactionId: The Trx. ID or Transaction ID
-- DATE FIELDS: Return date as SEPARATE components (more accurate for Khmer):
-  Use the Khmer numeral and month charts above carefully.
-  * dateDay: The day number (1-31)
-  * dateMonth: The month number (1-12). Use chart: មករorg org org org=1, កorg org org org org org org org=2, org org org org org org org org=3, org org org org org org org org=4, org org org org org org org org=5, org org org org org org org org org org=6, org org org org org org org org org org=7, org org org org org org org org=8, org org org org org org org org=9, org org org org org org org org=10, org org org org org org org org org org org org org org=11, org org org org org org org org=12
-  * dateYear: The 4-digit year (2024, 2025, 2026)
-  * dateHour: Hour (0-23)
-  * dateMinute: Minute (0-59)
-
-Return JSON format:
-{
-  "isBankStatement": true/false,
-  "isPaid": true/false,
-  "amount": number (HEADER amount, POSITIVE, no commas: 34000 not 33840),
-  "currency": "KHR" or "USD",
-  "transactionId": "string",
-  "referenceNumber": "string",
-  "fromAccount": "string (sender account/name)",
-  "toAccount": "string (recipient account number)",
-  "bankName": "string",
-  "dateDay": number (1-31),
-  "dateMonth": number (1-12),
-  "dateYear": number (2024-2026),
-  "dateHour": number (0-23),
-  "dateMinute": number (0-59),
-  "remark": "string",
-  "recipientName": "string",
-  "confidence": "high/medium/low"
-}
-
-RULES:
-1. isBankStatement is about IMAGE TYPE (is it from a bank app?)
-2. isPaid is about PAYMENT VALIDITY (can we verify the transfer?)
-3. Random photo → isBankStatement=false, isPaid=false, confidence=low
-4. Blurry bank statement → isBankStatement=true, isPaid=false, confidence=low
-5. Clear bank statement → isBankStatement=true, isPaid=true, confidence=high/medium
-6. Amount MUST be positive (if shows -28,000 KHR, return 28000)`
-                },
-                {
-                  type: 'image_url',
-                  image_url: {
-                    url: `data:image/jpeg;base64,${base64Image}`
-                  }
-                }
-              ]
-            }
-          ],
-          max_tokens: 1500
-        }),
-        new Promise((_, reject) =>
-          setTimeout(() => reject(new Error('OpenAI API timeout')), openaiTimeout)
-        )
-      ]);
-    });
-
-    console.log(`✅ OCR completed successfully`);
-
-    const aiResponse = response.choices[0].message.content;
-
-    // Parse JSON response
-    let paymentData;
-    try {
-      // Extract JSON from response (GPT might wrap it in markdown code blocks)
-      const jsonMatch = aiResponse.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        paymentData = JSON.parse(jsonMatch[0]);
-      } else {
-        throw new Error('No JSON found in response');
-      }
-    } catch (parseError) {
-      console.error('❌ Failed to parse AI response as JSON:', parseError);
-      paymentData = {
-        isPaid: false,
-        confidence: 'low',
-        rawResponse: aiResponse
-      };
-    }
-
-    // Use Claude Haiku for accurate Khmer date extraction (GPT-4 is unreliable for Khmer)
-    const claudeDate = await extractKhmerDateWithClaude(imageBuffer);
-
-    if (claudeDate && claudeDate.year && claudeDate.month) {
-      const year = parseInt(claudeDate.year);
-      const month = parseInt(claudeDate.month);
-
-      // Validate month/year only (day is unreliable with Khmer OCR)
-      if (year >= 2020 && year <= 2030 && month >= 1 && month <= 12) {
-        // Store month/year for validation, use day 1 as placeholder
-        const date = new Date(year, month - 1, 1, 0, 0);
-        paymentData.transactionDate = date.toISOString();
-        paymentData.transactionMonth = month;
-        paymentData.transactionYear = year;
-        console.log(`📅 [DATE] Claude Haiku: ${month}/${year} → ${paymentData.transactionDate}`);
-      } else {
-        console.log(`⚠️ [DATE] Invalid Claude components: year=${year}, month=${month}`);
-        paymentData.transactionDate = null;
-      }
-    } else if (paymentData.dateYear && paymentData.dateMonth) {
-      // Fallback to GPT-4 date fields if Claude fails (month/year only)
-      const year = parseInt(paymentData.dateYear);
-      const month = parseInt(paymentData.dateMonth);
-
-      if (year >= 2020 && year <= 2030 && month >= 1 && month <= 12) {
-        const date = new Date(year, month - 1, 1, 0, 0);
-        paymentData.transactionDate = date.toISOString();
-        paymentData.transactionMonth = month;
-        paymentData.transactionYear = year;
-        console.log(`📅 [DATE] GPT-4 fallback: ${month}/${year} → ${paymentData.transactionDate}`);
-      } else {
-        console.log(`⚠️ [DATE] Invalid GPT-4 components: year=${year}, month=${month}`);
-        paymentData.transactionDate = null;
-      }
-    } else {
-      console.log(`⚠️ [DATE] No date extracted from Claude or GPT-4`);
-      paymentData.transactionDate = null;
-    }
-
-    // Convert payment to KHR for verification
-    const amountInKHR = convertToKHR(paymentData.amount, paymentData.currency);
-
-    // Verify payment amount against expected amount
-    let isVerified = false;
-    let verificationNotes = '';
-
-    if (expectedAmountKHR && amountInKHR) {
-      const tolerance = parseFloat(process.env.PAYMENT_TOLERANCE_PERCENT) || 5;
-      const toleranceAmount = (expectedAmountKHR * tolerance) / 100;
-      const minAcceptable = expectedAmountKHR - toleranceAmount;
-      const maxAcceptable = expectedAmountKHR + toleranceAmount;
-
-      if (amountInKHR >= minAcceptable && amountInKHR <= maxAcceptable) {
-        isVerified = true;
-        verificationNotes = `Amount verified within ${tolerance}% tolerance`;
-      } else {
-        isVerified = false;
-        verificationNotes = `Amount mismatch: Expected ${expectedAmountKHR} KHR, got ${amountInKHR} KHR`;
+    // Retried queue job whose payment was already saved - nothing to redo
+    if (options.paymentId) {
+      const existingRecord = await paymentsCollection.findOne({ _id: options.paymentId });
+      if (existingRecord) {
+        console.log(`♻️ Payment ${options.paymentId} already processed | Chat ${chatId}`);
+        return existingRecord;
       }
-    } else {
-      verificationNotes = 'Cannot verify - missing expected amount or extracted amount';
     }
 
-    // ==== BANK FORMAT ENHANCEMENT ====
-    // Try enhanced ML bank format extraction
-    console.log(`📋 Original OCR: ${paymentData.recipientName} / ${paymentData.toAccount}`);
+    // Payment ID is assigned up front so fraud alerts and the review photo buttons can reference it
+    // (queue jobs assign it at enqueue time so retries stay idempotent)
+    const paymentId = options.paymentId || uuidv4();
 
-    let enhancedResult = null;
-    let toAccount = paymentData.toAccount || '';
-    let recipientName = paymentData.recipientName || '';
+    // Side effects of an earlier attempt of this queue job are not repeated
+    const effects = { ...(options.effects || {}) };
+    const recordEffect = async (name, value) => {
+      effects[name] = value;
+      if (options.onEffect) await options.onEffect(name, value);
+    };
 
+    // Exact + perceptual hash for duplicate image detection
+    const imageBuffer = await fs.promises.readFile(imagePath);
+    let imageHashes = null;
     try {
-      enhancedResult = await extractWithEnhancedBankFormat(aiResponse);
-      console.log(`🤖 Enhanced ML result:`, {
-        bank: enhancedResult.bank,
-        success: enhancedResult.success,
-        confidence: enhancedResult.confidence.toFixed(3),
-        method: enhancedResult.method
-      });
-
-      // Use enhanced results if they're confident
-      if (enhancedResult.success && enhancedResult.confidence > 0.4) {
-        if (enhancedResult.recipientName && !recipientName) {
-          recipientName = enhancedResult.recipientName;
-          console.log(`🤖 Enhanced ML recipient: "${recipientName}" (${enhancedResult.bank})`);
-        }
-
-        if (enhancedResult.toAccount && !toAccount) {
-          toAccount = enhancedResult.toAccount;
-          console.log(`🤖 Enhanced ML account: "${toAccount}" (${enhancedResult.bank})`);
-        }
-
-        // Store enhanced metadata
-        paymentData.bankFormatEnhancement = {
-          detected: true,
-          bank: enhancedResult.bank,
-          confidence: enhancedResult.confidence,
-          method: enhancedResult.method,
-          mlEnhancement: enhancedResult.mlEnhancement
-        };
-      } else {
-        paymentData.bankFormatEnhancement = {
-          detected: false,
-          reason: enhancedResult.reason || 'low_confidence',
-          method: enhancedResult.method
-        };
-      }
-    } catch (error) {
-      console.warn(`⚠️ Enhanced ML extraction failed, using fallback: ${error.message}`);
-
-      // Fallback to traditional bank format extraction
-      const bankFormatResult = extractWithBankFormat(aiResponse);
-
-      if (bankFormatResult.success && bankFormatResult.confidence > 0.7) {
-        if (bankFormatResult.recipientName && !recipientName) {
-          recipientName = bankFormatResult.recipientName;
-        }
-        if (bankFormatResult.toAccount && !toAccount) {
-          toAccount = bankFormatResult.toAccount;
-        }
-
-        paymentData.bankFormatEnhancement = {
-          detected: true,
-          bank: bankFormatResult.bank,
-          confidence: bankFormatResult.confidence,
-          method: 'fallback_traditional'
-        };
-      } else {
-        paymentData.bankFormatEnhancement = {
-          detected: false,
-          reason: 'fallback_failed',
-          method: 'fallback_traditional'
-        };
-      }
+      imageHashes = await computeImageHashes(imageBuffer);
+    } catch (hashError) {
+      console.error('⚠️ Image hashing failed (duplicate image check skipped):', hashError.message);
     }
 
-    // ==== ENHANCED SECURITY: ML-Powered Recipient Verification ====
-    let recipientVerified = false;
-    let recipientVerificationDetails = null;
-
+    // Local tampering heuristics, scored once OCR has named the bank
+    let forensicsReport = null;
     try {
-      // Try ML-enhanced recipient validation if available
-      if (enhancedResult?.mlEnhancement?.recipientValidation) {
-        const mlValidation = enhancedResult.mlEnhancement.recipientValidation;
-        recipientVerificationDetails = mlValidation;
-
-        if (mlValidation.finalResult) {
-          recipientVerified = mlValidation.finalResult.isValid;
-          const confidence = mlValidation.finalResult.confidence;
-
-          if (recipientVerified && confidence > 0.7) {
-            console.log(`✅ SECURITY: ML recipient verified | Chat ${chatId} | Account: ${toAccount} | Name: ${recipientName} | Confidence: ${confidence.toFixed(3)} | Method: ${mlValidation.finalResult.method}`);
-          } else if (recipientVerified && confidence > 0.4) {
-            console.log(`⚡ SECURITY: ML recipient verified (medium confidence) | Chat ${chatId} | Confidence: ${confidence.toFixed(3)}`);
-          } else {
-            console.log(`🚨 SECURITY: ML recipient validation failed | Chat ${chatId} | Confidence: ${confidence.toFixed(3)} | Method: ${mlValidation.finalResult.method}`);
-          }
-        }
-      }
-
-      // Fallback to rule-based validation if ML didn't run or has low confidence
-      if (!recipientVerified || (recipientVerificationDetails?.finalResult?.confidence || 0) < 0.6) {
-        console.log('📋 Using fallback rule-based recipient validation...');
-
-        // Traditional verification logic
-        const combinedText = (toAccount + ' ' + recipientName).toLowerCase();
-        const normalizedAccount = toAccount.replace(/\s/g, '').toLowerCase();
-
-        const ruleBasedVerified = (
-          normalizedAccount.includes('086228226') ||     // account no spaces
-          combinedText.includes('086 228 226') ||        // account with spaces
-          combinedText.includes('chan k') ||             // "CHAN K." initials
-          combinedText.includes('thoeurn t') ||          // "THOEURN T." initials
-          combinedText.includes('chan kasing') ||        // full name
-          combinedText.includes('thoeurn theary')        // full name
-        );
-
-        // Use rule-based result if ML confidence is low
-        if (!recipientVerified || (recipientVerificationDetails?.finalResult?.confidence || 0) < 0.4) {
-          recipientVerified = ruleBasedVerified;
-          console.log(`📝 Rule-based verification: ${ruleBasedVerified} | Chat ${chatId}`);
-        }
-      }
-
-    } catch (error) {
-      console.warn(`⚠️ ML recipient validation error: ${error.message}`);
-
-      // Fallback to traditional verification
-      const combinedText = (toAccount + ' ' + recipientName).toLowerCase();
-      const normalizedAccount = toAccount.replace(/\s/g, '').toLowerCase();
-
-      recipientVerified = (
-        normalizedAccount.includes('086228226') ||
-        combinedText.includes('086 228 226') ||
-        combinedText.includes('chan k') ||
-        combinedText.includes('thoeurn t') ||
-        combinedText.includes('chan kasing') ||
-        combinedText.includes('thoeurn theary')
-      );
-
-      console.log(`📝 Fallback verification: ${recipientVerified} | Chat ${chatId}`);
+      forensicsReport = await analyzeImageForensics(imageBuffer);
+    } catch (forensicsError) {
+      console.error('⚠️ Image forensics failed (tampering check skipped):', forensicsError.message);
     }
 
-    // Log final verification result
-    if (recipientVerified) {
-      console.log(`✅ SECURITY: Final recipient verification PASSED | Chat ${chatId} | Account: ${toAccount} | Name: ${recipientName}`);
-    } else if (!toAccount && !recipientName) {
-      console.log(`⚠️ SECURITY: No recipient info found | Chat ${chatId}`);
-    } else {
-      console.log(`🚨 SECURITY: Final recipient verification FAILED | Chat ${chatId} | Got: ${toAccount} / ${recipientName}`);
-    }
-
-    // Store recipient verification details for analytics
-    if (recipientVerificationDetails) {
-      paymentData.mlRecipientValidation = recipientVerificationDetails;
-    }
-
-    // ==== 3-STAGE VERIFICATION PIPELINE ====
-    let finalVerificationStatus = 'pending';
-    let paymentLabel = 'PENDING';
-    let rejectionReason = null;
-
-    // STAGE 1: Is it a bank statement?
-    if (paymentData.isBankStatement === false) {
-      finalVerificationStatus = 'rejected';
-      rejectionReason = 'NOT_BANK_STATEMENT';
-      paymentLabel = 'UNPAID';
-      console.log(`🔇 Stage 1: NOT a bank statement | Chat ${chatId}`);
-    }
-    // STAGE 2: Confidence check (blurry?)
-    else if (paymentData.confidence !== 'high') {
-      finalVerificationStatus = 'pending';
-      rejectionReason = 'BLURRY';
-      paymentLabel = 'PENDING';
-      console.log(`⏳ Stage 2: Blurry/unclear (${paymentData.confidence} confidence) | Chat ${chatId}`);
-    }
-    // STAGE 3: Security verification (HIGH confidence only)
-    else {
-      // Check 3a: Recipient
-      if (!recipientVerified && (toAccount || recipientName)) {
-        finalVerificationStatus = 'rejected';
-        rejectionReason = 'WRONG_RECIPIENT';
-        paymentLabel = 'UNPAID';
-        verificationNotes += ` | SECURITY: Wrong recipient - got ${toAccount} / ${recipientName}`;
-        console.log(`❌ Stage 3a: Wrong recipient | Chat ${chatId}`);
-      }
-      // Check 3b: Amount
-      else if (!isVerified) {
-        finalVerificationStatus = 'pending';
-        rejectionReason = 'AMOUNT_MISMATCH';
-        paymentLabel = 'PENDING';
-        console.log(`⏳ Stage 3b: Amount mismatch | Chat ${chatId} | Expected: ${expectedAmountKHR} | Got: ${amountInKHR}`);
-      }
-      // All checks pass
-      else {
-        finalVerificationStatus = 'verified';
-        rejectionReason = null;
-        paymentLabel = 'PAID';
-        console.log(`✅ Stage 3: All checks passed | Chat ${chatId}`);
-      }
-    }
-
-    // ==== FRAUD DETECTION: Old Screenshot Check ====
-    // Only check for OLD_SCREENSHOT fraud if date is successfully extracted
-    // Skip fraud check for MISSING_DATE or INVALID_DATE (Khmer dates cause GPT-4 to return null)
-    const MAX_SCREENSHOT_AGE_DAYS = parseInt(process.env.MAX_SCREENSHOT_AGE_DAYS) || 7;
-
-    if (paymentData.transactionDate && paymentData.transactionDate !== 'null') {
-      const dateValidation = validateTransactionDate(
-        paymentData.transactionDate,
-        new Date(), // uploadedAt
-        MAX_SCREENSHOT_AGE_DAYS,
-        paymentData // Pass paymentData for month/year validation
-      );
-
-      // Only flag fraud for OLD_SCREENSHOT (date is readable but too old)
-      // Skip MISSING_DATE, INVALID_DATE, FUTURE_DATE (likely Khmer date extraction issues)
-      if (!dateValidation.isValid && dateValidation.fraudType === 'OLD_SCREENSHOT') {
-        console.log(`🚨 FRAUD DETECTED: ${dateValidation.fraudType} | ${dateValidation.reason}`);
-
-        // Log to fraudAlerts collection
-        const alertId = await logFraudAlert({
-          fraudType: dateValidation.fraudType,
-          severity: 'HIGH',
-          chatId: chatId,
-          userId: userId,
-          username: username,
-          fullName: fullName,
-          groupName: groupName,
-          transactionDate: paymentData.transactionDate,
-          uploadedAt: new Date(),
-          screenshotAgeDays: dateValidation.ageDays,
-          maxAllowedAgeDays: MAX_SCREENSHOT_AGE_DAYS,
-          transactionId: paymentData.transactionId,
-          referenceNumber: paymentData.referenceNumber,
-          amount: amountInKHR,
-          currency: paymentData.currency,
-          bankName: paymentData.bankName,
-          screenshotPath: imagePath, // Will be updated after organization
-          verificationNotes: verificationNotes,
-          confidence: paymentData.confidence,
-          aiAnalysis: aiResponse,
-          actionTaken: 'HELD_FOR_REVIEW'
-        });
-
-        // Override verification status → REJECTED (fraud)
-        finalVerificationStatus = 'rejected';
-        rejectionReason = 'OLD_SCREENSHOT';
-        paymentLabel = 'UNPAID';
-
-        // Update verification notes
-        verificationNotes += ` | FRAUD: ${dateValidation.reason} | Alert: ${alertId}`;
+    // OCR and verification decisions (src/verification-pipeline.js)
+    const {
+      paymentData,
+      aiResponse,
+      amountInKHR,
+      expectedAmountKHR,
+      billMatch,
+      isVerified,
+      verificationNotes,
+      recipientVerified,
+      matchedRecipientId,
+      finalVerificationStatus,
+      paymentLabel,
+      rejectionReason,
+      pipelineStages,
+      duplicateImages,
+      tampering,
+      fraudAlertIds
+    } = await runVerificationPipeline({
+      ocrProvider,
+      paymentsCollection,
+      excelReadingsCollection,
+      recipientsCollection,
+      rateLimiter: openaiRateLimiter,
+      retry: retryWithBackoff,
+      onFraudAlert: logFraudAlert,
+      onOcrComplete: options.onStage && (() => options.onStage(JOB_STATES.VERIFYING)),
+      forensicsOptions: FORENSICS_OPTIONS,
+      findDuplicateImages: async (hashes, context) => {
+        const matches = await findDuplicateImages(screenshotFilesCollection, hashes, { ...context, maxDistance: PHASH_MAX_DISTANCE });
+
+        // GridFS metadata keeps the upload-time status - match on the payment's status now
+        const payments = await paymentsCollection.find(
+          { _id: { $in: matches.map(match => match.paymentId).filter(Boolean) } },
+          { projection: { verificationStatus: 1 } }
+        ).toArray();
+        const currentStatus = new Map(payments.map(payment => [payment._id, payment.verificationStatus]));
+
+        return matches
+          .map(match => ({
+            ...match,
+            verificationStatus: currentStatus.get(match.paymentId) || match.verificationStatus,
+            screenshotUrl: `/screenshots/gridfs/${match.screenshotId}`
+          }))
+          .filter(match => MATCHABLE_STATUSES.includes(match.verificationStatus));
       }
-    }
-
-    // ==== SECURITY: Transaction ID Uniqueness Check (Prevent Duplicate Fraud) ====
-    // Check if transaction ID has already been used by another customer
-    if (paymentData.transactionId && paymentData.transactionId.trim() !== '') {
-      const existingPayment = await paymentsCollection.findOne({
-        transactionId: paymentData.transactionId,
-        paymentLabel: { $in: ['PAID', 'PENDING'] } // Only check verified/pending payments
-      });
-
-      if (existingPayment) {
-        // Duplicate transaction detected!
-        console.log(`🚨 DUPLICATE TRANSACTION DETECTED | Trx ID: ${paymentData.transactionId} | Chat ${chatId} | Original: ${existingPayment.chatId}`);
-
-        // Log to fraudAlerts collection
-        const alertId = await logFraudAlert({
-          fraudType: 'DUPLICATE_TRANSACTION',
-          severity: 'CRITICAL',
-          chatId: chatId,
-          userId: userId,
-          username: username,
-          fullName: fullName,
-          groupName: groupName,
-          transactionDate: paymentData.transactionDate,
-          uploadedAt: new Date(),
-          screenshotAgeDays: null,
-          maxAllowedAgeDays: null,
-          transactionId: paymentData.transactionId,
-          referenceNumber: paymentData.referenceNumber,
-          amount: amountInKHR,
-          currency: paymentData.currency,
-          bankName: paymentData.bankName,
-          screenshotPath: imagePath,
-          verificationNotes: `DUPLICATE: Transaction ${paymentData.transactionId} already used by chatId ${existingPayment.chatId}`,
-          confidence: paymentData.confidence,
-          aiAnalysis: aiResponse,
-          actionTaken: 'REJECTED_DUPLICATE'
-        });
-
-        // Override to REJECTED
-        finalVerificationStatus = 'rejected';
-        rejectionReason = 'DUPLICATE_TRANSACTION';
-        paymentLabel = 'UNPAID';
-
-        verificationNotes += ` | FRAUD: Duplicate transaction ID (already used by another customer) | Alert: ${alertId}`;
-      }
-    }
+    }, { imageBuffer, imagePath, imageHashes, forensicsReport, paymentId, chatId, userId, username, fullName, groupName });
 
     // ==== MESSAGE LOGIC based on rejectionReason ====
     let userMessage = null;
@@ -3128,6 +2796,33 @@ RULES:
 សូមផ្ញើបង្កាន់ដៃផ្សេង។
 
 (This receipt has already been used. Please send a different receipt.)`;
+    } else if (rejectionReason === 'DUPLICATE_IMAGE') {
+      // Same screenshot as an earlier payment - exact copy is rejected, near match is reviewed
+      userMessage = finalVerificationStatus === 'rejected'
+        ? `❌ បង្កាន់ដៃនេះត្រូវបានប្រើរួចហើយ
+
+សូមផ្ញើបង្កាន់ដៃផ្សេង។
+
+(This receipt has already been used. Please send a different receipt.)`
+        : `⏳ បានទទួលបង្កាន់ដៃ
+
+សូមរង់ចាំការពិនិត្យ។
+
+(Receipt received - under review.)`;
+    } else if (rejectionReason === 'INVALID_TRANSACTION_ID') {
+      // ID doesn't fit the bank's format - auditor checks the receipt
+      userMessage = `⏳ បានទទួលបង្កាន់ដៃ
+
+សូមរង់ចាំការពិនិត្យ។
+
+(Receipt received - under review.)`;
+    } else if (rejectionReason === 'TAMPER_SUSPECTED') {
+      // Possible edited receipt - don't reveal why it is held
+      userMessage = `⏳ បានទទួលបង្កាន់ដៃ
+
+សូមរង់ចាំការពិនិត្យ។
+
+(Receipt received - under review.)`;
     } else if (rejectionReason === 'AMOUNT_MISMATCH') {
       // Amount mismatch - show what they paid
       userMessage = `⏳ បានទទួល ${amountInKHR || 0} KHR
@@ -3135,6 +2830,13 @@ RULES:
 ចំនួនទឹកប្រាក់មិនត្រូវគ្នា។ សូមរង់ចាំការពិនិត្យ។
 
 (Received ${amountInKHR || 0} KHR. Amount mismatch - under review.)`;
+    } else if (rejectionReason === 'RECIPIENT_NOT_CONFIGURED') {
+      // No registry entry for this group - auditor must confirm the account
+      userMessage = `⏳ បានទទួលបង្កាន់ដៃ
+
+សូមរង់ចាំការពិនិត្យ។
+
+(Receipt received - under review.)`;
     } else if (finalVerificationStatus === 'verified') {
       // VERIFIED - success message
       userMessage = buildVerificationMessage(
@@ -3146,14 +2848,15 @@ RULES:
       );
     }
 
-    // Send message if not silent
-    if (userMessage) {
+    // Send message if not silent (once per payment)
+    if (userMessage && !effects.customerNotified) {
       try {
         await bot.sendMessage(chatId, userMessage);
         console.log(`📤 Message sent | ${rejectionReason || 'VERIFIED'} | Chat ${chatId}`);
       } catch (notifyErr) {
         console.error('❌ Failed to send message:', notifyErr.message);
       }
+      await recordEffect('customerNotified', new Date());
     }
 
     // Organize screenshot into appropriate folder
@@ -3165,24 +2868,53 @@ RULES:
     try {
       imageBufferForAudit = await fs.promises.readFile(organizedPath);
       const filename = path.basename(organizedPath);
-      screenshotId = await uploadScreenshotToGridFS(imageBufferForAudit, filename, {
+      // A retried job reuses the upload of its earlier attempt
+      const uploaded = await screenshotFilesCollection.findOne({ 'metadata.paymentId': paymentId }, { projection: { _id: 1 } });
+      screenshotId = uploaded ? uploaded._id.toString() : await uploadScreenshotToGridFS(imageBufferForAudit, filename, {
         chatId,
         userId,
         username,
         verificationStatus: finalVerificationStatus,
-        transactionId: paymentData.transactionId || null
+        transactionId: paymentData.transactionId || null,
+        paymentId,
+        amountInKHR,
+        ...(imageHashes && {
+          sha256: imageHashes.sha256,
+          phash: imageHashes.phash,
+          phashBands: imageHashes.phashBands
+        })
       });
     } catch (gridfsErr) {
       console.error('⚠️ GridFS upload failed (keeping local file):', gridfsErr.message);
     }
 
-    // Send pending screenshots to pending chat for review
-    if (finalVerificationStatus === 'pending' && PENDING_CHAT_ID && imageBufferForAudit) {
+    // Link this screenshot to the fraud alerts raised for it
+    if (fraudAlertIds.length > 0) {
+      try {
+        await fraudAlertsCollection.updateMany(
+          { alertId: { $in: fraudAlertIds } },
+          {
+            $set: {
+              screenshotPath: organizedPath,
+              screenshotId,
+              screenshotUrl: screenshotId ? `/screenshots/gridfs/${screenshotId}` : null
+            }
+          }
+        );
+      } catch (linkError) {
+        console.error('⚠️ Failed to link screenshot to fraud alerts:', linkError.message);
+      }
+    }
+
+    let reviewMessageId = effects.reviewMessageId || null;
+
+    // Send pending screenshots to pending chat for review (once per payment)
+    if (finalVerificationStatus === 'pending' && PENDING_CHAT_ID && imageBufferForAudit && !reviewMessageId) {
       try {
-        // Get customer's current total paid
+        // Get customer's current total paid and open balance
         const customer = await customersCollection.findOne({ chatId: chatId });
         const totalPaid = customer?.totalPaid || 0;
-        const remaining = expectedAmountKHR ? expectedAmountKHR - totalPaid : null;
+        const remaining = customer ? customer.remainingBalance : null;
 
         const auditCaption = `🔍 PENDING REVIEW
 
@@ -3190,27 +2922,31 @@ RULES:
  Group: ${groupName || 'Unknown'}
  Chat ID: ${chatId}
  This Payment: ${amountInKHR?.toLocaleString() || 0} KHR
- Total Expected: ${expectedAmountKHR?.toLocaleString() || 'N/A'} KHR
+ Expected (${billMatch.periods.join(', ') || 'no open bill'}): ${expectedAmountKHR?.toLocaleString() || 'N/A'} KHR
  Already Paid: ${totalPaid.toLocaleString()} KHR
  Remaining: ${remaining !== null ? remaining.toLocaleString() : 'N/A'} KHR
 
  Bank: ${paymentData.bankName || 'Unknown'}
  Reason: ${rejectionReason || 'Amount mismatch'}
+ Payment ID: ${paymentId}
  Time: ${new Date().toLocaleString('en-GB', { timeZone: 'Asia/Phnom_Penh' })}`;
 
-        await bot.sendPhoto(PENDING_CHAT_ID, imageBufferForAudit, {
+        const reviewMessage = await bot.sendPhoto(PENDING_CHAT_ID, imageBufferForAudit, {
           caption: auditCaption,
-          filename: `pending_${chatId}_${Date.now()}.jpg`
+          filename: `pending_${chatId}_${Date.now()}.jpg`,
+          reply_markup: buildReviewKeyboard(paymentId)
         });
+        reviewMessageId = reviewMessage?.message_id || null;
         console.log(`📤 [PENDING] Sent pending screenshot to pending chat | Customer: ${fullName || username}`);
       } catch (auditErr) {
         console.error('⚠️ [AUDIT] Failed to send to audit chat:', auditErr.message);
       }
+      if (reviewMessageId) await recordEffect('reviewMessageId', reviewMessageId);
     }
 
     // Store in payments collection
     const paymentRecord = {
-      _id: uuidv4(),
+      _id: paymentId,
       chatId,
       userId,
       username,
@@ -3218,6 +2954,16 @@ RULES:
       groupName,
       screenshotPath: organizedPath,
       screenshotId: screenshotId,
+      imageSha256: imageHashes?.sha256 || null,
+      imagePhash: imageHashes?.phash || null,
+      duplicateImageMatches: duplicateImages.slice(0, 5).map(match => ({
+        screenshotId: match.screenshotId,
+        paymentId: match.paymentId,
+        chatId: match.chatId,
+        exact: match.exact,
+        similarity: match.similarity
+      })),
+      imageForensics: tampering,
       uploadedAt: new Date(),
       createdAt: new Date(), // Ensure createdAt exists for date filtering
 
@@ -3237,15 +2983,20 @@ RULES:
       transactionDate: paymentData.transactionDate || null,
       remark: paymentData.remark || null,
       recipientName: paymentData.recipientName || null,
+      recipientId: recipientVerified ? matchedRecipientId : null,
 
       // Verification
       expectedAmountKHR: expectedAmountKHR,
+      matchedBillIds: billMatch.billIds,
+      matchedBillPeriods: billMatch.periods,
+      billMatchType: billMatch.matchType,
       isVerified: isVerified,
       verificationNotes: verificationNotes,
 
       // Analysis metadata
       confidence: paymentData.confidence || 'low',
       aiAnalysis: aiResponse,
+      ocrProvider: ocrProvider.name,
       verificationStatus: finalVerificationStatus,
       rejectionReason: rejectionReason,
       isBankStatement: paymentData.isBankStatement !== false,
@@ -3269,11 +3020,10 @@ RULES:
             duplicateCheck: rejectionReason === 'DUPLICATE_TRANSACTION',
             timestampCheck: rejectionReason === 'OLD_SCREENSHOT'
           },
-          userAgent: msg.from ? {
-            id: msg.from.id,
-            username: msg.from.username,
-            firstName: msg.from.first_name,
-            lastName: msg.from.last_name
+          userAgent: userId ? {
+            id: userId,
+            username: username || null,
+            fullName: fullName || null
           } : null
         }
       }),
@@ -3281,14 +3031,33 @@ RULES:
       // Enhanced audit fields for pending verification
       ...(finalVerificationStatus === 'pending' && {
         pendingAt: new Date(),
-        pendingReason: rejectionReason, // BLURRY or AMOUNT_MISMATCH
-        requiresManualReview: true
+        pendingReason: rejectionReason, // BLURRY, AMOUNT_MISMATCH or RECIPIENT_NOT_CONFIGURED
+        requiresManualReview: true,
+        reviewMessage: reviewMessageId ? { chatId: PENDING_CHAT_ID, messageId: reviewMessageId } : null
       })
     };
 
     try {
       await paymentsCollection.insertOne(paymentRecord);
 
+      // Audit trail: one event per pipeline stage that decided the label
+      let previousStage = null;
+      for (const stage of pipelineStages) {
+        const stageValues = { ...stage, amountInKHR };
+        await recordAuditEvent(auditEventsCollection, {
+          paymentId,
+          chatId,
+          action: previousStage ? 'pipeline_override' : 'created',
+          actor: 'auto_verification',
+          source: AUDIT_SOURCES.PIPELINE,
+          stage: stage.stage,
+          before: previousStage,
+          after: stageValues,
+          reason: stage.reason
+        });
+        previousStage = stageValues;
+      }
+
       // Update customer payment status in real-time
       await updateCustomerPaymentStatus(chatId, paymentRecord);
 
@@ -3369,6 +3138,8 @@ ${verificationNotes || 'Payment failed verification checks.'}`;
 
   } catch (error) {
     console.error('❌ Payment OCR analysis failed:', error);
+    // Queue jobs rethrow so the job is retried with backoff
+    if (options.throwOnError) throw error;
     return null;
   }
 }
@@ -3378,13 +3149,17 @@ function setupAuditCommands() {
   // /verify chatid - Approve pending payment as partial pay
   bot.onText(/\/verify\s+(-?\d+)/, async (msg, match) => {
   const fromChatId = msg.chat.id.toString();
-  const targetChatId = match[1];
+  const targetChatId = parseInt(match[1]);
 
   // Only allow command from audit chat
   if (fromChatId !== AUDIT_CHAT_ID) {
     console.log(`⚠️ [VERIFY] Unauthorized: Command from ${fromChatId}, expected ${AUDIT_CHAT_ID}`);
     return;
   }
+  if (!isAuditor(msg.from, AUDITOR_USER_IDS, { allowUnconfigured: true })) {
+    console.log(`⚠️ [VERIFY] Unauthorized: User ${msg.from?.id} is not an auditor`);
+    return;
+  }
 
   try {
     // Find most recent pending payment for this chat
@@ -3398,28 +3173,18 @@ function setupAuditCommands() {
       return;
     }
 
-    // Update payment to PAID (partial payment approved)
-    await paymentsCollection.updateOne(
-      { _id: pendingPayment._id },
-      {
-        $set: {
-          paymentLabel: 'PAID',
-          verificationStatus: 'verified',
-          verificationNotes: `${pendingPayment.verificationNotes || ''} | Manually approved as partial payment by auditor`,
-          approvedAt: new Date(),
-          approvedBy: msg.from.username || msg.from.id
-        }
-      }
-    );
+    // Update payment to PAID (partial payment approved) and recompute customer totals
+    const result = await paymentTransitions.transitionPayment(pendingPayment._id, 'PAID', {
+      actor: formatActor(msg.from),
+      source: AUDIT_SOURCES.TELEGRAM_VERIFY,
+      notes: 'Manually approved as partial payment by auditor',
+      fromLabels: ['PENDING']
+    });
 
-    // Update customer total
-    await customersCollection.updateOne(
-      { chatId: targetChatId },
-      {
-        $inc: { totalPaid: pendingPayment.amountInKHR || 0 },
-        $set: { lastUpdated: new Date() }
-      }
-    );
+    if (!result.success) {
+      await bot.sendMessage(AUDIT_CHAT_ID, `❌ ${result.error} (Payment ID: ${pendingPayment._id})`);
+      return;
+    }
 
     // Send confirmation to audit chat
     await bot.sendMessage(AUDIT_CHAT_ID,
@@ -3445,13 +3210,17 @@ function setupAuditCommands() {
 
 bot.onText(/\/reject\s+(-?\d+)/, async (msg, match) => {
   const fromChatId = msg.chat.id.toString();
-  const targetChatId = match[1];
+  const targetChatId = parseInt(match[1]);
 
   // Only allow command from audit chat
   if (fromChatId !== AUDIT_CHAT_ID) {
     console.log(`⚠️ [REJECT] Unauthorized: Command from ${fromChatId}, expected ${AUDIT_CHAT_ID}`);
     return;
   }
+  if (!isAuditor(msg.from, AUDITOR_USER_IDS, { allowUnconfigured: true })) {
+    console.log(`⚠️ [REJECT] Unauthorized: User ${msg.from?.id} is not an auditor`);
+    return;
+  }
 
   try {
     // Find most recent pending payment for this chat
@@ -3466,32 +3235,28 @@ bot.onText(/\/reject\s+(-?\d+)/, async (msg, match) => {
     }
 
     // Update payment to UNPAID (rejected) with enhanced audit tracking
-    await paymentsCollection.updateOne(
-      { _id: pendingPayment._id },
-      {
-        $set: {
-          paymentLabel: 'UNPAID',
-          verificationStatus: 'rejected',
-          verificationNotes: `${pendingPayment.verificationNotes || ''} | Manually rejected by auditor - bad screenshot`,
-          rejectedAt: new Date(),
-          rejectedBy: msg.from.username || msg.from.id,
-          rejectionReason: 'MANUAL_REJECTION',
-          // Enhanced audit tracking for manual rejections
-          reviewedAt: new Date(),
-          reviewedBy: msg.from.username || msg.from.id,
-          reviewNotes: 'Manual rejection via Telegram command - bad screenshot',
-          reviewAction: 'confirm_rejection',
-          rejectionMetadata: {
-            manualReview: true,
-            reviewerId: msg.from.id,
-            reviewerUsername: msg.from.username,
-            reviewerName: `${msg.from.first_name || ''} ${msg.from.last_name || ''}`.trim(),
-            originalReason: pendingPayment.rejectionReason || 'PENDING_REVIEW',
-            reviewTimestamp: new Date().toISOString()
-          }
+    const result = await paymentTransitions.transitionPayment(pendingPayment._id, 'UNPAID', {
+      actor: formatActor(msg.from),
+      source: AUDIT_SOURCES.TELEGRAM_REJECT,
+      reason: 'MANUAL_REJECTION',
+      notes: 'Manual rejection via Telegram command - bad screenshot',
+      fromLabels: ['PENDING'],
+      extraSet: {
+        rejectionMetadata: {
+          manualReview: true,
+          reviewerId: msg.from.id,
+          reviewerUsername: msg.from.username,
+          reviewerName: `${msg.from.first_name || ''} ${msg.from.last_name || ''}`.trim(),
+          originalReason: pendingPayment.rejectionReason || 'PENDING_REVIEW',
+          reviewTimestamp: new Date().toISOString()
         }
       }
-    );
+    });
+
+    if (!result.success) {
+      await bot.sendMessage(AUDIT_CHAT_ID, `❌ ${result.error} (Payment ID: ${pendingPayment._id})`);
+      return;
+    }
 
     // Send confirmation to audit chat
     await bot.sendMessage(AUDIT_CHAT_ID,
@@ -3516,62 +3281,541 @@ bot.onText(/\/reject\s+(-?\d+)/, async (msg, match) => {
   });
 }
 
-// ==== Queue System (Rate Limited) ====
-const messageQueue = [];
-let processing = false;
-let lastMessageTime = 0;
-const BOT_MIN_DELAY = parseInt(process.env.BOT_MIN_DELAY_MS) || 1000; // 1 second between messages
-const BOT_MAX_QUEUE = parseInt(process.env.BOT_MAX_QUEUE_SIZE) || 50; // Max queue size
+// ==== Auditor Triage Commands (pending chat, whitelisted auditors only) ====
 
-async function setupMessageHandler() {
-  bot.on('message', (message) => {
-    if (message.chat.type !== 'group' && message.chat.type !== 'supergroup') {
+// Register a triage command: pending chat and AUDITOR_USER_IDS only
+function onAuditorCommand(pattern, name, handler) {
+  bot.onText(pattern, async (msg, match) => {
+    if (msg.chat.id.toString() !== PENDING_CHAT_ID) return;
+    if (!isAuditor(msg.from, AUDITOR_USER_IDS)) {
+      console.log(`⚠️ [${name}] Unauthorized: User ${msg.from?.id} is not in AUDITOR_USER_IDS`);
+      return;
+    }
+
+    try {
+      await handler(msg, match);
+    } catch (error) {
+      console.error(`❌ [${name}] Error:`, error.message);
+      await bot.sendMessage(PENDING_CHAT_ID, `❌ ${name} failed: ${error.message}`).catch(() => {});
+    }
+  });
+}
+
+// Payment for a number from the auditor's last /pending listing
+async function getListedPendingPayment(msg, index) {
+  const paymentId = await getListedPaymentId(auditorListingsCollection, PENDING_CHAT_ID, msg.from.id, index);
+  if (!paymentId) {
+    await bot.sendMessage(PENDING_CHAT_ID, `⚠️ No #${index} in your last /pending list. Run /pending first.`);
+    return null;
+  }
+
+  const payment = await paymentsCollection.findOne({ _id: paymentId });
+  if (!payment || payment.paymentLabel !== 'PENDING') {
+    await bot.sendMessage(PENDING_CHAT_ID, `⚠️ #${index} is ${payment ? `already ${payment.paymentLabel}` : 'not found'}. Run /pending again.`);
+    return null;
+  }
+  return payment;
+}
+
+function setupAuditorTriageCommands() {
+  if (AUDITOR_USER_IDS.size === 0) {
+    console.log('⚠️ AUDITOR_USER_IDS not set - /pending, /show, /approve, /stats and /fraud are disabled');
+  }
+
+  // /pending - numbered list of pending payments, oldest first
+  onAuditorCommand(/^\/pending(?:@\w+)?\s*$/, 'PENDING LIST', async (msg) => {
+    const query = { paymentLabel: 'PENDING' };
+    const total = await paymentsCollection.countDocuments(query);
+    const payments = await paymentsCollection
+      .find(query, { projection: { chatId: 1, fullName: 1, username: 1, amountInKHR: 1, rejectionReason: 1, uploadedAt: 1 } })
+      .sort({ uploadedAt: 1 })
+      .limit(PENDING_LIST_LIMIT)
+      .toArray();
+
+    await savePendingListing(auditorListingsCollection, PENDING_CHAT_ID, msg.from.id, payments.map(payment => payment._id));
+    await bot.sendMessage(PENDING_CHAT_ID, formatPendingList(payments, total));
+  });
+
+  // /show <n> - re-send a pending screenshot with its review buttons
+  onAuditorCommand(/^\/show(?:@\w+)?\s+(\d+)\s*$/, 'SHOW', async (msg, match) => {
+    const payment = await getListedPendingPayment(msg, parseInt(match[1]));
+    if (!payment) return;
+
+    const customer = await customersCollection.findOne({ chatId: payment.chatId });
+    const caption = buildPendingCaption(payment, customer);
+
+    let image = null;
+    if (payment.screenshotId) {
+      image = await downloadScreenshotFromGridFS(payment.screenshotId).catch(() => null);
+    }
+    if (!image && payment.screenshotPath && fs.existsSync(payment.screenshotPath)) {
+      image = fs.readFileSync(payment.screenshotPath);
+    }
+
+    if (!image) {
+      await bot.sendMessage(PENDING_CHAT_ID, `${caption}\n\n⚠️ Screenshot not found`, { reply_markup: buildReviewKeyboard(payment._id) });
       return;
     }
+    await bot.sendPhoto(PENDING_CHAT_ID, image, {
+      caption,
+      reply_markup: buildReviewKeyboard(payment._id)
+    }, { filename: `pending_${payment.chatId}.jpg`, contentType: 'image/jpeg' });
+  });
 
-    // Prevent queue overflow
-    if (messageQueue.length >= BOT_MAX_QUEUE) {
-      console.log(`⚠️ [QUEUE] Queue full (${BOT_MAX_QUEUE}), dropping message from ${message.chat.id}`);
+  // /approve <n> [amount] - approve, optionally with a corrected amount (50000, 12.5 USD)
+  onAuditorCommand(/^\/approve(?:@\w+)?\s+(\d+)(?:\s+(.+?))?\s*$/, 'APPROVE', async (msg, match) => {
+    const amount = match[2] ? parseAmountReply(match[2]) : null;
+    if (match[2] && !amount) {
+      await bot.sendMessage(PENDING_CHAT_ID, '⚠️ Invalid amount. Use e.g. /approve 2 50000 or /approve 2 12.5 USD');
       return;
     }
 
-    messageQueue.push(message);
-    console.log(`📥 [QUEUE] Message added. Queue size: ${messageQueue.length}/${BOT_MAX_QUEUE}`);
-    processQueue();
+    const payment = await getListedPendingPayment(msg, parseInt(match[1]));
+    if (!payment) return;
+
+    const result = await approvePendingPayment(payment._id, msg.from, amount);
+    if (result.error) {
+      await bot.sendMessage(PENDING_CHAT_ID, `⚠️ ${result.error}`);
+      return;
+    }
+
+    // The original review photo keeps its caption, only the buttons go
+    if (payment.reviewMessage) {
+      await bot.editMessageReplyMarkup({ inline_keyboard: [] }, {
+        chat_id: payment.reviewMessage.chatId,
+        message_id: payment.reviewMessage.messageId
+      }).catch(() => {});
+    }
+
+    await bot.sendMessage(PENDING_CHAT_ID,
+      `✅ APPROVED #${match[1]}${amount ? ' (amount corrected)' : ''}\n\n` +
+      `👤 Customer: ${payment.fullName || payment.username || payment.chatId}\n` +
+      `💰 Amount: ${formatCurrency(result.amountInKHR)} KHR\n` +
+      `🆔 Payment ID: ${payment._id}\n` +
+      `👮 By: ${formatActor(msg.from)}`
+    );
+    await notifyReviewedCustomer(result.payment, 'approved');
+    console.log(`✅ [APPROVE] Approved ${payment._id} by ${formatActor(msg.from)} | ${result.amountInKHR} KHR`);
+  });
+
+  // /stats [today|yesterday|week] - verification counts
+  onAuditorCommand(/^\/stats(?:@\w+)?(?:\s+(\w+))?\s*$/, 'STATS', async (msg, match) => {
+    const period = getStatsPeriod(match[1] || 'today');
+    if (!period) {
+      await bot.sendMessage(PENDING_CHAT_ID, '⚠️ Use /stats today, /stats yesterday or /stats week');
+      return;
+    }
+
+    const range = { $gte: period.from, $lt: period.to };
+    const [statusRows, reasonRows, fraudAlerts] = await Promise.all([
+      paymentsCollection.aggregate([
+        { $match: { uploadedAt: range, isBankStatement: { $ne: false } } },
+        { $group: { _id: '$verificationStatus', count: { $sum: 1 }, amount: { $sum: { $ifNull: ['$amountInKHR', 0] } } } }
+      ]).toArray(),
+      paymentsCollection.aggregate([
+        { $match: { uploadedAt: range, isBankStatement: { $ne: false }, rejectionReason: { $ne: null } } },
+        { $group: { _id: '$rejectionReason', count: { $sum: 1 } } }
+      ]).toArray(),
+      fraudAlertsCollection.countDocuments({ detectedAt: range })
+    ]);
+
+    const stats = {
+      byStatus: Object.fromEntries(statusRows.map(row => [row._id, { count: row.count, amount: row.amount }])),
+      byReason: Object.fromEntries(reasonRows.map(row => [row._id, row.count])),
+      fraudAlerts
+    };
+    await bot.sendMessage(PENDING_CHAT_ID, formatStats(period, stats));
+  });
+
+  // /fraud - open fraud alerts, newest first
+  onAuditorCommand(/^\/fraud(?:@\w+)?\s*$/, 'FRAUD LIST', async () => {
+    const query = { reviewStatus: 'PENDING' };
+    const total = await fraudAlertsCollection.countDocuments(query);
+    const alerts = await fraudAlertsCollection
+      .find(query, { projection: { alertId: 1, fraudType: 1, severity: 1, chatId: 1, fullName: 1, username: 1, detectedAt: 1 } })
+      .sort({ detectedAt: -1 })
+      .limit(FRAUD_LIST_LIMIT)
+      .toArray();
+    await bot.sendMessage(PENDING_CHAT_ID, formatFraudAlerts(alerts, total));
   });
 }
 
-async function processQueue() {
-  if (processing || messageQueue.length === 0) return;
-  processing = true;
+// ==== Customer Commands Setup (called after bot initialization) ====
+const CUSTOMER_COMMAND_LIMIT = parseInt(process.env.CUSTOMER_COMMAND_LIMIT) || 5; // Commands per chat per window
+const CUSTOMER_COMMAND_WINDOW_MS = parseInt(process.env.CUSTOMER_COMMAND_WINDOW_MS) || 60000;
+const customerCommandLimiter = new ChatRateLimiter(CUSTOMER_COMMAND_LIMIT, CUSTOMER_COMMAND_WINDOW_MS);
+
+// Register a command customers send in their own group (rate-limited per chat)
+function onCustomerCommand(command, handler) {
+  bot.onText(new RegExp(`^\\/${command}(?:@\\w+)?\\s*$`), async (msg) => {
+    const chatId = msg.chat.id;
+    if (msg.chat.type !== 'group' && msg.chat.type !== 'supergroup') return;
+
+    const { allowed, warn } = customerCommandLimiter.take(chatId);
+    if (!allowed) {
+      console.log(`⏳ [/${command}] Rate limited | Chat ${chatId}`);
+      if (warn) await bot.sendMessage(chatId, formatRateLimitMessage()).catch(() => {});
+      return;
+    }
 
-  // Enforce minimum delay between message processing
-  const now = Date.now();
-  const timeSinceLastMessage = now - lastMessageTime;
-  if (timeSinceLastMessage < BOT_MIN_DELAY && lastMessageTime > 0) {
-    const delayNeeded = BOT_MIN_DELAY - timeSinceLastMessage;
-    console.log(`⏳ [QUEUE] Spacing: waiting ${delayNeeded}ms before next message...`);
-    await new Promise(resolve => setTimeout(resolve, delayNeeded));
-  }
+    try {
+      await handler(chatId, msg);
+    } catch (error) {
+      console.error(`❌ [/${command}] Error for chat ${chatId}:`, error.message);
+    }
+  });
+}
+
+function setupCustomerCommands() {
+  // /balance - current status from the customers collection
+  onCustomerCommand('balance', async (chatId) => {
+    const customer = await getCustomerStatus(chatId);
+    await bot.sendMessage(chatId, formatBalanceMessage(customer));
+  });
+
+  // /history - recent payments with their labels
+  onCustomerCommand('history', async (chatId) => {
+    const payments = await paymentsCollection
+      .find(
+        { chatId, isBankStatement: { $ne: false } },
+        { projection: { uploadedAt: 1, amountInKHR: 1, paymentLabel: 1 } }
+      )
+      .sort({ uploadedAt: -1 })
+      .limit(HISTORY_LIMIT)
+      .toArray();
+    await bot.sendMessage(chatId, formatHistoryMessage(payments));
+  });
 
-  lastMessageTime = Date.now();
-  const message = messageQueue.shift();
-  console.log(`📤 [QUEUE] Processing message. Remaining: ${messageQueue.length}`);
+  // /bill - latest bill with meter readings and usage
+  onCustomerCommand('bill', async (chatId) => {
+    const bills = sortBills(await excelReadingsCollection.find({ chatId }).toArray());
+    const latestBill = bills.length > 0 ? bills[bills.length - 1] : null;
+    const balance = latestBill ? await billBalancesCollection.findOne({ _id: String(latestBill._id) }) : null;
+    await bot.sendMessage(chatId, formatBillMessage(latestBill, balance));
+  });
+
+  // /khqr - KHQR payment code for each open bill of this group
+  onCustomerCommand('khqr', async (chatId) => {
+    const result = await buildBillPaymentCodes(
+      { excelReadingsCollection, paymentsCollection, recipientsCollection },
+      chatId,
+      getDefaultMerchant()
+    );
+
+    if (!result.success) {
+      console.log(`⚠️ [KHQR] ${result.error} | Chat ${chatId}`);
+      await bot.sendMessage(chatId, `⚠️ មិនអាចបង្កើត KHQR បានទេ។\nKHQR is not available for this group.`);
+      return;
+    }
+    if (result.codes.length === 0) {
+      await bot.sendMessage(chatId, `✅ មិនមានវិក្កយបត្រដែលត្រូវបង់ទេ។\nYou have no open bills.`);
+      return;
+    }
+
+    for (const code of result.codes) {
+      await bot.sendPhoto(chatId, code.png, { caption: formatBillCodeCaption(code) }, { filename: `${code.reference}.png`, contentType: 'image/png' });
+    }
+    console.log(`🔳 [KHQR] Sent ${result.codes.length} code(s) | Chat ${chatId} | Account ${result.merchant.bakongAccountId}`);
+  });
+
+  // /stopreminders - no more payment reminders for this group
+  onCustomerCommand('stopreminders', async (chatId, msg) => {
+    const { changed } = await setReminderOptOut(suppressionsCollection, chatId, true, formatActor(msg.from));
+    await bot.sendMessage(chatId, formatReminderOptOutMessage(true, changed));
+    if (changed) console.log(`🔕 [REMINDERS] Opted out | Chat ${chatId} | By ${formatActor(msg.from)}`);
+  });
+
+  // /startreminders - payment reminders back on
+  onCustomerCommand('startreminders', async (chatId, msg) => {
+    const { changed } = await setReminderOptOut(suppressionsCollection, chatId, false, formatActor(msg.from));
+    // The bot just read this command, so it is in the group
+    await clearBotRemoved(suppressionsCollection, chatId);
+    await bot.sendMessage(chatId, formatReminderOptOutMessage(false, changed));
+    if (changed) console.log(`🔔 [REMINDERS] Opted in | Chat ${chatId} | By ${formatActor(msg.from)}`);
+  });
+}
+
+// ==== Reminder Suppression (bot removed from / added to a group) ====
+function setupMembershipTracking() {
+  bot.on('my_chat_member', async (update) => {
+    const chatId = update.chat.id;
+    const status = update.new_chat_member && update.new_chat_member.status;
+
+    try {
+      if (status === 'kicked' || status === 'left') {
+        await markBotRemoved(suppressionsCollection, chatId, `Bot ${status} by ${formatActor(update.from)}`);
+        console.log(`🔕 [REMINDERS] Bot ${status} | Chat ${chatId} - reminders suppressed`);
+      } else if (status === 'member' || status === 'administrator') {
+        if (await clearBotRemoved(suppressionsCollection, chatId)) {
+          console.log(`🔔 [REMINDERS] Bot added back | Chat ${chatId} - reminders resumed`);
+        }
+      }
+    } catch (error) {
+      console.error(`❌ [REMINDERS] Membership update failed for chat ${chatId}:`, error.message);
+    }
+  });
+}
+
+// ==== Review Buttons (PENDING review photos) ====
+
+// Approve one exact pending payment (optionally with an auditor-corrected amount)
+async function approvePendingPayment(paymentId, from, amount = null) {
+  const amountInKHR = amount ? convertToKHR(amount.amount, amount.currency) : null;
+  const result = await paymentTransitions.transitionPayment(paymentId, 'PAID', {
+    actor: formatActor(from),
+    source: amount ? AUDIT_SOURCES.REVIEW_BUTTON_AMOUNT : AUDIT_SOURCES.REVIEW_BUTTON,
+    notes: amount
+      ? `Approved with amount ${amount.amount} ${amount.currency} via review button`
+      : 'Approved via review button',
+    fromLabels: ['PENDING'],
+    amount: amount ? { ...amount, amountInKHR } : null
+  });
+
+  if (!result.success) return { error: result.error, payment: result.payment };
+  return { payment: result.payment, amountInKHR: result.payment.amountInKHR };
+}
 
+// Reject one exact pending payment with the picked reason
+async function rejectPendingPayment(paymentId, from, reason) {
+  const result = await paymentTransitions.transitionPayment(paymentId, 'UNPAID', {
+    actor: formatActor(from),
+    source: AUDIT_SOURCES.REVIEW_BUTTON,
+    reason: reason,
+    notes: 'Rejected via review button',
+    fromLabels: ['PENDING'],
+    extraSet: {
+      rejectionMetadata: {
+        manualReview: true,
+        reviewerId: from.id,
+        reviewerUsername: from.username,
+        reviewerName: `${from.first_name || ''} ${from.last_name || ''}`.trim(),
+        reviewTimestamp: new Date().toISOString()
+      }
+    }
+  });
+
+  if (!result.success) return { error: result.error, payment: result.payment };
+  return { payment: result.payment };
+}
+
+// Edit the review photo caption to show the outcome and remove its buttons
+async function markReviewMessage(message, outcome, from) {
+  if (!message) return;
   try {
-    await handleMessage(message);
-  } catch (err) {
-    console.error('[QUEUE ERROR]', err);
+    await bot.editMessageCaption(buildReviewedCaption(message.caption, outcome, from), {
+      chat_id: message.chat.id,
+      message_id: message.message_id,
+      reply_markup: { inline_keyboard: [] }
+    });
+  } catch (error) {
+    console.error('⚠️ [REVIEW] Failed to edit review caption:', error.message);
   }
+}
+
+function setupReviewCallbacks() {
+  bot.on('callback_query', async (query) => {
+    const parsed = parseReviewCallback(query.data);
+    if (!parsed) return;
+
+    // Only allow buttons pressed in the pending review chat
+    if (query.message?.chat.id.toString() !== PENDING_CHAT_ID) {
+      console.log(`⚠️ [REVIEW] Unauthorized: Button from ${query.message?.chat.id}, expected ${PENDING_CHAT_ID}`);
+      await bot.answerCallbackQuery(query.id, { text: 'Not allowed here' }).catch(() => {});
+      return;
+    }
+    if (!isAuditor(query.from, AUDITOR_USER_IDS, { allowUnconfigured: true })) {
+      console.log(`⚠️ [REVIEW] Unauthorized: User ${query.from?.id} is not an auditor`);
+      await bot.answerCallbackQuery(query.id, { text: 'Only auditors can review payments', show_alert: true }).catch(() => {});
+      return;
+    }
+
+    const { action, paymentId, reason } = parsed;
+
+    try {
+      if (action === REVIEW_ACTIONS.REJECT || action === REVIEW_ACTIONS.BACK) {
+        // Swap between the reason picker and the main keyboard
+        await bot.editMessageReplyMarkup(
+          action === REVIEW_ACTIONS.REJECT ? buildReasonKeyboard(paymentId) : buildReviewKeyboard(paymentId),
+          { chat_id: query.message.chat.id, message_id: query.message.message_id }
+        );
+        await bot.answerCallbackQuery(query.id);
+        return;
+      }
+
+      if (action === REVIEW_ACTIONS.APPROVE_AMOUNT) {
+        const payment = await paymentsCollection.findOne({ _id: paymentId });
+        if (!payment || payment.paymentLabel !== 'PENDING') {
+          await bot.answerCallbackQuery(query.id, { text: payment ? `Already ${payment.paymentLabel}` : 'Payment not found', show_alert: true });
+          return;
+        }
+
+        const prompt = await bot.sendMessage(PENDING_CHAT_ID,
+          `💰 Reply with the approved amount for ${payment.fullName || payment.username || payment.chatId}\n` +
+          `e.g. 50000 or 12.5 USD\n🆔 Payment ID: ${paymentId}`,
+          {
+            reply_to_message_id: query.message.message_id,
+            reply_markup: { force_reply: true, selective: true }
+          }
+        );
+
+        await paymentsCollection.updateOne(
+          { _id: paymentId },
+          {
+            $set: {
+              amountPrompt: {
+                chatId: PENDING_CHAT_ID,
+                messageId: prompt.message_id,
+                reviewMessageId: query.message.message_id,
+                reviewCaption: query.message.caption || '',
+                requestedBy: formatActor(query.from),
+                requestedAt: new Date()
+              }
+            }
+          }
+        );
+        await bot.answerCallbackQuery(query.id, { text: 'Reply to the prompt with the amount' });
+        return;
+      }
+
+      const result = action === REVIEW_ACTIONS.APPROVE
+        ? await approvePendingPayment(paymentId, query.from)
+        : await rejectPendingPayment(paymentId, query.from, reason);
+
+      if (result.error) {
+        await bot.answerCallbackQuery(query.id, { text: result.error, show_alert: true });
+        // Someone else already acted - drop the stale buttons
+        if (result.payment && result.payment.paymentLabel !== 'PENDING') {
+          await bot.editMessageReplyMarkup({ inline_keyboard: [] }, {
+            chat_id: query.message.chat.id,
+            message_id: query.message.message_id
+          }).catch(() => {});
+        }
+        return;
+      }
+
+      if (action === REVIEW_ACTIONS.APPROVE) {
+        await markReviewMessage(query.message, `✅ APPROVED ${formatCurrency(result.amountInKHR)} KHR`, query.from);
+        await notifyReviewedCustomer(result.payment, 'approved');
+        console.log(`✅ [REVIEW] Approved ${paymentId} by ${formatActor(query.from)} | ${result.amountInKHR} KHR`);
+      } else {
+        await markReviewMessage(query.message, `❌ REJECTED (${reason})`, query.from);
+        await notifyReviewedCustomer(result.payment, 'rejected');
+        console.log(`❌ [REVIEW] Rejected ${paymentId} by ${formatActor(query.from)} | Reason: ${reason}`);
+      }
+      await bot.answerCallbackQuery(query.id, { text: 'Done' });
+    } catch (error) {
+      console.error('❌ [REVIEW] Callback error:', error.message);
+      await bot.answerCallbackQuery(query.id, { text: `Error: ${error.message}`, show_alert: true }).catch(() => {});
+    }
+  });
+
+  // Replies to "approve with amount" prompts
+  bot.on('message', async (msg) => {
+    if (!msg.reply_to_message || !msg.text) return;
+    if (msg.chat.id.toString() !== PENDING_CHAT_ID) return;
+    if (!isAuditor(msg.from, AUDITOR_USER_IDS, { allowUnconfigured: true })) return;
 
-  processing = false;
-  if (messageQueue.length > 0) {
-    setTimeout(processQueue, 100); // Small delay to check queue again
+    try {
+      const payment = await paymentsCollection.findOne({
+        'amountPrompt.chatId': PENDING_CHAT_ID,
+        'amountPrompt.messageId': msg.reply_to_message.message_id
+      });
+      if (!payment) return;
+
+      const amount = parseAmountReply(msg.text);
+      if (!amount) {
+        await bot.sendMessage(PENDING_CHAT_ID, '⚠️ Invalid amount. Reply to the prompt with e.g. 50000 or 12.5 USD', {
+          reply_to_message_id: msg.message_id
+        });
+        return;
+      }
+
+      const result = await approvePendingPayment(payment._id, msg.from, amount);
+      if (result.error) {
+        await bot.sendMessage(PENDING_CHAT_ID, `⚠️ ${result.error}`, { reply_to_message_id: msg.message_id });
+        return;
+      }
+
+      // Telegram does not nest reply_to_message, so the review photo comes from the stored prompt
+      const reviewMessage = {
+        chat: { id: payment.amountPrompt.chatId },
+        message_id: payment.amountPrompt.reviewMessageId,
+        caption: payment.amountPrompt.reviewCaption
+      };
+      await markReviewMessage(reviewMessage, `✅ APPROVED ${formatCurrency(result.amountInKHR)} KHR (amount corrected)`, msg.from);
+      await notifyReviewedCustomer(result.payment, 'approved');
+      console.log(`✅ [REVIEW] Approved ${payment._id} with amount by ${formatActor(msg.from)} | ${result.amountInKHR} KHR`);
+    } catch (error) {
+      console.error('❌ [REVIEW] Amount approval error:', error.message);
+      await bot.sendMessage(PENDING_CHAT_ID, `❌ Error approving payment: ${error.message}`).catch(() => {});
+    }
+  });
+}
+
+// Tell the customer's group the outcome of a manual review
+async function notifyReviewedCustomer(payment, outcome) {
+  try {
+    if (outcome === 'approved') {
+      await bot.sendMessage(payment.chatId,
+        `✅ ការទូទាត់របស់អ្នកត្រូវបានអនុម័ត!\nYour payment has been approved!\n\n` +
+        `💰 Amount: ${payment.amountInKHR?.toLocaleString()} KHR`
+      );
+    } else {
+      await bot.sendMessage(payment.chatId,
+        `❌ ការទូទាត់របស់អ្នកត្រូវបានបដិសេធ។\nYour payment was rejected.\n\n` +
+        `សូមផ្ញើរូបថតថ្មីម្តងទៀត។\nPlease submit a new screenshot.`
+      );
+    }
+  } catch (error) {
+    console.error(`⚠️ [REVIEW] Failed to notify customer ${payment.chatId}:`, error.message);
   }
 }
 
+// ==== Queue System (Durable, Rate Limited) ====
+let jobQueue;
+const BOT_MIN_DELAY = parseInt(process.env.BOT_MIN_DELAY_MS) || 1000; // 1 second between messages
+const BOT_MAX_QUEUE = parseInt(process.env.BOT_MAX_QUEUE_SIZE) || 50; // Backlog warning threshold (jobs are never dropped)
+const JOB_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS) || 5;
+const JOB_BACKOFF_MS = parseInt(process.env.JOB_BACKOFF_MS) || 30000; // Doubles on every retry
+const JOB_LOCK_TIMEOUT_MS = parseInt(process.env.JOB_LOCK_TIMEOUT_MS) || 300000; // Lock age after which a job counts as crashed
+const OCR_WORKER_CONCURRENCY = parseInt(process.env.OCR_WORKER_CONCURRENCY) || 1; // Parallel screenshots (same chat stays sequential)
+
+async function setupMessageHandler() {
+  jobQueue = new JobQueue(jobsCollection, {
+    handler: (job, setState) => handleMessage(job.message, job, setState),
+    concurrency: OCR_WORKER_CONCURRENCY,
+    minDelayMs: BOT_MIN_DELAY,
+    maxAttempts: JOB_MAX_ATTEMPTS,
+    backoffBaseMs: JOB_BACKOFF_MS,
+    lockTimeoutMs: JOB_LOCK_TIMEOUT_MS,
+    warnDepth: BOT_MAX_QUEUE
+  });
+  await jobQueue.start();
+
+  bot.on('message', async (message) => {
+    if (message.chat.type !== 'group' && message.chat.type !== 'supergroup') {
+      return;
+    }
+
+    // Only screenshots need processing
+    if (!message.photo) return;
+
+    try {
+      const { job, duplicate } = await jobQueue.enqueue(message);
+      if (duplicate) {
+        console.log(`♻️ [QUEUE] Duplicate update ignored | Chat ${message.chat.id} | Job ${job._id}`);
+      } else {
+        console.log(`📥 [QUEUE] Job ${job._id} queued | Chat ${message.chat.id}`);
+      }
+    } catch (error) {
+      console.error(`❌ [QUEUE] Failed to enqueue message from ${message.chat.id}:`, error.message);
+    }
+  });
+}
+
 // ==== Actual message handler ====
-async function handleMessage(message) {
+// Called by the job queue; throwing schedules a retry
+async function handleMessage(message, job = null, setState = async () => {}) {
   const chatId = message.chat.id;
   const userId = message.from.id;
   const username = message.from.username || null;
@@ -3582,18 +3826,18 @@ async function handleMessage(message) {
   const chatType = message.chat.type; // 'private', 'group', 'supergroup', 'channel'
   const text = message.text || message.caption || null;
   const timestamp = new Date();
-  const uniqueId = uuidv4();
+  const uniqueId = job?._id || uuidv4();
   let filePath = null;
 
   // ---- PHOTO HANDLING (WSL2-safe; from resilient version) :contentReference[oaicite:3]{index=3}
   if (message.photo) {
     const photo = message.photo[message.photo.length - 1];
     const fileId = photo.file_id;
+    const localFilePath = normalizePath(path.join(SCREENSHOT_DIR, `${uniqueId}.jpg`));
     try {
       await ensureDir(SCREENSHOT_DIR);
       const file = await bot.getFile(fileId);
       const fileUrl = `https://api.telegram.org/file/bot${TELEGRAM_TOKEN}/${file.file_path}`;
-      const localFilePath = normalizePath(path.join(SCREENSHOT_DIR, `${uniqueId}.jpg`));
 
       await new Promise((resolve, reject) => {
         const fileStream = fs.createWriteStream(localFilePath);
@@ -3609,14 +3853,22 @@ async function handleMessage(message) {
         });
       });
 
-      filePath = localFilePath;
-
-      // ---- ANALYZE PAYMENT SCREENSHOT WITH OCR ----
-      await analyzePaymentScreenshot(localFilePath, chatId, userId, username, fullName, groupName);
-
     } catch (err) {
       console.error('Error downloading file:', err);
+      throw err;
     }
+
+    filePath = localFilePath;
+
+    // ---- ANALYZE PAYMENT SCREENSHOT WITH OCR ----
+    await setState(JOB_STATES.OCR);
+    await analyzePaymentScreenshot(filePath, chatId, userId, username, fullName, groupName, {
+      paymentId: job?.paymentId,
+      onStage: setState,
+      effects: job?.effects,
+      onEffect: job && ((name, value) => jobQueue.recordEffect(job._id, name, value)),
+      throwOnError: Boolean(job)
+    });
   }
 
   // ---- SAVE TO DB (Only if there's a photo/file)
@@ -3632,7 +3884,7 @@ async function handleMessage(message) {
         filePath,
         timestamp,
       };
-      await collection.insertOne(record);
+      await collection.updateOne({ _id: uniqueId }, { $setOnInsert: record }, { upsert: true });
     } catch (error) {
       console.error('❌ Database save failed:', error.message);
     }
@@ -3646,9 +3898,15 @@ async function main() {
     await startDB();
     await setupMessageHandler();
     setupAuditCommands();
+    setupAuditorTriageCommands();
+    setupCustomerCommands();
+    setupMembershipTracking();
+    setupReviewCallbacks();
+
+    botReady = true;
 
     console.log('🎯 Bot is ready and listening for messages...');
-    console.log(`📡 Using connection strategy: ${connectionStrategies[currentStrategy].name}`);
+    console.log(`📡 Using connection strategy: ${getStrategyName()}`);
   } catch (error) {
     console.error('❌ Initialization failed:', error);
     process.exit(1);
@@ -3658,6 +3916,7 @@ async function main() {
 // ---- Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('🛑 Shutting down bot...');
+  if (jobQueue) jobQueue.stop();
   await client.close();
   await invoiceClient.close();
   process.exit(0);
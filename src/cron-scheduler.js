@@ -0,0 +1,373 @@
+'use strict';
+
+/**
+ * Cron Scheduler Module
+ * Runs named jobs on cron expressions ("0 9 5,10 * *") evaluated in
+ * Asia/Phnom_Penh. Each job's next run time is stored in
+ * customerDB.schedulerJobs, so restarts don't shift the schedule or rerun a
+ * slot that already ran. Every run is recorded in customerDB.schedulerRuns
+ * under its scheduled slot. A job is claimed with a lease (lockedBy /
+ * lockedUntil), so when several scheduler instances run only one of them
+ * runs a given job; the lease is renewed while the job runs.
+ * Used by payment-scheduler.js and botfetch.js (status)
+ */
+
+const os = require('os');
+
+const CAMBODIA_OFFSET_MS = 7 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+const RUN_STATUS = {
+  RUNNING: 'running',
+  SUCCESS: 'success',
+  FAILED: 'failed',
+  MISSED: 'missed'
+};
+
+// minute hour day-of-month month day-of-week
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 } // 0 and 7 are Sunday
+];
+
+// Upper bound for the next-run search (jumps, not minutes)
+const MAX_SEARCH_STEPS = 100000;
+
+function parseCronField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/);
+    if (!match) throw new Error(`Invalid cron ${name}: "${part}"`);
+
+    const [, startText, endText, stepText] = match;
+    const start = startText === '*' ? min : parseInt(startText);
+    const end = endText !== undefined ? parseInt(endText) : (startText === '*' || stepText ? max : start);
+    const step = stepText !== undefined ? parseInt(stepText) : 1;
+
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid cron ${name}: "${part}" (allowed ${min}-${max})`);
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(name === 'dayOfWeek' && value === 7 ? 0 : value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a 5-field cron expression
+ * Day of month and day of week are OR-ed when both are restricted (as in cron)
+ * @param {string} expression - "minute hour day-of-month month day-of-week"
+ * @returns {Object} { expression, minute, hour, dayOfMonth, month, dayOfWeek (Sets), domRestricted, dowRestricted }
+ * @throws {Error} Invalid expression
+ */
+function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== CRON_FIELDS.length) {
+    throw new Error(`Cron expression needs 5 fields (minute hour day month weekday): "${expression}"`);
+  }
+
+  const parsed = { expression: parts.join(' ') };
+  CRON_FIELDS.forEach((field, index) => {
+    parsed[field.name] = parseCronField(parts[index], field);
+  });
+  parsed.domRestricted = !parts[2].startsWith('*');
+  parsed.dowRestricted = !parts[4].startsWith('*');
+  return parsed;
+}
+
+function matchesDay(parsed, local) {
+  const dom = parsed.dayOfMonth.has(local.getUTCDate());
+  const dow = parsed.dayOfWeek.has(local.getUTCDay());
+  if (parsed.domRestricted && parsed.dowRestricted) return dom || dow;
+  if (parsed.domRestricted) return dom;
+  if (parsed.dowRestricted) return dow;
+  return true;
+}
+
+/**
+ * First run time strictly after a date (Cambodia time, no DST)
+ * @param {Object|string} cron - parseCron() result or expression
+ * @param {Date} after - Reference time
+ * @returns {Date}
+ */
+function getNextRunTime(cron, after = new Date()) {
+  const parsed = typeof cron === 'string' ? parseCron(cron) : cron;
+  // Work on a shifted timestamp whose UTC fields are the Cambodia wall clock
+  let local = Math.floor((after.getTime() + CAMBODIA_OFFSET_MS) / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+
+  for (let step = 0; step < MAX_SEARCH_STEPS; step++) {
+    const date = new Date(local);
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+    const day = date.getUTCDate();
+    const hour = date.getUTCHours();
+
+    if (!parsed.month.has(month + 1)) {
+      local = Date.UTC(year, month + 1, 1);
+    } else if (!matchesDay(parsed, date)) {
+      local = Date.UTC(year, month, day + 1);
+    } else if (!parsed.hour.has(hour)) {
+      local = Date.UTC(year, month, day, hour + 1);
+    } else if (!parsed.minute.has(date.getUTCMinutes())) {
+      local += MINUTE_MS;
+    } else {
+      return new Date(local - CAMBODIA_OFFSET_MS);
+    }
+  }
+
+  throw new Error(`Cron expression never matches: "${parsed.expression}"`);
+}
+
+class CronScheduler {
+  /**
+   * @param {Object} collections - { schedulerJobsCollection, schedulerRunsCollection }
+   * @param {Object} options - { tickMs, leaseMs, catchUpMs }
+   *   catchUpMs: a slot missed by more than this (scheduler was down) is recorded as missed, not run
+   */
+  constructor({ schedulerJobsCollection, schedulerRunsCollection }, options = {}) {
+    this.jobsCollection = schedulerJobsCollection;
+    this.runsCollection = schedulerRunsCollection;
+    this.tickMs = options.tickMs ?? 30 * 1000;
+    this.leaseMs = options.leaseMs ?? 5 * 60 * 1000;
+    this.catchUpMs = options.catchUpMs ?? 6 * 60 * 60 * 1000;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+
+    this.jobs = new Map();
+    this.running = new Set();
+    this.tickTimer = null;
+  }
+
+  /**
+   * Add a job (before start)
+   * @param {string} name - Unique job name
+   * @param {string} expression - Cron expression (Cambodia time)
+   * @param {Function} handler - async ({ scheduledFor, runId }) => result
+   *   result.runAgainAt (Date) runs the job again before its next slot (e.g. after quiet hours)
+   * @param {Object} options - { description }
+   */
+  register(name, expression, handler, options = {}) {
+    this.jobs.set(name, { name, cron: parseCron(expression), handler, description: options.description || null });
+    return this;
+  }
+
+  async ensureIndexes() {
+    await this.runsCollection.createIndex({ job: 1, scheduledFor: -1 });
+  }
+
+  /**
+   * Store each job's schedule; a changed expression gets a new next run time
+   */
+  async syncJobs(now = new Date()) {
+    for (const job of this.jobs.values()) {
+      const existing = await this.jobsCollection.findOne({ _id: job.name });
+      const update = {
+        schedule: job.cron.expression,
+        description: job.description,
+        updatedAt: now
+      };
+      if (!existing || existing.schedule !== job.cron.expression || !existing.nextRunAt) {
+        update.nextRunAt = getNextRunTime(job.cron, now);
+      }
+
+      await this.jobsCollection.updateOne(
+        { _id: job.name },
+        {
+          $set: update,
+          $setOnInsert: { lastRunAt: null, lastStatus: null, lockedBy: null, lockedUntil: null, createdAt: now }
+        },
+        { upsert: true }
+      );
+    }
+  }
+
+  async start() {
+    await this.ensureIndexes();
+    await this.syncJobs();
+
+    for (const job of await this.getStatus({ runsLimit: 0 })) {
+      console.log(`🗓️  [SCHEDULER] ${job.name} "${job.schedule}" | next run ${formatLocalTime(job.nextRunAt)}`);
+    }
+
+    this.tickTimer = setInterval(() => this.tick(), this.tickMs);
+    await this.tick();
+  }
+
+  stop() {
+    if (this.tickTimer) clearInterval(this.tickTimer);
+    this.tickTimer = null;
+  }
+
+  /**
+   * Claim and run every due job not already running here
+   */
+  async tick() {
+    for (const job of this.jobs.values()) {
+      if (this.running.has(job.name)) continue;
+      try {
+        const claimed = await this.claim(job.name);
+        if (claimed) await this.runClaimed(job, claimed);
+      } catch (error) {
+        console.error(`❌ [SCHEDULER] ${job.name} tick failed:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Take the lease on a due job (null if not due or another instance holds it)
+   */
+  async claim(name, now = new Date()) {
+    return this.jobsCollection.findOneAndUpdate(
+      {
+        _id: name,
+        nextRunAt: { $lte: now },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+      },
+      { $set: { lockedBy: this.workerId, lockedUntil: new Date(now.getTime() + this.leaseMs) } },
+      { returnDocument: 'after' }
+    );
+  }
+
+  async runClaimed(job, claimed) {
+    const scheduledFor = claimed.nextRunAt;
+    const runId = `${job.name}:${scheduledFor.toISOString()}`;
+    const startedAt = new Date();
+
+    // A slot that should have run long ago (scheduler was down) is skipped
+    if (startedAt.getTime() - scheduledFor.getTime() > this.catchUpMs) {
+      await this.recordRun({ _id: runId, job: job.name, scheduledFor, status: RUN_STATUS.MISSED, workerId: this.workerId, startedAt, finishedAt: startedAt });
+      console.log(`⏭️  [SCHEDULER] ${job.name} missed slot ${formatLocalTime(scheduledFor)}`);
+      await this.release(job, RUN_STATUS.MISSED, startedAt, null);
+      return;
+    }
+
+    // The slot's run record is unique - if it exists, this slot already ran
+    const inserted = await this.recordRun({ _id: runId, job: job.name, scheduledFor, status: RUN_STATUS.RUNNING, workerId: this.workerId, startedAt });
+    if (!inserted) {
+      console.log(`⏭️  [SCHEDULER] ${job.name} slot ${formatLocalTime(scheduledFor)} already ran`);
+      await this.release(job, null, null, null);
+      return;
+    }
+
+    this.running.add(job.name);
+    const renewTimer = setInterval(() => {
+      this.jobsCollection.updateOne(
+        { _id: job.name, lockedBy: this.workerId },
+        { $set: { lockedUntil: new Date(Date.now() + this.leaseMs) } }
+      ).catch(() => {});
+    }, Math.max(1000, Math.floor(this.leaseMs / 3)));
+
+    console.log(`▶️  [SCHEDULER] ${job.name} started (slot ${formatLocalTime(scheduledFor)})`);
+    let status = RUN_STATUS.SUCCESS;
+    let result = null;
+    let errorMessage = null;
+    try {
+      result = await job.handler({ scheduledFor, runId });
+    } catch (error) {
+      status = RUN_STATUS.FAILED;
+      errorMessage = error.message;
+      console.error(`❌ [SCHEDULER] ${job.name} failed:`, error.message);
+    } finally {
+      clearInterval(renewTimer);
+      this.running.delete(job.name);
+    }
+
+    const finishedAt = new Date();
+    await this.runsCollection.updateOne(
+      { _id: runId },
+      { $set: { status, finishedAt, durationMs: finishedAt - startedAt, result: toRunResult(result), error: errorMessage } }
+    );
+    const runAgainAt = result && result.runAgainAt instanceof Date ? result.runAgainAt : null;
+    await this.release(job, status, finishedAt, runAgainAt);
+    console.log(`${status === RUN_STATUS.SUCCESS ? '✅' : '❌'} [SCHEDULER] ${job.name} ${status} in ${finishedAt - startedAt}ms`);
+  }
+
+  async recordRun(run) {
+    try {
+      await this.runsCollection.insertOne(run);
+      return true;
+    } catch (error) {
+      if (error.code === 11000) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Advance to the next slot and drop the lease
+   */
+  async release(job, status, finishedAt, runAgainAt) {
+    const now = new Date();
+    let nextRunAt = getNextRunTime(job.cron, now);
+    if (runAgainAt && runAgainAt < nextRunAt) nextRunAt = runAgainAt;
+
+    const update = { nextRunAt, lockedBy: null, lockedUntil: null, updatedAt: now };
+    if (status) {
+      update.lastStatus = status;
+      update.lastRunAt = finishedAt;
+    }
+    await this.jobsCollection.updateOne({ _id: job.name, lockedBy: this.workerId }, { $set: update });
+  }
+
+  /**
+   * Jobs with their latest runs (see getSchedulerStatus)
+   */
+  async getStatus(options = {}) {
+    return getSchedulerStatus({ schedulerJobsCollection: this.jobsCollection, schedulerRunsCollection: this.runsCollection }, options);
+  }
+}
+
+function formatLocalTime(value) {
+  return value ? new Date(value).toLocaleString('en-GB', { timeZone: 'Asia/Phnom_Penh' }) : 'N/A';
+}
+
+// Counts and dates only - handler results can hold whole documents
+function toRunResult(result) {
+  if (!result || typeof result !== 'object') return result ?? null;
+  return JSON.parse(JSON.stringify(result));
+}
+
+/**
+ * Scheduler jobs with their latest runs, for the status endpoint
+ * @param {Object} collections - { schedulerJobsCollection, schedulerRunsCollection }
+ * @param {Object} options - { runsLimit } runs per job (default 5)
+ * @returns {Array} [{ name, schedule, description, nextRunAt, lastRunAt, lastStatus, running, lockedBy, lockedUntil, runs }]
+ */
+async function getSchedulerStatus({ schedulerJobsCollection, schedulerRunsCollection }, options = {}) {
+  const runsLimit = options.runsLimit ?? 5;
+  const now = new Date();
+  const jobs = await schedulerJobsCollection.find({}).sort({ _id: 1 }).toArray();
+
+  const status = [];
+  for (const job of jobs) {
+    const runs = runsLimit > 0
+      ? await schedulerRunsCollection.find({ job: job._id }).sort({ scheduledFor: -1 }).limit(runsLimit).toArray()
+      : [];
+    status.push({
+      name: job._id,
+      schedule: job.schedule,
+      description: job.description,
+      timezone: 'Asia/Phnom_Penh',
+      nextRunAt: job.nextRunAt,
+      lastRunAt: job.lastRunAt,
+      lastStatus: job.lastStatus,
+      running: Boolean(job.lockedUntil && job.lockedUntil > now),
+      lockedBy: job.lockedBy,
+      lockedUntil: job.lockedUntil,
+      runs
+    });
+  }
+  return status;
+}
+
+module.exports = {
+  RUN_STATUS,
+  parseCron,
+  getNextRunTime,
+  CronScheduler,
+  getSchedulerStatus
+};
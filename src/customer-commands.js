@@ -0,0 +1,177 @@
+'use strict';
+
+/**
+ * Customer Commands Module
+ * Replies for the self-service commands customers send in their own group
+ * (/balance, /history, /bill, /stopreminders, /startreminders), in Khmer with an English line under each,
+ * and a per-chat rate limit so a group can't flood the bot.
+ * Used by botfetch.js
+ */
+
+const { getBillingPeriod } = require('./bill-matcher');
+
+const PAYMENT_STATUS_LABELS = {
+  FULLY_PAID: { km: 'បង់រួចរាល់', en: 'Fully paid', icon: '✅' },
+  PARTIAL_PAID: { km: 'បង់មិនទាន់គ្រប់', en: 'Partially paid', icon: '⏳' },
+  NOT_PAID: { km: 'មិនទាន់បង់', en: 'Not paid', icon: '❌' },
+  OVERPAID: { km: 'បង់លើស', en: 'Overpaid', icon: '💰' }
+};
+
+const PAYMENT_LABELS = {
+  PAID: { km: 'បានផ្ទៀងផ្ទាត់', en: 'Verified', icon: '✅' },
+  PENDING: { km: 'កំពុងពិនិត្យ', en: 'Under review', icon: '⏳' },
+  UNPAID: { km: 'បដិសេធ', en: 'Rejected', icon: '❌' }
+};
+
+const HISTORY_LIMIT = 5;
+
+function formatKHR(amount) {
+  return `${Math.round(amount || 0).toLocaleString('en-US')} KHR`;
+}
+
+function formatDate(value) {
+  if (!value) return '-';
+  return new Date(value).toLocaleDateString('en-GB', { timeZone: 'Asia/Phnom_Penh' });
+}
+
+/**
+ * Per-chat sliding-window limit for customer commands
+ */
+class ChatRateLimiter {
+  constructor(maxCommands = 5, windowMs = 60000) {
+    this.maxCommands = maxCommands;
+    this.windowMs = windowMs;
+    this.calls = new Map(); // chatId -> timestamps
+    this.warned = new Map(); // chatId -> window start of the last "slow down" reply
+  }
+
+  /**
+   * Record a command
+   * @returns {Object} { allowed, warn } - warn is true once per window when over the limit
+   */
+  take(chatId, now = Date.now()) {
+    const recent = (this.calls.get(chatId) || []).filter(time => time > now - this.windowMs);
+
+    if (recent.length >= this.maxCommands) {
+      this.calls.set(chatId, recent);
+      const warn = this.warned.get(chatId) !== recent[0];
+      if (warn) this.warned.set(chatId, recent[0]);
+      return { allowed: false, warn };
+    }
+
+    recent.push(now);
+    this.calls.set(chatId, recent);
+    return { allowed: true, warn: false };
+  }
+}
+
+/**
+ * Reply when a chat is over the command limit
+ */
+function formatRateLimitMessage() {
+  return `⏳ សូមរង់ចាំបន្តិច មុនពេលផ្ញើពាក្យបញ្ជាម្តងទៀត។\nPlease wait a moment before sending another command.`;
+}
+
+/**
+ * /balance - status from the customers collection
+ * @param {Object|null} customer - customers document
+ */
+function formatBalanceMessage(customer) {
+  if (!customer) {
+    return `ℹ️ មិនទាន់មានព័ត៌មានការទូទាត់សម្រាប់ក្រុមនេះទេ។\nNo payment record for this group yet.`;
+  }
+
+  const status = PAYMENT_STATUS_LABELS[customer.paymentStatus] || PAYMENT_STATUS_LABELS.NOT_PAID;
+  const lines = [
+    `${status.icon} ស្ថានភាព: ${status.km}`,
+    `Status: ${status.en}`,
+    '',
+    `🧾 ត្រូវបង់ / Total due: ${formatKHR(customer.totalExpected)}`,
+    `💵 បានបង់ / Paid: ${formatKHR(customer.totalPaid)}`,
+    `📌 នៅសល់ / Remaining: ${formatKHR(customer.remainingBalance)}`
+  ];
+
+  if (customer.excessAmount > 0) {
+    lines.push(`💰 បង់លើស / Credit: ${formatKHR(customer.excessAmount)}`);
+  }
+  if (customer.totalUnverified > 0) {
+    lines.push(`⏳ កំពុងពិនិត្យ / Under review: ${formatKHR(customer.totalUnverified)}`);
+  }
+  if (customer.lastPaymentDate) {
+    lines.push(`📅 បង់ចុងក្រោយ / Last payment: ${formatDate(customer.lastPaymentDate)}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * /history - most recent payments with their labels
+ * @param {Array} payments - payments documents, newest first
+ */
+function formatHistoryMessage(payments) {
+  if (payments.length === 0) {
+    return `ℹ️ មិនទាន់មានការទូទាត់ទេ។\nNo payments yet.`;
+  }
+
+  const lines = [`📜 ការទូទាត់ចុងក្រោយ / Recent payments:`, ''];
+  for (const payment of payments) {
+    const label = PAYMENT_LABELS[payment.paymentLabel] || { km: payment.paymentLabel, en: payment.paymentLabel, icon: '•' };
+    lines.push(`${label.icon} ${formatDate(payment.uploadedAt)} | ${formatKHR(payment.amountInKHR)} | ${label.km} / ${label.en}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * /bill - latest excelreadings bill with meter readings and usage
+ * @param {Object|null} bill - excelreadings document
+ * @param {Object|null} balance - billBalances document for the bill
+ */
+function formatBillMessage(bill, balance = null) {
+  if (!bill) {
+    return `ℹ️ មិនទាន់មានវិក្កយបត្រសម្រាប់ក្រុមនេះទេ។\nNo bill for this group yet.`;
+  }
+
+  const lines = [
+    `🧾 វិក្កយបត្រ / Bill ${getBillingPeriod(bill)}`,
+    ''
+  ];
+  if (bill.customer) lines.push(`👤 អតិថិជន / Customer: ${bill.customer}`);
+  lines.push(
+    `🔢 លេខកុងទ័រចាស់ / Previous reading: ${bill.oldMeter ?? '-'}`,
+    `🔢 លេខកុងទ័រថ្មី / Current reading: ${bill.newMeter ?? '-'}`,
+    `💧 ការប្រើប្រាស់ / Usage: ${bill.usage ?? '-'}`,
+    `💵 ទឹកប្រាក់ / Amount: ${formatKHR(parseFloat(bill.amount))}`
+  );
+  if (balance) {
+    lines.push(`📌 នៅសល់ / Outstanding: ${formatKHR(balance.outstandingAmount)}`);
+  }
+  lines.push('', `សូមផ្ញើ /khqr ដើម្បីទទួល KHQR។\nSend /khqr for a payment QR code.`);
+
+  return lines.join('\n');
+}
+
+/**
+ * /stopreminders and /startreminders
+ * @param {boolean} optedOut - Reminders are now stopped
+ * @param {boolean} changed - false when the group was already in that state
+ */
+function formatReminderOptOutMessage(optedOut, changed) {
+  if (optedOut) {
+    return changed
+      ? `🔕 ការរំលឹកការបង់ប្រាក់ត្រូវបានបញ្ឈប់សម្រាប់ក្រុមនេះ។ ផ្ញើ /startreminders ដើម្បីបើកវិញ។\nPayment reminders are stopped for this group. Send /startreminders to turn them back on.`
+      : `🔕 ការរំលឹកការបង់ប្រាក់បានបញ្ឈប់រួចហើយ។ ផ្ញើ /startreminders ដើម្បីបើកវិញ។\nPayment reminders are already stopped. Send /startreminders to turn them back on.`;
+  }
+  return changed
+    ? `🔔 ការរំលឹកការបង់ប្រាក់ត្រូវបានបើកវិញសម្រាប់ក្រុមនេះ។\nPayment reminders are back on for this group.`
+    : `🔔 ការរំលឹកការបង់ប្រាក់កំពុងបើក។ ផ្ញើ /stopreminders ដើម្បីបញ្ឈប់។\nPayment reminders are on. Send /stopreminders to stop them.`;
+}
+
+module.exports = {
+  HISTORY_LIMIT,
+  ChatRateLimiter,
+  formatRateLimitMessage,
+  formatBalanceMessage,
+  formatHistoryMessage,
+  formatBillMessage,
+  formatReminderOptOutMessage
+};
@@ -0,0 +1,374 @@
+'use strict';
+
+/**
+ * Image Forensics Module
+ * Local tampering heuristics run on the screenshot before the OCR output is
+ * trusted. None of them proves an edit on its own, so each check adds to a
+ * score and a payment is only marked TAMPER_SUSPECTED when at least two
+ * different signals fire and their score reaches the threshold:
+ *
+ *   EDITOR_SOFTWARE    - EXIF/XMP software tag or Photoshop/Adobe segments from an image editor
+ *   JPEG_RESAVED       - Quantization table from a non-libjpeg encoder, or quality lowered by re-saving
+ *   RESOLUTION_ANOMALY - Size or aspect ratio that no bank app screenshot has
+ *   ELA_AMOUNT_REGION  - Amount region recompresses differently from the rest (error level analysis)
+ *
+ * analyzeImageForensics() runs before OCR; assessTampering() scores the report
+ * once OCR has named the bank, so the bank's own template is used.
+ * Used by botfetch.js and scripts/replay-verification.js
+ */
+
+const sharp = require('sharp');
+
+// Error level analysis: recompress at this quality and compare per grid cell
+const ELA_QUALITY = 90;
+const ELA_ROWS = 32;
+const ELA_COLS = 16;
+
+// Below this a screenshot has been shrunk by forwarding or cropped by hand
+const MIN_SCREENSHOT_WIDTH = 320;
+// Telegram re-encodes photos around quality 80-90; repeated edits go lower
+const MIN_JPEG_QUALITY = 60;
+
+const SIGNAL_WEIGHTS = {
+  EDITOR_SOFTWARE: 2,
+  JPEG_RESAVED: 1,
+  RESOLUTION_ANOMALY: 1,
+  ELA_AMOUNT_REGION: 1
+};
+const MIN_SIGNALS = 2;
+const DEFAULT_SUSPECT_SCORE = 2;
+// Genuine receipts in verified/ reach up to ~3.7 (dense text in the amount band)
+const DEFAULT_ELA_RATIO = 4;
+
+const EDITOR_SOFTWARE_PATTERN = /photoshop|lightroom|gimp|snapseed|picsart|pixelmator|canva|fotor|meitu|photodirector|affinity|paint\.net|polarr|inshot|facetune|vsco|photo ?editor/i;
+
+// Phone screens run from 16:9 to 21:9 (height / width); shared receipts are shorter,
+// some slightly wider than tall.
+// amountRegion is the band (fractions of height) where the bank prints the amount.
+const SCREENSHOT_TEMPLATES = {
+  ABA: {
+    match: /\baba\b|advanced bank/i,
+    aspectRanges: [[1.6, 2.4], [0.85, 1.6]],
+    amountRegion: { top: 0.1, bottom: 0.4 }
+  },
+  ACLEDA: {
+    match: /acleda/i,
+    aspectRanges: [[1.6, 2.4]],
+    amountRegion: { top: 0.15, bottom: 0.45 }
+  },
+  Wing: {
+    match: /\bwing\b/i,
+    aspectRanges: [[1.6, 2.4]],
+    amountRegion: { top: 0.15, bottom: 0.45 }
+  },
+  KHQR: {
+    match: /khqr/i,
+    aspectRanges: [[1.6, 2.4], [0.85, 1.6]],
+    amountRegion: { top: 0.15, bottom: 0.5 }
+  },
+  Canadia: {
+    match: /canadia/i,
+    aspectRanges: [[1.6, 2.4]],
+    amountRegion: { top: 0.15, bottom: 0.45 }
+  },
+  Prince: {
+    match: /prince/i,
+    aspectRanges: [[1.6, 2.4]],
+    amountRegion: { top: 0.15, bottom: 0.45 }
+  },
+  Sathapana: {
+    match: /sathapana/i,
+    aspectRanges: [[1.6, 2.4]],
+    amountRegion: { top: 0.15, bottom: 0.45 }
+  },
+  Bakong: {
+    match: /bakong/i,
+    aspectRanges: [[1.6, 2.4], [0.85, 1.6]],
+    amountRegion: { top: 0.15, bottom: 0.5 }
+  }
+};
+const GENERIC_TEMPLATE = {
+  aspectRanges: [[0.85, 2.4]],
+  amountRegion: { top: 0.1, bottom: 0.5 }
+};
+
+// ==== JPEG structure ====
+
+// Standard libjpeg luminance table (natural order) and the zigzag order tables are stored in
+const STD_LUMINANCE_TABLE = [
+  16, 11, 10, 16, 24, 40, 51, 61,
+  12, 12, 14, 19, 26, 58, 60, 55,
+  14, 13, 16, 24, 40, 57, 69, 56,
+  14, 17, 22, 29, 51, 87, 80, 62,
+  18, 22, 37, 56, 68, 109, 103, 77,
+  24, 35, 55, 64, 81, 104, 113, 92,
+  49, 64, 78, 87, 103, 121, 120, 101,
+  72, 92, 95, 98, 112, 100, 103, 99
+];
+const ZIGZAG = [
+  0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5,
+  12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28,
+  35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51,
+  58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55, 62, 63
+];
+
+/**
+ * Walk the JPEG marker segments up to the image data
+ * @returns {Object} { luminanceTable (natural order) | null, segments: ['APP1:Exif', 'APP13:Photoshop 3.0', ...] }
+ */
+function readJpegSegments(buffer) {
+  const segments = [];
+  let luminanceTable = null;
+  let offset = 2;
+
+  while (offset + 4 <= buffer.length && buffer[offset] === 0xFF) {
+    const marker = buffer[offset + 1];
+    if (marker === 0xDA || marker === 0xD9) break; // Start of scan / end of image
+    const length = buffer.readUInt16BE(offset + 2);
+    const body = buffer.subarray(offset + 4, offset + 2 + length);
+
+    if (marker >= 0xE0 && marker <= 0xEF) {
+      // APPn identifier is a NUL-terminated string
+      const nul = body.indexOf(0);
+      const identifier = body.subarray(0, nul > 0 ? Math.min(nul, 32) : Math.min(body.length, 32)).toString('latin1');
+      segments.push(`APP${marker - 0xE0}:${identifier}`);
+    } else if (marker === 0xDB) {
+      // DQT: one or more tables of [precision/id, 64 values]
+      let pos = 0;
+      while (pos < body.length) {
+        const precision = body[pos] >> 4;
+        const tableId = body[pos] & 0x0F;
+        const size = precision ? 128 : 64;
+        if (tableId === 0 && !luminanceTable) {
+          luminanceTable = new Array(64);
+          for (let i = 0; i < 64; i++) {
+            luminanceTable[ZIGZAG[i]] = precision ? body.readUInt16BE(pos + 1 + i * 2) : body[pos + 1 + i];
+          }
+        }
+        pos += 1 + size;
+      }
+    }
+    offset += 2 + length;
+  }
+
+  return { luminanceTable, segments };
+}
+
+/**
+ * Estimate the libjpeg quality a luminance table was scaled from
+ * @returns {Object} { quality, standard } - standard is false when no libjpeg quality reproduces the table
+ */
+function estimateJpegQuality(luminanceTable) {
+  let best = { quality: null, error: Infinity };
+  for (let quality = 1; quality <= 100; quality++) {
+    const scale = quality < 50 ? 5000 / quality : 200 - quality * 2;
+    let error = 0;
+    for (let i = 0; i < 64; i++) {
+      const expected = Math.min(255, Math.max(1, Math.floor((STD_LUMINANCE_TABLE[i] * scale + 50) / 100)));
+      error += Math.abs(expected - luminanceTable[i]);
+    }
+    if (error < best.error) best = { quality, error };
+  }
+  // Allow rounding differences between encoders (~1 per coefficient)
+  return { quality: best.quality, standard: best.error <= 64 };
+}
+
+// ==== EXIF / XMP ====
+
+/**
+ * Software tag (0x0131) from the EXIF IFD0
+ * @param {Buffer} exif - sharp metadata().exif ("Exif\0\0" + TIFF)
+ */
+function readExifSoftware(exif) {
+  if (!exif || exif.length < 14) return null;
+  const tiff = exif.subarray(exif.toString('latin1', 0, 4) === 'Exif' ? 6 : 0);
+  const littleEndian = tiff.toString('latin1', 0, 2) === 'II';
+  const read16 = pos => (littleEndian ? tiff.readUInt16LE(pos) : tiff.readUInt16BE(pos));
+  const read32 = pos => (littleEndian ? tiff.readUInt32LE(pos) : tiff.readUInt32BE(pos));
+
+  try {
+    const ifd = read32(4);
+    const entries = read16(ifd);
+    for (let i = 0; i < entries; i++) {
+      const entry = ifd + 2 + i * 12;
+      if (read16(entry) !== 0x0131) continue;
+      const count = read32(entry + 4);
+      const start = count > 4 ? read32(entry + 8) : entry + 8;
+      return tiff.toString('latin1', start, start + count).replace(/\0+$/, '').trim() || null;
+    }
+  } catch (error) {
+    // Truncated or malformed EXIF - treat as no tag
+  }
+  return null;
+}
+
+function readXmpCreatorTool(xmp) {
+  if (!xmp) return null;
+  const match = xmp.toString('utf8').match(/CreatorTool(?:="|>)([^"<]+)/);
+  return match ? match[1].trim() : null;
+}
+
+// ==== Error level analysis ====
+
+/**
+ * Mean recompression error per grid cell
+ * @returns {Object} { rows, cols, cells } - cells[row * cols + col]
+ */
+async function errorLevelGrid(imageBuffer) {
+  const original = await sharp(imageBuffer).rotate().greyscale().raw().toBuffer({ resolveWithObject: true });
+  const resaved = await sharp(imageBuffer).rotate().jpeg({ quality: ELA_QUALITY }).toBuffer();
+  const recompressed = await sharp(resaved).greyscale().raw().toBuffer();
+
+  const { width, height } = original.info;
+  const sums = new Float64Array(ELA_ROWS * ELA_COLS);
+  const counts = new Uint32Array(ELA_ROWS * ELA_COLS);
+
+  for (let y = 0; y < height; y++) {
+    const row = Math.min(ELA_ROWS - 1, Math.floor((y / height) * ELA_ROWS));
+    for (let x = 0; x < width; x++) {
+      const cell = row * ELA_COLS + Math.min(ELA_COLS - 1, Math.floor((x / width) * ELA_COLS));
+      const i = y * width + x;
+      sums[cell] += Math.abs(original.data[i] - recompressed[i]);
+      counts[cell]++;
+    }
+  }
+
+  return {
+    rows: ELA_ROWS,
+    cols: ELA_COLS,
+    cells: Array.from(sums, (sum, i) => (counts[i] ? sum / counts[i] : 0))
+  };
+}
+
+/**
+ * Strongest cell inside the amount band vs. the busy cells outside it
+ * (text always recompresses worse than flat background, so compare against
+ * the 90th percentile rather than the average)
+ */
+function amountRegionRatio(ela, region) {
+  const inside = [];
+  const outside = [];
+  for (let row = 0; row < ela.rows; row++) {
+    const center = (row + 0.5) / ela.rows;
+    const target = center >= region.top && center <= region.bottom ? inside : outside;
+    for (let col = 0; col < ela.cols; col++) {
+      target.push(ela.cells[row * ela.cols + col]);
+    }
+  }
+  if (inside.length === 0 || outside.length === 0) return null;
+
+  outside.sort((a, b) => a - b);
+  const baseline = outside[Math.floor(outside.length * 0.9)];
+  // Floor keeps flat, near-lossless images from dividing by ~0
+  return Math.round((Math.max(...inside) / Math.max(baseline, 0.1)) * 100) / 100;
+}
+
+// ==== Public API ====
+
+/**
+ * Inspect a screenshot (local only, no API calls)
+ * @param {Buffer} imageBuffer - Image bytes
+ * @returns {Object} { format, width, height, jpegQuality, standardQuantization, jpegSegments, editorSoftware, ela }
+ */
+async function analyzeImageForensics(imageBuffer) {
+  const metadata = await sharp(imageBuffer).metadata();
+  // Orientations 5-8 are rotated 90°
+  const rotated = (metadata.orientation || 1) >= 5;
+
+  const report = {
+    format: metadata.format,
+    width: rotated ? metadata.height : metadata.width,
+    height: rotated ? metadata.width : metadata.height,
+    jpegQuality: null,
+    standardQuantization: null,
+    jpegSegments: [],
+    editorSoftware: readExifSoftware(metadata.exif) || readXmpCreatorTool(metadata.xmp),
+    ela: null
+  };
+
+  if (metadata.format === 'jpeg') {
+    const { luminanceTable, segments } = readJpegSegments(imageBuffer);
+    report.jpegSegments = segments;
+    if (luminanceTable) {
+      const { quality, standard } = estimateJpegQuality(luminanceTable);
+      report.jpegQuality = quality;
+      report.standardQuantization = standard;
+    }
+  }
+
+  report.ela = await errorLevelGrid(imageBuffer);
+  return report;
+}
+
+/**
+ * Find the screenshot template for the OCR bank name
+ */
+function findTemplate(bankName) {
+  const entry = Object.entries(SCREENSHOT_TEMPLATES).find(([, template]) => bankName && template.match.test(bankName));
+  return entry ? { name: entry[0], ...entry[1] } : { name: null, ...GENERIC_TEMPLATE };
+}
+
+/**
+ * Score a forensics report (each signal fires at most once, so signals are independent)
+ * @param {Object} report - From analyzeImageForensics
+ * @param {string} bankName - OCR bank name (selects the template)
+ * @param {Object} options - { suspectScore, elaRatio }
+ * @returns {Object} { suspected, score, signals: [{ type, weight, detail }], template, jpegQuality,
+ *   editorSoftware, elaRatio, width, height }
+ */
+function assessTampering(report, bankName, options = {}) {
+  const suspectScore = options.suspectScore || DEFAULT_SUSPECT_SCORE;
+  const elaThreshold = options.elaRatio || DEFAULT_ELA_RATIO;
+  const template = findTemplate(bankName);
+  const signals = [];
+  const addSignal = (type, detail) => signals.push({ type, weight: SIGNAL_WEIGHTS[type], detail });
+
+  // Image editor traces
+  const editorSegment = report.jpegSegments.find(segment => /photoshop|adobe/i.test(segment));
+  if (report.editorSoftware && EDITOR_SOFTWARE_PATTERN.test(report.editorSoftware)) {
+    addSignal('EDITOR_SOFTWARE', `Software tag: ${report.editorSoftware}`);
+  } else if (editorSegment) {
+    addSignal('EDITOR_SOFTWARE', `JPEG segment: ${editorSegment}`);
+  }
+
+  // Re-save history
+  if (report.standardQuantization === false) {
+    addSignal('JPEG_RESAVED', `Non-standard quantization table (closest quality ${report.jpegQuality})`);
+  } else if (report.jpegQuality && report.jpegQuality < MIN_JPEG_QUALITY) {
+    addSignal('JPEG_RESAVED', `JPEG quality ${report.jpegQuality} (< ${MIN_JPEG_QUALITY})`);
+  }
+
+  // Size and shape against the bank's screenshots
+  const aspect = report.width ? Math.round((report.height / report.width) * 100) / 100 : null;
+  if (report.width && report.width < MIN_SCREENSHOT_WIDTH) {
+    addSignal('RESOLUTION_ANOMALY', `Width ${report.width}px (< ${MIN_SCREENSHOT_WIDTH}px)`);
+  } else if (aspect && !template.aspectRanges.some(([min, max]) => aspect >= min && aspect <= max)) {
+    addSignal('RESOLUTION_ANOMALY', `Aspect ${aspect} outside ${template.name || 'bank app'} screenshots`);
+  }
+
+  // Pixel-level edit of the amount
+  const elaRatio = report.ela ? amountRegionRatio(report.ela, template.amountRegion) : null;
+  if (elaRatio && elaRatio >= elaThreshold) {
+    addSignal('ELA_AMOUNT_REGION', `Amount region error level ${elaRatio}x the rest of the image`);
+  }
+
+  const score = signals.reduce((sum, signal) => sum + signal.weight, 0);
+  return {
+    suspected: signals.length >= MIN_SIGNALS && score >= suspectScore,
+    score,
+    signals,
+    template: template.name,
+    jpegQuality: report.jpegQuality,
+    editorSoftware: report.editorSoftware,
+    elaRatio,
+    width: report.width,
+    height: report.height
+  };
+}
+
+module.exports = {
+  SCREENSHOT_TEMPLATES,
+  SIGNAL_WEIGHTS,
+  analyzeImageForensics,
+  assessTampering
+};
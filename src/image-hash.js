@@ -0,0 +1,207 @@
+'use strict';
+
+/**
+ * Image Hash Module
+ * Exact (sha256) and perceptual (64-bit DCT pHash) hashes of screenshots,
+ * stored in the GridFS metadata (screenshots.files) and compared on upload
+ * to catch re-uploaded receipts, including resized or re-compressed copies
+ * where OCR misreads or omits the transaction ID.
+ *
+ * Receipts from the same bank template differ only in small text, so their
+ * pHashes are close even when they are different payments. A near match
+ * therefore only counts when the transaction IDs do not clearly differ. The
+ * amount does not rule a match out - a reused receipt with an edited or
+ * misread amount is the case this catches.
+ * The status stored in the metadata is the one at upload; callers filter the
+ * matches on the payment's current status (MATCHABLE_STATUSES).
+ * Used by botfetch.js and scripts/replay-verification.js
+ */
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const HASH_SIZE = 32; // Image is reduced to 32x32 before the DCT
+const DCT_SIZE = 8; // Top-left 8x8 low frequencies → 64 bits
+const PHASH_BITS = DCT_SIZE * DCT_SIZE;
+// pHash is split into 8-bit bands; any pair within 7 bits shares a band
+const BAND_COUNT = 8;
+// Transaction IDs this many edits apart are treated as an OCR misread
+const MAX_ID_EDITS = 2;
+
+// Screenshots whose payment still counts (a rejected photo may be re-sent)
+const MATCHABLE_STATUSES = ['verified', 'pending'];
+
+// Precomputed DCT-II cosine table
+const DCT_COS = Array.from({ length: DCT_SIZE }, (_, u) =>
+  Array.from({ length: HASH_SIZE }, (_, x) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * HASH_SIZE)))
+);
+
+/**
+ * 64-bit DCT perceptual hash as 16 hex characters
+ * @param {Buffer} imageBuffer - Image bytes
+ */
+async function perceptualHash(imageBuffer) {
+  const pixels = await sharp(imageBuffer)
+    .rotate()
+    .greyscale()
+    .resize(HASH_SIZE, HASH_SIZE, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  // 2D DCT, low frequencies only
+  const coefficients = [];
+  for (let u = 0; u < DCT_SIZE; u++) {
+    for (let v = 0; v < DCT_SIZE; v++) {
+      let sum = 0;
+      for (let x = 0; x < HASH_SIZE; x++) {
+        for (let y = 0; y < HASH_SIZE; y++) {
+          sum += pixels[y * HASH_SIZE + x] * DCT_COS[u][x] * DCT_COS[v][y];
+        }
+      }
+      coefficients.push(sum);
+    }
+  }
+
+  // Median without the DC term (overall brightness)
+  const sorted = coefficients.slice(1).sort((a, b) => a - b);
+  const median = sorted[Math.floor(sorted.length / 2)];
+
+  let hex = '';
+  for (let i = 0; i < PHASH_BITS; i += 4) {
+    let nibble = 0;
+    for (let bit = 0; bit < 4; bit++) {
+      nibble = (nibble << 1) | (coefficients[i + bit] > median ? 1 : 0);
+    }
+    hex += nibble.toString(16);
+  }
+  return hex;
+}
+
+/**
+ * Band keys used to find near-duplicate candidates with an index lookup
+ * @param {string} phash - 16 hex characters
+ * @returns {Array} e.g. ['0:a3', '1:f0', ...]
+ */
+function phashBands(phash) {
+  const width = phash.length / BAND_COUNT;
+  return Array.from({ length: BAND_COUNT }, (_, i) => `${i}:${phash.slice(i * width, (i + 1) * width)}`);
+}
+
+/**
+ * Number of differing bits between two hex hashes
+ */
+function hammingDistance(hashA, hashB) {
+  let distance = 0;
+  for (let i = 0; i < hashA.length; i++) {
+    let diff = parseInt(hashA[i], 16) ^ parseInt(hashB[i], 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+}
+
+/**
+ * Whether two OCR transaction IDs clearly belong to different transactions
+ * (missing IDs never conflict; one or two misread characters do not either)
+ */
+function transactionIdsConflict(idA, idB) {
+  const a = String(idA || '').replace(/[^a-z0-9]/gi, '').toUpperCase();
+  const b = String(idB || '').replace(/[^a-z0-9]/gi, '').toUpperCase();
+  if (!a || !b || a === b) return false;
+
+  // Levenshtein distance, single row
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length] > MAX_ID_EDITS;
+}
+
+/**
+ * Hash a screenshot
+ * @param {Buffer} imageBuffer - Image bytes
+ * @returns {Object} { sha256, phash, phashBands }
+ */
+async function computeImageHashes(imageBuffer) {
+  const sha256 = crypto.createHash('sha256').update(imageBuffer).digest('hex');
+  const phash = await perceptualHash(imageBuffer);
+  return { sha256, phash, phashBands: phashBands(phash) };
+}
+
+/**
+ * Create the hash indexes on the GridFS files collection
+ * @param {Collection} screenshotFilesCollection - screenshots.files
+ */
+async function ensureImageHashIndexes(screenshotFilesCollection) {
+  await screenshotFilesCollection.createIndex({ 'metadata.sha256': 1 });
+  await screenshotFilesCollection.createIndex({ 'metadata.phashBands': 1 });
+  await screenshotFilesCollection.createIndex({ 'metadata.amountInKHR': 1 });
+}
+
+/**
+ * Find earlier screenshots that are exact or near duplicates
+ * @param {Collection} screenshotFilesCollection - screenshots.files
+ * @param {Object} hashes - From computeImageHashes
+ * @param {Object} options - { maxDistance, amountInKHR, transactionId, paymentId }
+ *   maxDistance: pHash bits (default 8); amountInKHR/transactionId: OCR values of the new screenshot
+ *   paymentId: the new screenshot's payment - its own upload from an earlier attempt is not a duplicate
+ * @returns {Array} Matches, closest first: { screenshotId, filename, exact, distance, similarity,
+ *   paymentId, chatId, amountInKHR, transactionId, verificationStatus, uploadedAt }
+ *   verificationStatus is the upload-time status - drop matches whose payment is no longer matchable
+ */
+async function findDuplicateImages(screenshotFilesCollection, hashes, options = {}) {
+  const maxDistance = options.maxDistance ?? 8;
+  const { amountInKHR, transactionId, paymentId } = options;
+
+  // Near-match candidates: a shared pHash band, plus every hashed screenshot of the same amount
+  const nearFilters = [{ 'metadata.phashBands': { $in: hashes.phashBands } }];
+  if (amountInKHR) {
+    nearFilters.push({ 'metadata.amountInKHR': amountInKHR, 'metadata.phash': { $exists: true } });
+  }
+
+  const candidates = await screenshotFilesCollection.find({
+    ...(paymentId && { 'metadata.paymentId': { $ne: paymentId } }),
+    $or: [{ 'metadata.sha256': hashes.sha256 }, ...nearFilters]
+  }, { projection: { filename: 1, metadata: 1 } }).toArray();
+
+  return candidates
+    .map(file => {
+      const exact = file.metadata.sha256 === hashes.sha256;
+      const distance = exact ? 0 : (file.metadata.phash ? hammingDistance(hashes.phash, file.metadata.phash) : PHASH_BITS);
+      return {
+        screenshotId: file._id.toString(),
+        filename: file.filename,
+        exact,
+        distance,
+        similarity: Math.round((1 - distance / PHASH_BITS) * 1000) / 1000,
+        paymentId: file.metadata.paymentId || null,
+        chatId: file.metadata.chatId ?? null,
+        amountInKHR: file.metadata.amountInKHR ?? null,
+        transactionId: file.metadata.transactionId || null,
+        verificationStatus: file.metadata.verificationStatus,
+        uploadedAt: file.metadata.uploadedAt
+      };
+    })
+    .filter(match => match.exact ||
+      (match.distance <= maxDistance && !transactionIdsConflict(match.transactionId, transactionId)))
+    .sort((a, b) => a.distance - b.distance);
+}
+
+module.exports = {
+  MATCHABLE_STATUSES,
+  computeImageHashes,
+  hammingDistance,
+  transactionIdsConflict,
+  ensureImageHashIndexes,
+  findDuplicateImages
+};
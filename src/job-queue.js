@@ -0,0 +1,471 @@
+'use strict';
+
+/**
+ * Durable Job Queue Module
+ * Mongo-backed queue for screenshot processing (customerDB.processingJobs).
+ * Jobs survive restarts, move through queued → downloading → ocr → verifying
+ * → done, are retried with exponential backoff and end up in the dead-letter
+ * list (state "failed") after the last attempt. Processing keeps the
+ * BOT_MIN_DELAY pacing.
+ *
+ * A running job's lock (lockedBy/lockedAt) is refreshed every third of the
+ * lock timeout. A job whose lock has expired was interrupted by a crash and
+ * is put back in the queue by any instance; on startup an instance also
+ * takes back the jobs locked under its own worker ID (same host and pid).
+ * Jobs locked by live instances are never touched.
+ * Handlers record side effects that must not repeat on a retry (a message
+ * sent, a photo posted) in the job's "effects" field.
+ *
+ * A pool of workers processes jobs concurrently, but jobs of the same chat
+ * run strictly in arrival order: a job is only claimed when no older job of
+ * its chat is still queued or in progress. Jobs enqueued in the same
+ * millisecond (an album delivered in one polling batch) are ordered by their
+ * Telegram message_id. Dead-lettered jobs do not block.
+ * Used by botfetch.js
+ */
+
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+
+const JOB_STATES = {
+  QUEUED: 'queued',
+  DOWNLOADING: 'downloading',
+  OCR: 'ocr',
+  VERIFYING: 'verifying',
+  DONE: 'done',
+  FAILED: 'failed'
+};
+
+// States a worker owns while processing
+const ACTIVE_STATES = [JOB_STATES.DOWNLOADING, JOB_STATES.OCR, JOB_STATES.VERIFYING];
+
+// Due jobs inspected per claim when looking for a chat that is free
+const CLAIM_SCAN_LIMIT = 50;
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+class JobQueue {
+  /**
+   * @param {Collection} jobsCollection - MongoDB processingJobs collection
+   * @param {Object} options - { handler, concurrency, minDelayMs, maxAttempts, backoffBaseMs, pollIntervalMs, warnDepth,
+   *   lockTimeoutMs }
+   *   handler(job, setState) processes one job; throwing schedules a retry
+   *   minDelayMs spaces job starts across all workers
+   *   lockTimeoutMs: a lock not refreshed for this long belongs to a crashed instance
+   */
+  constructor(jobsCollection, options = {}) {
+    this.jobs = jobsCollection;
+    this.handler = options.handler;
+    this.minDelayMs = options.minDelayMs ?? 1000;
+    this.maxAttempts = options.maxAttempts ?? 5;
+    this.backoffBaseMs = options.backoffBaseMs ?? 30000;
+    this.pollIntervalMs = options.pollIntervalMs ?? 5000;
+    this.warnDepth = options.warnDepth ?? 50;
+    this.lockTimeoutMs = options.lockTimeoutMs ?? 5 * 60 * 1000;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.concurrency = Math.max(1, options.concurrency ?? 1);
+
+    this.workers = Array.from({ length: this.concurrency }, (_, index) => ({
+      id: index + 1,
+      running: false,
+      currentJob: null,
+      processed: 0,
+      failed: 0,
+      totalDurationMs: 0,
+      lastJobAt: null
+    }));
+    // Claims are serialized so two local workers never pick the same chat
+    this.claimChain = Promise.resolve();
+    this.lastJobTime = 0;
+    this.pollTimer = null;
+  }
+
+  async ensureIndexes() {
+    // One job per Telegram message, even if the update is delivered twice
+    await this.jobs.createIndex({ updateKey: 1 }, { unique: true });
+    await this.jobs.createIndex({ state: 1, nextRunAt: 1 });
+    await this.jobs.createIndex({ chatId: 1, createdAt: 1, messageId: 1 });
+  }
+
+  /**
+   * Add a Telegram message to the queue (idempotent per chat + message_id)
+   * @param {Object} message - Telegram message
+   * @returns {Object} { job, duplicate }
+   */
+  async enqueue(message) {
+    const now = new Date();
+    const job = {
+      _id: uuidv4(),
+      updateKey: `${message.chat.id}:${message.message_id}`,
+      chatId: message.chat.id,
+      messageId: message.message_id,
+      // Assigned up front so a retried job never creates a second payment
+      paymentId: uuidv4(),
+      message,
+      state: JOB_STATES.QUEUED,
+      attempts: 0,
+      maxAttempts: this.maxAttempts,
+      nextRunAt: now,
+      lockedBy: null,
+      lockedAt: null,
+      lastError: null,
+      errorHistory: [],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    try {
+      await this.jobs.insertOne(job);
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      const existing = await this.jobs.findOne({ updateKey: job.updateKey });
+      return { job: existing, duplicate: true };
+    }
+
+    const depth = await this.jobs.countDocuments({ state: JOB_STATES.QUEUED });
+    if (depth > this.warnDepth) {
+      console.warn(`⚠️ [QUEUE] Backlog is ${depth} jobs (warning threshold ${this.warnDepth})`);
+    }
+
+    this.kick();
+    return { job, duplicate: false };
+  }
+
+  /**
+   * Put jobs interrupted by a crash back in the queue
+   * @param {boolean} includeOwn - Also take back jobs locked under this worker ID (only before workers start)
+   * @returns {number} Number of jobs resumed
+   */
+  async resumeStale(includeOwn = false) {
+    const expired = [{ lockedAt: null }, { lockedAt: { $lt: new Date(Date.now() - this.lockTimeoutMs) } }];
+    if (includeOwn) expired.push({ lockedBy: { $regex: `^${escapeRegex(this.workerId)}#` } });
+
+    const result = await this.jobs.updateMany(
+      { state: { $in: ACTIVE_STATES }, $or: expired },
+      {
+        $set: {
+          state: JOB_STATES.QUEUED,
+          nextRunAt: new Date(),
+          lockedBy: null,
+          lockedAt: null,
+          updatedAt: new Date()
+        }
+      }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Resume interrupted jobs and start processing
+   */
+  async start() {
+    await this.ensureIndexes();
+    const resumed = await this.resumeStale(true);
+    const queued = await this.jobs.countDocuments({ state: JOB_STATES.QUEUED });
+    console.log(`✅ [QUEUE] Durable queue ready | Resumed: ${resumed} | Queued: ${queued}`);
+
+    // Poll for jobs whose backoff has expired, and for jobs of crashed instances
+    this.pollTimer = setInterval(() => this.poll(), this.pollIntervalMs);
+    this.kick();
+  }
+
+  async poll() {
+    try {
+      const resumed = await this.resumeStale();
+      if (resumed > 0) console.warn(`⚠️ [QUEUE] Resumed ${resumed} job(s) whose lock expired`);
+    } catch (error) {
+      console.error('[QUEUE ERROR] Stale job check failed:', error.message);
+    }
+    this.kick();
+  }
+
+  stop() {
+    if (this.pollTimer) clearInterval(this.pollTimer);
+    this.pollTimer = null;
+  }
+
+  /**
+   * Claim the next due job (one claim at a time per process)
+   * @param {Object} worker - Worker claiming the job
+   */
+  claimNext(worker) {
+    const claim = this.claimChain.then(() => this.claimNextUnlocked(worker));
+    this.claimChain = claim.catch(() => {});
+    return claim;
+  }
+
+  async claimNextUnlocked(worker) {
+    // Enforce minimum delay between job starts
+    const timeSinceLast = Date.now() - this.lastJobTime;
+    if (this.lastJobTime > 0 && timeSinceLast < this.minDelayMs) {
+      await new Promise(resolve => setTimeout(resolve, this.minDelayMs - timeSinceLast));
+    }
+
+    const now = new Date();
+    const candidates = await this.jobs
+      .find({ state: JOB_STATES.QUEUED, nextRunAt: { $lte: now } }, { projection: { chatId: 1, createdAt: 1, messageId: 1 } })
+      .sort({ createdAt: 1, messageId: 1 })
+      .limit(CLAIM_SCAN_LIMIT)
+      .toArray();
+
+    const blockedChats = new Set();
+    for (const candidate of candidates) {
+      if (blockedChats.has(candidate.chatId)) continue;
+
+      // An older job of this chat (in progress or waiting for a retry) goes first;
+      // message_id breaks ties between jobs enqueued in the same millisecond
+      const older = await this.jobs.findOne({
+        chatId: candidate.chatId,
+        $or: [
+          { createdAt: { $lt: candidate.createdAt } },
+          { createdAt: candidate.createdAt, messageId: { $lt: candidate.messageId } }
+        ],
+        state: { $in: [JOB_STATES.QUEUED, ...ACTIVE_STATES] }
+      }, { projection: { _id: 1 } });
+      if (older) {
+        blockedChats.add(candidate.chatId);
+        continue;
+      }
+
+      const job = await this.jobs.findOneAndUpdate(
+        { _id: candidate._id, state: JOB_STATES.QUEUED },
+        {
+          $set: {
+            state: JOB_STATES.DOWNLOADING,
+            lockedBy: `${this.workerId}#${worker.id}`,
+            lockedAt: now,
+            startedAt: now,
+            updatedAt: now
+          },
+          $inc: { attempts: 1 }
+        },
+        { returnDocument: 'after' }
+      );
+
+      if (job) {
+        this.lastJobTime = Date.now();
+        return job;
+      }
+      // Claimed by another instance - its chat is busy now
+      blockedChats.add(candidate.chatId);
+    }
+
+    return null;
+  }
+
+  /**
+   * Record progress of a claimed job
+   */
+  async setState(jobId, state) {
+    await this.jobs.updateOne(
+      { _id: jobId },
+      { $set: { state, lockedAt: new Date(), updatedAt: new Date() } }
+    );
+  }
+
+  /**
+   * Keep a running job's lock fresh so other instances don't resume it
+   * @returns {Function} Stops the refresh
+   */
+  keepLocked(job) {
+    const timer = setInterval(() => {
+      this.jobs.updateOne(
+        { _id: job._id, lockedBy: job.lockedBy },
+        { $set: { lockedAt: new Date() } }
+      ).catch(error => console.error(`[QUEUE ERROR] Lock refresh failed for job ${job._id}:`, error.message));
+    }, Math.max(1000, Math.floor(this.lockTimeoutMs / 3)));
+    return () => clearInterval(timer);
+  }
+
+  /**
+   * Record a side effect of a claimed job, so a retry can skip it
+   * @param {string} name - Effect name
+   * @param {*} value - Result to keep (e.g. a Telegram message_id)
+   */
+  async recordEffect(jobId, name, value) {
+    await this.jobs.updateOne(
+      { _id: jobId },
+      { $set: { [`effects.${name}`]: value, updatedAt: new Date() } }
+    );
+  }
+
+  async complete(job) {
+    await this.jobs.updateOne(
+      { _id: job._id },
+      {
+        $set: {
+          state: JOB_STATES.DONE,
+          finishedAt: new Date(),
+          updatedAt: new Date(),
+          lockedBy: null,
+          lockedAt: null
+        }
+      }
+    );
+  }
+
+  /**
+   * Schedule a retry with exponential backoff, or dead-letter the job
+   */
+  async fail(job, error) {
+    const now = new Date();
+    const deadLetter = job.attempts >= (job.maxAttempts || this.maxAttempts);
+    const backoffMs = this.backoffBaseMs * Math.pow(2, job.attempts - 1);
+
+    await this.jobs.updateOne(
+      { _id: job._id },
+      {
+        $set: {
+          state: deadLetter ? JOB_STATES.FAILED : JOB_STATES.QUEUED,
+          nextRunAt: deadLetter ? null : new Date(now.getTime() + backoffMs),
+          lastError: error.message,
+          updatedAt: now,
+          lockedBy: null,
+          lockedAt: null,
+          ...(deadLetter && { failedAt: now })
+        },
+        $push: {
+          errorHistory: {
+            $each: [{ attempt: job.attempts, state: job.state, error: error.message, at: now }],
+            $slice: -10
+          }
+        }
+      }
+    );
+
+    if (deadLetter) {
+      console.error(`💀 [QUEUE] Job ${job._id} dead-lettered after ${job.attempts} attempts: ${error.message}`);
+    } else {
+      console.warn(`🔁 [QUEUE] Job ${job._id} failed (attempt ${job.attempts}), retry in ${Math.round(backoffMs / 1000)}s: ${error.message}`);
+    }
+  }
+
+  /**
+   * Wake idle workers
+   */
+  kick() {
+    for (const worker of this.workers) {
+      if (!worker.running) this.runWorker(worker);
+    }
+  }
+
+  /**
+   * Process due jobs until none is claimable
+   * @param {Object} worker - Entry of this.workers
+   */
+  async runWorker(worker) {
+    worker.running = true;
+
+    try {
+      while (true) {
+        const job = await this.claimNext(worker);
+        if (!job) break;
+
+        const startedAt = Date.now();
+        worker.currentJob = { jobId: job._id, chatId: job.chatId, state: job.state, startedAt: new Date(startedAt) };
+        console.log(`📤 [QUEUE] Worker ${worker.id} processing job ${job._id} | Chat ${job.chatId} | Attempt ${job.attempts}`);
+
+        const releaseLock = this.keepLocked(job);
+        try {
+          await this.handler(job, async (state) => {
+            job.state = state;
+            worker.currentJob.state = state;
+            await this.setState(job._id, state);
+          });
+          await this.complete(job);
+          worker.processed++;
+        } catch (error) {
+          await this.fail(job, error);
+          worker.failed++;
+        } finally {
+          releaseLock();
+          worker.totalDurationMs += Date.now() - startedAt;
+          worker.lastJobAt = new Date();
+          worker.currentJob = null;
+        }
+      }
+    } catch (error) {
+      console.error(`[QUEUE ERROR] Worker ${worker.id}:`, error);
+    } finally {
+      worker.running = false;
+    }
+  }
+
+  /**
+   * Move dead-lettered jobs back to the queue
+   * @param {string|null} jobId - One job, or all failed jobs when null
+   * @returns {number} Number of jobs requeued
+   */
+  async requeue(jobId = null) {
+    const filter = { state: JOB_STATES.FAILED };
+    if (jobId) filter._id = jobId;
+
+    const result = await this.jobs.updateMany(filter, {
+      $set: {
+        state: JOB_STATES.QUEUED,
+        attempts: 0,
+        nextRunAt: new Date(),
+        updatedAt: new Date(),
+        requeuedAt: new Date()
+      },
+      $unset: { failedAt: '' }
+    });
+
+    if (result.modifiedCount > 0) this.kick();
+    return result.modifiedCount;
+  }
+
+  /**
+   * Per-worker metrics
+   */
+  getWorkerStats() {
+    return this.workers.map(worker => {
+      const finished = worker.processed + worker.failed;
+      return {
+        id: worker.id,
+        busy: Boolean(worker.currentJob),
+        currentJob: worker.currentJob,
+        processed: worker.processed,
+        failed: worker.failed,
+        avgDurationMs: finished > 0 ? Math.round(worker.totalDurationMs / finished) : null,
+        lastJobAt: worker.lastJobAt
+      };
+    });
+  }
+
+  /**
+   * Queue depth per state, worker metrics and the most recent dead-lettered jobs
+   */
+  async getStats(failedLimit = 20) {
+    const counts = await this.jobs.aggregate([
+      { $group: { _id: '$state', count: { $sum: 1 } } }
+    ]).toArray();
+
+    const byState = Object.fromEntries(Object.values(JOB_STATES).map(state => [state, 0]));
+    for (const { _id, count } of counts) byState[_id] = count;
+
+    const failedJobs = await this.jobs
+      .find({ state: JOB_STATES.FAILED }, {
+        projection: { chatId: 1, messageId: 1, paymentId: 1, attempts: 1, lastError: 1, failedAt: 1, createdAt: 1 }
+      })
+      .sort({ failedAt: -1 })
+      .limit(failedLimit)
+      .toArray();
+
+    return {
+      depth: byState[JOB_STATES.QUEUED] + ACTIVE_STATES.reduce((sum, state) => sum + byState[state], 0),
+      byState,
+      processing: this.workers.some(worker => worker.currentJob),
+      concurrency: this.concurrency,
+      workers: this.getWorkerStats(),
+      failedJobs
+    };
+  }
+}
+
+module.exports = {
+  JOB_STATES,
+  JobQueue
+};
@@ -0,0 +1,314 @@
+'use strict';
+
+/**
+ * KHQR Payment Code Module
+ * Builds EMVCo-compliant KHQR strings (Bakong) for open bills: our merchant
+ * account, the exact outstanding amount and a bill reference in the
+ * additional-data field. Banking apps show the reference on the receipt, so
+ * a screenshot whose remark carries it is matched to that bill directly.
+ * Used by botfetch.js and payment-scheduler.js
+ */
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { loadAllocation } = require('./bill-matcher');
+const { getRecipientsForChat } = require('./recipient-registry');
+
+// EMVCo tag IDs used by KHQR
+const TAGS = {
+  PAYLOAD_FORMAT: '00',
+  POINT_OF_INITIATION: '01',
+  INDIVIDUAL_ACCOUNT: '29',
+  MERCHANT_CATEGORY: '52',
+  CURRENCY: '53',
+  AMOUNT: '54',
+  COUNTRY: '58',
+  MERCHANT_NAME: '59',
+  MERCHANT_CITY: '60',
+  ADDITIONAL_DATA: '62',
+  LANGUAGE_TEMPLATE: '64',
+  TIMESTAMP: '99',
+  CRC: '63'
+};
+
+// Sub-tags of 29 (account), 62 (additional data) and 64 (alternate language)
+const ACCOUNT_TAGS = { BAKONG_ACCOUNT_ID: '00', ACQUIRING_BANK: '02' };
+const ADDITIONAL_DATA_TAGS = { BILL_NUMBER: '01', STORE_LABEL: '03', TERMINAL_LABEL: '07' };
+const LANGUAGE_TAGS = { PREFERENCE: '00', MERCHANT_NAME: '01', MERCHANT_CITY: '02' };
+
+// Tags 59 and 60 must be Latin (printable ASCII); Khmer goes in tag 64
+const LATIN_TEXT = /^[\x20-\x7E]+$/;
+
+// ISO 4217 numeric codes
+const CURRENCY_CODES = { KHR: '116', USD: '840' };
+
+// "12" = dynamic code (amount included, one payment)
+const DYNAMIC_QR = '12';
+const DEFAULT_MCC = '5999';
+const MAX_BILL_CODES = 3;
+
+// Receipt remarks come back with spaces or dashes inserted
+const REFERENCE_PATTERN = /BILL[\s-]?([0-9A-F]{8})/gi;
+
+/**
+ * One TLV field (ID + 2-digit length in UTF-8 bytes + value)
+ */
+function tlv(tag, value) {
+  const text = String(value);
+  const length = Buffer.byteLength(text, 'utf8');
+  if (length > 99) {
+    throw new Error(`KHQR field ${tag} is longer than 99 bytes`);
+  }
+  return `${tag}${String(length).padStart(2, '0')}${text}`;
+}
+
+function isLatinText(value) {
+  return typeof value === 'string' && LATIN_TEXT.test(value);
+}
+
+/**
+ * CRC-16/CCITT-FALSE over the payload (poly 0x1021, init 0xFFFF), as 4 hex digits
+ */
+function crc16(payload) {
+  let crc = 0xFFFF;
+  for (const byte of Buffer.from(payload, 'utf8')) {
+    crc ^= byte << 8;
+    for (let i = 0; i < 8; i++) {
+      crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xFFFF : (crc << 1) & 0xFFFF;
+    }
+  }
+  return crc.toString(16).toUpperCase().padStart(4, '0');
+}
+
+/**
+ * KHR has no minor unit; USD is sent with up to 2 decimals
+ */
+function formatAmount(amount, currency) {
+  return currency === 'KHR' ? String(Math.round(amount)) : String(Number(Number(amount).toFixed(2)));
+}
+
+/**
+ * Build a dynamic KHQR string
+ * @param {Object} options - { bakongAccountId, merchantName, merchantCity, acquiringBank, amount, currency,
+ *   billNumber, storeLabel, terminalLabel, timestamp, merchantNameKhmer, merchantCityKhmer }
+ *   merchantName/merchantCity must be Latin text; the Khmer ones go in the language template (tag 64)
+ * @returns {string} KHQR payload (ends with the CRC field)
+ */
+function buildKhqr(options) {
+  const currency = String(options.currency || 'KHR').toUpperCase();
+  if (!CURRENCY_CODES[currency]) throw new Error(`Unsupported KHQR currency: ${currency}`);
+  if (!options.bakongAccountId) throw new Error('KHQR needs a Bakong account ID');
+  if (!(options.amount > 0)) throw new Error('KHQR amount must be positive');
+  const merchantName = options.merchantName || 'MERCHANT';
+  const merchantCity = options.merchantCity || 'Phnom Penh';
+  if (!isLatinText(merchantName) || !isLatinText(merchantCity)) {
+    throw new Error('KHQR merchant name and city must be Latin text (Khmer goes in merchantNameKhmer/merchantCityKhmer)');
+  }
+
+  const account = tlv(ACCOUNT_TAGS.BAKONG_ACCOUNT_ID, options.bakongAccountId) +
+    (options.acquiringBank ? tlv(ACCOUNT_TAGS.ACQUIRING_BANK, options.acquiringBank) : '');
+
+  const additionalData = [
+    options.billNumber && tlv(ADDITIONAL_DATA_TAGS.BILL_NUMBER, options.billNumber),
+    options.storeLabel && tlv(ADDITIONAL_DATA_TAGS.STORE_LABEL, options.storeLabel),
+    options.terminalLabel && tlv(ADDITIONAL_DATA_TAGS.TERMINAL_LABEL, options.terminalLabel)
+  ].filter(Boolean).join('');
+
+  const alternateLanguage = (options.merchantNameKhmer || options.merchantCityKhmer) && [
+    tlv(LANGUAGE_TAGS.PREFERENCE, 'km'),
+    tlv(LANGUAGE_TAGS.MERCHANT_NAME, options.merchantNameKhmer || merchantName),
+    options.merchantCityKhmer && tlv(LANGUAGE_TAGS.MERCHANT_CITY, options.merchantCityKhmer)
+  ].filter(Boolean).join('');
+
+  const timestamp = options.timestamp instanceof Date ? options.timestamp.getTime() : (options.timestamp || Date.now());
+
+  const payload = [
+    tlv(TAGS.PAYLOAD_FORMAT, '01'),
+    tlv(TAGS.POINT_OF_INITIATION, DYNAMIC_QR),
+    tlv(TAGS.INDIVIDUAL_ACCOUNT, account),
+    tlv(TAGS.MERCHANT_CATEGORY, DEFAULT_MCC),
+    tlv(TAGS.CURRENCY, CURRENCY_CODES[currency]),
+    tlv(TAGS.AMOUNT, formatAmount(options.amount, currency)),
+    tlv(TAGS.COUNTRY, 'KH'),
+    tlv(TAGS.MERCHANT_NAME, merchantName.slice(0, 25)),
+    tlv(TAGS.MERCHANT_CITY, merchantCity.slice(0, 15)),
+    additionalData && tlv(TAGS.ADDITIONAL_DATA, additionalData),
+    alternateLanguage && tlv(TAGS.LANGUAGE_TEMPLATE, alternateLanguage),
+    tlv(TAGS.TIMESTAMP, tlv('00', timestamp))
+  ].filter(Boolean).join('') + TAGS.CRC + '04';
+
+  return payload + crc16(payload);
+}
+
+/**
+ * Split a KHQR string into its top-level fields and check the CRC
+ * @param {string} payload - KHQR string
+ * @returns {Object} { valid, fields: { tag: value } }
+ */
+function parseKhqr(payload) {
+  // Lengths count UTF-8 bytes
+  const bytes = Buffer.from(payload, 'utf8');
+  const fields = {};
+  let index = 0;
+  while (index + 4 <= bytes.length) {
+    const tag = bytes.toString('utf8', index, index + 2);
+    const length = parseInt(bytes.toString('utf8', index + 2, index + 4));
+    if (isNaN(length)) return { valid: false, fields };
+    fields[tag] = bytes.toString('utf8', index + 4, index + 4 + length);
+    index += 4 + length;
+  }
+
+  const valid = index === bytes.length && Boolean(fields[TAGS.CRC]) &&
+    crc16(payload.slice(0, -4)) === fields[TAGS.CRC].toUpperCase();
+  return { valid, fields };
+}
+
+/**
+ * Render a KHQR string as a PNG buffer
+ */
+async function renderKhqrPng(payload) {
+  return QRCode.toBuffer(payload, { type: 'png', errorCorrectionLevel: 'M', width: 512, margin: 2 });
+}
+
+// ==== Bills ====
+
+/**
+ * Short bill reference for the additional-data field ("BILL3F9A2C1D")
+ * ObjectId bills use their last 8 hex digits, other IDs a hash
+ */
+function billReference(billId) {
+  const id = String(billId);
+  const hex = /^[0-9a-f]{24}$/i.test(id) ? id.slice(-8) : crypto.createHash('sha1').update(id).digest('hex').slice(0, 8);
+  return `BILL${hex.toUpperCase()}`;
+}
+
+/**
+ * Find the open bill whose reference appears in a receipt remark
+ * @param {Array} balances - Balances from allocatePayments()
+ * @param {string} text - Remark from OCR
+ * @returns {Object|null} Balance
+ */
+function findBillByReference(balances, text) {
+  if (!text) return null;
+  const references = [...String(text).matchAll(REFERENCE_PATTERN)].map(match => `BILL${match[1].toUpperCase()}`);
+  if (references.length === 0) return null;
+
+  return balances.find(balance =>
+    !balance.closed && balance.outstandingAmount > 0 && references.includes(billReference(balance.billId))
+  ) || null;
+}
+
+/**
+ * Pick the account a chat's codes pay into
+ * Registry entries with a KHQR ID first, then the configured default account
+ * The merchant name is the first Latin one of the entry's name aliases, the default
+ * name and the entry name; the first Khmer one goes in the language template
+ * @param {Array} recipients - Registry entries for the chat
+ * @param {Object} defaults - { bakongAccountId, merchantName, merchantCity }
+ * @returns {Object|null} { recipientId, bakongAccountId, merchantName, merchantCity, merchantNameKhmer }
+ */
+function resolveMerchant(recipients, defaults = {}) {
+  const recipient = recipients.find(entry => entry.khqrIds && entry.khqrIds.length > 0);
+  if (recipient) {
+    const names = [...(recipient.nameAliases || []), defaults.merchantName, recipient.name].filter(Boolean);
+    return {
+      recipientId: recipient._id,
+      bakongAccountId: recipient.khqrIds[0],
+      merchantName: names.find(isLatinText) || null,
+      merchantCity: defaults.merchantCity,
+      merchantNameKhmer: names.find(name => !isLatinText(name)) || null
+    };
+  }
+  if (defaults.bakongAccountId) {
+    const latin = isLatinText(defaults.merchantName);
+    return {
+      recipientId: null,
+      bakongAccountId: defaults.bakongAccountId,
+      merchantName: latin ? defaults.merchantName : null,
+      merchantCity: defaults.merchantCity,
+      merchantNameKhmer: !latin && defaults.merchantName ? defaults.merchantName : null
+    };
+  }
+  return null;
+}
+
+/**
+ * Default merchant account from the environment (chats without a registry KHQR ID)
+ */
+function getDefaultMerchant(env = process.env) {
+  return {
+    bakongAccountId: env.KHQR_BAKONG_ACCOUNT_ID || null,
+    merchantName: env.KHQR_MERCHANT_NAME || null,
+    merchantCity: env.KHQR_MERCHANT_CITY || 'Phnom Penh'
+  };
+}
+
+/**
+ * Photo caption for one bill's code (Khmer + English)
+ */
+function formatBillCodeCaption(code) {
+  return `🧾 វិក្កយបត្រ ${code.period} | Bill ${code.period}\n` +
+    `💰 ${Math.round(code.amount).toLocaleString('en-US')} ${code.currency}\n` +
+    `🔖 ${code.reference}\n\n` +
+    `សូមស្កេន KHQR នេះដើម្បីបង់ប្រាក់ ហើយផ្ញើរូបថតបង្កាន់ដៃមកវិញ។\n` +
+    `Scan this KHQR to pay, then send the receipt screenshot here.`;
+}
+
+/**
+ * Build KHQR codes for a chat's open bills, oldest first
+ * @param {Object} collections - { excelReadingsCollection, paymentsCollection, recipientsCollection }
+ * @param {number} chatId - Telegram chat ID
+ * @param {Object} defaults - Default merchant account (see resolveMerchant)
+ * @param {Object} options - { limit } number of bills (default 3)
+ * @returns {Object} { success, merchant, codes: [{ billId, period, amount, currency, reference, payload, png }] }
+ *   or { success: false, error }
+ */
+async function buildBillPaymentCodes(collections, chatId, defaults = {}, options = {}) {
+  const { excelReadingsCollection, paymentsCollection, recipientsCollection } = collections;
+
+  const merchant = resolveMerchant(await getRecipientsForChat(recipientsCollection, chatId), defaults);
+  if (!merchant) {
+    return { success: false, error: 'No KHQR account configured for this chat' };
+  }
+
+  const { allocation } = await loadAllocation(excelReadingsCollection, paymentsCollection, chatId);
+  const openBalances = allocation.balances
+    .filter(balance => !balance.closed && balance.outstandingAmount > 0)
+    .slice(0, options.limit || MAX_BILL_CODES);
+
+  const codes = [];
+  for (const balance of openBalances) {
+    const reference = billReference(balance.billId);
+    const payload = buildKhqr({
+      ...merchant,
+      amount: balance.outstandingAmount,
+      currency: 'KHR',
+      billNumber: reference
+    });
+    codes.push({
+      billId: balance.billId,
+      period: balance.period,
+      amount: balance.outstandingAmount,
+      currency: 'KHR',
+      reference,
+      payload,
+      png: await renderKhqrPng(payload)
+    });
+  }
+
+  return { success: true, merchant, codes };
+}
+
+module.exports = {
+  CURRENCY_CODES,
+  crc16,
+  buildKhqr,
+  parseKhqr,
+  renderKhqrPng,
+  billReference,
+  findBillByReference,
+  resolveMerchant,
+  getDefaultMerchant,
+  formatBillCodeCaption,
+  buildBillPaymentCodes
+};
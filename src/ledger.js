@@ -0,0 +1,243 @@
+'use strict';
+
+/**
+ * Customer Ledger Module
+ * Append-only ledger of what each customer owes and has paid.
+ * Debits come from excelreadings bills, credits from verified payments and
+ * adjustments from manual approvals. Entries are never updated or deleted;
+ * when a source changes (bill closed, payment rejected after review) a
+ * correcting entry is appended. Balances, statuses and statements are
+ * derived from the entries, so overpayments carry forward as credit.
+ * Used by botfetch.js
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { sortBills, getBillDate, getBillingPeriod, isBillClosed } = require('./bill-matcher');
+
+const ENTRY_TYPES = {
+  DEBIT: 'debit',
+  CREDIT: 'credit',
+  ADJUSTMENT: 'adjustment'
+};
+
+/**
+ * Create the ledger indexes (seq index makes appends idempotent per source)
+ * @param {Collection} ledgerCollection - MongoDB ledger collection
+ */
+async function ensureLedgerIndexes(ledgerCollection) {
+  await ledgerCollection.createIndex({ sourceType: 1, sourceId: 1, seq: 1 }, { unique: true });
+  await ledgerCollection.createIndex({ chatId: 1, effectiveDate: 1 });
+}
+
+/**
+ * Signed amount every source should currently contribute
+ * Positive = customer owes, negative = customer paid
+ */
+function buildTargets(bills, payments) {
+  const targets = [];
+
+  for (const bill of sortBills(bills)) {
+    const amount = parseFloat(bill.amount) || 0;
+    targets.push({
+      sourceType: 'bill',
+      sourceId: String(bill._id),
+      type: ENTRY_TYPES.DEBIT,
+      amount: isBillClosed(bill) ? 0 : amount,
+      period: getBillingPeriod(bill),
+      effectiveDate: getBillDate(bill) || new Date(),
+      description: `Water bill ${getBillingPeriod(bill)}${bill.usage ? ` (${bill.usage} m³)` : ''}`
+    });
+  }
+
+  for (const payment of payments) {
+    const isPaid = payment.paymentLabel === 'PAID' && payment.isVerified === true;
+    const manual = payment.manuallyApproved === true;
+    targets.push({
+      sourceType: 'payment',
+      sourceId: payment._id,
+      type: manual ? ENTRY_TYPES.ADJUSTMENT : ENTRY_TYPES.CREDIT,
+      amount: isPaid ? -(payment.amountInKHR || 0) : 0,
+      period: null,
+      effectiveDate: payment.approvedAt || payment.uploadedAt || new Date(),
+      description: manual
+        ? `Manual approval by ${payment.approvedBy || 'admin'}`
+        : `Payment ${payment.transactionId || payment._id}${payment.bankName ? ` (${payment.bankName})` : ''}`
+    });
+  }
+
+  return targets;
+}
+
+/**
+ * Append entries so each source's ledger total matches its current amount
+ * @param {Object} collections - { ledgerCollection, excelReadingsCollection, paymentsCollection }
+ * @param {number} chatId - Telegram chat ID
+ * @returns {number} Number of entries appended
+ */
+async function syncLedger(collections, chatId) {
+  const { ledgerCollection, excelReadingsCollection, paymentsCollection } = collections;
+
+  const bills = await excelReadingsCollection.find({ chatId }).toArray();
+  // Only payments that were ever PAID can have ledger entries
+  const payments = await paymentsCollection.find({
+    chatId,
+    $or: [{ paymentLabel: 'PAID' }, { ledgerPosted: true }]
+  }).toArray();
+
+  const existing = await ledgerCollection.aggregate([
+    { $match: { chatId } },
+    { $group: {
+      _id: { sourceType: '$sourceType', sourceId: '$sourceId' },
+      total: { $sum: '$amount' },
+      lastSeq: { $max: '$seq' }
+    } }
+  ]).toArray();
+
+  const posted = new Map(existing.map(e => [`${e._id.sourceType}:${e._id.sourceId}`, e]));
+  const targets = buildTargets(bills, payments);
+  const seen = new Set();
+  const now = new Date();
+  const entries = [];
+
+  for (const target of targets) {
+    const key = `${target.sourceType}:${target.sourceId}`;
+    seen.add(key);
+    const current = posted.get(key);
+    const delta = target.amount - (current?.total || 0);
+    if (Math.abs(delta) < 0.005) continue;
+
+    entries.push({
+      _id: uuidv4(),
+      chatId,
+      type: current ? ENTRY_TYPES.ADJUSTMENT : target.type,
+      sourceType: target.sourceType,
+      sourceId: target.sourceId,
+      seq: current ? current.lastSeq + 1 : 0,
+      amount: delta,
+      period: target.period,
+      description: current ? `Correction: ${target.description}` : target.description,
+      effectiveDate: current ? now : target.effectiveDate,
+      postedAt: now
+    });
+  }
+
+  // Sources that disappeared (bill removed from excelreadings) are reversed
+  for (const [key, current] of posted) {
+    if (seen.has(key) || Math.abs(current.total) < 0.005) continue;
+    entries.push({
+      _id: uuidv4(),
+      chatId,
+      type: ENTRY_TYPES.ADJUSTMENT,
+      sourceType: current._id.sourceType,
+      sourceId: current._id.sourceId,
+      seq: current.lastSeq + 1,
+      amount: -current.total,
+      period: null,
+      description: `Reversal: ${current._id.sourceType} ${current._id.sourceId} no longer exists`,
+      effectiveDate: now,
+      postedAt: now
+    });
+  }
+
+  if (entries.length === 0) return 0;
+
+  try {
+    await ledgerCollection.insertMany(entries, { ordered: false });
+  } catch (error) {
+    // Duplicate seq = another sync already appended this correction
+    if (error.code !== 11000) throw error;
+    console.warn(`⚠️ Ledger sync race for Chat ${chatId} - duplicate entries skipped`);
+  }
+
+  const postedPaymentIds = entries.filter(e => e.sourceType === 'payment').map(e => e.sourceId);
+  if (postedPaymentIds.length > 0) {
+    await paymentsCollection.updateMany(
+      { _id: { $in: postedPaymentIds } },
+      { $set: { ledgerPosted: true } }
+    );
+  }
+
+  return entries.length;
+}
+
+/**
+ * Derive a customer's balance and payment status from the ledger
+ * @param {Collection} ledgerCollection - MongoDB ledger collection
+ * @param {number} chatId - Telegram chat ID
+ * @returns {Object} { totalExpected, totalPaid, balance, remainingBalance, excessAmount, paymentStatus }
+ */
+async function getLedgerBalance(ledgerCollection, chatId) {
+  const [totals] = await ledgerCollection.aggregate([
+    { $match: { chatId } },
+    { $group: {
+      _id: null,
+      debits: { $sum: { $cond: [{ $eq: ['$sourceType', 'bill'] }, '$amount', 0] } },
+      credits: { $sum: { $cond: [{ $eq: ['$sourceType', 'payment'] }, '$amount', 0] } }
+    } }
+  ]).toArray();
+
+  const totalExpected = totals?.debits || 0;
+  const totalPaid = -(totals?.credits || 0);
+  const balance = totalExpected - totalPaid;
+
+  let paymentStatus;
+  if (totalPaid <= 0) {
+    paymentStatus = 'NOT_PAID';
+  } else if (balance > 0) {
+    paymentStatus = 'PARTIAL_PAID';
+  } else if (balance < 0) {
+    paymentStatus = 'OVERPAID';
+  } else {
+    paymentStatus = 'FULLY_PAID';
+  }
+
+  return {
+    totalExpected,
+    totalPaid,
+    balance,
+    remainingBalance: Math.max(balance, 0),
+    excessAmount: Math.max(-balance, 0),
+    paymentStatus
+  };
+}
+
+/**
+ * Running-balance statement for a customer
+ * @param {Collection} ledgerCollection - MongoDB ledger collection
+ * @param {number} chatId - Telegram chat ID
+ * @returns {Object} { entries, closingBalance }
+ */
+async function getStatement(ledgerCollection, chatId) {
+  const entries = await ledgerCollection
+    .find({ chatId })
+    .sort({ effectiveDate: 1, postedAt: 1, seq: 1 })
+    .toArray();
+
+  let runningBalance = 0;
+  const statement = entries.map(entry => {
+    runningBalance += entry.amount;
+    return {
+      entryId: entry._id,
+      date: entry.effectiveDate,
+      postedAt: entry.postedAt,
+      type: entry.type,
+      sourceType: entry.sourceType,
+      sourceId: entry.sourceId,
+      period: entry.period,
+      description: entry.description,
+      debit: entry.amount > 0 ? entry.amount : 0,
+      credit: entry.amount < 0 ? -entry.amount : 0,
+      balance: runningBalance
+    };
+  });
+
+  return { entries: statement, closingBalance: runningBalance };
+}
+
+module.exports = {
+  ENTRY_TYPES,
+  ensureLedgerIndexes,
+  syncLedger,
+  getLedgerBalance,
+  getStatement
+};
@@ -0,0 +1,203 @@
+'use strict';
+
+/**
+ * List Query Module
+ * Shared query parameters for the REST list endpoints: field filters
+ * (date range, bank, label, group, amount range), sort and cursor-based
+ * pagination. Each endpoint describes which document fields the filters
+ * apply to. Pages are read with a keyset on the sort field and _id, so
+ * later pages cost the same as the first and don't shift when new
+ * documents arrive.
+ * Used by botfetch.js
+ */
+
+const { BSON } = require('mongodb');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Query parameter -> what it filters (endpoints map these to their own fields)
+const FILTER_PARAMS = {
+  from: 'date',
+  to: 'date',
+  bank: 'bank',
+  label: 'label',
+  chatId: 'group',
+  minAmount: 'amount',
+  maxAmount: 'amount'
+};
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Repeated parameters (?label=A&label=B) are treated like a comma list
+function toList(value) {
+  return [].concat(value).join(',').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function parseDate(value) {
+  const date = new Date(String(value));
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function encodeCursor(sort, doc) {
+  const position = { s: sort.name, o: sort.order, v: doc[sort.field] ?? null, id: doc._id };
+  return Buffer.from(BSON.EJSON.stringify(position)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    return BSON.EJSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Documents after the cursor position in the current sort order
+ * Missing/null sort values sort before every value (MongoDB order), so they come last when descending
+ */
+function afterCursor(field, direction, position) {
+  const { v: value, id } = position;
+  const idAfter = { _id: { [direction === 1 ? '$gt' : '$lt']: id } };
+
+  if (value === null) {
+    return direction === 1
+      ? { $or: [{ [field]: null, ...idAfter }, { [field]: { $ne: null } }] }
+      : { [field]: null, ...idAfter };
+  }
+
+  const valueAfter = { [field]: { [direction === 1 ? '$gt' : '$lt']: value } };
+  return direction === 1
+    ? { $or: [valueAfter, { [field]: value, ...idAfter }] }
+    : { $or: [valueAfter, { [field]: value, ...idAfter }, { [field]: null }] };
+}
+
+/**
+ * Parse a list request's query parameters
+ * @param {Object} query - req.query
+ * @param {Object} spec - {
+ *     fields: { date, bank, label, group, amount } document field per filter (omit unsupported ones),
+ *     labels: allowed label values (optional),
+ *     sortFields: { name: field }, defaultSort, defaultOrder ('asc' | 'desc')
+ *   }
+ * @returns {Object} { filter, sort: { name, field, order, direction }, limit, cursor } or { error }
+ *   filter: the field filters only (for totals); use buildPagePipeline() for the page itself
+ */
+function parseListQuery(query, spec) {
+  const fields = spec.fields || {};
+  const filter = {};
+
+  for (const [param, kind] of Object.entries(FILTER_PARAMS)) {
+    if (query[param] !== undefined && !fields[kind]) {
+      return { error: `Filter "${param}" is not supported here` };
+    }
+  }
+
+  if (query.from !== undefined || query.to !== undefined) {
+    const range = {};
+    if (query.from !== undefined) {
+      range.$gte = parseDate(query.from);
+      if (!range.$gte) return { error: 'from must be a valid date' };
+    }
+    if (query.to !== undefined) {
+      range.$lte = parseDate(query.to);
+      if (!range.$lte) return { error: 'to must be a valid date' };
+    }
+    filter[fields.date] = range;
+  }
+
+  if (query.bank !== undefined) {
+    const bank = String(query.bank).trim();
+    if (!bank) return { error: 'bank must not be empty' };
+    filter[fields.bank] = { $regex: escapeRegex(bank), $options: 'i' };
+  }
+
+  if (query.label !== undefined) {
+    const labels = toList(query.label).map(label => label.toUpperCase());
+    const unknown = spec.labels ? labels.filter(label => !spec.labels.includes(label)) : [];
+    if (labels.length === 0 || unknown.length > 0) {
+      return { error: `label must be one or more of ${(spec.labels || []).join(', ')}` };
+    }
+    filter[fields.label] = labels.length === 1 ? labels[0] : { $in: labels };
+  }
+
+  if (query.chatId !== undefined) {
+    const chatIds = toList(query.chatId).map(Number);
+    if (chatIds.length === 0 || chatIds.some(chatId => !Number.isInteger(chatId))) {
+      return { error: 'chatId must be a number (or a comma-separated list)' };
+    }
+    filter[fields.group] = chatIds.length === 1 ? chatIds[0] : { $in: chatIds };
+  }
+
+  if (query.minAmount !== undefined || query.maxAmount !== undefined) {
+    const range = {};
+    for (const [param, operator] of [['minAmount', '$gte'], ['maxAmount', '$lte']]) {
+      if (query[param] === undefined) continue;
+      const amount = Number(query[param]);
+      if (query[param] === '' || !Number.isFinite(amount)) return { error: `${param} must be a number` };
+      range[operator] = amount;
+    }
+    filter[fields.amount] = range;
+  }
+
+  const name = query.sort !== undefined ? String(query.sort) : spec.defaultSort;
+  if (!spec.sortFields[name]) {
+    return { error: `sort must be one of ${Object.keys(spec.sortFields).join(', ')}` };
+  }
+  const order = query.order !== undefined ? String(query.order).toLowerCase() : (spec.defaultOrder || 'desc');
+  if (order !== 'asc' && order !== 'desc') return { error: 'order must be asc or desc' };
+  const sort = { name, field: spec.sortFields[name], order, direction: order === 'asc' ? 1 : -1 };
+
+  const limit = query.limit !== undefined ? Number(query.limit) : DEFAULT_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit must be a number from 1 to ${MAX_LIMIT}` };
+  }
+
+  let cursor = null;
+  if (query.cursor !== undefined && query.cursor !== '') {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor || !('v' in cursor) || cursor.id === undefined) return { error: 'Invalid cursor' };
+    if (cursor.s !== sort.name || cursor.o !== sort.order) {
+      return { error: 'cursor belongs to a different sort - start again without a cursor' };
+    }
+  }
+
+  return { filter, sort, limit, cursor };
+}
+
+/**
+ * $match, $sort and $limit stages for one page (one extra document tells whether more follow)
+ * Add enrichment stages ($lookup) after these, so they only run for the page
+ */
+function buildPagePipeline({ filter, sort, limit, cursor }) {
+  const match = cursor ? { $and: [filter, afterCursor(sort.field, sort.direction, cursor)] } : filter;
+  return [
+    { $match: match },
+    { $sort: { [sort.field]: sort.direction, _id: sort.direction } },
+    { $limit: limit + 1 }
+  ];
+}
+
+/**
+ * Trim the extra document and build the next cursor
+ * @returns {Object} { items, hasMore, nextCursor }
+ */
+function toPage(docs, { sort, limit }) {
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+  return {
+    items,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(sort, items[items.length - 1]) : null
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseListQuery,
+  buildPagePipeline,
+  toPage
+};
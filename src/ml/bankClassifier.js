@@ -2,18 +2,38 @@
  * ML-based Bank Format Classifier
  *
  * Uses TensorFlow.js neural network to classify bank types from OCR text
- * Supports: ABA, ACLEDA, Wing, KHQR, Canadia
+ * Labels are the BANK_FORMATS banks (via BANK_SIGNATURES); the label set a
+ * model was trained with is saved next to it in labels.json, so a model keeps
+ * working after banks are added until it is retrained.
  */
 
+const fs = require('fs');
+const path = require('path');
 const tf = require('@tensorflow/tfjs-node');
 const { BANK_SIGNATURES } = require('./trainingData');
 
+const LABELS_FILE = 'labels.json';
+// Label order of models saved before labels.json existed
+const LEGACY_BANK_TYPES = ['ABA', 'ACLEDA', 'Wing', 'KHQR', 'Canadia'];
+
+function modelDirectory(modelPath) {
+  const filePath = modelPath.replace(/^file:\/\//, '');
+  return filePath.endsWith('.json') ? path.dirname(filePath) : filePath;
+}
+
 class BankClassifier {
   constructor() {
     this.model = null;
     this.isLoaded = false;
-    this.bankTypes = Object.keys(BANK_SIGNATURES);
-    this.featureSize = this.bankTypes.length + 4; // Bank scores + text characteristics
+    this.setBankTypes(Object.keys(BANK_SIGNATURES));
+  }
+
+  /**
+   * Set the label set (also fixes the feature vector layout)
+   */
+  setBankTypes(bankTypes) {
+    this.bankTypes = bankTypes;
+    this.featureSize = bankTypes.length + 4; // Bank scores + text characteristics
   }
 
   /**
@@ -74,8 +94,9 @@ class BankClassifier {
     const lowerText = text.toLowerCase();
     const features = [];
 
-    // Bank signature scores
-    for (const [bankCode, bankData] of Object.entries(BANK_SIGNATURES)) {
+    // Bank signature scores, in label order (a label since removed from BANK_FORMATS scores 0)
+    for (const bankCode of this.bankTypes) {
+      const bankData = BANK_SIGNATURES[bankCode] || { keywords: [], patterns: [] };
       let bankScore = 0;
 
       // Keyword matching with weighted scores
@@ -158,8 +179,10 @@ class BankClassifier {
 
     console.log(`🚀 Training bank classifier with ${trainingData.length} samples...`);
 
-    // Create model if not exists
-    if (!this.model) {
+    // Create model if not exists, or rebuild it when banks were added/removed since it was trained
+    const currentBankTypes = Object.keys(BANK_SIGNATURES);
+    if (!this.model || this.bankTypes.join(',') !== currentBankTypes.join(',')) {
+      this.setBankTypes(currentBankTypes);
       this.model = this.createModel();
     }
 
@@ -250,7 +273,11 @@ class BankClassifier {
     }
 
     await this.model.save(modelPath);
-    console.log(`💾 Model saved to ${modelPath}`);
+    await fs.promises.writeFile(
+      path.join(modelDirectory(modelPath), LABELS_FILE),
+      JSON.stringify({ bankTypes: this.bankTypes }, null, 2)
+    );
+    console.log(`💾 Model saved to ${modelPath} (labels: ${this.bankTypes.join(', ')})`);
   }
 
   /**
@@ -259,8 +286,25 @@ class BankClassifier {
   async loadModel(modelPath = 'file://./models/bank_classifier/model.json') {
     try {
       this.model = await tf.loadLayersModel(modelPath);
+
+      let bankTypes = LEGACY_BANK_TYPES;
+      try {
+        const labels = JSON.parse(await fs.promises.readFile(path.join(modelDirectory(modelPath), LABELS_FILE), 'utf8'));
+        bankTypes = labels.bankTypes;
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+
+      const inputSize = this.model.inputs[0].shape[1];
+      if (inputSize !== bankTypes.length + 4) {
+        console.warn(`⚠️ Model expects ${inputSize} features but has ${bankTypes.length} labels - retrain the bank classifier`);
+        this.isLoaded = false;
+        return;
+      }
+
+      this.setBankTypes(bankTypes);
       this.isLoaded = true;
-      console.log(`📂 Model loaded from ${modelPath}`);
+      console.log(`📂 Model loaded from ${modelPath} (labels: ${bankTypes.join(', ')})`);
     } catch (error) {
       console.warn(`⚠️ Could not load model: ${error.message}`);
       this.isLoaded = false;
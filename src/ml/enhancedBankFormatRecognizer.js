@@ -8,6 +8,8 @@
 const { extractWithBankFormat, detectBank, formatName, formatAccount, BANK_FORMATS } = require('../bankFormatRecognizer');
 const { HybridBankDetector } = require('./bankClassifier');
 const { HybridRecipientValidator } = require('./nameValidator');
+const { KNOWN_RECIPIENT_DATA } = require('./trainingData');
+const { matchRecipient, LEGACY_RECIPIENT } = require('../recipient-registry');
 
 class EnhancedBankFormatRecognizer {
   constructor() {
@@ -39,8 +41,12 @@ class EnhancedBankFormatRecognizer {
 
   /**
    * Enhanced bank format extraction with ML integration
+   * @param {string} ocrText - Raw OCR response text
+   * @param {Object} options - { recipients } registry entries for the uploading chat
    */
-  async extractWithEnhancedFormat(ocrText) {
+  async extractWithEnhancedFormat(ocrText, options = {}) {
+    const { recipients = null } = options;
+
     // Ensure initialized
     if (!this.isInitialized) {
       await this.initialize();
@@ -107,7 +113,8 @@ class EnhancedBankFormatRecognizer {
         const recipientValidation = await this.validateRecipientWithML(
           result.recipientName,
           result.toAccount,
-          detectedBank
+          detectedBank,
+          recipients
         );
 
         result.mlEnhancement.recipientValidation = recipientValidation;
@@ -125,7 +132,8 @@ class EnhancedBankFormatRecognizer {
           result.mlRecipientValidation = {
             isValid: mlResult.isValid,
             confidence: mlResult.confidence,
-            method: mlResult.method
+            method: mlResult.method,
+            recipientId: mlResult.recipientId || null
           };
         }
       }
@@ -178,14 +186,14 @@ class EnhancedBankFormatRecognizer {
   /**
    * Enhanced recipient validation with ML
    */
-  async validateRecipientWithML(recipientName, toAccount, bankType) {
+  async validateRecipientWithML(recipientName, toAccount, bankType, recipients = null) {
     try {
       if (!this.isInitialized) {
         // Use simple validation if ML not available
-        return this.simpleRecipientValidation(recipientName, toAccount);
+        return this.simpleRecipientValidation(recipientName, toAccount, recipients);
       }
 
-      const validation = await this.recipientValidator.validateRecipient(recipientName, toAccount);
+      const validation = await this.recipientValidator.validateRecipient(recipientName, toAccount, recipients);
 
       // Add bank-specific context
       validation.bankContext = {
@@ -197,31 +205,23 @@ class EnhancedBankFormatRecognizer {
 
     } catch (error) {
       console.warn('ML recipient validation failed:', error.message);
-      return this.simpleRecipientValidation(recipientName, toAccount);
+      return this.simpleRecipientValidation(recipientName, toAccount, recipients);
     }
   }
 
   /**
    * Simple rule-based recipient validation fallback
    */
-  simpleRecipientValidation(recipientName, toAccount) {
-    const combinedText = `${recipientName || ''} ${toAccount || ''}`.toLowerCase();
-    const normalizedAccount = (toAccount || '').replace(/[\s\-\.]/g, '');
-
-    const isValid = (
-      normalizedAccount.includes('086228226') ||
-      combinedText.includes('086 228 226') ||
-      combinedText.includes('chan k') ||
-      combinedText.includes('thoeurn t') ||
-      combinedText.includes('chan kasing') ||
-      combinedText.includes('thoeurn theary')
-    );
+  simpleRecipientValidation(recipientName, toAccount, recipients = null) {
+    const match = matchRecipient(recipients || [LEGACY_RECIPIENT], toAccount, recipientName);
+    const isValid = match.isValid;
 
     return {
       finalResult: {
         isValid,
         confidence: isValid ? 0.8 : 0.1,
-        method: 'simple_rules'
+        method: 'simple_rules',
+        recipientId: match.recipientId
       },
       fuzzyResult: { isValid, confidence: isValid ? 0.8 : 0.1 },
       mlResult: null
@@ -273,23 +273,8 @@ class EnhancedBankFormatRecognizer {
       }
     }
 
-    // Set expected format based on bank
-    switch (bankType) {
-      case 'ABA':
-        formatting.expectedFormat = 'Transfer to [NAME] Account [NUMBER]';
-        break;
-      case 'ACLEDA':
-        formatting.expectedFormat = 'Beneficiary Name [NAME] Account No [NUMBER]';
-        break;
-      case 'Wing':
-        formatting.expectedFormat = 'Receiver [NUMBER] ([NAME])';
-        break;
-      case 'KHQR':
-        formatting.expectedFormat = 'Merchant [NAME] KHQR ID [ID]';
-        break;
-      default:
-        formatting.expectedFormat = 'Bank-specific format';
-    }
+    // Expected layout from the bank's template
+    formatting.expectedFormat = bankFormat.layout || 'Bank-specific format';
 
     return formatting;
   }
@@ -312,13 +297,9 @@ class EnhancedBankFormatRecognizer {
           recipientValidator: this.recipientValidator?.mlValidator?.isLoaded || false
         }
       },
-      knownRecipient: {
-        account: '086228226',
-        nameVariations: [
-          'CHAN K. & THOEURN T.',
-          'CHAN KASING AND THOEURN THEARY',
-          'K. CHAN & T. THOEURN'
-        ]
+      legacyRecipient: {
+        account: KNOWN_RECIPIENT_DATA.account,
+        nameVariations: KNOWN_RECIPIENT_DATA.names.combined
       }
     };
   }
@@ -385,6 +366,6 @@ module.exports = {
   EnhancedBankFormatRecognizer,
   enhancedBankFormatRecognizer,
   // Export enhanced functions that can replace existing ones
-  extractWithEnhancedBankFormat: (ocrText) => enhancedBankFormatRecognizer.extractWithEnhancedFormat(ocrText),
+  extractWithEnhancedBankFormat: (ocrText, options) => enhancedBankFormatRecognizer.extractWithEnhancedFormat(ocrText, options),
   getEnhancedBankFormatStats: () => enhancedBankFormatRecognizer.getEnhancedStats()
 };
\ No newline at end of file
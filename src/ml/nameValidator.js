@@ -2,11 +2,13 @@
  * Intelligent Recipient Name Validator
  *
  * ML-based fuzzy matching for validating recipient names and accounts
- * against your known variations: "CHAN K. & THOEURN T." / "086228226"
+ * against the recipient registry entries assigned to a chat
+ * (falls back to the legacy "CHAN K. & THOEURN T." / "086228226" owner)
  */
 
 const tf = require('@tensorflow/tfjs-node');
 const { KNOWN_RECIPIENT_DATA } = require('./trainingData');
+const { toKnownRecipientData } = require('../recipient-registry');
 
 /**
  * String similarity algorithms
@@ -89,8 +91,30 @@ class FuzzyRecipientMatcher {
 
   /**
    * Validate recipient name and account
+   * @param {Array} recipients - Optional registry entries; each entry is scored
+   *   separately and the best match wins (recipientId identifies it)
    */
-  validateRecipient(recipientName, toAccount) {
+  validateRecipient(recipientName, toAccount, recipients = null) {
+    if (!recipients) {
+      return this.validateAgainst(recipientName, toAccount, this.knownData);
+    }
+
+    let best = null;
+    for (const recipient of recipients) {
+      const candidate = this.validateAgainst(recipientName, toAccount, toKnownRecipientData([recipient]));
+      candidate.recipientId = recipient._id;
+      if (!best || candidate.confidence > best.confidence) {
+        best = candidate;
+      }
+    }
+
+    return best || this.validateAgainst(recipientName, toAccount, toKnownRecipientData([]));
+  }
+
+  /**
+   * Validate recipient name and account against one set of known data
+   */
+  validateAgainst(recipientName, toAccount, knownData) {
     const combinedText = `${recipientName || ''} ${toAccount || ''}`.toLowerCase();
 
     const result = {
@@ -106,15 +130,15 @@ class FuzzyRecipientMatcher {
     };
 
     // Account number validation
-    const accountMatch = this.validateAccount(toAccount);
+    const accountMatch = this.validateAccount(toAccount, knownData);
     result.matches.account = accountMatch;
 
     // Name validation
-    const nameMatch = this.validateName(recipientName);
+    const nameMatch = this.validateName(recipientName, knownData);
     result.matches.name = nameMatch;
 
     // Combined validation (most comprehensive)
-    const combinedMatch = this.validateCombined(combinedText);
+    const combinedMatch = this.validateCombined(combinedText, knownData);
     result.matches.combined = combinedMatch;
 
     // Determine final result
@@ -143,7 +167,7 @@ class FuzzyRecipientMatcher {
   /**
    * Validate account number
    */
-  validateAccount(account) {
+  validateAccount(account, knownData = this.knownData) {
     if (!account) {
       return { confidence: 0, bestMatch: null, method: 'account' };
     }
@@ -152,7 +176,7 @@ class FuzzyRecipientMatcher {
     let bestConfidence = 0;
     let bestMatch = null;
 
-    for (const knownAccount of this.knownData.accountVariations) {
+    for (const knownAccount of knownData.accountVariations) {
       const normalizedKnown = knownAccount.replace(/[\s\-\.]/g, '');
       const similarity = StringSimilarity.similarity(normalizedAccount, normalizedKnown);
 
@@ -173,7 +197,7 @@ class FuzzyRecipientMatcher {
   /**
    * Validate recipient name
    */
-  validateName(name) {
+  validateName(name, knownData = this.knownData) {
     if (!name) {
       return { confidence: 0, bestMatch: null, method: 'name' };
     }
@@ -184,7 +208,7 @@ class FuzzyRecipientMatcher {
     let bestCategory = null;
 
     // Check all name categories
-    for (const [category, names] of Object.entries(this.knownData.names)) {
+    for (const [category, names] of Object.entries(knownData.names)) {
       for (const knownName of names) {
         const normalizedKnown = knownName.toLowerCase();
 
@@ -218,13 +242,13 @@ class FuzzyRecipientMatcher {
   /**
    * Validate combined text (name + account)
    */
-  validateCombined(combinedText) {
+  validateCombined(combinedText, knownData = this.knownData) {
     let totalScore = 0;
     let matchCount = 0;
     const matches = [];
 
     // Check account presence
-    for (const account of this.knownData.accountVariations) {
+    for (const account of knownData.accountVariations) {
       if (combinedText.includes(account.toLowerCase().replace(/[\s\-]/g, ''))) {
         totalScore += 1.0;
         matchCount++;
@@ -236,7 +260,7 @@ class FuzzyRecipientMatcher {
     // Check name components
     const nameTokens = combinedText.split(/[\s\.\&\-]+/).filter(t => t.length > 1);
 
-    for (const [category, names] of Object.entries(this.knownData.names)) {
+    for (const [category, names] of Object.entries(knownData.names)) {
       for (const name of names) {
         const nameWords = name.toLowerCase().split(/[\s\.\&\-]+/);
         let nameScore = 0;
@@ -496,8 +520,9 @@ class HybridRecipientValidator {
 
   /**
    * Validate recipient using hybrid approach
+   * @param {Array} recipients - Optional registry entries for the uploading chat
    */
-  async validateRecipient(recipientName, toAccount) {
+  async validateRecipient(recipientName, toAccount, recipients = null) {
     const result = {
       fuzzyResult: null,
       mlResult: null,
@@ -506,11 +531,14 @@ class HybridRecipientValidator {
     };
 
     // Always run fuzzy matching (fast and reliable)
-    result.fuzzyResult = this.fuzzyMatcher.validateRecipient(recipientName, toAccount);
+    result.fuzzyResult = this.fuzzyMatcher.validateRecipient(recipientName, toAccount, recipients);
+
+    // The ML model is trained on the legacy owner only, so skip it for registry entries
+    const legacyOnly = !recipients || recipients.every(r => r.legacy);
 
     try {
       // Try ML prediction if model is available
-      if (this.mlValidator.isLoaded) {
+      if (this.mlValidator.isLoaded && legacyOnly) {
         result.mlResult = await this.mlValidator.predict(recipientName, toAccount);
 
         // Use ML if confidence is high
@@ -534,6 +562,7 @@ class HybridRecipientValidator {
       confidence: result.fuzzyResult.confidence,
       matchType: result.fuzzyResult.matchType,
       method: 'fuzzy_fallback',
+      recipientId: result.fuzzyResult.recipientId || null,
       details: result.fuzzyResult.matches
     };
 
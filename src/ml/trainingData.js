@@ -6,6 +6,7 @@
  */
 
 const { MongoClient } = require('mongodb');
+const { BANK_FORMATS } = require('../bankFormatRecognizer');
 require('dotenv').config();
 
 // Your known bank account and name variations
@@ -21,48 +22,17 @@ const KNOWN_RECIPIENT_DATA = {
   }
 };
 
-// Bank-specific patterns from your existing bank format recognizer
-const BANK_SIGNATURES = {
-  ABA: {
-    keywords: ['aba', 'aba bank', 'advanced bank', 'transfer to', '012 888'],
-    patterns: [
-      'Transfer to',
-      'Beneficiary',
-      'Account',
-      'Trx. ID',
-      'Reference'
-    ]
-  },
-  ACLEDA: {
-    keywords: ['acleda', 'acleda bank', 'beneficiary name', '012 20'],
-    patterns: [
-      'Beneficiary Name',
-      'Account Name',
-      'Account No'
-    ]
-  },
-  Wing: {
-    keywords: ['wing', 'wing bank', 'receiver', '089 999'],
-    patterns: [
-      'Receiver',
-      'Wing Account'
-    ]
-  },
-  KHQR: {
-    keywords: ['khqr', 'bakong', 'merchant', 'cambodia qr'],
-    patterns: [
-      'Merchant',
-      'KHQR ID'
-    ]
-  },
-  Canadia: {
-    keywords: ['canadia', 'canadia bank', 'cbc'],
-    patterns: [
-      'Recipient',
-      'Account Number'
-    ]
-  }
-};
+// Classifier labels and their features, derived from the bank format templates
+// so a new entry in BANK_FORMATS becomes a new label without code changes here
+const BANK_SIGNATURES = Object.fromEntries(
+  Object.entries(BANK_FORMATS).map(([bankCode, format]) => [
+    bankCode,
+    {
+      keywords: format.keywords,
+      patterns: format.signaturePatterns || []
+    }
+  ])
+);
 
 /**
  * Collects training data from payment records
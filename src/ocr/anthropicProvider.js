@@ -0,0 +1,108 @@
+'use strict';
+
+/**
+ * Anthropic OCR Provider
+ * Claude Haiku reads Khmer dates (better than GPT for Khmer script) and
+ * can also run the full bank statement OCR with the shared prompt.
+ */
+
+const Anthropic = require('@anthropic-ai/sdk');
+const { PAYMENT_OCR_PROMPT, buildKhmerDatePrompt } = require('./prompts');
+const { parsePaymentResponse, parseDateResponse, withTimeout } = require('./normalize');
+
+class AnthropicOcrProvider {
+  /**
+   * @param {Object} options - { apiKey, model, dateModel, timeoutMs }
+   */
+  constructor(options = {}) {
+    this.name = 'anthropic';
+    this.remote = true;
+    this.model = options.model || 'claude-3-5-sonnet-latest';
+    this.dateModel = options.dateModel || 'claude-3-5-haiku-latest';
+    this.timeoutMs = options.timeoutMs || 60000;
+    this.client = new Anthropic.default({ apiKey: options.apiKey });
+  }
+
+  imageBlock(imageBuffer) {
+    return {
+      type: 'image',
+      source: {
+        type: 'base64',
+        media_type: 'image/jpeg',
+        data: imageBuffer.toString('base64')
+      }
+    };
+  }
+
+  /**
+   * @param {Buffer} imageBuffer - Screenshot
+   * @returns {Object} { data, rawText }
+   */
+  async analyzePayment(imageBuffer) {
+    console.log(`🔍 Calling ${this.model} for Bank Statement OCR...`);
+
+    const response = await withTimeout(
+      this.client.messages.create({
+        model: this.model,
+        max_tokens: 1500,
+        messages: [{
+          role: 'user',
+          content: [
+            this.imageBlock(imageBuffer),
+            { type: 'text', text: PAYMENT_OCR_PROMPT }
+          ]
+        }]
+      }),
+      this.timeoutMs,
+      'Anthropic API'
+    );
+
+    const rawText = response.content[0].text;
+    return { data: parsePaymentResponse(rawText), rawText };
+  }
+
+  /**
+   * Transaction month/year from the Khmer date on the screenshot
+   * @param {Buffer} imageBuffer - Screenshot
+   * @returns {Object|null} { month, year } or null
+   */
+  async extractDate(imageBuffer) {
+    try {
+      console.log('[CLAUDE-OCR] Extracting date with Claude Haiku...');
+
+      const response = await withTimeout(
+        this.client.messages.create({
+          model: this.dateModel,
+          max_tokens: 200,
+          messages: [{
+            role: 'user',
+            content: [
+              this.imageBlock(imageBuffer),
+              { type: 'text', text: buildKhmerDatePrompt(new Date()) }
+            ]
+          }]
+        }),
+        this.timeoutMs,
+        'Anthropic API'
+      );
+
+      const responseText = response.content[0].text.trim();
+      console.log(`[CLAUDE-OCR] Raw response: ${responseText}`);
+
+      const dateData = parseDateResponse(responseText);
+      if (dateData) {
+        console.log(`[CLAUDE-OCR] Extracted: ${dateData.month}/${dateData.year}`);
+      } else {
+        console.log('[CLAUDE-OCR] Date unclear');
+      }
+      return dateData;
+    } catch (error) {
+      console.error(`[CLAUDE-OCR] Error: ${error.message}`);
+      return null;
+    }
+  }
+}
+
+module.exports = {
+  AnthropicOcrProvider
+};
@@ -0,0 +1,113 @@
+'use strict';
+
+/**
+ * Fixture OCR Providers
+ * FixtureOcrProvider replays recorded provider responses keyed by the
+ * image's sha256, so the verification pipeline runs offline.
+ * RecordingOcrProvider wraps a live provider and writes those fixtures.
+ *
+ * Fixture file: <dir>/<sha256>.json
+ *   { sha256, provider, recordedAt, payment: { rawText }, date: { month, year } | null }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parsePaymentResponse, imageHash } = require('./normalize');
+
+function fixturePath(dir, hash) {
+  return path.join(dir, `${hash}.json`);
+}
+
+class FixtureOcrProvider {
+  /**
+   * @param {Object} options - { dir }
+   */
+  constructor(options = {}) {
+    this.name = 'fixture';
+    this.remote = false;
+    this.dir = options.dir;
+  }
+
+  async loadFixture(imageBuffer) {
+    const hash = imageHash(imageBuffer);
+    try {
+      return JSON.parse(await fs.promises.readFile(fixturePath(this.dir, hash), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`No OCR fixture for image ${hash} in ${this.dir}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @param {Buffer} imageBuffer - Screenshot
+   * @returns {Object} { data, rawText }
+   */
+  async analyzePayment(imageBuffer) {
+    const fixture = await this.loadFixture(imageBuffer);
+    const rawText = fixture.payment?.rawText ?? '';
+    return { data: parsePaymentResponse(rawText), rawText };
+  }
+
+  /**
+   * @param {Buffer} imageBuffer - Screenshot
+   * @returns {Object|null} { month, year }
+   */
+  async extractDate(imageBuffer) {
+    const fixture = await this.loadFixture(imageBuffer);
+    return fixture.date || null;
+  }
+}
+
+class RecordingOcrProvider {
+  /**
+   * @param {Object} provider - Live OCR provider
+   * @param {Object} options - { dir }
+   */
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.name = `${provider.name}+recording`;
+    this.remote = provider.remote;
+    this.dir = options.dir;
+  }
+
+  async record(imageBuffer, part, value) {
+    const hash = imageHash(imageBuffer);
+    const file = fixturePath(this.dir, hash);
+    try {
+      await fs.promises.mkdir(this.dir, { recursive: true });
+
+      let fixture = { sha256: hash, provider: this.provider.name, payment: null, date: null };
+      try {
+        fixture = { ...fixture, ...JSON.parse(await fs.promises.readFile(file, 'utf8')) };
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+
+      fixture[part] = value;
+      fixture.recordedAt = new Date().toISOString();
+      await fs.promises.writeFile(file, JSON.stringify(fixture, null, 2));
+    } catch (error) {
+      // Recording is best effort - never fail the verification
+      console.error(`⚠️ Failed to record OCR fixture ${hash}:`, error.message);
+    }
+  }
+
+  async analyzePayment(imageBuffer) {
+    const result = await this.provider.analyzePayment(imageBuffer);
+    await this.record(imageBuffer, 'payment', { rawText: result.rawText });
+    return result;
+  }
+
+  async extractDate(imageBuffer) {
+    const date = await this.provider.extractDate(imageBuffer);
+    await this.record(imageBuffer, 'date', date);
+    return date;
+  }
+}
+
+module.exports = {
+  FixtureOcrProvider,
+  RecordingOcrProvider
+};
@@ -0,0 +1,93 @@
+'use strict';
+
+/**
+ * OCR Provider Factory
+ *
+ * Every provider implements the same interface:
+ * @typedef {Object} OcrProvider
+ * @property {string} name - Provider name (shown in logs and stored on the payment)
+ * @property {boolean} remote - Calls a paid API (the caller applies rate limiting)
+ * @property {function(Buffer): Promise<{data: Object, rawText: string}>} analyzePayment
+ *   data is the normalized payment JSON: isBankStatement, isPaid, amount, currency,
+ *   transactionId, dateDay/dateMonth/dateYear/dateHour/dateMinute, confidence, ...
+ * @property {function(Buffer): Promise<Object|null>} extractDate - { month, year } or null
+ *
+ * Selected with OCR_PROVIDER:
+ *   openai    - GPT-4o payment OCR, Claude Haiku dates when CLAUDE_API_KEY is set (default)
+ *   anthropic - Claude for both payment OCR and dates
+ *   fixture   - Replay responses recorded in OCR_FIXTURE_DIR (offline, no API keys)
+ * OCR_RECORD_FIXTURES=true records live responses into OCR_FIXTURE_DIR.
+ * Used by botfetch.js
+ */
+
+const path = require('path');
+const { OpenAIOcrProvider } = require('./openaiProvider');
+const { AnthropicOcrProvider } = require('./anthropicProvider');
+const { FixtureOcrProvider, RecordingOcrProvider } = require('./fixtureProvider');
+const normalize = require('./normalize');
+
+const OCR_PROVIDERS = ['openai', 'anthropic', 'fixture'];
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, '../../fixtures/ocr');
+
+/**
+ * Build the configured OCR provider
+ * @param {Object} config - Environment (defaults to process.env)
+ * @returns {OcrProvider}
+ */
+function createOcrProvider(config = process.env) {
+  const name = (config.OCR_PROVIDER || 'openai').toLowerCase();
+  const fixtureDir = config.OCR_FIXTURE_DIR || DEFAULT_FIXTURE_DIR;
+  const timeoutMs = parseInt(config.OCR_TIMEOUT_MS) || 60000;
+
+  if (!OCR_PROVIDERS.includes(name)) {
+    throw new Error(`Unknown OCR_PROVIDER "${name}" (expected ${OCR_PROVIDERS.join(', ')})`);
+  }
+
+  if (name === 'fixture') {
+    return new FixtureOcrProvider({ dir: fixtureDir });
+  }
+
+  const anthropicProvider = config.CLAUDE_API_KEY
+    ? new AnthropicOcrProvider({
+      apiKey: config.CLAUDE_API_KEY,
+      model: config.OCR_ANTHROPIC_MODEL,
+      dateModel: config.OCR_ANTHROPIC_DATE_MODEL,
+      timeoutMs
+    })
+    : null;
+
+  let provider;
+  if (name === 'anthropic') {
+    if (!anthropicProvider) {
+      throw new Error('OCR_PROVIDER=anthropic requires CLAUDE_API_KEY');
+    }
+    provider = anthropicProvider;
+  } else {
+    if (!anthropicProvider) {
+      console.log('[CLAUDE-OCR] Skipped: CLAUDE_API_KEY not set');
+    }
+    provider = new OpenAIOcrProvider({
+      apiKey: config.OPENAI_API_KEY,
+      model: config.OCR_OPENAI_MODEL,
+      timeoutMs,
+      dateProvider: anthropicProvider
+    });
+  }
+
+  if (config.OCR_RECORD_FIXTURES === 'true') {
+    console.log(`📼 Recording OCR fixtures to ${fixtureDir}`);
+    return new RecordingOcrProvider(provider, { dir: fixtureDir });
+  }
+  return provider;
+}
+
+module.exports = {
+  OCR_PROVIDERS,
+  DEFAULT_FIXTURE_DIR,
+  createOcrProvider,
+  OpenAIOcrProvider,
+  AnthropicOcrProvider,
+  FixtureOcrProvider,
+  RecordingOcrProvider,
+  ...normalize
+};
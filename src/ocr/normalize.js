@@ -0,0 +1,102 @@
+'use strict';
+
+/**
+ * OCR Response Normalization
+ * Turns a provider's raw text into the normalized payment JSON used by the
+ * verification pipeline, so every provider returns the same shape.
+ */
+
+const crypto = require('crypto');
+
+// Fields of the normalized payment JSON (see PAYMENT_OCR_PROMPT)
+const PAYMENT_FIELDS = [
+  'isBankStatement', 'isPaid', 'amount', 'currency', 'transactionId', 'referenceNumber',
+  'fromAccount', 'toAccount', 'bankName', 'dateDay', 'dateMonth', 'dateYear',
+  'dateHour', 'dateMinute', 'remark', 'recipientName', 'confidence'
+];
+
+const NUMERIC_FIELDS = ['amount', 'dateDay', 'dateMonth', 'dateYear', 'dateHour', 'dateMinute'];
+
+/**
+ * Parse the payment JSON out of a model response
+ * (models sometimes wrap it in markdown code blocks)
+ * @param {string} rawText - Model response text
+ * @returns {Object} Payment data; { isPaid: false, confidence: 'low', rawResponse } when unparseable
+ */
+function parsePaymentResponse(rawText) {
+  let data;
+  try {
+    const jsonMatch = String(rawText || '').match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+      throw new Error('No JSON found in response');
+    }
+    data = JSON.parse(jsonMatch[0]);
+  } catch (parseError) {
+    console.error('❌ Failed to parse AI response as JSON:', parseError);
+    return {
+      isPaid: false,
+      confidence: 'low',
+      rawResponse: rawText
+    };
+  }
+
+  // Numbers sometimes come back as strings ("34,000")
+  for (const field of NUMERIC_FIELDS) {
+    if (typeof data[field] === 'string') {
+      const value = parseFloat(data[field].replace(/,/g, ''));
+      data[field] = isNaN(value) ? null : value;
+    }
+  }
+  if (typeof data.currency === 'string') data.currency = data.currency.trim().toUpperCase();
+  if (typeof data.confidence === 'string') data.confidence = data.confidence.trim().toLowerCase();
+
+  return data;
+}
+
+/**
+ * Parse a "MM/YYYY" date answer
+ * @param {string} text - Model response text
+ * @returns {Object|null} { month, year } or null when unclear
+ */
+function parseDateResponse(text) {
+  const value = String(text || '').trim();
+  if (value.toUpperCase().includes('UNCLEAR')) return null;
+
+  const dateMatch = value.match(/(\d{1,2})\/(\d{4})/);
+  if (!dateMatch) return null;
+
+  return {
+    month: parseInt(dateMatch[1]),
+    year: parseInt(dateMatch[2])
+  };
+}
+
+/**
+ * Reject if a provider call takes longer than timeoutMs
+ */
+function withTimeout(promise, timeoutMs, label) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`${label} timeout`)), timeoutMs);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Fixture key for an image
+ * @param {Buffer} imageBuffer - Image bytes
+ * @returns {string} sha256 hex digest
+ */
+function imageHash(imageBuffer) {
+  return crypto.createHash('sha256').update(imageBuffer).digest('hex');
+}
+
+module.exports = {
+  PAYMENT_FIELDS,
+  parsePaymentResponse,
+  parseDateResponse,
+  withTimeout,
+  imageHash
+};
@@ -0,0 +1,71 @@
+'use strict';
+
+/**
+ * OpenAI OCR Provider
+ * Reads bank statement screenshots with GPT-4o Vision. GPT is unreliable
+ * for Khmer dates, so extractDate is delegated to dateProvider when given.
+ */
+
+const { OpenAI } = require('openai');
+const { PAYMENT_OCR_PROMPT } = require('./prompts');
+const { parsePaymentResponse, withTimeout } = require('./normalize');
+
+class OpenAIOcrProvider {
+  /**
+   * @param {Object} options - { apiKey, model, timeoutMs, dateProvider }
+   */
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.remote = true;
+    this.model = options.model || 'gpt-4o';
+    this.timeoutMs = options.timeoutMs || 60000;
+    this.dateProvider = options.dateProvider || null;
+    this.client = new OpenAI({ apiKey: options.apiKey });
+  }
+
+  /**
+   * @param {Buffer} imageBuffer - Screenshot
+   * @returns {Object} { data, rawText }
+   */
+  async analyzePayment(imageBuffer) {
+    console.log(`🔍 Calling ${this.model} Vision API for Bank Statement OCR...`);
+
+    const response = await withTimeout(
+      this.client.chat.completions.create({
+        model: this.model,
+        messages: [
+          {
+            role: 'user',
+            content: [
+              { type: 'text', text: PAYMENT_OCR_PROMPT },
+              {
+                type: 'image_url',
+                image_url: {
+                  url: `data:image/jpeg;base64,${imageBuffer.toString('base64')}`
+                }
+              }
+            ]
+          }
+        ],
+        max_tokens: 1500
+      }),
+      this.timeoutMs,
+      'OpenAI API'
+    );
+
+    const rawText = response.choices[0].message.content;
+    return { data: parsePaymentResponse(rawText), rawText };
+  }
+
+  /**
+   * @param {Buffer} imageBuffer - Screenshot
+   * @returns {Object|null} { month, year }
+   */
+  async extractDate(imageBuffer) {
+    return this.dateProvider ? this.dateProvider.extractDate(imageBuffer) : null;
+  }
+}
+
+module.exports = {
+  OpenAIOcrProvider
+};
@@ -0,0 +1,134 @@
+'use strict';
+
+/**
+ * OCR Prompts
+ * Prompts shared by every remote OCR provider, so OpenAI and Anthropic
+ * are asked for exactly the same normalized payment JSON.
+ */
+
+// Bank statement OCR - returns the payment JSON described at the end
+const PAYMENT_OCR_PROMPT = `You are a BANK STATEMENT VERIFICATION OCR system for Cambodian banks.
+
+STEP 1: IDENTIFY IMAGE TYPE
+First, determine if this image is from a BANKING APP at all.
+
+Set isBankStatement=FALSE if:
+- This is a chat screenshot (Telegram, WhatsApp, Messenger, LINE, etc.)
+- This is an invoice, bill, receipt, or QR code (NOT payment confirmation)
+- This is a random photo, meme, selfie, or non-banking image
+- This is text/numbers without a banking app interface
+- You cannot identify any banking app UI elements
+
+Set isBankStatement=TRUE if:
+- This shows a banking app interface (ABA Bank, Wing, ACLEDA, Canadia, Prince Bank, Sathapana, Bakong)
+- Even if blurry, cropped, or partially visible - if it's clearly FROM a bank app
+
+STEP 2: VERIFY PAYMENT (only if isBankStatement=TRUE)
+If this IS a bank statement, determine if it's a valid payment proof:
+
+Set isPaid=TRUE if this is a COMPLETED TRANSFER. Look for:
+
+ABA Bank format (IMPORTANT - no "Success" text!):
+- CT logo with minus amount (e.g., "-28,000 KHR" or "-6.99 USD")
+- Shows "Trx. ID:", "To account:", "From account:"
+- Minus sign = money was sent = completed transfer
+- Has Transaction ID and Reference number
+
+ACLEDA/Wing format:
+- Shows "រួចរាល់" (completed) or checkmark ✓
+- Green success screen with amount
+
+Other banks:
+- "Success", "Completed", "ជោគជ័យ" text
+- Checkmark or green confirmation
+
+A transfer IS PAID if you can see:
+1. Amount (even with minus sign like -28,000)
+2. Transaction ID or Reference number
+3. Recipient info (account number OR name like "CHAN K. & THOEURN T.")
+
+Set isPaid=FALSE but keep isBankStatement=TRUE if:
+- Image is too blurry to read
+- Image is cropped/partial - missing key fields
+- Shows "Pending", "Failed", or "Processing" status
+
+KHMER NUMERAL REFERENCE (CRITICAL - use this to read dates accurately):
+០ = 0    ១ = 1    ២ = 2    ៣ = 3    ៤ = 4
+៥ = 5    ៦ = 6    ៧ = 7    ៨ = 8    ៩ = 9
+
+KHMER MONTHS:
+មករា = January (1)      កុម្ភៈ = February (2)
+មីនា = March (3)        មេសា = April (4)
+ឧសភា = May (5)          មិថុនា = June (6)
+កក្កដា = July (7)       សីហា = August (8)
+កញ្ញា = September (9)   តុលា = October (10)
+វិច្ឆិកា = November (11) ធ្នូ = December (12)
+
+YEAR VALIDATION: Current year is 2026. Bank screenshots should show 2024-2026.
+If you read a year like 2022 or 2023, RECHECK each digit against the chart above!
+
+STEP 3: EXTRACT PAYMENT DATA (only if isPaid=TRUE)
+Extract ALL fields carefully:
+- toAccount: The recipient account number (CRITICAL for security)
+- amount: CRITICAL - Read the MAIN/HEADER amount (large text, usually colored/highlighted):
+  * Look for the PRIMARY amount displayed prominently (e.g., "34,000 org" in header)
+  * DO NOT calculate or convert from USD to KHR yourself
+  * If screen shows both USD and KHR, use the KHR amount displayed
+  * If only USD shown, return USD amount and set currency="USD"
+  * ACLEDA: Read the green header amount (e.g., "34,000 org")
+  * ABA: Read the main amount after minus sign (e.g., "-28,000 KHR" → 28000)
+  * Remove commas, return as number (34,000 → 34000)
+- transactionId: The Trx. ID or Transaction ID
+- DATE FIELDS: Return date as SEPARATE components (more accurate for Khmer):
+  Use the Khmer numeral and month charts above carefully.
+  * dateDay: The day number (1-31)
+  * dateMonth: The month number (1-12). Use chart: មករorg org org org=1, កorg org org org org org org org=2, org org org org org org org org=3, org org org org org org org org=4, org org org org org org org org=5, org org org org org org org org org org=6, org org org org org org org org org org=7, org org org org org org org org=8, org org org org org org org org=9, org org org org org org org org=10, org org org org org org org org org org org org org org=11, org org org org org org org org=12
+  * dateYear: The 4-digit year (2024, 2025, 2026)
+  * dateHour: Hour (0-23)
+  * dateMinute: Minute (0-59)
+
+Return JSON format:
+{
+  "isBankStatement": true/false,
+  "isPaid": true/false,
+  "amount": number (HEADER amount, POSITIVE, no commas: 34000 not 33840),
+  "currency": "KHR" or "USD",
+  "transactionId": "string",
+  "referenceNumber": "string",
+  "fromAccount": "string (sender account/name)",
+  "toAccount": "string (recipient account number)",
+  "bankName": "string",
+  "dateDay": number (1-31),
+  "dateMonth": number (1-12),
+  "dateYear": number (2024-2026),
+  "dateHour": number (0-23),
+  "dateMinute": number (0-59),
+  "remark": "string",
+  "recipientName": "string",
+  "confidence": "high/medium/low"
+}
+
+RULES:
+1. isBankStatement is about IMAGE TYPE (is it from a bank app?)
+2. isPaid is about PAYMENT VALIDITY (can we verify the transfer?)
+3. Random photo → isBankStatement=false, isPaid=false, confidence=low
+4. Blurry bank statement → isBankStatement=true, isPaid=false, confidence=low
+5. Clear bank statement → isBankStatement=true, isPaid=true, confidence=high/medium
+6. Amount MUST be positive (if shows -28,000 KHR, return 28000)`;
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+/**
+ * Khmer date prompt (month/year only - the day is unreliable in Khmer script)
+ * @param {Date} now - Current date, used as a hint for the likely month
+ */
+function buildKhmerDatePrompt(now = new Date()) {
+  const currentMonth = MONTH_NAMES[now.getMonth()];
+  const currentYear = now.getFullYear();
+  return `Khmer bank screenshot. Current date is ${currentMonth} ${currentYear}. Find the transaction MONTH and YEAR in Khmer script. The month is likely ${currentMonth} (month ${now.getMonth() + 1}). Return MM/YYYY only. If unclear: UNCLEAR`;
+}
+
+module.exports = {
+  PAYMENT_OCR_PROMPT,
+  buildKhmerDatePrompt
+};
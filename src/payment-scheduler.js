@@ -1,9 +1,17 @@
 /**
  * Payment Reminder Scheduler
  *
- * Automated scheduler for sending payment reminders:
- * - PENDING payments: 5-day warning to pay full amount
- * - UNPAID payments: Immediate notification
+ * Automated scheduler for sending payment reminders, one per customer with
+ * an open balance (see reminder-engine.js):
+ * - Escalation ladder from the oldest open bill's due date: gentle, firm, final notice
+ * - Auditor escalation to the pending chat after the final notice
+ * - Each step sent once per bill, never during quiet hours
+ * - Khmer + English text from the versioned templates (reminder-templates.js),
+ *   optionally rephrased by AI (REMINDER_AI_REWRITE=true)
+ * - Runs on a cron schedule in Asia/Phnom_Penh (cron-scheduler.js); runs are
+ *   recorded in Mongo and leased, so restarts and extra instances don't double-send
+ * - Delivery status per reminder (reminder-delivery.js); chats that opted out
+ *   (/stopreminders) or removed the bot are skipped
  *
  * Usage: node src/payment-scheduler.js
  */
@@ -11,6 +19,26 @@
 const { MongoClient } = require('mongodb');
 const TelegramBot = require('node-telegram-bot-api');
 const { OpenAI } = require('openai');
+const { getDefaultMerchant, formatBillCodeCaption, buildBillPaymentCodes } = require('./khqr');
+const { loadAllocation } = require('./bill-matcher');
+const {
+  getReminderSettings,
+  isQuietHours,
+  getQuietHoursEnd,
+  planReminder,
+  ensureReminderIndexes,
+  recordReminder,
+  formatEscalationMessage
+} = require('./reminder-engine');
+const { ensureTemplateIndexes, getTemplate, buildTemplateContext, renderTemplate, rewriteWithAi } = require('./reminder-templates');
+const { CronScheduler } = require('./cron-scheduler');
+const {
+  DELIVERY_STATUS,
+  classifySendError,
+  ensureSuppressionIndexes,
+  getSuppressedChatIds,
+  markBotRemoved
+} = require('./reminder-delivery');
 require('dotenv').config();
 
 // Environment variables
@@ -22,11 +50,23 @@ const DB_NAME_INVOICE = process.env.DB_NAME_INVOICE || 'invoiceDB';
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 
 // Reminder settings
-const PENDING_WARNING_DAYS = parseInt(process.env.PENDING_WARNING_DAYS) || 5;
-const CHECK_INTERVAL_HOURS = parseInt(process.env.CHECK_INTERVAL_HOURS) || 24;
+const REMINDER_SETTINGS = getReminderSettings(process.env);
+
+// Cron schedule (Asia/Phnom_Penh), e.g. "0 9 5,10 * *" = 9:00 on the 5th and 10th
+const REMINDER_SCHEDULE = process.env.REMINDER_SCHEDULE || '0 9 * * *';
+// Slots missed by more than this while the scheduler was down are skipped
+const SCHEDULER_CATCH_UP_HOURS = parseInt(process.env.SCHEDULER_CATCH_UP_HOURS) || 6;
+
+// Auditor escalations go to the pending review chat
+const PENDING_CHAT_ID = process.env.PENDING_CHAT_ID || '-4855018606';
+
+// Template text is sent as-is unless the AI rewrite is switched on
+const REMINDER_AI_REWRITE = process.env.REMINDER_AI_REWRITE === 'true';
+const REMINDER_AI_MODEL = process.env.REMINDER_AI_MODEL || 'gpt-4o-mini';
+const BILL_PDF_BASE_URL = process.env.BILL_PDF_BASE_URL || null;
 
 // Initialize clients
-const openai = new OpenAI({ apiKey: OPENAI_API_KEY });
+const openai = REMINDER_AI_REWRITE ? new OpenAI({ apiKey: OPENAI_API_KEY }) : null;
 const bot = new TelegramBot(TELEGRAM_TOKEN, { polling: false });
 
 const client = new MongoClient(MONGO_URL, {
@@ -42,132 +82,182 @@ const invoiceClient = new MongoClient(MONGO_URL_INVOICE, {
 let paymentsCollection;
 let excelReadingsCollection;
 let remindersCollection;
+let recipientsCollection;
+let templatesCollection;
+let suppressionsCollection;
+let schedulerJobsCollection;
+let schedulerRunsCollection;
+let scheduler;
+
+// ==== Reminder Messages ====
+/**
+ * Render the step's active template, then the optional AI rewrite
+ * (used only if it keeps every amount and date; otherwise the template text is sent)
+ * @returns {Object} { text, templateVersion, aiRewritten }
+ */
+async function buildReminderMessage(plan, customerName, bills) {
+  const template = await getTemplate(templatesCollection, plan.level);
+  const context = buildTemplateContext(plan, { customerName, bills, pdfBaseUrl: BILL_PDF_BASE_URL });
+  let message = renderTemplate(template, context);
+
+  if (openai) {
+    message = await rewriteWithAi(openai, message, context, { model: REMINDER_AI_MODEL });
+    if (!message.rewritten) {
+      console.log(`⚠️ AI rewrite not used for ${customerName}: ${message.reason}`);
+    }
+  }
 
-// ==== AI Message Generator ====
-async function generatePaymentReminder(paymentStatus, customerName, amount, daysOverdue) {
-  const prompt = paymentStatus === 'UNPAID'
-    ? `Generate a polite but firm payment reminder message in Khmer for a customer named ${customerName} who has an UNPAID bill of ${amount} KHR. Keep it professional and concise (2-3 sentences).`
-    : `Generate a friendly reminder message in Khmer for a customer named ${customerName} who has a PENDING payment of ${amount} KHR for ${daysOverdue} days. Remind them to complete the full payment. Keep it polite and brief (2-3 sentences).`;
+  return { text: message.text, templateVersion: template.version, aiRewritten: Boolean(message.rewritten) };
+}
 
+// ==== KHQR Payment Codes ====
+async function sendBillPaymentCodes(chatId) {
   try {
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: [
-        {
-          role: 'system',
-          content: 'You are a helpful payment reminder assistant. Generate polite, professional payment reminders in Khmer language.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      max_tokens: 200,
-      temperature: 0.7
-    });
-
-    return response.choices[0].message.content.trim();
-  } catch (error) {
-    console.error('❌ AI message generation failed:', error.message);
+    const result = await buildBillPaymentCodes(
+      { excelReadingsCollection, paymentsCollection, recipientsCollection },
+      chatId,
+      getDefaultMerchant()
+    );
+    if (!result.success) {
+      console.log(`⚠️ KHQR skipped for ${chatId}: ${result.error}`);
+      return;
+    }
 
-    // Fallback messages
-    if (paymentStatus === 'UNPAID') {
-      return `សូមជូនដំណឹង: លោក/លោកស្រី ${customerName} មានវិក័យប័ត្រមិនទាន់បង់ ${amount} រៀល។ សូមបង់ភ្លាមៗ។`;
-    } else {
-      return `សូមជូនដំណឹង: លោក/លោកស្រី ${customerName} មានការទូទាត់មិនពេញលេញ ${amount} រៀល អស់រយៈពេល ${daysOverdue} ថ្ងៃហើយ។ សូមបង់ពេញលេញ។`;
+    for (const code of result.codes) {
+      await bot.sendPhoto(chatId, code.png, { caption: formatBillCodeCaption(code) }, { filename: `${code.reference}.png`, contentType: 'image/png' });
     }
+  } catch (error) {
+    console.error(`❌ Failed to send KHQR to ${chatId}:`, error.message);
   }
 }
 
 // ==== Check and Send Reminders ====
-async function checkAndSendReminders() {
-  try {
-    console.log('🔍 Checking for payments requiring reminders...\n');
+function formatLocalTime(date) {
+  return date.toLocaleString('en-GB', { timeZone: 'Asia/Phnom_Penh' });
+}
 
-    const now = new Date();
-    const fiveDaysAgo = new Date(now.getTime() - (PENDING_WARNING_DAYS * 24 * 60 * 60 * 1000));
+/**
+ * Plan and send one customer's reminder
+ * @returns {string} 'sent' | 'escalated' | 'skipped' | 'failed'
+ */
+async function remindCustomer(chatId, now) {
+  const { bills, allocation } = await loadAllocation(excelReadingsCollection, paymentsCollection, chatId);
+  // Failed attempts don't count - the same step is retried
+  const reminders = await remindersCollection
+    .find({ chatId, level: { $exists: true }, deliveryStatus: { $nin: [DELIVERY_STATUS.FAILED, DELIVERY_STATUS.BOT_REMOVED] } })
+    .toArray();
+  const pendingPayments = await paymentsCollection
+    .find({ chatId, paymentLabel: 'PENDING' }, { projection: { uploadedAt: 1 } })
+    .toArray();
+
+  const plan = planReminder({ bills, allocation, reminders, pendingPayments, now, settings: REMINDER_SETTINGS });
+  const customerName = bills.length > 0 ? (bills[bills.length - 1].customer || String(chatId)) : String(chatId);
+
+  if (!plan.send) {
+    if (plan.reason !== 'no_open_bills' && plan.reason !== 'not_due') {
+      console.log(`⏭️  Skipping ${customerName} (${chatId}) - ${plan.reason}`);
+    }
+    return 'skipped';
+  }
 
-    // Find all pending and unpaid payments
-    const paymentsToRemind = await paymentsCollection.find({
-      paymentLabel: { $in: ['PENDING', 'UNPAID'] }
-    }).toArray();
+  let message;
+  let templateVersion = null;
+  let aiRewritten = false;
+  const escalation = plan.level === 'ESCALATE';
+  try {
+    if (escalation) {
+      message = formatEscalationMessage(plan, { chatId, customerName, reminders });
+    } else {
+      ({ text: message, templateVersion, aiRewritten } = await buildReminderMessage(plan, customerName, bills));
+    }
+  } catch (error) {
+    console.error(`❌ Failed to build ${plan.level} reminder for ${chatId}:`, error.message);
+    return 'failed';
+  }
 
-    console.log(`Found ${paymentsToRemind.length} payment(s) to review\n`);
+  const details = { chatId, customerName, message, templateVersion, aiRewritten, sentAt: now };
+  try {
+    if (escalation) {
+      await bot.sendMessage(PENDING_CHAT_ID, message);
+      console.log(`🚨 ESCALATE | ${customerName} (${chatId}) | ${plan.daysOverdue}d overdue | sent to auditors`);
+    } else {
+      await bot.sendMessage(chatId, message);
+      console.log(`📨 ${plan.level} v${templateVersion}${aiRewritten ? ' (AI)' : ''} | Sent to ${customerName} (${chatId}) | ${plan.outstandingAmount} KHR | ${plan.daysOverdue}d overdue`);
 
-    for (const payment of paymentsToRemind) {
-      const { chatId, paymentLabel, uploadedAt, amountInKHR, fullName, _id } = payment;
+      // Every customer reminder comes with KHQR codes for the exact amounts
+      await sendBillPaymentCodes(chatId);
+    }
+  } catch (sendError) {
+    const delivery = classifySendError(sendError);
+    console.error(`❌ Failed to send ${plan.level} reminder for ${chatId}: [${delivery.errorCode}] ${delivery.description}`);
+    await recordReminder(remindersCollection, plan, details, delivery);
+
+    // Escalations go to the pending chat, so only a customer send says the bot left the group
+    if (!escalation && delivery.status === DELIVERY_STATUS.BOT_REMOVED) {
+      await markBotRemoved(suppressionsCollection, chatId, delivery.description);
+      console.log(`🔕 Bot removed from ${customerName} (${chatId}) - reminders suppressed`);
+    }
+    return 'failed';
+  }
 
-      // Check if we already sent a reminder recently
-      const recentReminder = await remindersCollection.findOne({
-        paymentId: _id,
-        sentAt: { $gte: new Date(now.getTime() - (24 * 60 * 60 * 1000)) }
-      });
+  await recordReminder(remindersCollection, plan, details);
+  return plan.level === 'ESCALATE' ? 'escalated' : 'sent';
+}
 
-      if (recentReminder) {
-        console.log(`⏭️  Skipping ${paymentLabel} - Reminder already sent today for ${fullName}`);
-        continue;
-      }
+/**
+ * Send reminders to every customer with an open balance
+ * @returns {Object} { counts, deferredUntil } - deferredUntil is set when quiet hours stopped the run
+ */
+async function checkAndSendReminders() {
+  const counts = { sent: 0, escalated: 0, skipped: 0, suppressed: 0, failed: 0 };
+  const { quietHours } = REMINDER_SETTINGS;
 
-      // Get customer details from excelreadings
-      const customerBill = await excelReadingsCollection.findOne({ chatId });
-      const customerName = customerBill?.customer || fullName;
-      const expectedAmount = customerBill?.amount || amountInKHR;
+  if (isQuietHours(new Date(), quietHours)) {
+    const deferredUntil = getQuietHoursEnd(new Date(), quietHours);
+    console.log(`🌙 Quiet hours - reminders deferred until ${formatLocalTime(deferredUntil)}`);
+    return { counts, deferredUntil };
+  }
 
-      let shouldSendReminder = false;
-      let reminderType = '';
+  try {
+    console.log('🔍 Checking customers with open bills...\n');
+
+    const chatIds = (await excelReadingsCollection.distinct('chatId')).filter(chatId => chatId !== null && chatId !== undefined);
+    const suppressedChatIds = await getSuppressedChatIds(suppressionsCollection);
+    console.log(`Found ${chatIds.length} customer(s) with bills (${suppressedChatIds.size} chat(s) suppressed)\n`);
+
+    for (const chatId of chatIds) {
+      const now = new Date();
+      if (isQuietHours(now, quietHours)) {
+        const deferredUntil = getQuietHoursEnd(now, quietHours);
+        console.log(`🌙 Quiet hours started - remaining customers deferred until ${formatLocalTime(deferredUntil)}`);
+        return { counts, deferredUntil };
+      }
 
-      if (paymentLabel === 'UNPAID') {
-        shouldSendReminder = true;
-        reminderType = 'UNPAID';
-      } else if (paymentLabel === 'PENDING' && uploadedAt < fiveDaysAgo) {
-        shouldSendReminder = true;
-        reminderType = 'PENDING_OVERDUE';
+      // Opted out (/stopreminders) or the bot was removed from the group
+      if (suppressedChatIds.has(chatId)) {
+        counts.suppressed++;
+        continue;
       }
 
-      if (shouldSendReminder) {
-        const daysOverdue = Math.floor((now - uploadedAt) / (1000 * 60 * 60 * 24));
-
-        // Generate AI message
-        const message = await generatePaymentReminder(
-          paymentLabel,
-          customerName,
-          expectedAmount,
-          daysOverdue
-        );
-
-        // Send message via Telegram
-        try {
-          await bot.sendMessage(chatId, message);
-
-          const statusIcon = paymentLabel === 'UNPAID' ? '❌' : '⏳';
-          console.log(`${statusIcon} ${paymentLabel} | Sent to ${customerName} (${chatId}) | ${daysOverdue}d overdue`);
-
-          // Log reminder in database
-          await remindersCollection.insertOne({
-            paymentId: _id,
-            chatId,
-            paymentLabel,
-            customerName,
-            amount: expectedAmount,
-            daysOverdue,
-            message,
-            sentAt: now,
-            reminderType
-          });
-
-        } catch (sendError) {
-          console.error(`❌ Failed to send reminder to ${chatId}:`, sendError.message);
+      try {
+        const result = await remindCustomer(chatId, now);
+        counts[result]++;
+        if (result !== 'skipped') {
+          // Add delay to avoid rate limiting
+          await new Promise(resolve => setTimeout(resolve, 1000));
         }
-
-        // Add delay to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 1000));
+      } catch (error) {
+        console.error(`❌ Reminder check failed for ${chatId}:`, error.message);
+        counts.failed++;
       }
     }
 
-    console.log('\n✅ Reminder check completed');
+    console.log(`\n✅ Reminder check completed | sent: ${counts.sent}, escalated: ${counts.escalated}, skipped: ${counts.skipped}, suppressed: ${counts.suppressed}, failed: ${counts.failed}`);
   } catch (error) {
     console.error('❌ Error checking reminders:', error.message);
+    throw error;
   }
+  return { counts, deferredUntil: null };
 }
 
 // ==== Database Connection ====
@@ -177,6 +267,14 @@ async function connectDB() {
     const db = client.db(DB_NAME);
     paymentsCollection = db.collection('payments');
     remindersCollection = db.collection('reminders');
+    recipientsCollection = db.collection('recipients');
+    templatesCollection = db.collection('messageTemplates');
+    suppressionsCollection = db.collection('reminderSuppressions');
+    schedulerJobsCollection = db.collection('schedulerJobs');
+    schedulerRunsCollection = db.collection('schedulerRuns');
+    await ensureReminderIndexes(remindersCollection);
+    await ensureTemplateIndexes(templatesCollection);
+    await ensureSuppressionIndexes(suppressionsCollection);
     console.log('✅ Connected to customerDB');
 
     await invoiceClient.connect();
@@ -193,27 +291,36 @@ async function connectDB() {
 // ==== Main Scheduler ====
 async function main() {
   console.log('🤖 Payment Reminder Scheduler Started\n');
-  console.log(`⏰ Checking every ${CHECK_INTERVAL_HOURS} hours`);
-  console.log(`⚠️  PENDING payment warning: ${PENDING_WARNING_DAYS} days\n`);
+  const { ladderDays, billDueDays, pendingHoldDays, quietHours } = REMINDER_SETTINGS;
+  console.log(`⏰ Schedule: "${REMINDER_SCHEDULE}" (Asia/Phnom_Penh)`);
+  console.log(`📅 Bills due ${billDueDays} days after the bill date`);
+  console.log(`🪜 Ladder (days overdue): gentle ${ladderDays[0]}, firm ${ladderDays[1]}, final ${ladderDays[2]}, escalate ${ladderDays[3]}`);
+  console.log(`⏳ Held while a payment from the last ${pendingHoldDays} days is under review`);
+  console.log(`🌙 Quiet hours: ${quietHours ? `${quietHours.start}:00-${quietHours.end}:00 (Asia/Phnom_Penh)` : 'off'}`);
+  console.log(`✍️  AI rewrite: ${REMINDER_AI_REWRITE ? REMINDER_AI_MODEL : 'off'}\n`);
 
   await connectDB();
 
-  // Run immediately on start
-  await checkAndSendReminders();
+  scheduler = new CronScheduler(
+    { schedulerJobsCollection, schedulerRunsCollection },
+    { catchUpMs: SCHEDULER_CATCH_UP_HOURS * 60 * 60 * 1000 }
+  );
+
+  scheduler.register('payment-reminders', REMINDER_SCHEDULE, async () => {
+    const { counts, deferredUntil } = await checkAndSendReminders();
+    // A run stopped by quiet hours resumes when they end
+    return { counts, runAgainAt: deferredUntil };
+  }, { description: 'Customer payment reminders (escalation ladder)' });
 
-  // Schedule recurring checks
-  const intervalMs = CHECK_INTERVAL_HOURS * 60 * 60 * 1000;
-  setInterval(async () => {
-    console.log(`\n⏰ [${new Date().toLocaleString()}] Running scheduled reminder check...\n`);
-    await checkAndSendReminders();
-  }, intervalMs);
+  await scheduler.start();
 
-  console.log(`\n🎯 Scheduler is running. Next check in ${CHECK_INTERVAL_HOURS} hour(s)...`);
+  console.log('\n🎯 Scheduler is running.');
 }
 
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('\n🛑 Shutting down scheduler...');
+  if (scheduler) scheduler.stop();
   await client.close();
   await invoiceClient.close();
   process.exit(0);
@@ -227,4 +334,4 @@ if (require.main === module) {
   });
 }
 
-module.exports = { checkAndSendReminders, generatePaymentReminder };
+module.exports = { checkAndSendReminders, buildReminderMessage };
@@ -0,0 +1,174 @@
+'use strict';
+
+/**
+ * Payment State Transition Module
+ * Single place where a payment's label changes after OCR verification.
+ * Enforces the allowed transitions, applies the update atomically (so two
+ * auditors cannot both act on the same payment), recomputes the customer's
+ * totals and writes an audit event (see audit-trail.js).
+ * Used by /verify, /reject, the review buttons and the approve/review endpoints
+ */
+
+const { recordAuditEvent } = require('./audit-trail');
+
+// paymentLabel → labels it may move to
+const ALLOWED_TRANSITIONS = {
+  PENDING: ['PAID', 'UNPAID'],
+  UNPAID: ['PAID'],
+  PAID: ['UNPAID']
+};
+
+// Fields of the other outcome, cleared on each transition (the history stays in auditEvents)
+const APPROVAL_FIELDS = ['manuallyApproved', 'approvedAt', 'approvedBy'];
+const REJECTION_FIELDS = ['rejectionReason', 'rejectedAt', 'rejectedBy', 'rejectionMetadata'];
+
+/**
+ * Whether a payment may move between two labels
+ */
+function canTransition(fromLabel, toLabel) {
+  return (ALLOWED_TRANSITIONS[fromLabel] || []).includes(toLabel);
+}
+
+/**
+ * Fields written for the target label, and the other outcome's fields to clear
+ * @returns {Object} { set, unset }
+ */
+function buildTransitionUpdate(payment, toLabel, options, now) {
+  const { actor, reason, notes, amount } = options;
+  // Latest review only - the full history lives in auditEvents
+  const set = {
+    paymentLabel: toLabel,
+    reviewedAt: now,
+    reviewedBy: actor,
+    reviewNotes: notes || ''
+  };
+
+  if (toLabel === 'PAID') {
+    Object.assign(set, {
+      verificationStatus: 'verified',
+      isVerified: true,
+      manuallyApproved: true,
+      approvedAt: now,
+      approvedBy: actor,
+      reviewAction: 'approve'
+    });
+
+    if (amount) {
+      Object.assign(set, {
+        paymentAmount: amount.amount,
+        currency: amount.currency,
+        amountInKHR: amount.amountInKHR
+      });
+    }
+  } else if (toLabel === 'UNPAID') {
+    Object.assign(set, {
+      verificationStatus: 'rejected',
+      isVerified: false,
+      rejectedAt: now,
+      rejectedBy: actor,
+      rejectionReason: reason || payment.rejectionReason || 'MANUAL_REJECTION',
+      reviewAction: 'confirm_rejection'
+    });
+  }
+
+  const cleared = toLabel === 'PAID' ? REJECTION_FIELDS : APPROVAL_FIELDS;
+  return { set, unset: Object.fromEntries(cleared.map(field => [field, ''])) };
+}
+
+/**
+ * Create a transition service bound to the bot's collections
+ * @param {Object} deps - { paymentsCollection, auditEventsCollection, recomputeCustomer }
+ *   recomputeCustomer(chatId, payment) rebuilds the customer's totals
+ * @returns {Object} { transitionPayment }
+ */
+function createPaymentTransitions(deps) {
+  const { paymentsCollection, auditEventsCollection, recomputeCustomer } = deps;
+
+  /**
+   * Move a payment to a new label
+   * @param {string} paymentId - Payment _id
+   * @param {string} toLabel - 'PAID' or 'UNPAID'
+   * @param {Object} options - { actor, source, reason, notes, amount, fromLabels, extraSet }
+   *   source: one of AUDIT_SOURCES from audit-trail.js
+   *   amount: { amount, currency, amountInKHR } when the auditor corrects the amount
+   *   fromLabels: restrict the labels this caller accepts (e.g. ['PENDING'])
+   *   extraSet: additional payment fields written in the same update
+   * @returns {Object} { success, payment, previousLabel, customer } or { success: false, error, statusCode, payment }
+   */
+  async function transitionPayment(paymentId, toLabel, options = {}) {
+    const actor = options.actor || 'admin';
+    const source = options.source || { type: 'unknown', name: 'unknown' };
+
+    const payment = await paymentsCollection.findOne({ _id: paymentId });
+    if (!payment) {
+      return { success: false, statusCode: 404, error: 'Payment not found' };
+    }
+
+    const fromLabel = payment.paymentLabel;
+    if (options.fromLabels && !options.fromLabels.includes(fromLabel)) {
+      return {
+        success: false,
+        statusCode: 400,
+        error: `Payment is ${fromLabel}, expected ${options.fromLabels.join(' or ')}`,
+        payment
+      };
+    }
+
+    if (!canTransition(fromLabel, toLabel)) {
+      return {
+        success: false,
+        statusCode: 400,
+        error: `Transition ${fromLabel} → ${toLabel} is not allowed`,
+        payment
+      };
+    }
+
+    if (toLabel === 'PAID' && !(options.amount?.amountInKHR || payment.amountInKHR)) {
+      return { success: false, statusCode: 400, error: 'Payment has no amount - an approved amount is required', payment };
+    }
+
+    const now = new Date();
+    const update = buildTransitionUpdate(payment, toLabel, { ...options, actor }, now);
+    const set = { ...update.set, ...(options.extraSet || {}) };
+    const unset = { ...update.unset, amountPrompt: '' };
+    for (const field of Object.keys(set)) delete unset[field];
+
+    // Filter on the current label so a concurrent review cannot apply twice
+    const updated = await paymentsCollection.findOneAndUpdate(
+      { _id: paymentId, paymentLabel: fromLabel },
+      { $set: set, $unset: unset },
+      { returnDocument: 'after' }
+    );
+
+    if (!updated) {
+      const current = await paymentsCollection.findOne({ _id: paymentId });
+      return { success: false, statusCode: 409, error: 'Payment was changed by another reviewer', payment: current };
+    }
+
+    const customer = await recomputeCustomer(updated.chatId, updated);
+
+    await recordAuditEvent(auditEventsCollection, {
+      paymentId,
+      chatId: updated.chatId,
+      action: toLabel === 'PAID' ? 'approved' : 'rejected',
+      actor,
+      source,
+      before: payment,
+      after: updated,
+      reason: toLabel === 'UNPAID' ? set.rejectionReason : (options.reason || null),
+      notes: options.notes
+    });
+
+    console.log(`🔁 [TRANSITION] ${paymentId} ${fromLabel} → ${toLabel} | By: ${actor} | Source: ${source.name}`);
+
+    return { success: true, payment: updated, previousLabel: fromLabel, customer };
+  }
+
+  return { transitionPayment };
+}
+
+module.exports = {
+  ALLOWED_TRANSITIONS,
+  canTransition,
+  createPaymentTransitions
+};
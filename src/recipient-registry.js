@@ -0,0 +1,253 @@
+'use strict';
+
+/**
+ * Recipient Registry Module
+ * Mongo-backed registry of the merchant accounts customers are allowed to pay.
+ * Each entry is assigned to one or more Telegram groups (chatIds), so every
+ * water department can validate screenshots against its own account.
+ * Used by botfetch.js and the ML recipient validator.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { KNOWN_RECIPIENT_DATA } = require('./ml/trainingData');
+
+// Original single-owner recipient, used only while the registry is empty
+const LEGACY_RECIPIENT = {
+  _id: 'legacy-default',
+  name: 'Legacy default recipient',
+  bank: 'ABA',
+  accountNumbers: KNOWN_RECIPIENT_DATA.accountVariations,
+  nameAliases: Object.values(KNOWN_RECIPIENT_DATA.names).flat(),
+  khqrIds: [],
+  chatIds: [],
+  isDefault: true,
+  active: true,
+  legacy: true
+};
+
+const EDITABLE_FIELDS = ['name', 'bank', 'accountNumbers', 'nameAliases', 'khqrIds', 'chatIds', 'isDefault', 'active'];
+
+/**
+ * Normalize an account number for comparison (digits and letters only)
+ */
+function normalizeAccount(value) {
+  return String(value || '').replace(/[\s\-\.]/g, '').toLowerCase();
+}
+
+/**
+ * Normalize a recipient name for comparison ("CHAN K. & THOEURN T." → "chan k thoeurn t")
+ */
+function normalizeName(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\u1780-\u17FF@_]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Get the registry entries a chat's payments must be sent to
+ * Order of precedence: entries assigned to the chat, then default entries,
+ * then the legacy hardcoded owner (only when the registry has no active entries)
+ * @param {Collection} recipientsCollection - MongoDB recipients collection
+ * @param {number} chatId - Telegram chat ID of the uploading group
+ * @returns {Array} Recipient entries
+ */
+async function getRecipientsForChat(recipientsCollection, chatId) {
+  const assigned = await recipientsCollection
+    .find({ active: { $ne: false }, chatIds: chatId })
+    .toArray();
+  if (assigned.length > 0) return assigned;
+
+  const defaults = await recipientsCollection
+    .find({ active: { $ne: false }, isDefault: true })
+    .toArray();
+  if (defaults.length > 0) return defaults;
+
+  const activeCount = await recipientsCollection.countDocuments({ active: { $ne: false } });
+  return activeCount === 0 ? [LEGACY_RECIPIENT] : [];
+}
+
+/**
+ * Rule-based recipient check against registry entries
+ * @param {Array} recipients - Registry entries for the chat
+ * @param {string} toAccount - Recipient account from OCR
+ * @param {string} recipientName - Recipient name from OCR
+ * @returns {Object} { isValid, recipientId, recipientName, matchedOn, matchedValue }
+ */
+function matchRecipient(recipients, toAccount, recipientName) {
+  const result = {
+    isValid: false,
+    recipientId: null,
+    recipientName: null,
+    matchedOn: null,
+    matchedValue: null
+  };
+
+  const account = normalizeAccount(toAccount);
+  const combinedText = normalizeName(`${toAccount || ''} ${recipientName || ''}`);
+  const paddedText = ` ${combinedText} `;
+
+  for (const recipient of recipients || []) {
+    const checks = [
+      ...(recipient.accountNumbers || []).map(value => ({
+        type: 'account',
+        value,
+        hit: account && normalizeAccount(value) && account.includes(normalizeAccount(value))
+      })),
+      ...(recipient.khqrIds || []).map(value => ({
+        type: 'khqr',
+        value,
+        hit: normalizeAccount(value) && (account.includes(normalizeAccount(value)) || paddedText.includes(` ${normalizeName(value)} `))
+      })),
+      ...(recipient.nameAliases || []).map(value => ({
+        type: 'name',
+        value,
+        hit: normalizeName(value) && paddedText.includes(` ${normalizeName(value)}`)
+      }))
+    ];
+
+    const hit = checks.find(check => check.hit);
+    if (hit) {
+      result.isValid = true;
+      result.recipientId = recipient._id;
+      result.recipientName = recipient.name;
+      result.matchedOn = hit.type;
+      result.matchedValue = hit.value;
+      return result;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Convert registry entries to the knownData shape used by FuzzyRecipientMatcher
+ * @param {Array} recipients - Registry entries
+ * @returns {Object} { accountVariations, names }
+ */
+function toKnownRecipientData(recipients) {
+  const accountVariations = [];
+  const aliases = [];
+
+  for (const recipient of recipients || []) {
+    accountVariations.push(...(recipient.accountNumbers || []), ...(recipient.khqrIds || []));
+    aliases.push(...(recipient.nameAliases || []));
+  }
+
+  return {
+    accountVariations: [...new Set(accountVariations)],
+    names: { aliases: [...new Set(aliases)] }
+  };
+}
+
+/**
+ * Validate and normalize recipient input from the API
+ * @param {Object} data - Request body
+ * @param {boolean} partial - Allow missing required fields (updates)
+ * @returns {Object} { errors, value }
+ */
+function validateRecipientInput(data = {}, partial = false) {
+  const errors = [];
+  const value = {};
+
+  for (const field of EDITABLE_FIELDS) {
+    if (data[field] !== undefined) value[field] = data[field];
+  }
+
+  if (!partial && !value.name) errors.push('name is required');
+  if (value.name !== undefined && typeof value.name !== 'string') errors.push('name must be a string');
+
+  for (const field of ['accountNumbers', 'nameAliases', 'khqrIds']) {
+    if (value[field] === undefined) continue;
+    if (!Array.isArray(value[field]) || value[field].some(v => typeof v !== 'string' || !v.trim())) {
+      errors.push(`${field} must be an array of non-empty strings`);
+    } else {
+      value[field] = value[field].map(v => v.trim());
+    }
+  }
+
+  if (value.chatIds !== undefined) {
+    if (!Array.isArray(value.chatIds) || value.chatIds.some(id => isNaN(parseInt(id)))) {
+      errors.push('chatIds must be an array of numbers');
+    } else {
+      value.chatIds = value.chatIds.map(id => parseInt(id));
+    }
+  }
+
+  if (!partial) {
+    const identifiers = (value.accountNumbers || []).length + (value.nameAliases || []).length + (value.khqrIds || []).length;
+    if (identifiers === 0) errors.push('at least one of accountNumbers, nameAliases or khqrIds is required');
+  }
+
+  return { errors, value };
+}
+
+/**
+ * Create a registry entry
+ * @param {Collection} recipientsCollection - MongoDB recipients collection
+ * @param {Object} value - Validated recipient fields
+ * @param {string} actor - Who made the change (API key actor)
+ * @returns {Object} Inserted recipient
+ */
+async function createRecipient(recipientsCollection, value, actor = null) {
+  const recipient = {
+    _id: uuidv4(),
+    name: value.name,
+    bank: value.bank || null,
+    accountNumbers: value.accountNumbers || [],
+    nameAliases: value.nameAliases || [],
+    khqrIds: value.khqrIds || [],
+    chatIds: value.chatIds || [],
+    isDefault: value.isDefault === true,
+    active: value.active !== false,
+    createdAt: new Date(),
+    updatedAt: new Date(),
+    createdBy: actor,
+    updatedBy: actor
+  };
+
+  await recipientsCollection.insertOne(recipient);
+  return recipient;
+}
+
+/**
+ * Update a registry entry
+ * @returns {Object|null} Updated recipient or null if not found
+ */
+async function updateRecipient(recipientsCollection, recipientId, value, actor = null) {
+  return recipientsCollection.findOneAndUpdate(
+    { _id: recipientId },
+    { $set: { ...value, updatedAt: new Date(), updatedBy: actor } },
+    { returnDocument: 'after' }
+  );
+}
+
+/**
+ * Assign or unassign a Telegram group to a registry entry
+ * @returns {Object|null} Updated recipient or null if not found
+ */
+async function setChatAssignment(recipientsCollection, recipientId, chatId, assigned, actor = null) {
+  const update = assigned
+    ? { $addToSet: { chatIds: chatId }, $set: { updatedAt: new Date(), updatedBy: actor } }
+    : { $pull: { chatIds: chatId }, $set: { updatedAt: new Date(), updatedBy: actor } };
+
+  return recipientsCollection.findOneAndUpdate(
+    { _id: recipientId },
+    update,
+    { returnDocument: 'after' }
+  );
+}
+
+module.exports = {
+  LEGACY_RECIPIENT,
+  normalizeAccount,
+  normalizeName,
+  getRecipientsForChat,
+  matchRecipient,
+  toKnownRecipientData,
+  validateRecipientInput,
+  createRecipient,
+  updateRecipient,
+  setChatAssignment
+};
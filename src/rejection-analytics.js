@@ -40,12 +40,36 @@ const REJECTION_REASONS = {
     severity: 'critical',
     userMessage: 'Alert about duplicate usage'
   },
+  'DUPLICATE_IMAGE': {
+    description: 'Screenshot already submitted for another payment',
+    category: 'fraud_prevention',
+    severity: 'critical',
+    userMessage: 'Alert about duplicate usage (near match: under review)'
+  },
+  'TAMPER_SUSPECTED': {
+    description: 'Screenshot shows signs of editing',
+    category: 'fraud_prevention',
+    severity: 'high',
+    userMessage: 'Tell user receipt is under review'
+  },
   'AMOUNT_MISMATCH': {
     description: 'Payment amount does not match expected',
     category: 'verification_failed',
     severity: 'medium',
     userMessage: 'Show received amount'
   },
+  'INVALID_TRANSACTION_ID': {
+    description: 'Transaction ID does not match the bank format or receipt date',
+    category: 'verification_failed',
+    severity: 'medium',
+    userMessage: 'Tell user receipt is under review'
+  },
+  'RECIPIENT_NOT_CONFIGURED': {
+    description: 'No payment recipient configured for the group',
+    category: 'configuration',
+    severity: 'medium',
+    userMessage: 'Tell user receipt is under review'
+  },
   'MANUAL_REJECTION': {
     description: 'Manually rejected by auditor',
     category: 'manual_review',
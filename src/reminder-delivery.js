@@ -0,0 +1,234 @@
+'use strict';
+
+/**
+ * Reminder Delivery Module
+ * Delivery status of each reminder (sent, failed with the Telegram error
+ * code, bot removed from the group) and the per-chat suppressions that stop
+ * reminders: a customer's /stopreminders, or the bot being removed from the
+ * group (customerDB.reminderSuppressions, one document per chat).
+ * Also builds the per-group reach and failure report.
+ * Used by botfetch.js and payment-scheduler.js
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+const DELIVERY_STATUS = {
+  SENT: 'sent',
+  FAILED: 'failed',
+  BOT_REMOVED: 'bot_removed'
+};
+
+// Telegram descriptions meaning the bot can no longer post in the chat
+const BOT_REMOVED_PATTERN = /kicked|not a member|blocked by the user|user is deactivated|chat not found|group chat was deleted/i;
+
+// Customer ladder steps - escalations go to the auditors, not the group
+const CUSTOMER_LEVELS = ['GENTLE', 'FIRM', 'FINAL'];
+
+/**
+ * Delivery result for a failed send
+ * @param {Error} error - node-telegram-bot-api error (ETELEGRAM carries response.body)
+ * @returns {Object} { status, errorCode, description }
+ */
+function classifySendError(error) {
+  const body = error && error.response && error.response.body;
+  const errorCode = body && typeof body === 'object' && body.error_code ? body.error_code : (error && error.code) || null;
+  const description = (body && typeof body === 'object' && body.description) || (error && error.message) || 'Unknown error';
+
+  const removed = (errorCode === 403 || errorCode === 400) && BOT_REMOVED_PATTERN.test(description);
+  return {
+    status: removed ? DELIVERY_STATUS.BOT_REMOVED : DELIVERY_STATUS.FAILED,
+    errorCode,
+    description
+  };
+}
+
+/**
+ * Create the suppression indexes
+ * @param {Collection} suppressionsCollection - MongoDB reminderSuppressions collection
+ */
+async function ensureSuppressionIndexes(suppressionsCollection) {
+  await suppressionsCollection.createIndex({ chatId: 1 }, { unique: true });
+}
+
+function isSuppressed(suppression) {
+  return Boolean(suppression && (suppression.optedOut || suppression.botRemoved));
+}
+
+/**
+ * Chats that get no reminders (opted out or bot removed)
+ * @returns {Set} chatIds
+ */
+async function getSuppressedChatIds(suppressionsCollection) {
+  const chatIds = await suppressionsCollection.distinct('chatId', { $or: [{ optedOut: true }, { botRemoved: true }] });
+  return new Set(chatIds);
+}
+
+async function updateSuppression(suppressionsCollection, chatId, fields) {
+  const now = new Date();
+  return suppressionsCollection.findOneAndUpdate(
+    { chatId },
+    {
+      $set: { ...fields, updatedAt: now },
+      $setOnInsert: { _id: uuidv4(), chatId, createdAt: now }
+    },
+    { upsert: true, returnDocument: 'before' }
+  );
+}
+
+/**
+ * /stopreminders and /startreminders
+ * @param {boolean} optedOut - true to stop reminders
+ * @param {string} actor - Who sent the command
+ * @returns {Object} { changed } - false when the chat was already in that state
+ */
+async function setReminderOptOut(suppressionsCollection, chatId, optedOut, actor) {
+  const fields = optedOut
+    ? { optedOut: true, optedOutAt: new Date(), optedOutBy: actor || null }
+    : { optedOut: false, optedInAt: new Date(), optedInBy: actor || null };
+  const before = await updateSuppression(suppressionsCollection, chatId, fields);
+  return { changed: Boolean(before && before.optedOut) !== optedOut };
+}
+
+/**
+ * Suppress a chat the bot was removed from (failed send or membership update)
+ * @param {string} reason - Telegram description or membership status
+ * @returns {boolean} true if the chat was not suppressed for this before
+ */
+async function markBotRemoved(suppressionsCollection, chatId, reason) {
+  const before = await updateSuppression(suppressionsCollection, chatId, {
+    botRemoved: true,
+    botRemovedAt: new Date(),
+    botRemovedReason: reason || null
+  });
+  return !(before && before.botRemoved);
+}
+
+/**
+ * Lift the automatic suppression once the bot is back in the group
+ * @returns {boolean} true if the chat was suppressed
+ */
+async function clearBotRemoved(suppressionsCollection, chatId) {
+  const result = await suppressionsCollection.updateOne(
+    { chatId, botRemoved: true },
+    { $set: { botRemoved: false, botReturnedAt: new Date(), updatedAt: new Date() } }
+  );
+  return result.modifiedCount > 0;
+}
+
+function toRate(count, total) {
+  return total > 0 ? parseFloat(((count / total) * 100).toFixed(2)) : 0;
+}
+
+/**
+ * Reach and failure rates per group for customer reminders
+ * Reminders from before delivery tracking have no deliveryStatus and count as sent.
+ * @param {Object} collections - { remindersCollection, suppressionsCollection }
+ * @param {Object} options - { startDate, endDate } (last attempt time)
+ * @returns {Object} { totals, groups } - groups sorted by failure rate, then reminders
+ */
+async function getReminderReport({ remindersCollection, suppressionsCollection }, { startDate = null, endDate = null } = {}) {
+  const range = {};
+  if (startDate) range.$gte = startDate;
+  if (endDate) range.$lte = endDate;
+
+  const match = { level: { $in: CUSTOMER_LEVELS } };
+  if (Object.keys(range).length > 0) {
+    match.$or = [{ lastAttemptAt: range }, { lastAttemptAt: { $exists: false }, sentAt: range }];
+  }
+
+  const rows = await remindersCollection.aggregate([
+    { $match: match },
+    { $sort: { sentAt: 1, lastAttemptAt: 1 } },
+    {
+      $group: {
+        _id: '$chatId',
+        customerName: { $last: '$customerName' },
+        reminders: { $sum: 1 },
+        sent: { $sum: { $cond: [{ $eq: [{ $ifNull: ['$deliveryStatus', DELIVERY_STATUS.SENT] }, DELIVERY_STATUS.SENT] }, 1, 0] } },
+        failed: { $sum: { $cond: [{ $eq: ['$deliveryStatus', DELIVERY_STATUS.FAILED] }, 1, 0] } },
+        botRemoved: { $sum: { $cond: [{ $eq: ['$deliveryStatus', DELIVERY_STATUS.BOT_REMOVED] }, 1, 0] } },
+        attempts: { $sum: { $ifNull: ['$attempts', 1] } },
+        lastAttemptAt: { $max: { $ifNull: ['$lastAttemptAt', '$sentAt'] } },
+        lastError: { $last: '$lastError' }
+      }
+    }
+  ]).toArray();
+
+  const suppressions = await suppressionsCollection.find({}).toArray();
+  const suppressionByChat = new Map(suppressions.map(suppression => [suppression.chatId, suppression]));
+
+  const groups = rows.map(row => {
+    const suppression = suppressionByChat.get(row._id) || null;
+    return {
+      chatId: row._id,
+      customerName: row.customerName || null,
+      reminders: row.reminders,
+      sent: row.sent,
+      failed: row.failed,
+      botRemoved: row.botRemoved,
+      attempts: row.attempts,
+      reachRate: toRate(row.sent, row.reminders),
+      failureRate: toRate(row.failed + row.botRemoved, row.reminders),
+      lastAttemptAt: row.lastAttemptAt || null,
+      lastError: row.lastError || null,
+      optedOut: Boolean(suppression && suppression.optedOut),
+      suppressed: isSuppressed(suppression)
+    };
+  });
+
+  // Suppressed chats without reminders in the range are still listed
+  for (const suppression of suppressions) {
+    if (!isSuppressed(suppression) || rows.some(row => row._id === suppression.chatId)) continue;
+    groups.push({
+      chatId: suppression.chatId,
+      customerName: null,
+      reminders: 0,
+      sent: 0,
+      failed: 0,
+      botRemoved: 0,
+      attempts: 0,
+      reachRate: 0,
+      failureRate: 0,
+      lastAttemptAt: null,
+      lastError: suppression.botRemoved ? { errorCode: null, description: suppression.botRemovedReason } : null,
+      optedOut: Boolean(suppression.optedOut),
+      suppressed: true
+    });
+  }
+  groups.sort((a, b) => b.failureRate - a.failureRate || b.reminders - a.reminders);
+
+  const reminders = groups.reduce((sum, group) => sum + group.reminders, 0);
+  const sent = groups.reduce((sum, group) => sum + group.sent, 0);
+  const failed = groups.reduce((sum, group) => sum + group.failed, 0);
+  const botRemoved = groups.reduce((sum, group) => sum + group.botRemoved, 0);
+  const reachedGroups = groups.filter(group => group.sent > 0).length;
+
+  return {
+    totals: {
+      groups: groups.length,
+      reachedGroups,
+      reminders,
+      sent,
+      failed,
+      botRemoved,
+      reachRate: toRate(sent, reminders),
+      failureRate: toRate(failed + botRemoved, reminders),
+      groupReachRate: toRate(reachedGroups, groups.length),
+      optedOut: suppressions.filter(suppression => suppression.optedOut).length,
+      botRemovedChats: suppressions.filter(suppression => suppression.botRemoved).length
+    },
+    groups
+  };
+}
+
+module.exports = {
+  DELIVERY_STATUS,
+  classifySendError,
+  ensureSuppressionIndexes,
+  isSuppressed,
+  getSuppressedChatIds,
+  setReminderOptOut,
+  markBotRemoved,
+  clearBotRemoved,
+  getReminderReport
+};
@@ -0,0 +1,280 @@
+'use strict';
+
+/**
+ * Reminder Engine Module
+ * Decides which customers get a payment reminder, from their open bill
+ * balances rather than individual payments. The customer's oldest open bill
+ * sets the days overdue, which picks a step on the escalation ladder
+ * (gentle, firm, final notice, auditor escalation). Steps are never skipped,
+ * each is sent at most once per customer and bill, and nothing is sent
+ * during quiet hours (Asia/Phnom_Penh).
+ * Used by payment-scheduler.js
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { getBillDate } = require('./bill-matcher');
+
+// Ladder steps, in order. ESCALATE goes to the auditors instead of the customer.
+const REMINDER_LEVELS = ['GENTLE', 'FIRM', 'FINAL', 'ESCALATE'];
+
+const DEFAULT_SETTINGS = {
+  ladderDays: [0, 7, 14, 21], // Days past the due date for each level
+  billDueDays: 7,             // Due date = bill date + this, unless the bill has a dueDate
+  pendingHoldDays: 5,         // No reminders while a payment this recent is under review
+  minGapHours: 20,            // Minimum time between two reminders to the same customer
+  quietHours: { start: 21, end: 8 }
+};
+
+const CAMBODIA_OFFSET_MS = 7 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Parse "21-8" into { start: 21, end: 8 } (hours, Cambodia time); "off" or "" disables
+ */
+function parseQuietHours(value, fallback = DEFAULT_SETTINGS.quietHours) {
+  if (value === undefined || value === null) return fallback;
+  const match = String(value).trim().match(/^(\d{1,2})\s*-\s*(\d{1,2})$/);
+  if (!match) return null;
+  const start = parseInt(match[1]);
+  const end = parseInt(match[2]);
+  return start < 24 && end < 24 && start !== end ? { start, end } : null;
+}
+
+/**
+ * Reminder settings from the environment
+ * REMINDER_LADDER_DAYS, BILL_DUE_DAYS, PENDING_WARNING_DAYS, REMINDER_MIN_GAP_HOURS, REMINDER_QUIET_HOURS
+ */
+function getReminderSettings(env = process.env) {
+  const ladderDays = String(env.REMINDER_LADDER_DAYS || '')
+    .split(',')
+    .map(value => parseInt(value))
+    .filter(value => !isNaN(value));
+
+  return {
+    ladderDays: ladderDays.length === REMINDER_LEVELS.length ? ladderDays : DEFAULT_SETTINGS.ladderDays,
+    billDueDays: parseInt(env.BILL_DUE_DAYS) || DEFAULT_SETTINGS.billDueDays,
+    pendingHoldDays: parseInt(env.PENDING_WARNING_DAYS) || DEFAULT_SETTINGS.pendingHoldDays,
+    minGapHours: parseInt(env.REMINDER_MIN_GAP_HOURS) || DEFAULT_SETTINGS.minGapHours,
+    quietHours: parseQuietHours(env.REMINDER_QUIET_HOURS)
+  };
+}
+
+function getLocalHour(date) {
+  return new Date(date.getTime() + CAMBODIA_OFFSET_MS).getUTCHours();
+}
+
+/**
+ * Whether a time falls in quiet hours (ranges may wrap midnight)
+ */
+function isQuietHours(now, quietHours) {
+  if (!quietHours) return false;
+  const hour = getLocalHour(now);
+  return quietHours.start < quietHours.end
+    ? hour >= quietHours.start && hour < quietHours.end
+    : hour >= quietHours.start || hour < quietHours.end;
+}
+
+/**
+ * When the current quiet period ends
+ * @returns {Date} Next quietHours.end:00 in Cambodia time
+ */
+function getQuietHoursEnd(now, quietHours) {
+  const localMidnight = Math.floor((now.getTime() + CAMBODIA_OFFSET_MS) / DAY_MS) * DAY_MS - CAMBODIA_OFFSET_MS;
+  let end = localMidnight + quietHours.end * HOUR_MS;
+  if (end <= now.getTime()) end += DAY_MS;
+  return new Date(end);
+}
+
+/**
+ * Due date of a bill (its own dueDate, else bill date + billDueDays)
+ * @param {Object} balance - Balance from allocatePayments()
+ * @param {Object|null} bill - excelreadings document
+ */
+function getBillDueDate(balance, bill, settings = DEFAULT_SETTINGS) {
+  const own = bill && bill.dueDate ? new Date(bill.dueDate) : null;
+  if (own && !isNaN(own.getTime())) return own;
+
+  const billDate = balance.billDate || (bill && getBillDate(bill));
+  return billDate ? new Date(new Date(billDate).getTime() + settings.billDueDays * DAY_MS) : null;
+}
+
+/**
+ * Ladder level for a number of days past due (null before the first step)
+ */
+function getLevelForDays(daysOverdue, ladderDays) {
+  let level = null;
+  REMINDER_LEVELS.forEach((name, index) => {
+    if (daysOverdue >= ladderDays[index]) level = name;
+  });
+  return level;
+}
+
+/**
+ * How overdue a customer is: the oldest open bill, its due date and the total outstanding
+ * @param {Object} input - { bills, allocation, now, settings }
+ * @returns {Object|null} { bill, openBills, outstandingAmount, dueDate, daysOverdue } or null without open bills
+ *   (dueDate/daysOverdue are null when the bill has no date)
+ */
+function getOverdueSummary({ bills, allocation, now = new Date(), settings = DEFAULT_SETTINGS }) {
+  const openBills = allocation.balances.filter(balance => !balance.closed && balance.outstandingAmount > 0);
+  if (openBills.length === 0) return null;
+
+  // The oldest open bill drives the ladder
+  const bill = openBills[0];
+  const dueDate = getBillDueDate(bill, bills.find(doc => String(doc._id) === bill.billId), settings);
+
+  return {
+    bill,
+    openBills,
+    outstandingAmount: openBills.reduce((sum, balance) => sum + balance.outstandingAmount, 0),
+    dueDate,
+    daysOverdue: dueDate ? Math.floor((now.getTime() - dueDate.getTime()) / DAY_MS) : null
+  };
+}
+
+/**
+ * Decide whether a customer gets a reminder now
+ * Pure function - the scheduler loads the inputs
+ * @param {Object} input - { bills, allocation, reminders, pendingPayments, now, settings }
+ *   reminders: this chat's delivered engine reminders (chatId, billId, level, sentAt)
+ *   pendingPayments: this chat's payments under review (paymentLabel PENDING)
+ * @returns {Object} { send: true, level, bill, openBills, outstandingAmount, dueDate, daysOverdue }
+ *   or { send: false, reason }
+ */
+function planReminder({ bills, allocation, reminders = [], pendingPayments = [], now = new Date(), settings = DEFAULT_SETTINGS }) {
+  const summary = getOverdueSummary({ bills, allocation, now, settings });
+  if (!summary) return { send: false, reason: 'no_open_bills' };
+
+  const holdFrom = now.getTime() - settings.pendingHoldDays * DAY_MS;
+  if (pendingPayments.some(payment => new Date(payment.uploadedAt).getTime() >= holdFrom)) {
+    return { send: false, reason: 'payment_under_review' };
+  }
+
+  const { bill, daysOverdue } = summary;
+  if (!summary.dueDate) return { send: false, reason: 'no_due_date' };
+
+  const reached = getLevelForDays(daysOverdue, settings.ladderDays);
+  if (!reached) return { send: false, reason: 'not_due' };
+
+  // Next step after the highest one sent for this bill, never skipping one
+  const sentForBill = reminders.filter(reminder => reminder.billId === bill.billId);
+  const highestSent = Math.max(-1, ...sentForBill.map(reminder => REMINDER_LEVELS.indexOf(reminder.level)));
+  const nextIndex = highestSent + 1;
+  if (nextIndex > REMINDER_LEVELS.indexOf(reached)) return { send: false, reason: 'already_sent' };
+
+  // A step that was reached late (new bill import, scheduler downtime) keeps the ladder's spacing to the previous one
+  if (highestSent >= 0) {
+    const previousSentAt = Math.max(...sentForBill
+      .filter(reminder => REMINDER_LEVELS.indexOf(reminder.level) === highestSent)
+      .map(reminder => new Date(reminder.sentAt).getTime()));
+    const spacingDays = settings.ladderDays[nextIndex] - settings.ladderDays[highestSent];
+    if (now.getTime() - previousSentAt < spacingDays * DAY_MS) return { send: false, reason: 'waiting_for_next_step' };
+  }
+
+  const lastSentAt = Math.max(0, ...reminders.map(reminder => new Date(reminder.sentAt).getTime()));
+  if (now.getTime() - lastSentAt < settings.minGapHours * HOUR_MS) {
+    return { send: false, reason: 'recently_reminded' };
+  }
+
+  return { send: true, level: REMINDER_LEVELS[nextIndex], ...summary };
+}
+
+/**
+ * Create the reminder indexes
+ * Engine reminders are unique per chat, bill and level (older per-payment records have no level)
+ * @param {Collection} remindersCollection - MongoDB reminders collection
+ */
+async function ensureReminderIndexes(remindersCollection) {
+  await remindersCollection.createIndex(
+    { chatId: 1, billId: 1, level: 1 },
+    { unique: true, partialFilterExpression: { level: { $exists: true } } }
+  );
+  await remindersCollection.createIndex({ chatId: 1, sentAt: -1 });
+}
+
+/**
+ * Record a reminder and its delivery attempt
+ * One record per chat, bill and level: a failed attempt is updated in place, so the next
+ * run retries the same step. Only delivered reminders (or older ones without a
+ * deliveryStatus) count as sent for planReminder().
+ * @param {Collection} remindersCollection - MongoDB reminders collection
+ * @param {Object} plan - Result of planReminder()
+ * @param {Object} details - { chatId, customerName, message, templateVersion, aiRewritten, sentAt }
+ * @param {Object} delivery - { status, errorCode, description } (default: sent)
+ * @returns {boolean} false if this level was already delivered for the bill
+ */
+async function recordReminder(remindersCollection, plan, details, delivery = { status: 'sent' }) {
+  const attemptedAt = details.sentAt || new Date();
+  const delivered = delivery.status === 'sent';
+  const lastError = delivered ? null : { errorCode: delivery.errorCode ?? null, description: delivery.description || null };
+
+  try {
+    await remindersCollection.updateOne(
+      // An already delivered record makes the upsert insert again and hit the unique index
+      { chatId: details.chatId, billId: plan.bill.billId, level: plan.level, deliveryStatus: { $in: ['failed', 'bot_removed'] } },
+      {
+        $set: {
+          billIds: plan.openBills.map(balance => balance.billId),
+          period: plan.bill.period,
+          reminderType: plan.level,
+          customerName: details.customerName,
+          amount: plan.outstandingAmount,
+          dueDate: plan.dueDate,
+          daysOverdue: plan.daysOverdue,
+          message: details.message,
+          templateVersion: details.templateVersion ?? null,
+          aiRewritten: Boolean(details.aiRewritten),
+          deliveryStatus: delivery.status,
+          lastError,
+          lastAttemptAt: attemptedAt,
+          sentAt: delivered ? attemptedAt : null
+        },
+        $inc: { attempts: 1 },
+        $push: { deliveryAttempts: { at: attemptedAt, status: delivery.status, errorCode: lastError && lastError.errorCode, description: lastError && lastError.description } },
+        $setOnInsert: { _id: uuidv4() }
+      },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+}
+
+/**
+ * Auditor escalation message for the pending chat
+ */
+function formatEscalationMessage(plan, { chatId, customerName, reminders = [] }) {
+  const sent = reminders
+    .filter(reminder => reminder.billId === plan.bill.billId)
+    .map(reminder => `${reminder.level} ${new Date(reminder.sentAt).toLocaleDateString('en-GB', { timeZone: 'Asia/Phnom_Penh' })}`);
+
+  return `🚨 PAYMENT ESCALATION
+
+ Customer: ${customerName || 'Unknown'}
+ Chat ID: ${chatId}
+ Outstanding: ${Math.round(plan.outstandingAmount).toLocaleString('en-US')} KHR (${plan.openBills.length} open bill(s))
+ Oldest bill: ${plan.bill.period}, due ${plan.dueDate.toLocaleDateString('en-GB', { timeZone: 'Asia/Phnom_Penh' })}
+ Days overdue: ${plan.daysOverdue}
+ Reminders sent: ${sent.join(', ') || 'none'}
+
+Final notice was not followed by a payment - please follow up with the customer.`;
+}
+
+module.exports = {
+  REMINDER_LEVELS,
+  DEFAULT_SETTINGS,
+  parseQuietHours,
+  getReminderSettings,
+  isQuietHours,
+  getQuietHoursEnd,
+  getBillDueDate,
+  getLevelForDays,
+  getOverdueSummary,
+  planReminder,
+  ensureReminderIndexes,
+  recordReminder,
+  formatEscalationMessage
+};
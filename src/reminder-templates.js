@@ -0,0 +1,309 @@
+'use strict';
+
+/**
+ * Reminder Templates Module
+ * Versioned Khmer + English reminder texts (customerDB.messageTemplates),
+ * one template per customer ladder step, with {{placeholders}} filled from
+ * the customer's bill. Saving a template adds a version and activates it;
+ * older versions stay for rollback. Saving and activating run in a
+ * transaction, so exactly one version of a step is active at any time. Steps without a stored version use the
+ * built-in texts below.
+ * An optional AI rewrite rephrases the Khmer text; it is only used when every
+ * amount, date and number in it matches the template output.
+ * Used by botfetch.js and payment-scheduler.js
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { getBillingPeriod } = require('./bill-matcher');
+
+// Customer ladder steps (ESCALATE goes to auditors, see reminder-engine.js)
+const TEMPLATE_KEYS = ['GENTLE', 'FIRM', 'FINAL'];
+
+const PLACEHOLDERS = {
+  name: 'Customer name',
+  amount: 'Total outstanding amount in KHR across all open bills ("30,000")',
+  billAmount: 'Outstanding amount of the oldest open bill in KHR ("15,000")',
+  dueDate: 'Due date of the oldest open bill (dd/mm/yyyy)',
+  daysOverdue: 'Days past the due date',
+  period: 'Billing period of the oldest open bill ("2026-01")',
+  usage: 'Water usage of the oldest open bill (m³)',
+  billPdf: 'Bill PDF link (or file name)'
+};
+
+// Concurrent saves race for the next version number
+const MAX_SAVE_ATTEMPTS = 5;
+
+// Every template must show the amount in both languages
+const REQUIRED_PLACEHOLDERS = ['amount'];
+
+const DEFAULT_TEMPLATES = {
+  GENTLE: {
+    km: 'សូមជូនដំណឹង: លោក/លោកស្រី {{name}} វិក្កយបត្រទឹកខែ {{period}} ({{usage}} m³) ចំនួន {{billAmount}} រៀល ដល់ថ្ងៃកំណត់បង់ {{dueDate}}។ សរុបមិនទាន់បង់ {{amount}} រៀល។ សូមអរគុណ។',
+    en: 'Reminder: {{name}}, your water bill for {{period}} ({{usage}} m³) of {{billAmount}} KHR is due on {{dueDate}}. Total outstanding: {{amount}} KHR. Thank you.'
+  },
+  FIRM: {
+    km: 'សូមជូនដំណឹង: លោក/លោកស្រី {{name}} មានវិក្កយបត្រមិនទាន់បង់ {{amount}} រៀល ហួសថ្ងៃកំណត់ {{dueDate}} ចំនួន {{daysOverdue}} ថ្ងៃហើយ។ សូមបង់ភ្លាមៗ។',
+    en: 'Payment overdue: {{name}}, {{amount}} KHR is unpaid, {{daysOverdue}} days past the due date ({{dueDate}}). Please pay now.'
+  },
+  FINAL: {
+    km: 'ការជូនដំណឹងចុងក្រោយ: លោក/លោកស្រី {{name}} មានវិក្កយបត្រមិនទាន់បង់ {{amount}} រៀល ហួសថ្ងៃកំណត់ {{daysOverdue}} ថ្ងៃ។ ប្រសិនបើមិនបង់ទេ គណនីនឹងត្រូវបញ្ជូនទៅបុគ្គលិករបស់យើង។',
+    en: 'Final notice: {{name}}, {{amount}} KHR is {{daysOverdue}} days overdue. If it is not paid, your account will be referred to our staff.'
+  }
+};
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+const KHMER_DIGITS = '០១២៣៤៥៦៧៨៩';
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleDateString('en-GB', { timeZone: 'Asia/Phnom_Penh' }) : '-';
+}
+
+/**
+ * Placeholders used in a text
+ */
+function getPlaceholders(text) {
+  return [...String(text || '').matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]);
+}
+
+/**
+ * Check a template before saving
+ * @returns {Object} { valid, errors }
+ */
+function validateTemplate(key, { km, en } = {}) {
+  const errors = [];
+  if (!TEMPLATE_KEYS.includes(key)) errors.push(`key must be one of ${TEMPLATE_KEYS.join(', ')}`);
+
+  for (const [language, text] of Object.entries({ km, en })) {
+    if (!text || typeof text !== 'string' || !text.trim()) {
+      errors.push(`${language} text is required`);
+      continue;
+    }
+    const used = getPlaceholders(text);
+    const unknown = used.filter(name => !PLACEHOLDERS[name]);
+    if (unknown.length > 0) errors.push(`${language}: unknown placeholder(s) ${unknown.map(name => `{{${name}}}`).join(', ')}`);
+    for (const name of REQUIRED_PLACEHOLDERS) {
+      if (!used.includes(name)) errors.push(`${language}: {{${name}}} is required`);
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Create the template indexes
+ * @param {Collection} templatesCollection - MongoDB messageTemplates collection
+ */
+async function ensureTemplateIndexes(templatesCollection) {
+  await templatesCollection.createIndex({ key: 1, version: 1 }, { unique: true });
+  await templatesCollection.createIndex({ key: 1, active: 1 });
+}
+
+/**
+ * Active template for a step (built-in text as version 0 when none is stored)
+ * @param {Collection} templatesCollection - MongoDB messageTemplates collection
+ * @param {string} key - GENTLE | FIRM | FINAL
+ * @param {number} version - Specific version (optional)
+ * @returns {Object|null} { key, version, km, en, active } or null for an unknown version
+ */
+async function getTemplate(templatesCollection, key, version = null) {
+  const stored = templatesCollection
+    ? await templatesCollection.findOne(version !== null ? { key, version } : { key, active: true })
+    : null;
+  if (stored) return stored;
+
+  if (version !== null && version !== 0) return null;
+  return DEFAULT_TEMPLATES[key] ? { key, version: 0, ...DEFAULT_TEMPLATES[key], active: true, builtIn: true } : null;
+}
+
+/**
+ * All versions, newest first per step
+ */
+async function listTemplates(templatesCollection) {
+  const stored = await templatesCollection.find({}).sort({ key: 1, version: -1 }).toArray();
+  return TEMPLATE_KEYS.map(key => {
+    const versions = stored.filter(template => template.key === key);
+    return {
+      key,
+      activeVersion: (versions.find(template => template.active) || { version: 0 }).version,
+      versions: [...versions, { key, version: 0, ...DEFAULT_TEMPLATES[key], builtIn: true }]
+    };
+  });
+}
+
+/**
+ * Save a new version of a step's template and make it active
+ * A save that loses the race for a version number retries with the next one
+ * @param {Collection} templatesCollection - MongoDB messageTemplates collection
+ * @param {Object} input - { key, km, en, notes, createdBy }
+ * @param {MongoClient} client - Client owning the collection (for the transaction)
+ * @returns {Object} { success, template } or { success: false, errors }
+ */
+async function createTemplateVersion(templatesCollection, { key, km, en, notes, createdBy }, client) {
+  const { valid, errors } = validateTemplate(key, { km, en });
+  if (!valid) return { success: false, errors };
+
+  for (let attempt = 1; ; attempt++) {
+    const template = {
+      _id: uuidv4(),
+      key,
+      version: null,
+      km: km.trim(),
+      en: en.trim(),
+      notes: notes || null,
+      active: true,
+      createdBy: createdBy || null,
+      createdAt: new Date()
+    };
+
+    try {
+      await client.withSession(session => session.withTransaction(async () => {
+        const latest = await templatesCollection.find({ key }, { session }).sort({ version: -1 }).limit(1).next();
+        template.version = (latest ? latest.version : 0) + 1;
+        await templatesCollection.updateMany({ key, active: true }, { $set: { active: false } }, { session });
+        await templatesCollection.insertOne(template, { session });
+      }));
+      return { success: true, template };
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= MAX_SAVE_ATTEMPTS) throw error;
+    }
+  }
+}
+
+/**
+ * Make an earlier version active again (version 0 = built-in text)
+ * @param {MongoClient} client - Client owning the collection (for the transaction)
+ * @returns {Object} { success, template } or { success: false, error }
+ */
+async function activateTemplateVersion(templatesCollection, key, version, actor, client) {
+  const template = await getTemplate(templatesCollection, key, version);
+  if (!template) return { success: false, error: `Version ${version} of ${key} not found` };
+
+  await client.withSession(session => session.withTransaction(async () => {
+    await templatesCollection.updateMany({ key, active: true }, { $set: { active: false } }, { session });
+    if (version !== 0) {
+      await templatesCollection.updateOne(
+        { key, version },
+        { $set: { active: true, activatedBy: actor || null, activatedAt: new Date() } },
+        { session }
+      );
+    }
+  }));
+  return { success: true, template: { ...template, active: true } };
+}
+
+/**
+ * Placeholder values for a reminder plan
+ * @param {Object} plan - Result of planReminder() (bill, outstandingAmount, dueDate, daysOverdue)
+ * @param {Object} options - { customerName, bills (excelreadings documents), pdfBaseUrl }
+ */
+function buildTemplateContext(plan, { customerName, bills = [], pdfBaseUrl = null } = {}) {
+  const bill = bills.find(doc => String(doc._id) === plan.bill.billId) || {};
+  const pdfFile = bill.pdfFile || null;
+
+  return {
+    name: customerName || bill.customer || '-',
+    amount: Math.round(plan.outstandingAmount).toLocaleString('en-US'),
+    billAmount: Math.round(plan.bill.outstandingAmount).toLocaleString('en-US'),
+    dueDate: formatDate(plan.dueDate),
+    daysOverdue: String(Math.max(0, plan.daysOverdue)),
+    period: plan.bill.period || (bill._id ? getBillingPeriod(bill) : '-'),
+    usage: plan.bill.usage !== null && plan.bill.usage !== undefined ? String(plan.bill.usage) : '-',
+    billPdf: pdfFile ? (pdfBaseUrl ? `${pdfBaseUrl.replace(/\/+$/, '')}/${encodeURIComponent(pdfFile)}` : pdfFile) : '-'
+  };
+}
+
+/**
+ * Fill a template's placeholders
+ * @returns {Object} { km, en, text } - text is Khmer then English, as sent
+ */
+function renderTemplate(template, context) {
+  const fill = (text) => String(text).replace(PLACEHOLDER_PATTERN, (match, name) =>
+    context[name] !== undefined && context[name] !== null ? String(context[name]) : match
+  );
+  const km = fill(template.km);
+  const en = fill(template.en);
+  return { km, en, text: `${km}\n\n${en}` };
+}
+
+function toArabicDigits(text) {
+  return String(text).replace(/[០-៩]/g, digit => String(KHMER_DIGITS.indexOf(digit)));
+}
+
+/**
+ * Numbers in a text (Khmer digits converted, thousands separators removed)
+ */
+function extractNumbers(text) {
+  return (toArabicDigits(text).match(/\d[\d,./]*/g) || [])
+    .map(number => number.replace(/[.,/]+$/, '').replace(/,(?=\d{3}\b)/g, ''))
+    .sort();
+}
+
+/**
+ * Whether an AI rewrite keeps every number of the original (amount, dates, days, usage)
+ * @returns {Object} { valid, reason }
+ */
+function validateRewrite(original, rewritten, context) {
+  if (!rewritten || !rewritten.trim()) return { valid: false, reason: 'empty' };
+  const digits = toArabicDigits(rewritten);
+  if (!digits.includes(context.amount) && !digits.includes(context.amount.replace(/,/g, ''))) {
+    return { valid: false, reason: 'amount_missing' };
+  }
+
+  const expected = extractNumbers(original).join(' ');
+  const actual = extractNumbers(rewritten).join(' ');
+  if (expected !== actual) return { valid: false, reason: `numbers_changed (${expected} -> ${actual})` };
+
+  return { valid: true, reason: null };
+}
+
+/**
+ * Optional AI rewrite of the Khmer text; falls back to the template on any failure
+ * @param {Object} openai - OpenAI client
+ * @param {Object} rendered - From renderTemplate()
+ * @param {Object} context - From buildTemplateContext()
+ * @param {Object} options - { model }
+ * @returns {Object} { km, en, text, rewritten, reason }
+ */
+async function rewriteWithAi(openai, rendered, context, options = {}) {
+  try {
+    const response = await openai.chat.completions.create({
+      model: options.model || 'gpt-4o-mini',
+      messages: [
+        {
+          role: 'system',
+          content: 'You rephrase payment reminders in natural, polite Khmer. Keep the meaning and tone. ' +
+            'Copy every number, amount and date exactly as written (same digits, same separators). ' +
+            'Do not add any other numbers. Reply with the rewritten Khmer text only.'
+        },
+        { role: 'user', content: rendered.km }
+      ],
+      max_tokens: 300,
+      temperature: 0.7
+    });
+
+    const km = (response.choices[0].message.content || '').trim();
+    const check = validateRewrite(rendered.km, km, context);
+    if (!check.valid) {
+      return { ...rendered, rewritten: false, reason: check.reason };
+    }
+    return { km, en: rendered.en, text: `${km}\n\n${rendered.en}`, rewritten: true, reason: null };
+  } catch (error) {
+    return { ...rendered, rewritten: false, reason: error.message };
+  }
+}
+
+module.exports = {
+  TEMPLATE_KEYS,
+  PLACEHOLDERS,
+  DEFAULT_TEMPLATES,
+  validateTemplate,
+  ensureTemplateIndexes,
+  getTemplate,
+  listTemplates,
+  createTemplateVersion,
+  activateTemplateVersion,
+  buildTemplateContext,
+  renderTemplate,
+  validateRewrite,
+  rewriteWithAi
+};
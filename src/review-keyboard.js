@@ -0,0 +1,127 @@
+'use strict';
+
+/**
+ * Review Keyboard Module
+ * Inline keyboards and callback data for the PENDING review photos.
+ * Every button is bound to the exact payment _id shown in the photo.
+ * Used by botfetch.js
+ */
+
+const { REJECTION_REASONS } = require('./rejection-analytics');
+
+// Callback data prefixes (Telegram limits callback_data to 64 bytes)
+const REVIEW_ACTIONS = {
+  APPROVE: 'ap',
+  APPROVE_AMOUNT: 'am',
+  REJECT: 'rj',
+  REJECT_REASON: 'rr',
+  BACK: 'bk'
+};
+
+// Reasons an auditor can pick (sent as index to stay under 64 bytes)
+const REVIEW_REJECTION_REASONS = Object.keys(REJECTION_REASONS);
+
+/**
+ * Main review keyboard: approve, approve with amount, reject
+ * @param {string} paymentId - Payment _id
+ * @returns {Object} Telegram reply_markup
+ */
+function buildReviewKeyboard(paymentId) {
+  return {
+    inline_keyboard: [
+      [
+        { text: '✅ Approve', callback_data: `${REVIEW_ACTIONS.APPROVE}:${paymentId}` },
+        { text: '💰 Approve amount…', callback_data: `${REVIEW_ACTIONS.APPROVE_AMOUNT}:${paymentId}` }
+      ],
+      [
+        { text: '❌ Reject…', callback_data: `${REVIEW_ACTIONS.REJECT}:${paymentId}` }
+      ]
+    ]
+  };
+}
+
+/**
+ * Rejection reason picker built from REJECTION_REASONS
+ * @param {string} paymentId - Payment _id
+ * @returns {Object} Telegram reply_markup
+ */
+function buildReasonKeyboard(paymentId) {
+  const rows = REVIEW_REJECTION_REASONS.map((reason, index) => ([{
+    text: REJECTION_REASONS[reason].description,
+    callback_data: `${REVIEW_ACTIONS.REJECT_REASON}:${paymentId}:${index}`
+  }]));
+
+  rows.push([{ text: '↩️ Back', callback_data: `${REVIEW_ACTIONS.BACK}:${paymentId}` }]);
+  return { inline_keyboard: rows };
+}
+
+/**
+ * Parse callback_data from a review button
+ * @param {string} data - callback_query.data
+ * @returns {Object|null} { action, paymentId, reason }
+ */
+function parseReviewCallback(data) {
+  const [action, paymentId, reasonIndex] = String(data || '').split(':');
+  if (!paymentId || !Object.values(REVIEW_ACTIONS).includes(action)) {
+    return null;
+  }
+
+  const result = { action, paymentId, reason: null };
+  if (action === REVIEW_ACTIONS.REJECT_REASON) {
+    result.reason = REVIEW_REJECTION_REASONS[parseInt(reasonIndex)] || null;
+    if (!result.reason) return null;
+  }
+  return result;
+}
+
+/**
+ * Display name for the auditor who pressed a button
+ * @param {Object} from - Telegram user
+ */
+function formatActor(from) {
+  if (!from) return 'unknown';
+  if (from.username) return `@${from.username}`;
+  return `${from.first_name || ''} ${from.last_name || ''}`.trim() || String(from.id);
+}
+
+/**
+ * Review caption with the outcome appended (who acted and when)
+ * @param {string} caption - Original photo caption
+ * @param {string} outcome - e.g. "✅ APPROVED 50,000 KHR"
+ * @param {Object} from - Telegram user who acted
+ * @param {Date} at - When the action happened
+ * @returns {string} Caption (Telegram limits captions to 1024 characters)
+ */
+function buildReviewedCaption(caption, outcome, from, at = new Date()) {
+  const footer = `\n\n${outcome}\n By: ${formatActor(from)}\n At: ${at.toLocaleString('en-GB', { timeZone: 'Asia/Phnom_Penh' })}`;
+  const base = (caption || '').slice(0, 1024 - footer.length);
+  return `${base}${footer}`;
+}
+
+/**
+ * Parse an auditor's amount reply ("50000", "50,000 KHR", "12.5 USD", "$12.5")
+ * @param {string} text - Reply text
+ * @returns {Object|null} { amount, currency }
+ */
+function parseAmountReply(text) {
+  const value = String(text || '').trim();
+  const match = value.match(/^(\$)?\s*([\d,]+(?:\.\d+)?)\s*(khr|riel|usd|\$)?$/i);
+  if (!match) return null;
+
+  const amount = parseFloat(match[2].replace(/,/g, ''));
+  if (isNaN(amount) || amount <= 0) return null;
+
+  const isUSD = match[1] === '$' || /^(usd|\$)$/i.test(match[3] || '');
+  return { amount, currency: isUSD ? 'USD' : 'KHR' };
+}
+
+module.exports = {
+  REVIEW_ACTIONS,
+  REVIEW_REJECTION_REASONS,
+  buildReviewKeyboard,
+  buildReasonKeyboard,
+  parseReviewCallback,
+  formatActor,
+  buildReviewedCaption,
+  parseAmountReply
+};
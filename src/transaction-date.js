@@ -0,0 +1,491 @@
+'use strict';
+
+/**
+ * Transaction Date Module
+ * Parses English and Khmer transaction dates from OCR output (Khmer and
+ * Thai numerals, Khmer month names) and validates screenshot age for the
+ * OLD_SCREENSHOT fraud check.
+ * Used by verification-pipeline.js
+ */
+
+// Khmer numeral to Arabic numeral mapping (extended to handle various Unicode representations)
+const KHMER_NUMERALS = {
+  // Standard Khmer digits (U+17E0-U+17E9)
+  '០': '0', '១': '1', '២': '2', '៣': '3', '៤': '4',
+  '៥': '5', '៦': '6', '៧': '7', '៨': '8', '៩': '9',
+  // Thai digits (U+0E50-U+0E59) - visually similar, GPT-4 may confuse
+  '๐': '0', '๑': '1', '๒': '2', '๓': '3', '๔': '4',
+  '๕': '5', '๖': '6', '๗': '7', '๘': '8', '๙': '9',
+  // Lao digits (U+0ED0-U+0ED9) - similar script family
+  '໐': '0', '໑': '1', '໒': '2', '໓': '3', '໔': '4',
+  '໕': '5', '໖': '6', '໗': '7', '໘': '8', '໙': '9',
+  // Myanmar digits (U+1040-U+1049)
+  '၀': '0', '၁': '1', '၂': '2', '၃': '3', '၄': '4',
+  '၅': '5', '၆': '6', '၇': '7', '၈': '8', '၉': '9',
+  // Fullwidth digits (U+FF10-U+FF19)
+  '０': '0', '１': '1', '２': '2', '３': '3', '４': '4',
+  '５': '5', '６': '6', '７': '7', '８': '8', '９': '9'
+};
+
+/**
+ * Debug function to log Unicode character codes
+ * @param {string} str - String to analyze
+ * @param {string} label - Label for the log
+ */
+function debugCharCodes(str, label = 'DEBUG') {
+  if (!str) return;
+  const chars = [...str];
+  const charInfo = chars.map(char => {
+    const code = char.codePointAt(0);
+    return `"${char}"=U+${code.toString(16).toUpperCase().padStart(4, '0')}`;
+  }).join(' ');
+  console.log(`[${label}] ${charInfo}`);
+}
+
+// Khmer month names to month number (1-12)
+const KHMER_MONTHS = {
+  'មករា': 1,      // January
+  'កុម្ភៈ': 2,     // February
+  'មីនា': 3,      // March
+  'មេសា': 4,      // April
+  'ឧសភា': 5,      // May
+  'មិថុនា': 6,    // June
+  'កក្កដា': 7,    // July
+  'សីហា': 8,      // August
+  'កញ្ញា': 9,     // September
+  'តុលា': 10,     // October
+  'វិច្ឆិកា': 11,  // November
+  'ធ្នូ': 12       // December
+};
+
+// Alternative Khmer month spellings
+const KHMER_MONTHS_ALT = {
+  'មករ': 1,       // January (short)
+  'កុម្ភ': 2,      // February (short)
+  'មិនា': 3,      // March (alt spelling)
+  'មេសorg': 4,    // April (alt)
+  'ឧសភorg': 5,    // May (alt)
+  'មិថorg': 6,    // June (alt)
+  'កក្កorg': 7,   // July (alt)
+  'សីorg': 8,     // August (alt)
+  'កញorg': 9,     // September (alt)
+  'តorg': 10,     // October (alt)
+  'វorg': 11,     // November (alt)
+  'ធorg': 12      // December (alt)
+};
+
+/**
+ * Converts Khmer numerals to Arabic numerals
+ * @param {string} str - String containing Khmer numerals
+ * @returns {string} - String with Arabic numerals
+ */
+function convertKhmerNumerals(str) {
+  if (!str) return str;
+
+  // Debug: Log input character codes to identify unknown numerals
+  debugCharCodes(str, 'NUMERAL-INPUT');
+
+  let result = str;
+  for (const [khmer, arabic] of Object.entries(KHMER_NUMERALS)) {
+    result = result.replace(new RegExp(khmer, 'g'), arabic);
+  }
+
+  // Check if conversion happened
+  if (result !== str) {
+    console.log(`[NUMERAL-CONVERT] "${str}" → "${result}"`);
+  } else {
+    // If no conversion, log warning - might have unknown characters
+    const hasNonAsciiDigits = /[^\x00-\x7F0-9\s]/.test(str);
+    if (hasNonAsciiDigits) {
+      console.log(`[NUMERAL-WARN] No conversion for: "${str}" - may contain unmapped characters`);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Normalizes Khmer text by removing zero-width characters and extra spaces
+ * @param {string} str - String to normalize
+ * @returns {string} - Normalized string
+ */
+function normalizeKhmerText(str) {
+  if (!str) return str;
+  return str
+    .replace(/[\u200B-\u200D\uFEFF\u00A0]/g, '') // Remove zero-width chars and non-breaking spaces
+    .replace(/\s+/g, ' ')                         // Normalize multiple spaces to single
+    .trim();
+}
+
+/**
+ * Finds Khmer month name in a string and returns the month number
+ * Uses normalized matching to handle Unicode variations
+ * @param {string} str - String to search
+ * @returns {object|null} - { month: number, match: string } or null
+ */
+function findKhmerMonth(str) {
+  if (!str) return null;
+
+  const normalized = normalizeKhmerText(str);
+
+  // Try exact match first with primary month names
+  for (const [khmerMonth, monthNum] of Object.entries(KHMER_MONTHS)) {
+    if (normalized.includes(khmerMonth)) {
+      return { month: monthNum, match: khmerMonth };
+    }
+  }
+
+  // Try alternative spellings
+  for (const [khmerMonth, monthNum] of Object.entries(KHMER_MONTHS_ALT)) {
+    if (normalized.includes(khmerMonth)) {
+      return { month: monthNum, match: khmerMonth };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Checks if string contains Khmer script characters (U+1780-U+17FF)
+ */
+function containsKhmerScript(str) {
+  if (!str) return false;
+  return /[\u1780-\u17FF]/.test(str);
+}
+
+/**
+ * Parse English date formats (no Khmer characters)
+ * Supports: ISO, "Jan 8, 2026", "08/01/2026", etc.
+ */
+function parseEnglishDate(dateStr) {
+  if (!dateStr) return null;
+
+  console.log(`[DATE-PARSE] Input: "${dateStr}"`);
+
+  // 1. Try ISO format FIRST: "YYYY-MM-DDTHH:MM" (expected from GPT-4)
+  const isoMatch = dateStr.match(/(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}))?/);
+  if (isoMatch) {
+    const year = parseInt(isoMatch[1]);
+    const month = parseInt(isoMatch[2]) - 1; // JS months are 0-indexed
+    const day = parseInt(isoMatch[3]);
+    const hour = isoMatch[4] ? parseInt(isoMatch[4]) : 0;
+    const minute = isoMatch[5] ? parseInt(isoMatch[5]) : 0;
+
+    if (year >= 2020 && month >= 0 && month <= 11 && day >= 1 && day <= 31) {
+      const date = new Date(year, month, day, hour, minute);
+      console.log(`[DATE-PARSE] ISO format: ${year}-${month+1}-${day} ${hour}:${minute} → ${date.toISOString()}`);
+      return date;
+    }
+  }
+
+  // 2. Handle pipe separator (legacy: "8 January 2026 | 10:04")
+  let datePart = dateStr;
+  let timePart = null;
+  if (dateStr.includes('|')) {
+    const parts = dateStr.split('|').map(p => p.trim());
+    datePart = parts[0];
+    timePart = parts[1];
+  }
+
+  // 3. Try "DD Month YYYY" format (e.g., "8 January 2026")
+  const ENGLISH_MONTHS = {
+    'january': 0, 'february': 1, 'march': 2, 'april': 3,
+    'may': 4, 'june': 5, 'july': 6, 'august': 7,
+    'september': 8, 'october': 9, 'november': 10, 'december': 11,
+    'jan': 0, 'feb': 1, 'mar': 2, 'apr': 3, 'jun': 5,
+    'jul': 6, 'aug': 7, 'sep': 8, 'oct': 9, 'nov': 10, 'dec': 11
+  };
+
+  const ddMonthYYYY = datePart.match(/(\d{1,2})\s+(\w+)\s+(\d{4})/i);
+  if (ddMonthYYYY) {
+    const day = parseInt(ddMonthYYYY[1]);
+    const monthName = ddMonthYYYY[2].toLowerCase();
+    const year = parseInt(ddMonthYYYY[3]);
+    const month = ENGLISH_MONTHS[monthName];
+
+    if (month !== undefined && day >= 1 && day <= 31 && year >= 2020) {
+      const date = new Date(year, month, day);
+      if (timePart) {
+        const timeMatch = timePart.match(/(\d{1,2}):(\d{2})/);
+        if (timeMatch) date.setHours(parseInt(timeMatch[1]), parseInt(timeMatch[2]));
+      }
+      console.log(`[DATE-PARSE] DD Month YYYY: ${day} ${monthName} ${year} → ${date.toISOString()}`);
+      return date;
+    }
+  }
+
+  // 4. Try DD/MM/YYYY format (Cambodia standard)
+  const ddmmyyyy = datePart.match(/(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{4})/);
+  if (ddmmyyyy) {
+    let day = parseInt(ddmmyyyy[1]);
+    let month = parseInt(ddmmyyyy[2]);
+    const year = parseInt(ddmmyyyy[3]);
+
+    // Swap if month > 12 (must be DD/MM/YYYY)
+    if (month > 12 && day <= 12) [day, month] = [month, day];
+
+    if (day >= 1 && day <= 31 && month >= 1 && month <= 12 && year >= 2020) {
+      const date = new Date(year, month - 1, day);
+      console.log(`[DATE-PARSE] DD/MM/YYYY: ${day}/${month}/${year} → ${date.toISOString()}`);
+      return date;
+    }
+  }
+
+  console.log(`[ENGLISH] Failed to parse: "${dateStr}"`);
+  return null;
+}
+
+/**
+ * Parse Khmer date formats (contains Khmer characters)
+ * Handles: "org org org org org org org org org", "org org org org org org org | org org:org org", etc.
+ */
+function parseKhmerDateOnly(dateStr) {
+  if (!dateStr) return null;
+
+  // Normalize and convert Khmer numerals to Arabic
+  let normalized = normalizeKhmerText(dateStr);
+  normalized = convertKhmerNumerals(normalized);
+  console.log(`[KHMER] Normalized: "${normalized}"`);
+
+  // Handle pipe separator - split date and time parts
+  let datePart = normalized;
+  let timePart = '';
+  if (normalized.includes('|')) {
+    const parts = normalized.split('|');
+    datePart = parts[0].trim();
+    timePart = parts[1]?.trim() || '';
+    console.log(`[KHMER] Date: "${datePart}", Time: "${timePart}"`);
+  }
+
+  // Find Khmer month name
+  const monthResult = findKhmerMonth(datePart);
+  if (!monthResult) {
+    console.log(`[KHMER] No month found in: "${datePart}"`);
+    return null;
+  }
+
+  const month = monthResult.month;
+  const monthMatch = monthResult.match;
+  console.log(`[KHMER] Month: ${monthMatch} -> ${month}`);
+
+  // Extract numbers from date part (excluding month name)
+  const withoutMonth = datePart.replace(monthMatch, ' ');
+  const dateNumbers = withoutMonth.match(/\d+/g) || [];
+  console.log(`[KHMER] Date numbers: ${JSON.stringify(dateNumbers)}`);
+
+  // Extract time from time part
+  let hour = 0, minute = 0;
+  if (timePart) {
+    const timeNumbers = timePart.match(/\d+/g) || [];
+    if (timeNumbers.length >= 2) {
+      hour = parseInt(timeNumbers[0]) || 0;
+      minute = parseInt(timeNumbers[1]) || 0;
+      if (hour > 23) hour = 0;
+      if (minute > 59) minute = 0;
+    }
+  }
+
+  if (dateNumbers.length < 2) {
+    console.log(`[KHMER] Not enough numbers for day/year`);
+    return null;
+  }
+
+  // Find year (4-digit number or > 31)
+  let day, year;
+  for (const num of dateNumbers) {
+    const n = parseInt(num);
+    if (num.length === 4 || n > 31) {
+      year = n < 100 ? n + 2000 : n;
+      break;
+    }
+  }
+
+  // Find day (1-31, not the year)
+  for (const num of dateNumbers) {
+    const n = parseInt(num);
+    if (n >= 1 && n <= 31 && n !== year) {
+      day = n;
+      break;
+    }
+  }
+
+  console.log(`[KHMER] Extracted: day=${day}, month=${month}, year=${year}, time=${hour}:${minute}`);
+
+  // Validate and create date
+  if (day && month && year && day >= 1 && day <= 31 && year >= 2020 && year <= 2100) {
+    const date = new Date(year, month - 1, day, hour, minute);
+    if (!isNaN(date.getTime())) {
+      console.log(`[KHMER] Success: ${date.toISOString()}`);
+      return date;
+    }
+  }
+
+  console.log(`[KHMER] Validation failed`);
+  return null;
+}
+
+/**
+ * Main date parser - detects English vs Khmer and routes accordingly
+ * Supports formats:
+ * - "០៦ មករា ២០២៦" (pure Khmer)
+ * - "06 មករា 2026" (mixed)
+ * - "៦ មករorg ២០២៦ ១៣:៣៥" (with time)
+ * - "06/01/2026" or "06-01-2026" (standard with Khmer numerals)
+ *
+ * @param {string} dateStr - Date string potentially containing Khmer
+ * @returns {Date|null} - Parsed Date object or null if failed
+ */
+function parseKhmerDate(dateStr) {
+  if (!dateStr) return null;
+
+  try {
+    // Detect if string contains Khmer script
+    const hasKhmer = containsKhmerScript(dateStr);
+    console.log(`[DATE-PARSE] Input: "${dateStr}" | Type: ${hasKhmer ? 'KHMER' : 'ENGLISH'}`);
+
+    if (!hasKhmer) {
+      // ========== ENGLISH PATH ==========
+      const englishDate = parseEnglishDate(dateStr);
+      if (englishDate) {
+        console.log(`[DATE-PARSE] ✅ English: ${englishDate.toISOString()}`);
+        return englishDate;
+      }
+      console.log(`[DATE-PARSE] ❌ English parsing failed`);
+      return null;
+    }
+
+    // ========== KHMER PATH ==========
+    const khmerDate = parseKhmerDateOnly(dateStr);
+    if (khmerDate) {
+      console.log(`[DATE-PARSE] ✅ Khmer: ${khmerDate.toISOString()}`);
+      return khmerDate;
+    }
+
+    // Fallback: convert numerals and try English parsing
+    const normalized = convertKhmerNumerals(normalizeKhmerText(dateStr));
+    const fallbackDate = parseEnglishDate(normalized);
+    if (fallbackDate) {
+      console.log(`[DATE-PARSE] ✅ Fallback: ${fallbackDate.toISOString()}`);
+      return fallbackDate;
+    }
+
+    console.log(`[DATE-PARSE] ❌ All parsing failed`);
+    return null;
+  } catch (error) {
+    console.error(`[DATE-PARSE] ❌ Error: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Validates transaction date and checks for screenshot age fraud
+ * @param {string} transactionDateStr - Transaction date from OCR
+ * @param {Date} uploadedAt - When screenshot was uploaded
+ * @param {number} maxAgeDays - Maximum allowed age in days
+ * @returns {object} - { isValid, fraudType, ageDays, parsedDate, reason }
+ */
+function validateTransactionDate(transactionDateStr, uploadedAt, maxAgeDays = 7, paymentData = null) {
+  const result = {
+    isValid: true,
+    fraudType: null,
+    ageDays: null,
+    parsedDate: null,
+    reason: null
+  };
+
+  // Check 1: Missing transaction date
+  if (!transactionDateStr || transactionDateStr === 'null' || transactionDateStr === 'undefined') {
+    result.isValid = false;
+    result.fraudType = 'MISSING_DATE';
+    result.reason = 'Transaction date not found in screenshot';
+    return result;
+  }
+
+  // NEW: Month/Year only validation (more reliable for Khmer dates)
+  // If we have transactionMonth and transactionYear from Claude/GPT-4, use those
+  if (paymentData && paymentData.transactionMonth && paymentData.transactionYear) {
+    const txMonth = paymentData.transactionMonth;
+    const txYear = paymentData.transactionYear;
+    const currentMonth = uploadedAt.getMonth() + 1; // 1-12
+    const currentYear = uploadedAt.getFullYear();
+
+    console.log(`📅 Validating month/year: ${txMonth}/${txYear} vs current ${currentMonth}/${currentYear}`);
+
+    // Calculate months difference
+    const monthsDiff = (currentYear - txYear) * 12 + (currentMonth - txMonth);
+
+    // Allow current month and previous month only
+    if (monthsDiff < 0) {
+      result.isValid = false;
+      result.fraudType = 'FUTURE_DATE';
+      result.reason = `Transaction date ${txMonth}/${txYear} is in the future`;
+      return result;
+    }
+
+    if (monthsDiff > 1) {
+      result.isValid = false;
+      result.fraudType = 'OLD_SCREENSHOT';
+      result.ageDays = monthsDiff * 30; // Approximate
+      result.reason = `Screenshot is from ${txMonth}/${txYear} (${monthsDiff} months old)`;
+      return result;
+    }
+
+    // Valid: same month or previous month
+    result.parsedDate = new Date(txYear, txMonth - 1, 1);
+    result.ageDays = monthsDiff * 30;
+    return result;
+  }
+
+  // Fallback: Parse full date if month/year not available
+  let transactionDate;
+  try {
+    transactionDate = parseKhmerDate(transactionDateStr);
+
+    if (!transactionDate || isNaN(transactionDate.getTime())) {
+      result.isValid = false;
+      result.fraudType = 'INVALID_DATE';
+      result.reason = `Invalid date format: ${transactionDateStr}`;
+      return result;
+    }
+
+    result.parsedDate = transactionDate;
+    console.log(`📅 Parsed date: "${transactionDateStr}" → ${transactionDate.toISOString()}`);
+  } catch (error) {
+    result.isValid = false;
+    result.fraudType = 'INVALID_DATE';
+    result.reason = `Failed to parse date: ${transactionDateStr}`;
+    return result;
+  }
+
+  // Future date check
+  if (transactionDate > uploadedAt) {
+    const futureDays = Math.ceil((transactionDate - uploadedAt) / (1000 * 60 * 60 * 24));
+    result.isValid = false;
+    result.fraudType = 'FUTURE_DATE';
+    result.ageDays = -futureDays;
+    result.reason = `Transaction date is ${futureDays} days in the future`;
+    return result;
+  }
+
+  // Old screenshot check
+  const ageDays = (uploadedAt - transactionDate) / (1000 * 60 * 60 * 24);
+  result.ageDays = Math.floor(ageDays);
+
+  if (ageDays > maxAgeDays) {
+    result.isValid = false;
+    result.fraudType = 'OLD_SCREENSHOT';
+    result.reason = `Screenshot is ${Math.floor(ageDays)} days old (max allowed: ${maxAgeDays} days)`;
+    return result;
+  }
+
+  return result;
+}
+
+module.exports = {
+  KHMER_NUMERALS,
+  KHMER_MONTHS,
+  convertKhmerNumerals,
+  containsKhmerScript,
+  parseKhmerDate,
+  validateTransactionDate
+};
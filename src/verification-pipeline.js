@@ -0,0 +1,625 @@
+'use strict';
+
+/**
+ * Verification Pipeline Module
+ * Decision logic behind analyzePaymentScreenshot: OCR, transaction date,
+ * bill matching, recipient check, the 3-stage pipeline and the fraud
+ * overrides. It only reads from Mongo, sends no Telegram messages and
+ * reports fraud through onFraudAlert, so the same decisions can be replayed
+ * offline (scripts/replay-verification.js).
+ * Used by botfetch.js
+ */
+
+const { loadAllocation, matchPaymentToBills } = require('./bill-matcher');
+const { getRecipientsForChat, matchRecipient } = require('./recipient-registry');
+const { validateTransactionDate } = require('./transaction-date');
+const { extractWithBankFormat, selectIdFormatBank, validateTransactionId } = require('./bankFormatRecognizer');
+const { extractWithEnhancedBankFormat } = require('./ml/enhancedBankFormatRecognizer');
+const { assessTampering } = require('./image-forensics');
+const { findBillByReference } = require('./khqr');
+
+// ==== Currency Conversion Helper ====
+function convertToKHR(amount, currency) {
+  const USD_TO_KHR = parseFloat(process.env.USD_TO_KHR_RATE) || 4000;
+
+  if (!amount) return null;
+
+  if (currency === 'USD' || currency === 'usd') {
+    return amount * USD_TO_KHR;
+  } else if (currency === 'KHR' || currency === 'khmer riel' || currency === 'riel') {
+    return amount;
+  }
+
+  // Default: assume KHR if currency not recognized
+  return amount;
+}
+
+/**
+ * Run the verification decisions for one screenshot
+ * @param {Object} deps - { ocrProvider, paymentsCollection, excelReadingsCollection, recipientsCollection,
+ *   rateLimiter, retry, onFraudAlert, onOcrComplete, findDuplicateImages, forensicsOptions }
+ *   retry(fn): retry wrapper for the OCR call (default: call once)
+ *   onFraudAlert(alert): stores a fraud alert and returns its ID
+ *   findDuplicateImages(imageHashes, { amountInKHR, transactionId, paymentId }): earlier matching screenshots (image-hash.js)
+ *   forensicsOptions: { suspectScore, elaRatio } for assessTampering (image-forensics.js)
+ * @param {Object} input - { imageBuffer, imagePath, imageHashes, forensicsReport, paymentId, chatId, userId,
+ *   username, fullName, groupName, uploadedAt }
+ * @returns {Object} Decision: { paymentData, aiResponse, amountInKHR, expectedAmountKHR, billMatch, isVerified,
+ *   verificationNotes, recipients, toAccount, recipientName, recipientVerified, matchedRecipientId,
+ *   finalVerificationStatus, paymentLabel, rejectionReason, pipelineStages, duplicateImages, tampering,
+ *   fraudAlertIds }
+ */
+async function runVerificationPipeline(deps, input) {
+  const { ocrProvider, paymentsCollection, excelReadingsCollection, recipientsCollection, rateLimiter, onOcrComplete } = deps;
+  const retry = deps.retry || (fn => fn());
+  const { imageBuffer, imagePath, imageHashes, forensicsReport, paymentId, chatId, userId, username, fullName, groupName } = input;
+  const uploadedAt = input.uploadedAt || new Date();
+
+  // Alerts raised for this screenshot (linked to the stored screenshot afterwards)
+  const fraudAlertIds = [];
+  const onFraudAlert = async (alert) => {
+    const alertId = deps.onFraudAlert ? await deps.onFraudAlert({ ...alert, paymentId }) : null;
+    if (alertId) fraudAlertIds.push(alertId);
+    return alertId;
+  };
+
+  // Get customer's open bills from excelreadings (invoiceDB), oldest billing period first
+  const { allocation: billAllocation } = await loadAllocation(excelReadingsCollection, paymentsCollection, chatId);
+  let expectedAmountKHR = null;
+
+  // Payment OCR (GPT-4o by default, see src/ocr) with retry logic and rate limiting
+  const { data: paymentData, rawText: aiResponse } = await retry(async () => {
+    // Wait for rate limiter slot before each attempt
+    if (ocrProvider.remote && rateLimiter) await rateLimiter.waitForSlot();
+    return ocrProvider.analyzePayment(imageBuffer);
+  });
+
+  console.log(`✅ OCR completed successfully`);
+  if (onOcrComplete) await onOcrComplete();
+
+  // Use Claude Haiku for accurate Khmer date extraction (GPT-4 is unreliable for Khmer)
+  const claudeDate = await ocrProvider.extractDate(imageBuffer);
+
+  if (claudeDate && claudeDate.year && claudeDate.month) {
+    const year = parseInt(claudeDate.year);
+    const month = parseInt(claudeDate.month);
+
+    // Validate month/year only (day is unreliable with Khmer OCR)
+    if (year >= 2020 && year <= 2030 && month >= 1 && month <= 12) {
+      // Store month/year for validation, use day 1 as placeholder
+      const date = new Date(year, month - 1, 1, 0, 0);
+      paymentData.transactionDate = date.toISOString();
+      paymentData.transactionMonth = month;
+      paymentData.transactionYear = year;
+      console.log(`📅 [DATE] Claude Haiku: ${month}/${year} → ${paymentData.transactionDate}`);
+    } else {
+      console.log(`⚠️ [DATE] Invalid Claude components: year=${year}, month=${month}`);
+      paymentData.transactionDate = null;
+    }
+  } else if (paymentData.dateYear && paymentData.dateMonth) {
+    // Fallback to GPT-4 date fields if Claude fails (month/year only)
+    const year = parseInt(paymentData.dateYear);
+    const month = parseInt(paymentData.dateMonth);
+
+    if (year >= 2020 && year <= 2030 && month >= 1 && month <= 12) {
+      const date = new Date(year, month - 1, 1, 0, 0);
+      paymentData.transactionDate = date.toISOString();
+      paymentData.transactionMonth = month;
+      paymentData.transactionYear = year;
+      console.log(`📅 [DATE] GPT-4 fallback: ${month}/${year} → ${paymentData.transactionDate}`);
+    } else {
+      console.log(`⚠️ [DATE] Invalid GPT-4 components: year=${year}, month=${month}`);
+      paymentData.transactionDate = null;
+    }
+  } else {
+    console.log(`⚠️ [DATE] No date extracted from Claude or GPT-4`);
+    paymentData.transactionDate = null;
+  }
+
+  // Convert payment to KHR for verification
+  const amountInKHR = convertToKHR(paymentData.amount, paymentData.currency);
+  const tolerance = parseFloat(process.env.PAYMENT_TOLERANCE_PERCENT) || 5;
+
+  // Match the amount against the oldest open bill, or several open bills combined
+  // A KHQR bill reference in the remark names the bill directly
+  const referencedBill = findBillByReference(billAllocation.balances, paymentData.remark);
+  const billMatch = referencedBill
+    ? {
+      expectedAmountKHR: referencedBill.outstandingAmount,
+      billIds: [referencedBill.billId],
+      periods: [referencedBill.period],
+      matchType: 'khqr_reference'
+    }
+    : matchPaymentToBills(billAllocation.balances, amountInKHR, tolerance);
+  expectedAmountKHR = billMatch.expectedAmountKHR;
+  console.log(`🧾 Bill match: ${billMatch.matchType} | Periods: ${billMatch.periods.join(', ') || 'none'} | Expected: ${expectedAmountKHR ?? 'N/A'} KHR`);
+
+  // Verify payment amount against expected amount
+  let isVerified = false;
+  let verificationNotes = '';
+
+  if (expectedAmountKHR && amountInKHR) {
+    const toleranceAmount = (expectedAmountKHR * tolerance) / 100;
+    const minAcceptable = expectedAmountKHR - toleranceAmount;
+    const maxAcceptable = expectedAmountKHR + toleranceAmount;
+
+    if (amountInKHR >= minAcceptable && amountInKHR <= maxAcceptable) {
+      isVerified = true;
+      verificationNotes = `Amount verified within ${tolerance}% tolerance`;
+    } else {
+      isVerified = false;
+      verificationNotes = `Amount mismatch: Expected ${expectedAmountKHR} KHR, got ${amountInKHR} KHR`;
+    }
+  } else {
+    verificationNotes = 'Cannot verify - missing expected amount or extracted amount';
+  }
+
+  // ==== BANK FORMAT ENHANCEMENT ====
+  // Try enhanced ML bank format extraction
+  console.log(`📋 Original OCR: ${paymentData.recipientName} / ${paymentData.toAccount}`);
+
+  let enhancedResult = null;
+  let toAccount = paymentData.toAccount || '';
+  let recipientName = paymentData.recipientName || '';
+
+  // Registry entries this group's customers are allowed to pay
+  const recipients = await getRecipientsForChat(recipientsCollection, chatId);
+  if (recipients.length === 0) {
+    console.log(`⚠️ SECURITY: No recipient configured for Chat ${chatId}`);
+  }
+
+  try {
+    enhancedResult = await extractWithEnhancedBankFormat(aiResponse, { recipients });
+    console.log(`🤖 Enhanced ML result:`, {
+      bank: enhancedResult.bank,
+      success: enhancedResult.success,
+      confidence: enhancedResult.confidence.toFixed(3),
+      method: enhancedResult.method
+    });
+
+    // Use enhanced results if they're confident
+    if (enhancedResult.success && enhancedResult.confidence > 0.4) {
+      if (enhancedResult.recipientName && !recipientName) {
+        recipientName = enhancedResult.recipientName;
+        console.log(`🤖 Enhanced ML recipient: "${recipientName}" (${enhancedResult.bank})`);
+      }
+
+      if (enhancedResult.toAccount && !toAccount) {
+        toAccount = enhancedResult.toAccount;
+        console.log(`🤖 Enhanced ML account: "${toAccount}" (${enhancedResult.bank})`);
+      }
+
+      // Store enhanced metadata
+      paymentData.bankFormatEnhancement = {
+        detected: true,
+        bank: enhancedResult.bank,
+        confidence: enhancedResult.confidence,
+        method: enhancedResult.method,
+        mlEnhancement: enhancedResult.mlEnhancement
+      };
+    } else {
+      paymentData.bankFormatEnhancement = {
+        detected: false,
+        reason: enhancedResult.reason || 'low_confidence',
+        method: enhancedResult.method
+      };
+    }
+  } catch (error) {
+    console.warn(`⚠️ Enhanced ML extraction failed, using fallback: ${error.message}`);
+
+    // Fallback to traditional bank format extraction
+    const bankFormatResult = extractWithBankFormat(aiResponse);
+
+    if (bankFormatResult.success && bankFormatResult.confidence > 0.7) {
+      if (bankFormatResult.recipientName && !recipientName) {
+        recipientName = bankFormatResult.recipientName;
+      }
+      if (bankFormatResult.toAccount && !toAccount) {
+        toAccount = bankFormatResult.toAccount;
+      }
+
+      paymentData.bankFormatEnhancement = {
+        detected: true,
+        bank: bankFormatResult.bank,
+        confidence: bankFormatResult.confidence,
+        method: 'fallback_traditional'
+      };
+    } else {
+      paymentData.bankFormatEnhancement = {
+        detected: false,
+        reason: 'fallback_failed',
+        method: 'fallback_traditional'
+      };
+    }
+  }
+
+  // ==== Transaction ID grammar of the bank that issued the receipt ====
+  // Skipped when the detections disagree (often the recipient's bank was detected)
+  const idFormatBank = selectIdFormatBank({
+    detectedBank: paymentData.bankFormatEnhancement?.detected ? paymentData.bankFormatEnhancement.bank : null,
+    bankName: paymentData.bankName,
+    ocrText: aiResponse,
+    paymentData
+  });
+  const transactionIdValidation = validateTransactionId(idFormatBank, paymentData);
+  paymentData.transactionIdValidation = transactionIdValidation;
+  if (!transactionIdValidation.valid) {
+    console.log(`⚠️ Transaction ID does not fit ${idFormatBank} | Chat ${chatId} | ${transactionIdValidation.issues.map(issue => issue.detail).join('; ')}`);
+  }
+
+  // ==== ENHANCED SECURITY: ML-Powered Recipient Verification ====
+  let recipientVerified = false;
+  let recipientVerificationDetails = null;
+  let matchedRecipientId = null;
+
+  try {
+    // Try ML-enhanced recipient validation if available
+    if (enhancedResult?.mlEnhancement?.recipientValidation) {
+      const mlValidation = enhancedResult.mlEnhancement.recipientValidation;
+      recipientVerificationDetails = mlValidation;
+
+      if (mlValidation.finalResult) {
+        recipientVerified = mlValidation.finalResult.isValid;
+        matchedRecipientId = mlValidation.finalResult.recipientId || null;
+        const confidence = mlValidation.finalResult.confidence;
+
+        if (recipientVerified && confidence > 0.7) {
+          console.log(`✅ SECURITY: ML recipient verified | Chat ${chatId} | Account: ${toAccount} | Name: ${recipientName} | Confidence: ${confidence.toFixed(3)} | Method: ${mlValidation.finalResult.method}`);
+        } else if (recipientVerified && confidence > 0.4) {
+          console.log(`⚡ SECURITY: ML recipient verified (medium confidence) | Chat ${chatId} | Confidence: ${confidence.toFixed(3)}`);
+        } else {
+          console.log(`🚨 SECURITY: ML recipient validation failed | Chat ${chatId} | Confidence: ${confidence.toFixed(3)} | Method: ${mlValidation.finalResult.method}`);
+        }
+      }
+    }
+
+    // Fallback to rule-based validation if ML didn't run or has low confidence
+    if (!recipientVerified || (recipientVerificationDetails?.finalResult?.confidence || 0) < 0.6) {
+      console.log('📋 Using fallback rule-based recipient validation...');
+
+      // Traditional verification logic against the chat's registry entries
+      const ruleBasedMatch = matchRecipient(recipients, toAccount, recipientName);
+
+      // Use rule-based result if ML confidence is low
+      if (!recipientVerified || (recipientVerificationDetails?.finalResult?.confidence || 0) < 0.4) {
+        recipientVerified = ruleBasedMatch.isValid;
+        matchedRecipientId = ruleBasedMatch.recipientId;
+        console.log(`📝 Rule-based verification: ${ruleBasedMatch.isValid} | Chat ${chatId}${ruleBasedMatch.isValid ? ` | Matched ${ruleBasedMatch.matchedOn}: ${ruleBasedMatch.matchedValue}` : ''}`);
+      }
+    }
+
+  } catch (error) {
+    console.warn(`⚠️ ML recipient validation error: ${error.message}`);
+
+    // Fallback to traditional verification
+    const fallbackMatch = matchRecipient(recipients, toAccount, recipientName);
+    recipientVerified = fallbackMatch.isValid;
+    matchedRecipientId = fallbackMatch.recipientId;
+
+    console.log(`📝 Fallback verification: ${recipientVerified} | Chat ${chatId}`);
+  }
+
+  // Log final verification result
+  if (recipientVerified) {
+    console.log(`✅ SECURITY: Final recipient verification PASSED | Chat ${chatId} | Account: ${toAccount} | Name: ${recipientName}`);
+  } else if (!toAccount && !recipientName) {
+    console.log(`⚠️ SECURITY: No recipient info found | Chat ${chatId}`);
+  } else {
+    console.log(`🚨 SECURITY: Final recipient verification FAILED | Chat ${chatId} | Got: ${toAccount} / ${recipientName}`);
+  }
+
+  // Store recipient verification details for analytics
+  if (recipientVerificationDetails) {
+    paymentData.mlRecipientValidation = recipientVerificationDetails;
+  }
+
+  // ==== IMAGE FORENSICS: Tampering Check (before the pipeline trusts the OCR values) ====
+  // Scored against the template of the bank OCR named; non-bank images are not scored
+  let tampering = null;
+  if (forensicsReport && paymentData.isBankStatement !== false) {
+    tampering = assessTampering(forensicsReport, paymentData.bankName, deps.forensicsOptions);
+  }
+
+  let tamperAlertId = null;
+  if (tampering?.suspected) {
+    console.log(`🚨 TAMPERING SUSPECTED | Score ${tampering.score} | ${tampering.signals.map(signal => signal.type).join(', ')} | Chat ${chatId}`);
+
+    tamperAlertId = await onFraudAlert({
+      fraudType: 'TAMPER_SUSPECTED',
+      severity: 'HIGH',
+      chatId: chatId,
+      userId: userId,
+      username: username,
+      fullName: fullName,
+      groupName: groupName,
+      transactionDate: paymentData.transactionDate,
+      uploadedAt,
+      screenshotAgeDays: null,
+      maxAllowedAgeDays: null,
+      transactionId: paymentData.transactionId,
+      referenceNumber: paymentData.referenceNumber,
+      amount: amountInKHR,
+      currency: paymentData.currency,
+      bankName: paymentData.bankName,
+      screenshotPath: imagePath,
+      verificationNotes: `TAMPER SUSPECTED: ${tampering.signals.map(signal => signal.detail).join('; ')}`,
+      confidence: paymentData.confidence,
+      aiAnalysis: aiResponse,
+      actionTaken: 'HELD_FOR_REVIEW',
+      evidence: tampering
+    });
+  }
+
+  // ==== 3-STAGE VERIFICATION PIPELINE ====
+  let finalVerificationStatus = 'pending';
+  let paymentLabel = 'PENDING';
+  let rejectionReason = null;
+
+  // Every stage decision is written to the audit trail once the payment is saved
+  const pipelineStages = [];
+  const recordStage = (stage) => pipelineStages.push({
+    stage,
+    paymentLabel,
+    verificationStatus: finalVerificationStatus,
+    reason: rejectionReason
+  });
+
+  // STAGE 0: Edited screenshot? OCR values can't be trusted - hold for a human
+  if (tampering?.suspected) {
+    finalVerificationStatus = 'pending';
+    rejectionReason = 'TAMPER_SUSPECTED';
+    paymentLabel = 'PENDING';
+    verificationNotes += ` | FRAUD: Tampering suspected (${tampering.signals.map(signal => signal.type).join(', ')}) | Alert: ${tamperAlertId}`;
+    console.log(`⏳ Stage 0: Tampering suspected | Chat ${chatId}`);
+    recordStage('stage0_forensics');
+  }
+  // STAGE 1: Is it a bank statement?
+  else if (paymentData.isBankStatement === false) {
+    finalVerificationStatus = 'rejected';
+    rejectionReason = 'NOT_BANK_STATEMENT';
+    paymentLabel = 'UNPAID';
+    console.log(`🔇 Stage 1: NOT a bank statement | Chat ${chatId}`);
+    recordStage('stage1_bank_statement');
+  }
+  // STAGE 2: Confidence check (blurry?)
+  else if (paymentData.confidence !== 'high') {
+    finalVerificationStatus = 'pending';
+    rejectionReason = 'BLURRY';
+    paymentLabel = 'PENDING';
+    console.log(`⏳ Stage 2: Blurry/unclear (${paymentData.confidence} confidence) | Chat ${chatId}`);
+    recordStage('stage2_confidence');
+  }
+  // STAGE 3: Security verification (HIGH confidence only)
+  else {
+    // Check 3a: Recipient (no registry entry for this group - cannot verify)
+    if (recipients.length === 0) {
+      finalVerificationStatus = 'pending';
+      rejectionReason = 'RECIPIENT_NOT_CONFIGURED';
+      paymentLabel = 'PENDING';
+      verificationNotes += ' | SECURITY: No recipient configured for this group';
+      console.log(`⏳ Stage 3a: Recipient not configured | Chat ${chatId}`);
+      recordStage('stage3a_recipient');
+    }
+    else if (!recipientVerified && (toAccount || recipientName)) {
+      finalVerificationStatus = 'rejected';
+      rejectionReason = 'WRONG_RECIPIENT';
+      paymentLabel = 'UNPAID';
+      verificationNotes += ` | SECURITY: Wrong recipient - got ${toAccount} / ${recipientName}`;
+      console.log(`❌ Stage 3a: Wrong recipient | Chat ${chatId}`);
+      recordStage('stage3a_recipient');
+    }
+    // Check 3b: Amount
+    else if (!isVerified) {
+      finalVerificationStatus = 'pending';
+      rejectionReason = 'AMOUNT_MISMATCH';
+      paymentLabel = 'PENDING';
+      console.log(`⏳ Stage 3b: Amount mismatch | Chat ${chatId} | Expected: ${expectedAmountKHR} | Got: ${amountInKHR}`);
+      recordStage('stage3b_amount');
+    }
+    // Check 3c: Transaction ID fits the bank (and its embedded date fits the receipt)
+    else if (!transactionIdValidation.valid) {
+      finalVerificationStatus = 'pending';
+      rejectionReason = 'INVALID_TRANSACTION_ID';
+      paymentLabel = 'PENDING';
+      verificationNotes += ` | ID CHECK: ${transactionIdValidation.issues.map(issue => issue.detail).join('; ')}`;
+      console.log(`⏳ Stage 3c: Invalid transaction ID | Chat ${chatId}`);
+      recordStage('stage3c_transaction_id');
+    }
+    // All checks pass
+    else {
+      finalVerificationStatus = 'verified';
+      rejectionReason = null;
+      paymentLabel = 'PAID';
+      console.log(`✅ Stage 3: All checks passed | Chat ${chatId}`);
+      recordStage('stage3_verified');
+    }
+  }
+
+  // ==== FRAUD DETECTION: Old Screenshot Check ====
+  // Only check for OLD_SCREENSHOT fraud if date is successfully extracted
+  // Skip fraud check for MISSING_DATE or INVALID_DATE (Khmer dates cause GPT-4 to return null)
+  const MAX_SCREENSHOT_AGE_DAYS = parseInt(process.env.MAX_SCREENSHOT_AGE_DAYS) || 7;
+
+  if (paymentData.transactionDate && paymentData.transactionDate !== 'null') {
+    const dateValidation = validateTransactionDate(
+      paymentData.transactionDate,
+      uploadedAt,
+      MAX_SCREENSHOT_AGE_DAYS,
+      paymentData // Pass paymentData for month/year validation
+    );
+
+    // Only flag fraud for OLD_SCREENSHOT (date is readable but too old)
+    // Skip MISSING_DATE, INVALID_DATE, FUTURE_DATE (likely Khmer date extraction issues)
+    if (!dateValidation.isValid && dateValidation.fraudType === 'OLD_SCREENSHOT') {
+      console.log(`🚨 FRAUD DETECTED: ${dateValidation.fraudType} | ${dateValidation.reason}`);
+
+      // Log to fraudAlerts collection
+      const alertId = await onFraudAlert({
+        fraudType: dateValidation.fraudType,
+        severity: 'HIGH',
+        chatId: chatId,
+        userId: userId,
+        username: username,
+        fullName: fullName,
+        groupName: groupName,
+        transactionDate: paymentData.transactionDate,
+        uploadedAt,
+        screenshotAgeDays: dateValidation.ageDays,
+        maxAllowedAgeDays: MAX_SCREENSHOT_AGE_DAYS,
+        transactionId: paymentData.transactionId,
+        referenceNumber: paymentData.referenceNumber,
+        amount: amountInKHR,
+        currency: paymentData.currency,
+        bankName: paymentData.bankName,
+        screenshotPath: imagePath, // Will be updated after organization
+        verificationNotes: verificationNotes,
+        confidence: paymentData.confidence,
+        aiAnalysis: aiResponse,
+        actionTaken: 'HELD_FOR_REVIEW'
+      });
+
+      // Override verification status → REJECTED (fraud)
+      finalVerificationStatus = 'rejected';
+      rejectionReason = 'OLD_SCREENSHOT';
+      paymentLabel = 'UNPAID';
+
+      // Update verification notes
+      verificationNotes += ` | FRAUD: ${dateValidation.reason} | Alert: ${alertId}`;
+      recordStage('fraud_old_screenshot');
+    }
+  }
+
+  // ==== SECURITY: Transaction ID Uniqueness Check (Prevent Duplicate Fraud) ====
+  // Check if transaction ID has already been used by another customer
+  if (paymentData.transactionId && paymentData.transactionId.trim() !== '') {
+    const existingPayment = await paymentsCollection.findOne({
+      transactionId: paymentData.transactionId,
+      paymentLabel: { $in: ['PAID', 'PENDING'] } // Only check verified/pending payments
+    });
+
+    if (existingPayment) {
+      // Duplicate transaction detected!
+      console.log(`🚨 DUPLICATE TRANSACTION DETECTED | Trx ID: ${paymentData.transactionId} | Chat ${chatId} | Original: ${existingPayment.chatId}`);
+
+      // Log to fraudAlerts collection
+      const alertId = await onFraudAlert({
+        fraudType: 'DUPLICATE_TRANSACTION',
+        severity: 'CRITICAL',
+        chatId: chatId,
+        userId: userId,
+        username: username,
+        fullName: fullName,
+        groupName: groupName,
+        transactionDate: paymentData.transactionDate,
+        uploadedAt,
+        screenshotAgeDays: null,
+        maxAllowedAgeDays: null,
+        transactionId: paymentData.transactionId,
+        referenceNumber: paymentData.referenceNumber,
+        amount: amountInKHR,
+        currency: paymentData.currency,
+        bankName: paymentData.bankName,
+        screenshotPath: imagePath,
+        verificationNotes: `DUPLICATE: Transaction ${paymentData.transactionId} already used by chatId ${existingPayment.chatId}`,
+        confidence: paymentData.confidence,
+        aiAnalysis: aiResponse,
+        actionTaken: 'REJECTED_DUPLICATE'
+      });
+
+      // Override to REJECTED
+      finalVerificationStatus = 'rejected';
+      rejectionReason = 'DUPLICATE_TRANSACTION';
+      paymentLabel = 'UNPAID';
+
+      verificationNotes += ` | FRAUD: Duplicate transaction ID (already used by another customer) | Alert: ${alertId}`;
+      recordStage('fraud_duplicate_transaction');
+    }
+  }
+
+  // ==== SECURITY: Duplicate Image Check (same receipt re-uploaded, even with a misread ID) ====
+  let duplicateImages = [];
+  if (deps.findDuplicateImages && imageHashes && paymentData.isBankStatement !== false) {
+    duplicateImages = await deps.findDuplicateImages(imageHashes, {
+      amountInKHR,
+      transactionId: paymentData.transactionId,
+      paymentId
+    });
+  }
+
+  if (duplicateImages.length > 0) {
+    const match = duplicateImages[0];
+    const matchType = match.exact ? 'exact copy' : `${Math.round(match.similarity * 100)}% similar`;
+    console.log(`🚨 DUPLICATE IMAGE DETECTED | ${matchType} | Chat ${chatId} | Original: ${match.chatId} (${match.screenshotId})`);
+
+    const alertId = await onFraudAlert({
+      fraudType: 'DUPLICATE_IMAGE',
+      severity: match.exact ? 'CRITICAL' : 'HIGH',
+      chatId: chatId,
+      userId: userId,
+      username: username,
+      fullName: fullName,
+      groupName: groupName,
+      transactionDate: paymentData.transactionDate,
+      uploadedAt,
+      screenshotAgeDays: null,
+      maxAllowedAgeDays: null,
+      transactionId: paymentData.transactionId,
+      referenceNumber: paymentData.referenceNumber,
+      amount: amountInKHR,
+      currency: paymentData.currency,
+      bankName: paymentData.bankName,
+      screenshotPath: imagePath,
+      verificationNotes: `DUPLICATE IMAGE: ${matchType} of screenshot ${match.screenshotId} (chatId ${match.chatId})`,
+      confidence: paymentData.confidence,
+      aiAnalysis: aiResponse,
+      actionTaken: match.exact ? 'REJECTED_DUPLICATE' : 'HELD_FOR_REVIEW',
+      evidence: {
+        sha256: imageHashes.sha256,
+        phash: imageHashes.phash,
+        matches: duplicateImages.slice(0, 5)
+      }
+    });
+
+    // Exact copy is rejected; a near match is held unless already rejected
+    if (match.exact && finalVerificationStatus !== 'rejected') {
+      finalVerificationStatus = 'rejected';
+      rejectionReason = 'DUPLICATE_IMAGE';
+      paymentLabel = 'UNPAID';
+      recordStage('fraud_duplicate_image');
+    } else if (!match.exact && finalVerificationStatus === 'verified') {
+      finalVerificationStatus = 'pending';
+      rejectionReason = 'DUPLICATE_IMAGE';
+      paymentLabel = 'PENDING';
+      recordStage('fraud_duplicate_image');
+    }
+
+    verificationNotes += ` | FRAUD: Duplicate image (${matchType}) | Alert: ${alertId}`;
+  }
+
+  return {
+    paymentData,
+    aiResponse,
+    amountInKHR,
+    expectedAmountKHR,
+    billMatch,
+    isVerified,
+    verificationNotes,
+    recipients,
+    toAccount,
+    recipientName,
+    recipientVerified,
+    matchedRecipientId,
+    finalVerificationStatus,
+    paymentLabel,
+    rejectionReason,
+    pipelineStages,
+    duplicateImages,
+    tampering,
+    fraudAlertIds
+  };
+}
+
+module.exports = {
+  convertToKHR,
+  runVerificationPipeline
+};
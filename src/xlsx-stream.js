@@ -0,0 +1,179 @@
+'use strict';
+
+/**
+ * XLSX Stream Module
+ * Writes .xlsx workbooks row by row from MongoDB cursors. The sheets are
+ * zipped by archiver as the rows arrive, so an export never holds a whole
+ * collection in memory (XLSX.write needs the full workbook first).
+ * Columns are the collection's field names, collected by one aggregation
+ * before the rows are streamed, in order of first appearance like
+ * XLSX.utils.json_to_sheet.
+ * Used by botfetch.js
+ */
+
+const archiver = require('archiver');
+const { Readable } = require('stream');
+
+const XLSX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Excel's limit per cell
+const MAX_CELL_LENGTH = 32767;
+// Rows joined into one chunk before it is handed to the zip stream
+const ROWS_PER_CHUNK = 200;
+
+/**
+ * One sheet row per document: dates as ISO strings, objects as JSON
+ */
+function flattenDocument(doc) {
+  const flat = {};
+  for (const [key, value] of Object.entries(doc)) {
+    if (value instanceof Date) {
+      flat[key] = value.toISOString();
+    } else if (typeof value === 'object' && value !== null) {
+      flat[key] = JSON.stringify(value);
+    } else {
+      flat[key] = value;
+    }
+  }
+  return flat;
+}
+
+/**
+ * Field names of the matching documents, in order of first appearance
+ * @param {Collection} collection - MongoDB collection
+ * @param {Object} filter - Query filter
+ * @returns {Array} Field names
+ */
+async function getCollectionFields(collection, filter = {}) {
+  const rows = await collection.aggregate([
+    { $match: filter },
+    { $project: { fields: { $map: { input: { $objectToArray: '$$ROOT' }, as: 'field', in: '$$field.k' } } } },
+    { $unwind: { path: '$fields', includeArrayIndex: 'position' } },
+    { $group: { _id: '$fields', position: { $min: '$position' } } },
+    { $sort: { position: 1, _id: 1 } }
+  ], { allowDiskUse: true }).toArray();
+  return rows.map(row => row._id);
+}
+
+// 0 -> A, 25 -> Z, 26 -> AA
+function getColumnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function escapeXml(text) {
+  return text
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function toCellXml(value, ref) {
+  if (value === null || value === undefined || value === '') return '';
+  if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+  if (typeof value === 'boolean') return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+  const text = escapeXml(String(value).slice(0, MAX_CELL_LENGTH));
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${text}</t></is></c>`;
+}
+
+function toRowXml(values, rowNumber) {
+  const cells = values.map((value, index) => toCellXml(value, `${getColumnName(index)}${rowNumber}`)).join('');
+  return `<row r="${rowNumber}">${cells}</row>`;
+}
+
+/**
+ * Worksheet XML, header row first, then one row per cursor document
+ */
+async function* sheetXml({ columns, cursor }) {
+  yield '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>' +
+    toRowXml(columns, 1);
+
+  let rowNumber = 1;
+  let chunk = [];
+  for await (const doc of cursor) {
+    const flat = flattenDocument(doc);
+    rowNumber++;
+    chunk.push(toRowXml(columns.map(column => flat[column]), rowNumber));
+    if (chunk.length >= ROWS_PER_CHUNK) {
+      yield chunk.join('');
+      chunk = [];
+    }
+  }
+  if (chunk.length > 0) yield chunk.join('');
+
+  yield '</sheetData></worksheet>';
+}
+
+function workbookParts(sheets) {
+  const sheetNumbers = sheets.map((sheet, index) => index + 1);
+  return {
+    '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+      sheetNumbers.map(n => `<Override PartName="/xl/worksheets/sheet${n}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+      '</Types>',
+    '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+      '</Relationships>',
+    'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>' +
+      sheets.map((sheet, index) => `<sheet name="${escapeXml(sheet.name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('') +
+      '</sheets></workbook>',
+    'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      sheetNumbers.map(n => `<Relationship Id="rId${n}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${n}.xml"/>`).join('') +
+      `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+      '</Relationships>',
+    'xl/styles.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      '<fonts count="1"><font><sz val="11"/><name val="Calibri"/></font></fonts>' +
+      '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+      '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+      '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+      '<cellXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/></cellXfs>' +
+      '</styleSheet>'
+  };
+}
+
+/**
+ * Stream a workbook
+ * @param {Array} sheets - [{ name, columns, cursor }] cursor: MongoDB cursor (read when its sheet is zipped)
+ * @returns {Archiver} Readable zip stream - pipe it to the response and listen for 'error'
+ */
+function createXlsxStream(sheets) {
+  const archive = archiver('zip', { zlib: { level: 5 } });
+
+  for (const [name, xml] of Object.entries(workbookParts(sheets))) {
+    archive.append(xml, { name });
+  }
+  sheets.forEach((sheet, index) => {
+    const rows = Readable.from(sheetXml(sheet));
+    // archiver doesn't forward entry stream errors (e.g. a failed cursor)
+    rows.on('error', (error) => {
+      archive.emit('error', error);
+      archive.abort();
+    });
+    archive.append(rows, { name: `xl/worksheets/sheet${index + 1}.xml` });
+  });
+
+  // Errors reach the caller through the stream's 'error' event
+  archive.finalize().catch(() => {});
+  return archive;
+}
+
+module.exports = {
+  XLSX_CONTENT_TYPE,
+  flattenDocument,
+  getCollectionFields,
+  createXlsxStream
+};